@@ -1,12 +1,15 @@
 
 // emergency-reset.js
-// DANGER ZONE: This script deletes ALL database tables AND Pinecone vectors
+// DANGER ZONE: This script deletes ALL database tables AND stored vectors
+// (Pinecone index or pgvector table, depending on VECTOR_STORE), including
+// the vectors of every re-index (see src/services/vectorIndexes.js)
+// To switch embedding models without downtime, build a new index instead:
+// POST /api/indexes, then POST /api/indexes/:indexId/activate
 
+const { Op } = require("sequelize");
 const { sequelize } = require("./src/config/database");
-const {
-  initializePinecone,
-  deleteAllVectors,
-} = require("./src/config/pinecone");
+const vectorStoreService = require("./src/services/vectorStore");
+const VectorIndex = require("./src/models/VectorIndex");
 
 async function reset() {
   console.log(" EMERGENCY RESET STARTED ");
@@ -19,19 +22,37 @@ async function reset() {
     await sequelize.authenticate();
     console.log(" PostgreSQL connected");
 
+    // Re-index vectors live in their own namespaces / tables, which are only
+    // known from vector_indexes - drop them before the table goes
+    // (the default index is cleared below)
+    const indexes = await VectorIndex.findAll({
+      where: {
+        status: ["building", "ready", "active", "failed"],
+        name: { [Op.ne]: "default" },
+      },
+    }).catch(() => []); // Table doesn't exist yet
+    for (const index of indexes) {
+      console.log(` Dropping vectors of index "${index.name}"...`);
+      await vectorStoreService.initialize(index);
+      await vectorStoreService.getStore(index).backend.drop();
+    }
+
     console.log(" Dropping & recreating all tables...");
     await sequelize.sync({ force: true });
     console.log(" PostgreSQL tables reset complete");
 
     // -----------------------------
-    // 2. Pinecone RESET
+    // 2. VECTOR STORE RESET
     // -----------------------------
-    console.log(" Initializing Pinecone...");
-    await initializePinecone();
+    console.log(` Initializing ${vectorStoreService.backend.name}...`);
+    await vectorStoreService.initialize();
 
-    console.log(" Deleting ALL Pinecone vectors...");
-    await deleteAllVectors();
-    console.log(" Pinecone index cleared");
+    console.log(" Deleting ALL vectors...");
+    const result = await vectorStoreService.clearIndex();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    console.log(" Vector store cleared");
 
     console.log(" RESET COMPLETED SUCCESSFULLY");
   } catch (err) {
@@ -0,0 +1,48 @@
+// scripts/mcp-server.js
+// Knowledge base MCP server over stdio, for IDE assistants that launch it
+// (see src/services/mcpServer.js for the tools and resources)
+// Usage: node scripts/mcp-server.js
+//
+// Example client configuration:
+//   { "command": "node", "args": ["/path/to/backend/scripts/mcp-server.js"] }
+
+// stdout carries the MCP protocol: send all logging to stderr
+console.log = (...args) => console.error(...args);
+console.info = console.log;
+
+require("dotenv").config({ quiet: true });
+const {
+  StdioServerTransport,
+} = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { testConnection } = require("../src/config/database");
+const vectorStoreService = require("../src/services/vectorStore");
+const vectorIndexService = require("../src/services/vectorIndexes");
+const collectionService = require("../src/services/collections");
+const mcpServerService = require("../src/services/mcpServer");
+
+async function startMcpServer() {
+  // Connect to PostgreSQL (tables are created by the API server)
+  const dbConnected = await testConnection();
+  if (!dbConnected) {
+    throw new Error("Failed to connect to PostgreSQL");
+  }
+
+  // Load the active vector index and default collection
+  await vectorIndexService.ensureActive();
+  await collectionService.ensureDefault();
+
+  // Initialize vector store (Pinecone index or pgvector table)
+  await vectorStoreService.initialize();
+
+  const server = mcpServerService.createServer();
+  await server.connect(new StdioServerTransport());
+  console.error(" Knowledge base MCP server running on stdio");
+
+  // Exit when the client closes the connection
+  server.server.onclose = () => process.exit(0);
+}
+
+startMcpServer().catch((error) => {
+  console.error(" MCP server failed to start:", error.message);
+  process.exit(1);
+});
@@ -1,13 +1,20 @@
 // scripts/pipeline.js
 // Standalone script to run the complete pipeline
-// Usage: node scripts/pipeline.js
+// Usage: node scripts/pipeline.js [full|scrape|crawl|refresh|chunk|embed]
+//        node scripts/pipeline.js ingest <file or folder...> [--collection <slug>]
 
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
 const { testConnection, syncDatabase } = require("../src/config/database");
-const { initializePinecone } = require("../src/config/pinecone");
 const scraperService = require("../src/services/scraper");
+const crawlerService = require("../src/services/crawler");
+const refreshService = require("../src/services/refresher");
+const fileIngesterService = require("../src/services/fileIngester");
 const chunkerService = require("../src/services/chunker");
 const vectorStoreService = require("../src/services/vectorStore");
+const vectorIndexService = require("../src/services/vectorIndexes");
+const collectionService = require("../src/services/collections");
 
 // ============================================
 // CONFIGURATION
@@ -30,6 +37,18 @@ const STRIPE_URLS = [
   "https://docs.stripe.com/get-started/api-request",
 ];
 
+// Crawl settings used by the "crawl" command
+// Seeds come from STRIPE_URLS; the sitemap adds pages not linked from them
+const CRAWL_CONFIG = {
+  seeds: STRIPE_URLS,
+  sitemapUrl: process.env.CRAWL_SITEMAP_URL || null,
+  maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || "2"),
+  maxPages: parseInt(process.env.CRAWL_MAX_PAGES || "200"),
+  include: ["^https://docs\\.stripe\\.com/"],
+  exclude: ["/changelog", "/upgrades"],
+  respectRobots: true,
+};
+
 // ============================================
 // PIPELINE FUNCTIONS
 // ============================================
@@ -49,9 +68,17 @@ async function initialize() {
     console.log(" Synchronizing database...");
     await syncDatabase();
 
-    // Initialize Pinecone
-    console.log(" Initializing Pinecone...");
-    await initializePinecone();
+    // Load the active vector index (registers the .env one on first start)
+    await vectorIndexService.ensureActive();
+
+    // Load the default collection (created on first start; adopts older documents)
+    await collectionService.ensureDefault();
+
+    // Initialize vector store (Pinecone index or pgvector table)
+    console.log(
+      ` Initializing vector store (${vectorStoreService.backend.name})...`
+    );
+    await vectorStoreService.initialize();
 
     console.log(" Initialization complete!\n");
     return true;
@@ -81,13 +108,114 @@ async function runScraping(urls) {
   }
 }
 
-async function runChunking() {
+async function runCrawling(config) {
+  console.log("\n" + "=".repeat(60));
+  console.log("STEP 1: CRAWLING");
+  console.log("=".repeat(60) + "\n");
+
+  try {
+    const result = await crawlerService.crawl(config);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    console.log("\n Crawling Results:");
+    console.log(` Discovered: ${result.discovered}`);
+    console.log(` Successful: ${result.results.successful.length}`);
+    console.log(` Skipped: ${result.results.skipped.length}`);
+    console.log(` Blocked by robots.txt: ${result.results.blocked.length}`);
+    console.log(` Failed: ${result.results.failed.length}`);
+
+    return result.results;
+  } catch (error) {
+    console.error("Crawling failed:", error.message);
+    throw error;
+  }
+}
+
+async function runRefresh(olderThanHours = 24) {
+  console.log("\n" + "=".repeat(60));
+  console.log("REFRESH: RE-SCRAPING KNOWN URLS");
+  console.log("=".repeat(60) + "\n");
+
+  try {
+    const result = await refreshService.refreshAll({ olderThanHours });
+
+    console.log("\n Refresh Results:");
+    console.log(` Checked: ${result.checked}`);
+    console.log(` Updated (re-indexed): ${result.results.updated.length}`);
+    console.log(` Unchanged: ${result.results.unchanged.length}`);
+    console.log(` Failed: ${result.results.failed.length}`);
+
+    return result.results;
+  } catch (error) {
+    console.error("Refresh failed:", error.message);
+    throw error;
+  }
+}
+
+// Read files for ingestion; folders are walked recursively and their files
+// named by their path from the folder's parent (runbooks/payouts.md)
+function collectFiles(inputPath) {
+  const root = path.dirname(path.resolve(inputPath));
+
+  const walk = (current) => {
+    if (fs.statSync(current).isDirectory()) {
+      return fs
+        .readdirSync(current)
+        .filter((name) => !name.startsWith("."))
+        .flatMap((name) => walk(path.join(current, name)));
+    }
+    return [
+      {
+        name: path.relative(root, current).split(path.sep).join("/"),
+        buffer: fs.readFileSync(current),
+      },
+    ];
+  };
+
+  return walk(path.resolve(inputPath));
+}
+
+async function runIngest(inputPaths, collectionSlug = null) {
+  console.log("\n" + "=".repeat(60));
+  console.log("STEP 1: FILE INGESTION");
+  console.log("=".repeat(60) + "\n");
+
+  try {
+    let collectionId = null;
+    if (collectionSlug) {
+      const collection = await collectionService.findBySlug(collectionSlug);
+      if (!collection) {
+        throw new Error(`Collection not found: ${collectionSlug}`);
+      }
+      collectionId = collection.id;
+    }
+
+    const files = inputPaths.flatMap(collectFiles);
+    const results = await fileIngesterService.ingestFiles(files, {
+      collectionId,
+    });
+
+    results.failed.forEach(({ file, error }) =>
+      console.log(`   ${file}: ${error}`)
+    );
+
+    return results;
+  } catch (error) {
+    console.error("Ingestion failed:", error.message);
+    throw error;
+  }
+}
+
+async function runChunking(strategy = undefined) {
   console.log("\n" + "=".repeat(60));
   console.log("STEP 2: TEXT CHUNKING");
   console.log("=".repeat(60) + "\n");
 
   try {
-    const results = await chunkerService.chunkAllPending();
+    const results = await chunkerService.chunkAllPending({ strategy });
 
     console.log("\n Chunking Results:");
     console.log(`  Documents processed: ${results.processed}`);
@@ -119,7 +247,7 @@ async function runEmbeddingAndStorage(limit = 1000) {
     console.log(`   Vectors created: ${results.processed}`);
     console.log(`   Failed: ${results.failed}`);
 
-    // Get Pinecone statistics
+    // Get vector store statistics
     const stats = await vectorStoreService.getStats();
     console.log("\n Vector Database Statistics:");
     console.log(`   Total vectors: ${stats.totalRecordCount || 0}`);
@@ -202,10 +330,33 @@ switch (command) {
     });
     break;
 
+  case "crawl":
+    // Run only crawling step (discovers pages from STRIPE_URLS / sitemap)
+    initialize().then(() => {
+      runCrawling(CRAWL_CONFIG).then(() => {
+        scraperService.closeBrowser();
+        process.exit(0);
+      });
+    });
+    break;
+
+  case "refresh":
+    // Re-fetch known URLs; changed ones are re-chunked and re-embedded
+    // Optional argument: only check documents older than N hours (default 24)
+    initialize().then(() => {
+      runRefresh(parseInt(process.argv[3] || "24")).then(() => {
+        scraperService.closeBrowser();
+        process.exit(0);
+      });
+    });
+    break;
+
   case "chunk":
     // Run only chunking step
+    // Optional argument: strategy ("recursive" or "section"),
+    // defaults to CHUNK_STRATEGY or "recursive"
     initialize().then(() => {
-      runChunking().then(() => process.exit(0));
+      runChunking(process.argv[3]).then(() => process.exit(0));
     });
     break;
 
@@ -216,6 +367,32 @@ switch (command) {
     });
     break;
 
+  case "ingest": {
+    // Ingest local files (Markdown, HTML, text, PDF, OpenAPI specs, ZIP),
+    // then chunk + embed
+    // Example: node scripts/pipeline.js ingest ./runbooks --collection runbooks
+    //          node scripts/pipeline.js ingest ./openapi/spec3.yaml
+    const args = process.argv.slice(3);
+    const flag = args.indexOf("--collection");
+    const collectionSlug = flag === -1 ? null : args[flag + 1];
+    const inputPaths = args.filter(
+      (arg, i) => flag === -1 || (i !== flag && i !== flag + 1)
+    );
+
+    if (inputPaths.length === 0) {
+      console.error(" Usage: node scripts/pipeline.js ingest <path...>");
+      process.exit(1);
+    }
+
+    initialize().then(async () => {
+      await runIngest(inputPaths, collectionSlug);
+      await runChunking();
+      await runEmbeddingAndStorage();
+      process.exit(0);
+    });
+    break;
+  }
+
   case "full":
   default:
     // Run full pipeline
@@ -0,0 +1,59 @@
+// scripts/worker.js
+// Standalone background job worker
+// Runs queued jobs (pipeline, crawl, process, embed, refresh, reindex) outside
+// the API server
+// Usage: node scripts/worker.js   (set JOB_WORKER=false on the server to
+// leave all jobs to dedicated workers)
+
+require("dotenv").config();
+const { testConnection, syncDatabase } = require("../src/config/database");
+const scraperService = require("../src/services/scraper");
+const vectorStoreService = require("../src/services/vectorStore");
+const vectorIndexService = require("../src/services/vectorIndexes");
+const collectionService = require("../src/services/collections");
+const jobQueueService = require("../src/services/jobQueue");
+
+async function startWorker() {
+  console.log("\n Starting job worker...\n");
+
+  // Connect to PostgreSQL
+  console.log(" Connecting to PostgreSQL...");
+  const dbConnected = await testConnection();
+  if (!dbConnected) {
+    throw new Error("Failed to connect to PostgreSQL");
+  }
+
+  // Sync database (creates the jobs table if needed)
+  console.log(" Synchronizing database...");
+  await syncDatabase();
+
+  // Load the active vector index (registers the .env one on first start)
+  await vectorIndexService.ensureActive();
+
+  // Load the default collection (created on first start; adopts older documents)
+  await collectionService.ensureDefault();
+
+  // Initialize vector store (Pinecone index or pgvector table)
+  console.log(
+    ` Initializing vector store (${vectorStoreService.backend.name})...`
+  );
+  await vectorStoreService.initialize();
+
+  await jobQueueService.start();
+}
+
+// Stop taking new jobs and release resources
+async function shutdown() {
+  console.log("\n Shutting down worker...");
+  jobQueueService.stop();
+  await scraperService.closeBrowser();
+  process.exit(0);
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+startWorker().catch((error) => {
+  console.error(" Worker failed to start:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+// src/config/embedding.js
+// This file selects the embedding provider and model from environment variables
+// The vector dimension defined here is used for both embedding checks and index creation
+
+require("dotenv").config();
+
+// Default model and vector dimension for each supported provider
+const PROVIDER_DEFAULTS = {
+  gemini: {
+    model: "text-embedding-004", // 768-dimensional vectors
+    dimension: 768,
+  },
+  openai: {
+    model: "text-embedding-3-small", // 1536-dimensional vectors
+    dimension: 1536,
+  },
+  local: {
+    model: "Xenova/all-MiniLM-L6-v2", // 384-dimensional vectors, runs on CPU
+    dimension: 384,
+  },
+};
+
+const provider = (process.env.EMBEDDING_PROVIDER || "gemini").toLowerCase();
+
+if (!PROVIDER_DEFAULTS[provider]) {
+  throw new Error(
+    `Unknown EMBEDDING_PROVIDER "${provider}". ` +
+      `Use one of: ${Object.keys(PROVIDER_DEFAULTS).join(", ")}`
+  );
+}
+
+const embeddingConfig = {
+  provider,
+  model: process.env.EMBEDDING_MODEL || PROVIDER_DEFAULTS[provider].model,
+  dimension: parseInt(
+    process.env.EMBEDDING_DIMENSION || PROVIDER_DEFAULTS[provider].dimension
+  ),
+
+  // Only some models accept a requested output size, so it is sent
+  // to the provider only when the dimension was set explicitly
+  dimensionOverridden: Boolean(process.env.EMBEDDING_DIMENSION),
+
+  // Batch embedding: texts per provider request, batches in flight at once,
+  // and retries (with exponential backoff) on 429 / 5xx responses
+  batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || "50"),
+  concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY || "2"),
+  maxRetries: parseInt(process.env.EMBEDDING_MAX_RETRIES || "5"),
+
+  // Reuse embeddings of text that was embedded before (Postgres cache)
+  cache: process.env.EMBEDDING_CACHE !== "false",
+
+  // Gemini
+  geminiApiKey: process.env.GEMINI_API_KEY,
+
+  // Any server implementing POST {baseUrl}/embeddings (OpenAI, Ollama, vLLM...)
+  openaiBaseUrl:
+    process.env.OPENAI_EMBEDDING_URL || "https://api.openai.com/v1",
+  openaiApiKey: process.env.OPENAI_API_KEY,
+
+  // Local model: a directory containing pre-downloaded ONNX weights
+  // When set, no network access is attempted
+  localModelPath: process.env.EMBEDDING_LOCAL_MODEL_PATH || null,
+  localCacheDir: process.env.EMBEDDING_CACHE_DIR || null,
+};
+
+module.exports = {
+  embeddingConfig,
+  PROVIDER_DEFAULTS,
+};
@@ -0,0 +1,65 @@
+// src/config/grounding.js
+// This file selects the optional grounding check applied to chat answers
+// "none" skips it, "nli" runs an entailment (NLI) cross-encoder on CPU,
+// "llm" asks Gemini to judge whether the sources support each claim
+
+require("dotenv").config();
+
+// Default model for each supported checker
+const GROUNDING_CHECKER_DEFAULTS = {
+  none: { model: null },
+  nli: { model: "Xenova/nli-deberta-v3-xsmall" }, // Entailment classifier, runs on CPU
+  llm: { model: "gemini-2.5-flash" },
+};
+
+// What to do with an answer scoring below the threshold
+const GROUNDING_ACTIONS = ["regenerate", "fallback"];
+
+const checker = (process.env.GROUNDING_CHECKER || "none").toLowerCase();
+const action = (process.env.GROUNDING_ACTION || "regenerate").toLowerCase();
+
+if (!GROUNDING_CHECKER_DEFAULTS[checker]) {
+  throw new Error(
+    `Unknown GROUNDING_CHECKER "${checker}". ` +
+      `Use one of: ${Object.keys(GROUNDING_CHECKER_DEFAULTS).join(", ")}`
+  );
+}
+
+if (!GROUNDING_ACTIONS.includes(action)) {
+  throw new Error(
+    `Unknown GROUNDING_ACTION "${action}". ` +
+      `Use one of: ${GROUNDING_ACTIONS.join(", ")}`
+  );
+}
+
+const groundingConfig = {
+  checker,
+  model:
+    process.env.GROUNDING_MODEL || GROUNDING_CHECKER_DEFAULTS[checker].model,
+  action,
+
+  // Answers scoring below this (0..1, mean support of their claims) fail
+  threshold: parseFloat(process.env.GROUNDING_THRESHOLD || "0.6"),
+
+  // A claim counts as supported from this score on
+  claimThreshold: parseFloat(process.env.GROUNDING_CLAIM_THRESHOLD || "0.5"),
+
+  // Claims checked per answer (the first ones)
+  maxClaims: parseInt(process.env.GROUNDING_MAX_CLAIMS || "20"),
+
+  // Sources returned with the fallback answer
+  fallbackSources: parseInt(process.env.GROUNDING_FALLBACK_SOURCES || "3"),
+
+  // Gemini (llm checker)
+  geminiApiKey: process.env.GEMINI_API_KEY,
+
+  // NLI checker: same offline options as the local embedder
+  localModelPath: process.env.EMBEDDING_LOCAL_MODEL_PATH || null,
+  localCacheDir: process.env.EMBEDDING_CACHE_DIR || null,
+};
+
+module.exports = {
+  groundingConfig,
+  GROUNDING_CHECKER_DEFAULTS,
+  GROUNDING_ACTIONS,
+};
@@ -0,0 +1,126 @@
+// src/config/mcpServers.js
+// This file loads the MCP servers the chat service connects to as a client
+// (see services/mcpClients.js). They are listed in a JSON file, by default
+// backend/mcp-servers.json (MCP_SERVERS_CONFIG overrides the path); see
+// mcp-servers.example.json. Without the file no MCP servers are used
+//
+// {
+//   "servers": {
+//     "<name>": {
+//       "transport": "stdio" | "http" | "sse",  (default: stdio with command, http with url)
+//       "command": "npx", "args": [...], "env": { ... }, "cwd": "...",  (stdio)
+//       "url": "https://...", "headers": { ... },                       (http / sse)
+//       "allowedTools": ["tool", ...],  (default: all tools of the server)
+//       "enabled": true
+//     }
+//   }
+// }
+// String values may reference environment variables as ${VAR}, so secrets
+// stay in .env
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const TRANSPORTS = ["stdio", "http", "sse"];
+
+const configPath = path.resolve(
+  path.join(__dirname, "../.."),
+  process.env.MCP_SERVERS_CONFIG || "mcp-servers.json"
+);
+
+// Replace ${VAR} references in strings, arrays and objects
+const interpolate = (value) => {
+  if (typeof value === "string") {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || "");
+  }
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolate(item)])
+    );
+  }
+  return value;
+};
+
+// Validate one server entry and fill in defaults
+const normalizeServer = (name, entry) => {
+  if (!/^[a-zA-Z0-9_-]{1,32}$/.test(name)) {
+    throw new Error(
+      `MCP server name "${name}" must be 1-32 letters, digits, _ or -`
+    );
+  }
+
+  const server = interpolate(entry);
+  const transport = server.transport || (server.url ? "http" : "stdio");
+
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(
+      `MCP server "${name}": unknown transport "${transport}". ` +
+        `Use one of: ${TRANSPORTS.join(", ")}`
+    );
+  }
+  if (transport === "stdio" && !server.command) {
+    throw new Error(`MCP server "${name}": "command" is required for stdio`);
+  }
+  if (transport !== "stdio" && !server.url) {
+    throw new Error(`MCP server "${name}": "url" is required for ${transport}`);
+  }
+  if (server.allowedTools && !Array.isArray(server.allowedTools)) {
+    throw new Error(`MCP server "${name}": "allowedTools" must be an array`);
+  }
+
+  return {
+    name,
+    transport,
+    command: server.command || null,
+    args: server.args || [],
+    env: server.env || {},
+    cwd: server.cwd || null,
+    url: server.url || null,
+    headers: server.headers || {},
+    allowedTools: server.allowedTools || null, // null = all tools
+    enabled: server.enabled !== false,
+  };
+};
+
+// Read and validate the configuration file
+// Returns [] when it doesn't exist; throws on invalid content
+const loadMcpServers = () => {
+  if (!fs.existsSync(configPath)) {
+    return [];
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  return Object.entries(config.servers || {}).map(([name, entry]) =>
+    normalizeServer(name, entry)
+  );
+};
+
+const mcpClientConfig = {
+  configPath,
+
+  // Health check (ping) interval for connected servers
+  healthCheckIntervalMs: parseInt(
+    process.env.MCP_HEALTH_CHECK_INTERVAL_MS || "30000"
+  ),
+
+  // Reconnection backoff: base delay doubled per attempt, up to the max
+  reconnectBaseDelayMs: parseInt(
+    process.env.MCP_RECONNECT_BASE_DELAY_MS || "2000"
+  ),
+  reconnectMaxDelayMs: parseInt(
+    process.env.MCP_RECONNECT_MAX_DELAY_MS || "300000"
+  ),
+
+  // Timeout for connecting and for each tool call
+  requestTimeoutMs: parseInt(process.env.MCP_REQUEST_TIMEOUT_MS || "30000"),
+
+  // Tool calls per chat answer (non-agent mode)
+  maxToolCalls: parseInt(process.env.MCP_MAX_TOOL_CALLS || "3"),
+};
+
+module.exports = {
+  loadMcpServers,
+  mcpClientConfig,
+};
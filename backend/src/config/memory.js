@@ -0,0 +1,29 @@
+// src/config/memory.js
+// This file configures conversation memory for long chats
+// Only the most recent messages are given to the model verbatim; older ones
+// are folded into a rolling summary and a list of extracted facts ("uses
+// Connect Express", "API version 2023-10-16") kept on the conversation
+
+require("dotenv").config();
+
+const memoryConfig = {
+  // "false" gives the model the recent messages only
+  enabled: (process.env.CONVERSATION_MEMORY || "true").toLowerCase() !== "false",
+  model: process.env.MEMORY_MODEL || "gemini-2.5-flash",
+
+  // Messages given to the model verbatim; older ones are summarized
+  recentMessages: parseInt(process.env.MEMORY_RECENT_MESSAGES || "6"),
+
+  // Summarize once this many older messages have built up
+  updateEvery: parseInt(process.env.MEMORY_UPDATE_EVERY || "4"),
+
+  // Prompt budget for the summary and facts (estimated tokens)
+  tokenBudget: parseInt(process.env.MEMORY_TOKEN_BUDGET || "600"),
+
+  // Facts kept per conversation (the least useful are dropped first)
+  maxFacts: parseInt(process.env.MEMORY_MAX_FACTS || "20"),
+
+  geminiApiKey: process.env.GEMINI_API_KEY,
+};
+
+module.exports = { memoryConfig };
@@ -3,6 +3,8 @@
 // Pinecone stores vector embeddings for semantic search
 
 const { Pinecone } = require("@pinecone-database/pinecone");
+const { embeddingConfig } = require("./embedding");
+const { vectorStoreConfig } = require("./vectorStore");
 require("dotenv").config();
 
 // Initialize Pinecone client with API key
@@ -13,23 +15,27 @@ const pinecone = new Pinecone({
 
 // Get reference to the specific index where we'll store vectors
 // An index is like a "database" in Pinecone that stores related vectors
-const indexName = process.env.PINECONE_INDEX_NAME || "stripe-docs";
+const indexName = vectorStoreConfig.pineconeIndexName;
 
 // Function to initialize and verify Pinecone connection
-const initializePinecone = async () => {
+// Re-index builds pass their own index name and vector dimension
+const initializePinecone = async (
+  name = indexName,
+  dimension = embeddingConfig.dimension
+) => {
   try {
     console.log("Initializing Pinecone...");
     // List all existing indexes to check if ours exists
     const indexList = await pinecone.listIndexes();
     const indexExists = indexList.indexes?.some(
-      (idx) => idx.name === indexName
+      (idx) => idx.name === name
     );
     if (!indexExists) {
-      console.log(`Creating new Pinecone index: ${indexName}`);
+      console.log(`Creating new Pinecone index: ${name}`);
       // Create a new index with specified configuration
       await pinecone.createIndex({
-        name: indexName,
-        dimension: 768, // Gemini embedding dimension (text-embedding-004 = 768)
+        name,
+        dimension, // Must match the embedding provider
         metric: "cosine", // Similarity metric (cosine similarity for text)
         spec: {
           serverless: {
@@ -42,10 +48,20 @@ const initializePinecone = async () => {
       // Wait for index to be ready (can take 30-60 seconds)
       console.log("⏳ Waiting for index to be ready...");
       await new Promise((resolve) => setTimeout(resolve, 60000));
+    } else {
+      // An existing index built for another model can't store our vectors
+      const description = await pinecone.describeIndex(name);
+      if (description.dimension !== dimension) {
+        throw new Error(
+          `Index "${name}" has dimension ${description.dimension} but ` +
+            `the embedding model produces ${dimension}. ` +
+            `Use a different PINECONE_INDEX_NAME.`
+        );
+      }
     }
 
     // Get reference to the index for operations
-    const index = pinecone.index(indexName);
+    const index = pinecone.index(name);
     console.log(" Pinecone initialized successfully");
 
     return index;
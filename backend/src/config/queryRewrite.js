@@ -0,0 +1,23 @@
+// src/config/queryRewrite.js
+// This file configures query rewriting before chat retrieval
+// Follow-up questions ("and how do I refund it?") are condensed with the
+// conversation history into a standalone search query, and multi-part
+// questions split into sub-queries that are searched separately
+
+require("dotenv").config();
+
+const queryRewriteConfig = {
+  // "false" searches with the user's message as typed
+  enabled: (process.env.QUERY_REWRITE || "true").toLowerCase() !== "false",
+  model: process.env.QUERY_REWRITE_MODEL || "gemini-2.5-flash",
+
+  // Sub-queries searched per question (1 disables splitting)
+  maxQueries: parseInt(process.env.QUERY_REWRITE_MAX_QUERIES || "3"),
+
+  // Most recent messages given to the rewriter
+  historyMessages: parseInt(process.env.QUERY_REWRITE_HISTORY || "6"),
+
+  geminiApiKey: process.env.GEMINI_API_KEY,
+};
+
+module.exports = { queryRewriteConfig };
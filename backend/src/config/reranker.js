@@ -0,0 +1,42 @@
+// src/config/reranker.js
+// This file selects the optional reranking stage applied to retrieved chunks
+// "none" keeps search order, "local" runs a cross-encoder on CPU,
+// "llm" asks Gemini to score each passage against the query
+
+require("dotenv").config();
+
+// Default model for each supported reranker
+const RERANKER_DEFAULTS = {
+  none: { model: null },
+  local: { model: "Xenova/ms-marco-MiniLM-L-6-v2" }, // Cross-encoder, runs on CPU
+  llm: { model: "gemini-2.5-flash" },
+};
+
+const reranker = (process.env.RERANKER || "none").toLowerCase();
+
+if (!RERANKER_DEFAULTS[reranker]) {
+  throw new Error(
+    `Unknown RERANKER "${reranker}". ` +
+      `Use one of: ${Object.keys(RERANKER_DEFAULTS).join(", ")}`
+  );
+}
+
+const rerankerConfig = {
+  reranker,
+  model: process.env.RERANK_MODEL || RERANKER_DEFAULTS[reranker].model,
+
+  // How many candidates to fetch per final result (topK * candidateMultiplier)
+  candidateMultiplier: parseInt(process.env.RERANK_CANDIDATE_MULTIPLIER || "4"),
+
+  // Gemini (llm reranker)
+  geminiApiKey: process.env.GEMINI_API_KEY,
+
+  // Local reranker: same offline options as the local embedder
+  localModelPath: process.env.EMBEDDING_LOCAL_MODEL_PATH || null,
+  localCacheDir: process.env.EMBEDDING_CACHE_DIR || null,
+};
+
+module.exports = {
+  rerankerConfig,
+  RERANKER_DEFAULTS,
+};
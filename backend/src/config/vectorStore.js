@@ -0,0 +1,32 @@
+// src/config/vectorStore.js
+// This file selects where embeddings are stored and searched
+// "pinecone" uses the hosted Pinecone index, "pgvector" keeps vectors in PostgreSQL
+
+require("dotenv").config();
+
+const BACKENDS = ["pinecone", "pgvector"];
+
+const backend = (process.env.VECTOR_STORE || "pinecone").toLowerCase();
+
+if (!BACKENDS.includes(backend)) {
+  throw new Error(
+    `Unknown VECTOR_STORE "${backend}". Use one of: ${BACKENDS.join(", ")}`
+  );
+}
+
+const vectorStoreConfig = {
+  backend,
+
+  // Pinecone: index holding the vectors (re-index builds add namespaces,
+  // or a "<name>-<dimension>" index for models with another vector size)
+  pineconeIndexName: process.env.PINECONE_INDEX_NAME || "stripe-docs",
+
+  // pgvector: table holding one embedding per chunk
+  // (re-index builds use "<table>_<index name>")
+  pgvectorTable: process.env.PGVECTOR_TABLE || "chunk_embeddings",
+};
+
+module.exports = {
+  vectorStoreConfig,
+  BACKENDS,
+};
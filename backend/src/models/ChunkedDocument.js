@@ -2,7 +2,7 @@
 // This model represents text chunks created from raw documents
 // Each chunk is a smaller piece of text suitable for embedding
 
-const { DataTypes } = require("sequelize");
+const { DataTypes, Op, QueryTypes } = require("sequelize");
 const { sequelize } = require("../config/database");
 const RawDocument = require("./RawDocument");
 
@@ -66,6 +66,16 @@ const ChunkedDocument = sequelize.define(
       field: "embedding_status",
     },
 
+    // Chunk set this chunk belongs to (see models/VectorIndex.js)
+    // A re-index with another chunking strategy builds its own set;
+    // embeddingStatus always refers to the index using the set
+    chunkSet: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: "default",
+      field: "chunk_set",
+    },
+
     // Metadata inherited from parent + chunk-specific data
     metadata: {
       type: DataTypes.JSONB,
@@ -103,6 +113,9 @@ const ChunkedDocument = sequelize.define(
       {
         fields: ["raw_document_id", "chunk_index"], // Composite index for ordered retrieval
       },
+      {
+        fields: ["chunk_set", "id"], // Index builds walk a chunk set in ID order
+      },
     ],
   }
 );
@@ -133,17 +146,68 @@ ChunkedDocument.prototype.markFailed = async function () {
   await this.save();
 };
 
+// Static method to mark many chunks as embedded in one query
+// Vector IDs follow the "chunk-<id>" scheme used by the vector store
+ChunkedDocument.markEmbeddedBulk = async function (ids) {
+  if (ids.length === 0) return 0;
+  const [count] = await this.update(
+    {
+      embeddingStatus: "embedded",
+      vectorId: sequelize.literal("'chunk-' || id"),
+      embeddedAt: new Date(),
+    },
+    { where: { id: ids } }
+  );
+  return count;
+};
+
+// Static method to mark many chunks as failed in one query
+ChunkedDocument.markFailedBulk = async function (ids) {
+  if (ids.length === 0) return 0;
+  const [count] = await this.update(
+    { embeddingStatus: "failed" },
+    { where: { id: ids } }
+  );
+  return count;
+};
+
+// Static method to get the next chunks of a set after a given ID
+// (index builds resume from their watermark)
+ChunkedDocument.getChunkSetBatch = async function (chunkSet, afterId, limit) {
+  return await this.findAll({
+    where: { chunkSet, id: { [Op.gt]: afterId } },
+    order: [["id", "ASC"]],
+    limit,
+    include: [
+      {
+        model: RawDocument,
+        as: "rawDocument",
+        attributes: ["url", "title", "collectionId"],
+      },
+    ],
+  });
+};
+
+// Static method to count chunks of a set after a given ID
+ChunkedDocument.countChunkSetAfter = async function (chunkSet, afterId) {
+  return await this.count({ where: { chunkSet, id: { [Op.gt]: afterId } } });
+};
+
 // Static method to get pending chunks for embedding
-ChunkedDocument.getPendingEmbeddings = async function (limit = 100) {
+ChunkedDocument.getPendingEmbeddings = async function (
+  limit = 100,
+  chunkSet = "default"
+) {
   return await this.findAll({
-    where: { embeddingStatus: "pending" },
+    where: { embeddingStatus: "pending", chunkSet },
     limit,
     order: [["chunked_at", "ASC"]],
     include: [
       {
         model: RawDocument,
         as: "rawDocument",
-        attributes: ["url", "title"], // Include parent document info
+        // Include parent document info (collection picks the namespace)
+        attributes: ["url", "title", "collectionId"],
       },
     ],
   });
@@ -157,4 +221,21 @@ ChunkedDocument.getByDocumentId = async function (rawDocumentId) {
   });
 };
 
+// Static method to compare chunking strategies (count and average size)
+// Chunks created before strategies existed are reported as "recursive"
+ChunkedDocument.getStrategyStats = async function (chunkSet = "default") {
+  const rows = await sequelize.query(
+    `SELECT COALESCE(metadata->>'chunkStrategy', 'recursive') AS strategy,
+            COUNT(*)::int AS count,
+            ROUND(AVG(chunk_size))::int AS "averageSize",
+            MAX(chunk_size) AS "maxSize"
+       FROM chunked_documents
+      WHERE chunk_set = $1
+      GROUP BY 1
+      ORDER BY 1`,
+    { bind: [chunkSet], type: QueryTypes.SELECT }
+  );
+  return rows;
+};
+
 module.exports = ChunkedDocument;
@@ -0,0 +1,123 @@
+// src/models/Collection.js
+// This model represents a knowledge base (collection) that documents belong to,
+// e.g. the public Stripe docs, internal runbooks or integration notes
+// Each collection keeps its vectors in its own namespace of every vector index
+
+const { DataTypes, QueryTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const RawDocument = require("./RawDocument");
+
+// Define the Collection model schema
+// This will create a 'collections' table in PostgreSQL
+const Collection = sequelize.define(
+  "Collection",
+  {
+    // Primary key - auto-incrementing integer
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    // Display name, e.g. "Internal runbooks"
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+    },
+
+    // URL-safe identifier, e.g. "runbooks"
+    slug: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+    },
+
+    // Vector namespace ("kb-<slug>"; "" for the default collection, which
+    // keeps the vectors stored before collections existed)
+    // The hyphen keeps it apart from re-index namespaces (see vectorIndexes.js)
+    namespace: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      unique: true,
+    },
+
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    // The collection documents go to when none is given
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      field: "is_default",
+    },
+  },
+  {
+    tableName: "collections",
+    timestamps: true,
+  }
+);
+
+// Define relationship: RawDocument belongs to a Collection
+RawDocument.belongsTo(Collection, {
+  foreignKey: "collectionId",
+  as: "collection",
+});
+
+// Define reverse relationship: Collection has many RawDocuments
+Collection.hasMany(RawDocument, {
+  foreignKey: "collectionId",
+  as: "documents",
+});
+
+// Static method to get the default collection, creating it on first use
+// Documents stored before collections existed are moved into it
+Collection.ensureDefault = async function () {
+  const [collection] = await this.findOrCreate({
+    where: { isDefault: true },
+    defaults: {
+      name: "Default",
+      slug: "default",
+      namespace: "",
+      description: "Documents ingested without a collection",
+      isDefault: true,
+    },
+  });
+
+  await RawDocument.update(
+    { collectionId: collection.id },
+    { where: { collectionId: null } }
+  );
+
+  // URLs are unique per collection now, not globally
+  await RawDocument.dropGlobalUrlUnique();
+
+  return collection;
+};
+
+// Static method to count documents and chunks (of one chunk set) per collection
+// Returns a Map of collectionId -> { documents, processed, chunks, embedded }
+Collection.getCounts = async function (chunkSet = "default") {
+  const rows = await sequelize.query(
+    `SELECT d.collection_id AS "collectionId",
+            COUNT(DISTINCT d.id)::int AS documents,
+            COUNT(DISTINCT d.id) FILTER (WHERE d.status = 'processed')::int
+              AS processed,
+            COUNT(c.id)::int AS chunks,
+            COUNT(c.id) FILTER (WHERE c.embedding_status = 'embedded')::int
+              AS embedded
+       FROM raw_documents d
+       LEFT JOIN chunked_documents c
+              ON c.raw_document_id = d.id AND c.chunk_set = $1
+      GROUP BY d.collection_id`,
+    { bind: [chunkSet], type: QueryTypes.SELECT }
+  );
+
+  return new Map(
+    rows.map(({ collectionId, ...counts }) => [collectionId, counts])
+  );
+};
+
+module.exports = Collection;
@@ -2,7 +2,7 @@
 // Model for storing user conversations
 // Tracks chat history, feedback, and analytics
 
-const { DataTypes } = require("sequelize");
+const { DataTypes, Op } = require("sequelize");
 const { sequelize } = require("../config/database");
 
 // Define the Conversation model
@@ -51,6 +51,15 @@ const Conversation = sequelize.define(
       defaultValue: {},
     },
 
+    // Rolling memory of messages older than the prompt's history window:
+    // { summary, facts, summarizedMessages, lastMessageId, updatedAt }
+    // (see services/conversationMemory.js)
+    memory: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: null,
+    },
+
     // Timestamps
     startedAt: {
       type: DataTypes.DATE,
@@ -208,6 +217,16 @@ Conversation.prototype.getMessages = async function (limit = 50) {
   });
 };
 
+// The last messages (oldest first), e.g. the history given to the model
+Conversation.prototype.getRecentMessages = async function (limit = 10) {
+  const messages = await Message.findAll({
+    where: { conversationId: this.id },
+    order: [["created_at", "DESC"]],
+    limit,
+  });
+  return messages.reverse();
+};
+
 Conversation.prototype.archive = async function () {
   this.status = "archived";
   await this.save();
@@ -275,6 +294,39 @@ Message.getByConversation = async function (conversationId) {
   });
 };
 
+// Assistant answers that failed the grounding check, newest first, each with
+// the question it answered (see services/grounding.js)
+Message.getLowGrounding = async function ({ limit = 20, offset = 0 } = {}) {
+  const { count, rows } = await this.findAndCountAll({
+    where: {
+      role: "assistant",
+      responseMetadata: { grounding: { passed: false } },
+    },
+    include: [
+      { model: Conversation, as: "conversation", attributes: ["sessionId"] },
+    ],
+    order: [["created_at", "DESC"]],
+    limit,
+    offset,
+  });
+
+  const answers = await Promise.all(
+    rows.map(async (message) => {
+      const question = await this.findOne({
+        where: {
+          conversationId: message.conversationId,
+          role: "user",
+          createdAt: { [Op.lte]: message.createdAt },
+        },
+        order: [["created_at", "DESC"]],
+      });
+      return { message, question: question ? question.content : null };
+    })
+  );
+
+  return { count, answers };
+};
+
 Message.getStats = async function () {
   const total = await this.count();
   const byRole = await this.count({
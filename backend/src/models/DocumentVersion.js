@@ -0,0 +1,137 @@
+// src/models/DocumentVersion.js
+// This model keeps the version history of each scraped URL
+// A new row is written every time a refresh detects changed content
+
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const RawDocument = require("./RawDocument");
+
+// Define the DocumentVersion model schema
+// This will create a 'document_versions' table in PostgreSQL
+const DocumentVersion = sequelize.define(
+  "DocumentVersion",
+  {
+    // Primary key - auto-incrementing integer
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    // Foreign key linking to the RawDocument this is a version of
+    rawDocumentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: "raw_document_id",
+      references: {
+        model: "raw_documents",
+        key: "id",
+      },
+      onDelete: "CASCADE", // Drop history if the document is deleted
+    },
+
+    // Version number (1 = first scrape, increments on each change)
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+
+    // SHA-256 of the cleaned content, used for change detection
+    contentHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      field: "content_hash",
+    },
+
+    // Title at the time of this version
+    title: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+
+    // Cleaned text of this version (raw HTML is only kept on RawDocument)
+    cleanedContent: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: "cleaned_content",
+    },
+
+    // Word count of cleaned content
+    wordCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "word_count",
+    },
+
+    // HTTP validators returned by the server for this version
+    etag: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    lastModified: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: "last_modified",
+    },
+
+    // Summary of what changed vs the previous version
+    // e.g. { linesAdded, linesRemoved, wordDelta }
+    changeSummary: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: "change_summary",
+    },
+
+    // When this version was fetched
+    fetchedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      field: "fetched_at",
+    },
+  },
+  {
+    tableName: "document_versions",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["raw_document_id", "version"], // One row per version per document
+        unique: true,
+      },
+      {
+        fields: ["fetched_at"], // Time-based history queries
+      },
+    ],
+  }
+);
+
+// Define relationship: DocumentVersion belongs to RawDocument
+DocumentVersion.belongsTo(RawDocument, {
+  foreignKey: "rawDocumentId",
+  as: "rawDocument",
+});
+
+// Define reverse relationship: RawDocument has many versions
+RawDocument.hasMany(DocumentVersion, {
+  foreignKey: "rawDocumentId",
+  as: "versions",
+});
+
+// Static method to get version history for a document (newest first)
+// Content is excluded by default to keep the list light
+DocumentVersion.getHistory = async function (rawDocumentId) {
+  return await this.findAll({
+    where: { rawDocumentId },
+    attributes: { exclude: ["cleanedContent"] },
+    order: [["version", "DESC"]],
+  });
+};
+
+// Static method to get a specific version with its content
+DocumentVersion.getVersion = async function (rawDocumentId, version) {
+  return await this.findOne({
+    where: { rawDocumentId, version },
+  });
+};
+
+module.exports = DocumentVersion;
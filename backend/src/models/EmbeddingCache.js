@@ -0,0 +1,99 @@
+// src/models/EmbeddingCache.js
+// This model caches embeddings by model + hash of the embedded text
+// Re-chunking or re-scraping a page mostly produces chunks whose text was
+// embedded before; those vectors are reused instead of calling the provider again
+
+const { DataTypes, QueryTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Define the EmbeddingCache model schema
+// This will create an 'embedding_cache' table in PostgreSQL
+const EmbeddingCache = sequelize.define(
+  "EmbeddingCache",
+  {
+    // Provider, model and dimension, e.g. "gemini/text-embedding-004/768"
+    // Vectors from different models never mix
+    model: {
+      type: DataTypes.STRING(255),
+      primaryKey: true,
+    },
+
+    // SHA-256 of the embedded text
+    contentHash: {
+      type: DataTypes.STRING(64),
+      primaryKey: true,
+      field: "content_hash",
+    },
+
+    embedding: {
+      type: DataTypes.ARRAY(DataTypes.FLOAT),
+      allowNull: false,
+    },
+
+    // Number of times this entry saved a provider call
+    hits: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "last_used_at",
+    },
+  },
+  {
+    tableName: "embedding_cache",
+    timestamps: true,
+    updatedAt: false, // Entries never change, only their hit counters
+  }
+);
+
+// Static method to look up cached embeddings
+// Returns a Map of contentHash -> embedding and counts the hits
+EmbeddingCache.lookup = async function (model, hashes) {
+  const found = new Map();
+  if (hashes.length === 0) return found;
+
+  const rows = await sequelize.query(
+    `UPDATE embedding_cache
+        SET hits = hits + 1, last_used_at = NOW()
+      WHERE model = $1 AND content_hash = ANY($2::text[])
+      RETURNING content_hash AS "contentHash", embedding`,
+    { bind: [model, hashes], type: QueryTypes.SELECT }
+  );
+
+  rows.forEach((row) => found.set(row.contentHash, row.embedding));
+  return found;
+};
+
+// Static method to store new embeddings: [{ contentHash, embedding }]
+EmbeddingCache.store = async function (model, entries) {
+  if (entries.length === 0) return;
+
+  await this.bulkCreate(
+    entries.map(({ contentHash, embedding }) => ({
+      model,
+      contentHash,
+      embedding,
+      lastUsedAt: new Date(),
+    })),
+    { ignoreDuplicates: true } // Another worker may have stored it meanwhile
+  );
+};
+
+// Static method to summarize the cache per model
+// Every entry stands for one provider call (a miss); hits are calls saved
+EmbeddingCache.getStats = async function () {
+  return await sequelize.query(
+    `SELECT model,
+            COUNT(*)::int AS entries,
+            COALESCE(SUM(hits), 0)::int AS hits
+       FROM embedding_cache
+      GROUP BY model
+      ORDER BY model`,
+    { type: QueryTypes.SELECT }
+  );
+};
+
+module.exports = EmbeddingCache;
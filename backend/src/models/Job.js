@@ -0,0 +1,285 @@
+// src/models/Job.js
+// This model stores background jobs (pipeline runs, crawls, re-embeds...)
+// The table doubles as the queue: workers claim queued rows with
+// SELECT ... FOR UPDATE SKIP LOCKED, so several workers never take the same job
+
+const { DataTypes, Op, QueryTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Define the Job model schema
+// This will create a 'jobs' table in PostgreSQL
+const Job = sequelize.define(
+  "Job",
+  {
+    // Primary key - auto-incrementing integer
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    // What to run (see JobQueueService handlers)
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+
+    // Lifecycle: queued -> running -> completed | failed | cancelled
+    status: {
+      type: DataTypes.ENUM(
+        "queued",
+        "running",
+        "completed",
+        "failed",
+        "cancelled"
+      ),
+      defaultValue: "queued",
+    },
+
+    // Input for the job handler, e.g. { urls, chunkStrategy }
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+
+    // Step currently being executed, e.g. "scraping"
+    currentStep: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: "current_step",
+    },
+
+    // Per-step progress
+    // e.g. { scraping: { status, done, total, failed }, chunking: {...} }
+    progress: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+
+    // Per-item errors: [{ step, item, error, at }]
+    itemErrors: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: "item_errors",
+    },
+
+    // Recent log lines for live views: [{ level, message, step, at }]
+    logs: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+
+    // Final summary returned by the handler
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+
+    // Fatal error that stopped the job
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    // Set by the cancel endpoint; the handler stops between items
+    cancelRequested: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      field: "cancel_requested",
+    },
+
+    // Number of times this job has been started
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+
+    // Job this one retries (null for original jobs)
+    retryOf: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "retry_of",
+    },
+
+    // Worker that claimed the job and its last sign of life
+    lockedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: "locked_by",
+    },
+
+    heartbeatAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "heartbeat_at",
+    },
+
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "started_at",
+    },
+
+    finishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "finished_at",
+    },
+  },
+  {
+    tableName: "jobs",
+    timestamps: true,
+    underscored: true, // created_at / updated_at (used in the claim query)
+    indexes: [
+      {
+        fields: ["status", "created_at"], // Queue order for workers
+      },
+      {
+        fields: ["type"],
+      },
+    ],
+  }
+);
+
+// Maximum number of per-item errors kept on a job
+const MAX_ERRORS = 200;
+
+// Number of recent log lines kept on a job (older ones are dropped)
+const MAX_LOGS = 100;
+
+// Instance method to update progress of one step
+Job.prototype.updateProgress = async function (step, progress) {
+  this.currentStep = step;
+  this.progress = {
+    ...this.progress,
+    [step]: { ...(this.progress[step] || {}), ...progress },
+  };
+  this.heartbeatAt = new Date();
+  await this.save({ fields: ["currentStep", "progress", "heartbeatAt"] });
+};
+
+// Instance method to record a per-item error
+Job.prototype.addError = async function (step, item, error) {
+  if (this.itemErrors.length >= MAX_ERRORS) return;
+  this.itemErrors = [
+    ...this.itemErrors,
+    { step, item, error, at: new Date().toISOString() },
+  ];
+  await this.save({ fields: ["itemErrors"] });
+};
+
+// Instance method to append a log line; returns the stored entry
+Job.prototype.addLog = async function (level, message, step = null) {
+  const entry = { level, message, step, at: new Date().toISOString() };
+  this.logs = [...this.logs, entry].slice(-MAX_LOGS);
+  await this.save({ fields: ["logs"] });
+  return entry;
+};
+
+// Instance method to check (from the database) whether cancel was requested
+// The cancel request may come from another process
+Job.prototype.isCancelRequested = async function () {
+  const current = await Job.findByPk(this.id, {
+    attributes: ["cancelRequested"],
+  });
+  return Boolean(current?.cancelRequested);
+};
+
+// Instance method to mark the job finished
+Job.prototype.finish = async function (
+  status,
+  { result = null, error = null } = {}
+) {
+  this.status = status;
+  this.result = result;
+  this.error = error;
+  this.finishedAt = new Date();
+  this.lockedBy = null;
+  await this.save();
+};
+
+// Static method to add a job to the queue
+Job.enqueue = async function (type, payload = {}, retryOf = null) {
+  return await this.create({ type, payload, retryOf });
+};
+
+// Static method to atomically claim the oldest queued job for a worker
+// Returns null when the queue is empty
+Job.claimNext = async function (workerId) {
+  const [row] = await sequelize.query(
+    `UPDATE jobs
+        SET status = 'running',
+            locked_by = $1,
+            attempts = attempts + 1,
+            started_at = NOW(),
+            heartbeat_at = NOW(),
+            updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+         WHERE status = 'queued'
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id`,
+    { bind: [workerId], type: QueryTypes.SELECT }
+  );
+
+  return row ? await this.findByPk(row.id) : null;
+};
+
+// Static method to fail jobs whose worker stopped sending heartbeats
+// (e.g. the server restarted mid-job); they can be retried afterwards
+Job.failStale = async function (staleBefore) {
+  const [count] = await this.update(
+    {
+      status: "failed",
+      error: "Worker stopped responding (interrupted)",
+      finishedAt: new Date(),
+      lockedBy: null,
+    },
+    {
+      where: {
+        status: "running",
+        heartbeatAt: { [Op.lt]: staleBefore },
+      },
+    }
+  );
+  return count;
+};
+
+// Static method to list recent jobs, newest first
+Job.getRecent = async function ({ type = null, status = null, limit = 20 }) {
+  const where = {};
+  if (type) where.type = type;
+  if (status) where.status = status;
+
+  return await this.findAll({
+    where,
+    order: [["createdAt", "DESC"]],
+    limit,
+  });
+};
+
+// Static method to count jobs per status
+Job.getStatusCounts = async function () {
+  const rows = await this.findAll({
+    attributes: [
+      "status",
+      [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+    ],
+    group: ["status"],
+    raw: true,
+  });
+
+  return rows.reduce((counts, row) => {
+    counts[row.status] = parseInt(row.count);
+    return counts;
+  }, {});
+};
+
+module.exports = Job;
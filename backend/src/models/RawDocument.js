@@ -1,8 +1,9 @@
 // src/models/RawDocument.js
 // This model represents scraped documents stored in PostgreSQL
 // Each record contains the raw HTML/text content from a single URL
+// (or from an uploaded file, see services/fileIngester.js)
 
-const { DataTypes } = require("sequelize");
+const { DataTypes, Op, Validator } = require("sequelize");
 const { sequelize } = require("../config/database");
 
 // Define the RawDocument model schema
@@ -18,13 +19,30 @@ const RawDocument = sequelize.define(
       autoIncrement: true,
     },
 
-    // URL of the scraped page (must be unique to avoid duplicates)
+    // URL of the scraped page (unique per collection, see indexes below)
+    // Uploaded files use a file:// identifier, e.g. file:///runbooks/payouts.md
     url: {
       type: DataTypes.TEXT,
       allowNull: false,
-      unique: true, // Prevents scraping the same URL twice
       validate: {
-        isUrl: true, // Validates that the value is a proper URL
+        // Validates that the value is a proper URL (or a file:// identifier)
+        isSourceUrl(value) {
+          if (!value.startsWith("file:///") && !Validator.isURL(value)) {
+            throw new Error("Validation isUrl on url failed");
+          }
+        },
+      },
+    },
+
+    // Knowledge base the document belongs to (see models/Collection.js)
+    // Existing documents are moved to the default collection on startup
+    collectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "collection_id",
+      references: {
+        model: "collections",
+        key: "id",
       },
     },
 
@@ -48,6 +66,14 @@ const RawDocument = sequelize.define(
       field: "cleaned_content",
     },
 
+    // Markdown rendition of the main content (keeps headings, code fences,
+    // lists, tables and links that cleanedContent flattens away)
+    markdownContent: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: "markdown_content",
+    },
+
     // Metadata as JSON (can store anything: author, date, category, etc.)
     metadata: {
       type: DataTypes.JSONB, // JSONB is PostgreSQL's efficient JSON storage
@@ -74,6 +100,49 @@ const RawDocument = sequelize.define(
       allowNull: true,
       field: "word_count",
     },
+
+    // SHA-256 of cleaned content (used to detect changes on refresh)
+    contentHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: "content_hash",
+    },
+
+    // HTTP validators from the last fetch (sent back as conditional headers)
+    etag: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    lastModified: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: "last_modified",
+    },
+
+    // Set with a new version, cleared once the old version's chunks and
+    // vectors are removed; the chunker leaves such documents alone and the
+    // next refresh finishes the job (see services/refresher.js)
+    staleChunks: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: "stale_chunks",
+    },
+
+    // Current version number (see DocumentVersion for history)
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+
+    // When the URL was last re-fetched, whether or not it changed
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "last_checked_at",
+    },
   },
   {
     tableName: "raw_documents", // Explicit table name
@@ -82,9 +151,18 @@ const RawDocument = sequelize.define(
       {
         fields: ["url"], // Index on URL for faster lookups
       },
+      {
+        // Prevents scraping the same URL twice into one collection; the
+        // same page can still be in several collections
+        unique: true,
+        fields: ["collection_id", "url"],
+      },
       {
         fields: ["status"], // Index on status for filtering
       },
+      {
+        fields: ["collection_id"], // Collection-scoped stats and search
+      },
       {
         fields: ["scraped_at"], // Index on date for time-based queries
       },
@@ -105,17 +183,87 @@ RawDocument.prototype.markFailed = async function () {
 };
 
 // Static method to get all pending documents
+// (except changed ones whose old chunks are still live)
 RawDocument.getPending = async function () {
   return await this.findAll({
-    where: { status: "pending" },
+    where: { status: "pending", staleChunks: false },
+    order: [["scraped_at", "ASC"]],
+  });
+};
+
+// Static method to get documents not checked since a given date
+// Documents that were never refreshed are checked by scrape date instead
+// Uploaded files (file:// identifiers) have nothing to re-fetch
+RawDocument.getStale = async function (checkedBefore, limit = 100) {
+  return await this.findAll({
+    where: {
+      url: { [Op.notLike]: "file://%" },
+      [Op.or]: [
+        { lastCheckedAt: { [Op.lt]: checkedBefore } },
+        { lastCheckedAt: null, scrapedAt: { [Op.lt]: checkedBefore } },
+      ],
+    },
     order: [["scraped_at", "ASC"]],
+    limit,
   });
 };
 
-// Static method to check if URL already exists
-RawDocument.urlExists = async function (url) {
-  const count = await this.count({ where: { url } });
+// Static method to get processed documents with no chunks in a chunk set
+// (documents a re-index with its own chunking strategy still has to chunk)
+const missingChunkSetCondition = (chunkSet) =>
+  sequelize.literal(
+    `NOT EXISTS (SELECT 1 FROM chunked_documents c
+                  WHERE c.raw_document_id = "RawDocument"."id"
+                    AND c.chunk_set = ${sequelize.escape(chunkSet)})`
+  );
+
+RawDocument.getMissingChunkSet = async function (chunkSet) {
+  return await this.findAll({
+    where: {
+      status: "processed",
+      [Op.and]: missingChunkSetCondition(chunkSet),
+    },
+    order: [["id", "ASC"]],
+  });
+};
+
+RawDocument.countMissingChunkSet = async function (chunkSet) {
+  return await this.count({
+    where: {
+      status: "processed",
+      [Op.and]: missingChunkSetCondition(chunkSet),
+    },
+  });
+};
+
+// Static method to check if URL already exists in a collection
+RawDocument.urlExists = async function (url, collectionId) {
+  const count = await this.count({ where: { url, collectionId } });
   return count > 0;
 };
 
+// Drop the global unique constraint(s) on url from before collections
+// (alter-sync adds constraints but never removes them)
+RawDocument.dropGlobalUrlUnique = async function () {
+  await sequelize.query(`
+    DO $$
+    DECLARE constraint_name text;
+    BEGIN
+      FOR constraint_name IN
+        SELECT con.conname
+          FROM pg_constraint con
+          JOIN pg_attribute att
+            ON att.attrelid = con.conrelid AND att.attnum = ANY (con.conkey)
+         WHERE con.conrelid = 'raw_documents'::regclass
+           AND con.contype = 'u'
+           AND array_length(con.conkey, 1) = 1
+           AND att.attname = 'url'
+      LOOP
+        EXECUTE format('ALTER TABLE raw_documents DROP CONSTRAINT %I',
+                       constraint_name);
+      END LOOP;
+    END $$;
+  `);
+};
+
 module.exports = RawDocument;
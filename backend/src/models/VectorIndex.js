@@ -0,0 +1,155 @@
+// src/models/VectorIndex.js
+// This model records every vector index built for the knowledge base
+// An index pairs an embedding model with a set of chunks and a place to store
+// vectors (Pinecone namespace or pgvector table). Exactly one index is active;
+// new ones are built in the background and switched to when ready (blue/green)
+
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Define the VectorIndex model schema
+// This will create a 'vector_indexes' table in PostgreSQL
+const VectorIndex = sequelize.define(
+  "VectorIndex",
+  {
+    // Primary key - auto-incrementing integer
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    // Short identifier, also used as Pinecone namespace / pgvector table suffix
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+    },
+
+    // Lifecycle: building -> ready -> active -> ready (switched away) -> retired
+    status: {
+      type: DataTypes.ENUM("building", "ready", "active", "retired", "failed"),
+      defaultValue: "building",
+    },
+
+    // Embedding model used for every vector in this index
+    embeddingProvider: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      field: "embedding_provider",
+    },
+
+    embeddingModel: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      field: "embedding_model",
+    },
+
+    dimension: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+
+    // Chunking strategy of the chunk set (null = chunks as they were created)
+    chunkStrategy: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: "chunk_strategy",
+    },
+
+    // Chunks embedded into this index (chunked_documents.chunk_set)
+    // Indexes that only change the model share the active index's chunk set
+    chunkSet: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: "default",
+      field: "chunk_set",
+    },
+
+    // "pinecone" | "pgvector"
+    backend: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+
+    // Backend location: { pineconeIndexName, namespace } or { pgvectorTable }
+    location: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+
+    // Build watermark: chunks up to this ID have been embedded
+    lastChunkId: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      field: "last_chunk_id",
+    },
+
+    // Vectors written by builds (successful chunks)
+    vectorCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      field: "vector_count",
+    },
+
+    // Latest build job (see models/Job.js)
+    jobId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: "job_id",
+    },
+
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    activatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "activated_at",
+    },
+
+    retiredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: "retired_at",
+    },
+  },
+  {
+    tableName: "vector_indexes",
+    timestamps: true,
+  }
+);
+
+// Static method to get the active index (null before the first startup)
+VectorIndex.getActive = async function () {
+  return await this.findOne({ where: { status: "active" } });
+};
+
+// Static method to make an index active in one transaction
+// The previously active index goes back to "ready" so it can be switched back to
+// While active, an index is kept current by the pipeline rather than by builds,
+// so its watermark moves up to the chunks embedded so far
+VectorIndex.activate = async function (id) {
+  return await sequelize.transaction(async (transaction) => {
+    await sequelize.query(
+      `UPDATE vector_indexes v
+          SET last_chunk_id = GREATEST(v.last_chunk_id, COALESCE(
+                (SELECT MAX(c.id) FROM chunked_documents c
+                  WHERE c.chunk_set = v.chunk_set
+                    AND c.embedding_status <> 'pending'), 0)),
+              status = 'ready'
+        WHERE v.status = 'active'`,
+      { transaction }
+    );
+    await this.update(
+      { status: "active", activatedAt: new Date() },
+      { where: { id }, transaction }
+    );
+    return await this.findByPk(id, { transaction });
+  });
+};
+
+module.exports = VectorIndex;
@@ -3,13 +3,37 @@
 // Handles scraping, chunking, embedding, and search operations
 
 const express = require("express");
+const multer = require("multer");
 const router = express.Router();
 const scraperService = require("../services/scraper");
+const jobQueueService = require("../services/jobQueue");
+const jobEventsService = require("../services/jobEvents");
+const refreshService = require("../services/refresher");
 const chunkerService = require("../services/chunker");
-const embedderService = require("../services/embedder");
 const vectorStoreService = require("../services/vectorStore");
+const hybridSearchService = require("../services/hybridSearch");
+const searchFilterService = require("../services/searchFilters");
+const vectorIndexService = require("../services/vectorIndexes");
+const collectionService = require("../services/collections");
+const fileIngesterService = require("../services/fileIngester");
+const mcpClientRegistry = require("../services/mcpClients");
 const RawDocument = require("../models/RawDocument");
 const ChunkedDocument = require("../models/ChunkedDocument");
+const DocumentVersion = require("../models/DocumentVersion");
+const Job = require("../models/Job");
+const VectorIndex = require("../models/VectorIndex");
+const Collection = require("../models/Collection");
+const { Message } = require("../models/Conversation");
+const groundingService = require("../services/grounding");
+
+// Uploaded files are kept in memory; they are stored as documents right away
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.INGEST_MAX_FILE_MB || "25") * 1024 * 1024,
+    files: 50,
+  },
+});
 
 // ============================================
 // HEALTH CHECK
@@ -100,6 +124,75 @@ router.post("/scrape/batch", async (req, res) => {
   }
 });
 
+// Crawl from seed URLs and/or a sitemap, storing every discovered page
+// Runs as a background job; follow GET /api/jobs/:jobId/events for progress
+// POST /api/crawl
+// Body: {
+//   "seeds": ["https://docs.stripe.com/payments"],
+//   "sitemapUrl": "https://docs.stripe.com/sitemap.xml",
+//   "maxDepth": 2, "maxPages": 50,
+//   "include": ["/payments"], "exclude": ["/changelog"],
+//   "respectRobots": true, "usePuppeteer": false,
+//   "process": false,  // also chunk + embed the crawled pages
+//   "collectionId": 2  // collection to store pages in (default if omitted)
+// }
+router.post("/crawl", async (req, res) => {
+  try {
+    const {
+      seeds = [],
+      sitemapUrl = null,
+      maxDepth,
+      maxPages,
+      include,
+      exclude,
+      sameDomain,
+      respectRobots,
+      usePuppeteer,
+      process: processAfter,
+      chunkStrategy,
+      collectionId,
+    } = req.body;
+
+    // Only pass options that were provided so crawler defaults apply
+    const options = Object.fromEntries(
+      Object.entries({
+        seeds,
+        sitemapUrl,
+        maxDepth,
+        maxPages,
+        include,
+        exclude,
+        sameDomain,
+        respectRobots,
+        usePuppeteer,
+        process: processAfter,
+        chunkStrategy,
+        collectionId,
+      }).filter(([, value]) => value !== undefined)
+    );
+
+    const result = await jobQueueService.enqueue("crawl", options);
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Crawl queued",
+      jobId: result.job.id,
+      job: result.job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
 // Get all scraped documents
 // GET /api/documents
 router.get("/documents", async (req, res) => {
@@ -122,32 +215,131 @@ router.get("/documents", async (req, res) => {
   }
 });
 
-// ============================================
-// CHUNKING ENDPOINTS
-// ============================================
+// Get a single document with its cleaned text and Markdown rendition
+// GET /api/documents/:documentId
+router.get("/documents/:documentId", async (req, res) => {
+  try {
+    const document = await RawDocument.findByPk(
+      parseInt(req.params.documentId),
+      { attributes: { exclude: ["rawContent"] } }
+    );
 
-// Chunk a specific document
-// POST /api/chunk/:documentId
-router.post("/chunk/:documentId", async (req, res) => {
+    if (!document) {
+      return res.status(404).json({
+        error: "Document not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      document,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Get version history for a document
+// GET /api/documents/:documentId/versions
+router.get("/documents/:documentId/versions", async (req, res) => {
   try {
-    const { documentId } = req.params;
-    const result = await chunkerService.chunkDocument(parseInt(documentId));
+    const documentId = parseInt(req.params.documentId);
+    const document = await RawDocument.findByPk(documentId, {
+      attributes: ["id", "url", "title", "version", "lastCheckedAt"],
+    });
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: "Document chunked successfully",
-        data: {
-          documentId: result.documentId,
-          chunkCount: result.chunkCount,
-        },
+    if (!document) {
+      return res.status(404).json({
+        error: "Document not found",
       });
-    } else {
-      res.status(400).json({
-        success: false,
-        error: result.error || result.message,
+    }
+
+    const versions = await DocumentVersion.getHistory(documentId);
+
+    res.json({
+      success: true,
+      document,
+      count: versions.length,
+      versions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Get a specific version of a document (including its content)
+// GET /api/documents/:documentId/versions/:version
+router.get("/documents/:documentId/versions/:version", async (req, res) => {
+  try {
+    const version = await DocumentVersion.getVersion(
+      parseInt(req.params.documentId),
+      parseInt(req.params.version)
+    );
+
+    if (!version) {
+      return res.status(404).json({
+        error: "Version not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      version,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Re-fetch known URLs and re-index the ones whose content changed
+// POST /api/refresh
+// Body: { "documentIds": [1, 2], "olderThanHours": 24, "force": false, "reindex": true }
+router.post("/refresh", async (req, res) => {
+  try {
+    const {
+      documentIds = null,
+      olderThanHours = 24,
+      limit = 100,
+      force = false,
+      reindex = true,
+      usePuppeteer = false,
+    } = req.body;
+
+    if (documentIds !== null && !Array.isArray(documentIds)) {
+      return res.status(400).json({
+        error: "documentIds must be an array",
       });
     }
+
+    const result = await refreshService.refreshAll({
+      documentIds,
+      olderThanHours,
+      limit,
+      force,
+      reindex,
+      usePuppeteer,
+    });
+
+    res.json({
+      success: true,
+      message: "Refresh completed",
+      summary: {
+        checked: result.checked,
+        updated: result.results.updated.length,
+        unchanged: result.results.unchanged.length,
+        failed: result.results.failed.length,
+      },
+      details: result.results,
+    });
   } catch (error) {
     res.status(500).json({
       error: "Internal server error",
@@ -156,11 +348,106 @@ router.post("/chunk/:documentId", async (req, res) => {
   }
 });
 
+// ============================================
+// FILE INGESTION ENDPOINTS
+// ============================================
+
+// Upload local files: Markdown, HTML, plain text, PDF or ZIP archives of those
+// Each file is stored as a document with a file:// identifier (file:///<name>);
+// uploading the same name again stores a new version if the content changed
+// POST /api/documents/upload (multipart/form-data)
+// Fields: files (one or more), collectionId, process ("true" to queue
+//         chunking + embedding), chunkStrategy
+router.post(
+  "/documents/upload",
+  (req, res, next) =>
+    upload.array("files")(req, res, (error) =>
+      error ? res.status(400).json({ error: error.message }) : next()
+    ),
+  async (req, res) => {
+    try {
+      const { collectionId, process: processAfter, chunkStrategy } = req.body;
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          error: "At least one file is required",
+        });
+      }
+
+      if (chunkStrategy && !chunkerService.strategies.includes(chunkStrategy)) {
+        return res.status(400).json({
+          error: `Unknown chunking strategy: ${chunkStrategy}`,
+        });
+      }
+
+      const resolved = await collectionService.resolve(collectionId || null);
+      if (!resolved.success) {
+        return res.status(400).json({
+          error: resolved.error,
+        });
+      }
+
+      const results = await fileIngesterService.ingestFiles(
+        files.map((file) => ({
+          name: file.originalname,
+          buffer: file.buffer,
+        })),
+        { collectionId: resolved.collections[0].id }
+      );
+
+      // New and changed documents are pending until chunked and embedded
+      let job = null;
+      const changed = results.successful.length + results.updated.length;
+      if (processAfter === "true" && changed > 0) {
+        const queued = await jobQueueService.enqueue("process", {
+          ...(chunkStrategy && { chunkStrategy }),
+        });
+        job = queued.job;
+      }
+
+      res.json({
+        success: true,
+        message: `Ingested ${changed} new or changed documents`,
+        summary: {
+          created: results.successful.length,
+          updated: results.updated.length,
+          unchanged: results.unchanged.length,
+          skipped: results.skipped.length,
+          failed: results.failed.length,
+        },
+        details: results,
+        jobId: job ? job.id : null,
+        job,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// ============================================
+// CHUNKING ENDPOINTS
+// ============================================
+
 // Chunk all pending documents
 // POST /api/chunk/all
+// Body: { "strategy": "recursive" | "section" } (optional)
+// Registered before /chunk/:documentId so "all" isn't read as an ID
 router.post("/chunk/all", async (req, res) => {
   try {
-    const result = await chunkerService.chunkAllPending();
+    const { strategy } = req.body || {};
+
+    if (strategy && !chunkerService.strategies.includes(strategy)) {
+      return res.status(400).json({
+        error: `Unknown chunking strategy: ${strategy}`,
+      });
+    }
+
+    const result = await chunkerService.chunkAllPending({ strategy });
 
     res.json({
       success: true,
@@ -168,6 +455,7 @@ router.post("/chunk/all", async (req, res) => {
       data: {
         processed: result.processed,
         failed: result.failed,
+        strategy: chunkerService.resolveStrategy(strategy),
       },
     });
   } catch (error) {
@@ -178,6 +466,47 @@ router.post("/chunk/all", async (req, res) => {
   }
 });
 
+// Chunk a specific document
+// POST /api/chunk/:documentId
+// Body: { "strategy": "recursive" | "section" } (optional)
+router.post("/chunk/:documentId", async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { strategy } = req.body || {};
+
+    if (strategy && !chunkerService.strategies.includes(strategy)) {
+      return res.status(400).json({
+        error: `Unknown chunking strategy: ${strategy}`,
+      });
+    }
+
+    const result = await chunkerService.chunkDocument(parseInt(documentId), {
+      strategy,
+    });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: "Document chunked successfully",
+        data: {
+          documentId: result.documentId,
+          chunkCount: result.chunkCount,
+        },
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error || result.message,
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
 // Get chunk statistics
 // GET /api/chunks/stats
 router.get("/chunks/stats", async (req, res) => {
@@ -185,7 +514,11 @@ router.get("/chunks/stats", async (req, res) => {
     const stats = await chunkerService.getChunkStats();
     res.json({
       success: true,
-      stats,
+      stats: {
+        ...stats,
+        // Embeddings reused instead of paid for again (active index's model)
+        embeddingCache: await vectorStoreService.embedder.getCacheStats(),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -219,7 +552,7 @@ router.get("/chunks/document/:documentId", async (req, res) => {
 // EMBEDDING & VECTOR STORAGE ENDPOINTS
 // ============================================
 
-// Process all pending chunks (embed + upload to Pinecone)
+// Process all pending chunks (embed + upload to the vector store)
 // POST /api/vectors/process
 router.post("/vectors/process", async (req, res) => {
   try {
@@ -242,7 +575,7 @@ router.post("/vectors/process", async (req, res) => {
   }
 });
 
-// Get Pinecone index statistics
+// Get vector store statistics
 // GET /api/vectors/stats
 router.get("/vectors/stats", async (req, res) => {
   try {
@@ -263,12 +596,65 @@ router.get("/vectors/stats", async (req, res) => {
 // SEARCH ENDPOINT
 // ============================================
 
-// Semantic search
-// POST /api/search
-// Body: { "query": "How do I create a payment intent?", "topK": 5 }
-router.post("/search", async (req, res) => {
+// Validate search options shared by /search, /indexes/compare and
+// /collections/:collectionId/search (collectionIds: default collection if unset)
+// Returns { success, options } for hybridSearchService.search, or { success, error }
+async function parseSearchOptions({
+  topK,
+  mode,
+  fusion,
+  alpha,
+  filter,
+  collectionIds,
+}) {
+  if (mode && !hybridSearchService.modes.includes(mode)) {
+    return {
+      success: false,
+      error: `Invalid mode. Use one of: ${hybridSearchService.modes.join(", ")}`,
+    };
+  }
+
+  if (fusion && !hybridSearchService.fusionMethods.includes(fusion)) {
+    return {
+      success: false,
+      error: `Invalid fusion. Use one of: ${hybridSearchService.fusionMethods.join(
+        ", "
+      )}`,
+    };
+  }
+
+  if (alpha !== undefined && !(alpha >= 0 && alpha <= 1)) {
+    return { success: false, error: "alpha must be a number between 0 and 1" };
+  }
+
+  const parsedFilter = searchFilterService.parse(filter);
+  if (!parsedFilter.success) {
+    return { success: false, error: parsedFilter.error };
+  }
+
+  const resolved = await collectionService.resolve(collectionIds);
+  if (!resolved.success) {
+    return { success: false, error: resolved.error };
+  }
+
+  return {
+    success: true,
+    options: {
+      topK,
+      filters: parsedFilter.filters,
+      collections: resolved.collections,
+      ...(mode && { mode }),
+      ...(fusion && { fusion }),
+      ...(alpha !== undefined && { alpha }),
+    },
+  };
+}
+
+// Run a hybrid search request in the given collections
+// Shared by /search and /collections/:collectionId/search
+async function handleSearch(req, res, collectionIds) {
   try {
-    const { query, topK = 5 } = req.body;
+    const { query, topK = 5, mode, fusion, alpha, filter } = req.body;
 
     if (!query) {
       return res.status(400).json({
@@ -276,8 +662,26 @@ router.post("/search", async (req, res) => {
       });
     }
 
-    // Search in vector database
-    const searchResults = await vectorStoreService.search(query, topK);
+    const parsed = await parseSearchOptions({
+      topK,
+      mode,
+      fusion,
+      alpha,
+      filter,
+      collectionIds,
+    });
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: parsed.error,
+      });
+    }
+
+    // Search keyword index and vector database, then fuse the rankings
+    // Results include the full chunk data plus per-source scores
+    const searchResults = await hybridSearchService.search(
+      query,
+      parsed.options
+    );
 
     if (!searchResults.success) {
       return res.status(500).json({
@@ -286,16 +690,18 @@ router.post("/search", async (req, res) => {
       });
     }
 
-    // Get full chunk data from database
-    const enrichedResults = await vectorStoreService.getChunksForResults(
-      searchResults
-    );
-
     res.json({
       success: true,
       query,
-      resultCount: enrichedResults.length,
-      results: enrichedResults,
+      mode: searchResults.mode,
+      fusion: searchResults.fusion,
+      filter: parsed.options.filters,
+      collections: parsed.options.collections.map(({ id, slug }) => ({
+        id,
+        slug,
+      })),
+      resultCount: searchResults.results.length,
+      results: searchResults.results,
     });
   } catch (error) {
     res.status(500).json({
@@ -303,47 +709,87 @@ router.post("/search", async (req, res) => {
       message: error.message,
     });
   }
-});
+}
+
+// Hybrid search (keyword + semantic)
+// POST /api/search
+// Body: { "query": "How do I create a payment intent?", "topK": 5,
+//         "mode": "hybrid", "fusion": "rrf", "alpha": 0.5,
+//         "filter": { "productArea": "billing", "minScore": 0.6 },
+//         "collectionIds": [1, 2] }
+// mode: "vector" | "keyword" | "hybrid"; fusion: "rrf" | "weighted"
+// alpha (weighted fusion only): share of the vector score, 0..1
+// filter fields: sourceUrls, urlPrefix, title, dateRange { from, to },
+// minScore, headingPath, productArea (see services/searchFilters.js)
+// collectionIds: collections to search (default collection if omitted)
+router.post("/search", (req, res) =>
+  handleSearch(req, res, req.body.collectionIds)
+);
 
 // ============================================
-// PIPELINE ENDPOINT (ALL STEPS)
+// VECTOR INDEX ENDPOINTS (RE-INDEXING)
 // ============================================
 
-// Run complete pipeline: scrape -> chunk -> embed -> store
-// POST /api/pipeline
-// Body: { "urls": ["url1", "url2"] }
-router.post("/pipeline", async (req, res) => {
+// List vector indexes with their status and backlog
+// GET /api/indexes
+router.get("/indexes", async (req, res) => {
   try {
-    const { urls } = req.body;
+    const indexes = await vectorIndexService.list();
 
-    if (!urls || !Array.isArray(urls) || urls.length === 0) {
+    res.json({
+      success: true,
+      count: indexes.length,
+      activeIndexId: vectorIndexService.getActive().id,
+      indexes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Register a new index and build it in the background
+// Without chunkStrategy the active index's chunks are re-embedded with the
+// new model; with one, documents are re-chunked into the index's own chunk set
+// POST /api/indexes
+// Body: { "name": "openai_small", "embeddingProvider": "openai",
+//         "embeddingModel": "text-embedding-3-small", "dimension": 1536,
+//         "chunkStrategy": "section" }
+router.post("/indexes", async (req, res) => {
+  try {
+    const { chunkStrategy } = req.body;
+
+    if (chunkStrategy && !chunkerService.strategies.includes(chunkStrategy)) {
       return res.status(400).json({
-        error: "URLs array is required",
+        error: `Unknown chunking strategy: ${chunkStrategy}`,
       });
     }
 
-    const results = {
-      scraping: null,
-      chunking: null,
-      embedding: null,
-    };
-
-    // Step 1: Scrape URLs
-    console.log("\n=== STEP 1: SCRAPING ===");
-    results.scraping = await scraperService.scrapeURLs(urls);
-
-    // Step 2: Chunk documents
-    console.log("\n=== STEP 2: CHUNKING ===");
-    results.chunking = await chunkerService.chunkAllPending();
+    const created = await vectorIndexService.create(req.body);
+    if (!created.success) {
+      return res.status(400).json({
+        error: created.error,
+      });
+    }
 
-    // Step 3: Embed and store vectors
-    console.log("\n=== STEP 3: EMBEDDING & STORING ===");
-    results.embedding = await vectorStoreService.processAllPending();
+    const result = await jobQueueService.enqueue("reindex", {
+      indexId: created.index.id,
+    });
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+    await created.index.update({ jobId: result.job.id });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: "Pipeline completed",
-      results,
+      message: `Building index "${created.index.name}"`,
+      index: created.index,
+      jobId: result.job.id,
+      job: result.job,
     });
   } catch (error) {
     res.status(500).json({
@@ -353,35 +799,833 @@ router.post("/pipeline", async (req, res) => {
   }
 });
 
-// ============================================
-// ADMIN/UTILITY ENDPOINTS
-// ============================================
-
-// Test Gemini connection
-// GET /api/test/gemini
-router.get("/test/gemini", async (req, res) => {
+// Catch an index up with chunks and documents added since its last build
+// (also resumes a cancelled or failed build)
+// POST /api/indexes/:indexId/sync
+router.post("/indexes/:indexId/sync", async (req, res) => {
   try {
-    const isWorking = await embedderService.testConnection();
-    res.json({
-      success: isWorking,
-      message: isWorking ? "Gemini API is working" : "Gemini API test failed",
+    const index = await VectorIndex.findByPk(req.params.indexId);
+
+    if (!index) {
+      return res.status(404).json({
+        error: "Index not found",
+      });
+    }
+
+    if (["active", "retired"].includes(index.status)) {
+      return res.status(400).json({
+        error: `Index "${index.name}" is ${index.status} and can't be synced`,
+      });
+    }
+
+    const job = index.jobId ? await Job.findByPk(index.jobId) : null;
+    if (["queued", "running"].includes(job?.status)) {
+      return res.status(400).json({
+        error: `Index "${index.name}" is already being built (job ${job.id})`,
+      });
+    }
+
+    const result = await jobQueueService.enqueue("reindex", {
+      indexId: index.id,
+    });
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+    await index.update({ jobId: result.job.id });
+
+    res.status(202).json({
+      success: true,
+      message: `Syncing index "${index.name}"`,
+      jobId: result.job.id,
+      job: result.job,
     });
   } catch (error) {
     res.status(500).json({
-      error: "Test failed",
+      error: "Internal server error",
       message: error.message,
     });
   }
 });
 
-// Clear Pinecone index (use with caution!)
-// DELETE /api/vectors/clear
-router.delete("/vectors/clear", async (req, res) => {
+// Switch search and chat over to an index
+// POST /api/indexes/:indexId/activate
+// Body: { "force": false }  // true: activate even if the index is behind
+router.post("/indexes/:indexId/activate", async (req, res) => {
   try {
-    const result = await vectorStoreService.clearIndex();
+    const { force = false } = req.body || {};
+
+    const result = await vectorIndexService.activate(req.params.indexId, {
+      force,
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
     res.json({
-      success: result.success,
-      message: "Index cleared",
+      success: true,
+      message: `Switched from "${result.previous.name}" to "${result.index.name}"`,
+      index: result.index,
+      previous: result.previous,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Delete an index's vectors and mark it retired (the active index can't be)
+// POST /api/indexes/:indexId/retire
+router.post("/indexes/:indexId/retire", async (req, res) => {
+  try {
+    const index = await VectorIndex.findByPk(req.params.indexId);
+
+    if (!index) {
+      return res.status(404).json({
+        error: "Index not found",
+      });
+    }
+
+    const result = await vectorStoreService.retireIndex(index);
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Index "${index.name}" retired`,
+      index,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Run the same search against several indexes side by side
+// POST /api/indexes/compare
+// Body: { "query": "...", "indexIds": [1, 3], "topK": 5,
+//         "mode": "hybrid", "fusion": "rrf", "alpha": 0.5, "filter": {...},
+//         "collectionIds": [1] }
+// Same options as POST /api/search
+router.post("/indexes/compare", async (req, res) => {
+  try {
+    const {
+      query,
+      indexIds,
+      topK = 5,
+      mode,
+      fusion,
+      alpha,
+      filter,
+      collectionIds,
+    } = req.body;
+
+    if (!query) {
+      return res.status(400).json({
+        error: "Query is required",
+      });
+    }
+
+    if (!Array.isArray(indexIds) || indexIds.length === 0) {
+      return res.status(400).json({
+        error: "indexIds array is required",
+      });
+    }
+
+    const parsed = await parseSearchOptions({
+      topK,
+      mode,
+      fusion,
+      alpha,
+      filter,
+      collectionIds,
+    });
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: parsed.error,
+      });
+    }
+
+    const indexes = await VectorIndex.findAll({ where: { id: indexIds } });
+    if (indexes.length !== new Set(indexIds.map(Number)).size) {
+      return res.status(404).json({
+        error: "Index not found",
+      });
+    }
+
+    const retired = indexes.find((index) => index.status === "retired");
+    if (retired) {
+      return res.status(400).json({
+        error: `Index "${retired.name}" is retired`,
+      });
+    }
+
+    // Keep the requested order so the columns line up with the request
+    const ordered = indexIds.map((id) =>
+      indexes.find((index) => index.id === Number(id))
+    );
+    const comparisons = await Promise.all(
+      ordered.map(async (index) => {
+        const searchResults = await hybridSearchService.search(query, {
+          ...parsed.options,
+          index,
+        });
+        return {
+          index,
+          success: searchResults.success,
+          error: searchResults.error,
+          results: searchResults.success ? searchResults.results : [],
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      query,
+      filter: parsed.options.filters,
+      comparisons,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// COLLECTION ENDPOINTS
+// ============================================
+
+// Look up the collection named in the route, answering 404 when it is missing
+// Returns the collection, or null once the response has been sent
+async function findCollection(req, res) {
+  const found = await collectionService.resolve([req.params.collectionId]);
+  if (!found.success) {
+    res.status(404).json({
+      error: found.error,
+    });
+    return null;
+  }
+  return found.collections[0];
+}
+
+// List collections with document and chunk counts
+// GET /api/collections
+router.get("/collections", async (req, res) => {
+  try {
+    const collections = await collectionService.list(
+      vectorIndexService.getActive().chunkSet
+    );
+
+    res.json({
+      success: true,
+      count: collections.length,
+      collections,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Create a collection (its vectors go to their own namespace)
+// POST /api/collections
+// Body: { "name": "Internal runbooks", "slug": "runbooks", "description": "..." }
+router.post("/collections", async (req, res) => {
+  try {
+    const result = await collectionService.create(req.body);
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      collection: result.collection,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Document, chunk and vector counts for one collection
+// GET /api/collections/:collectionId/stats
+router.get("/collections/:collectionId/stats", async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const counts = await Collection.getCounts(
+      vectorIndexService.getActive().chunkSet
+    );
+    const vectors = await vectorStoreService.getStats(collection);
+
+    res.json({
+      success: true,
+      collection,
+      stats: {
+        ...(counts.get(collection.id) || {
+          documents: 0,
+          processed: 0,
+          chunks: 0,
+          embedded: 0,
+        }),
+        vectors: vectors.totalRecordCount || 0,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Run the complete pipeline into a collection (see POST /api/pipeline)
+// POST /api/collections/:collectionId/pipeline
+// Body: { "urls": ["url1", "url2"], "chunkStrategy": "section" }
+router.post("/collections/:collectionId/pipeline", async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const { urls, chunkStrategy, usePuppeteer = false } = req.body;
+
+    const result = await jobQueueService.enqueue("pipeline", {
+      urls,
+      chunkStrategy,
+      usePuppeteer,
+      collectionId: collection.id,
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Pipeline queued for collection "${collection.name}"`,
+      jobId: result.job.id,
+      job: result.job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Hybrid search within one collection (same body as POST /api/search)
+// POST /api/collections/:collectionId/search
+router.post("/collections/:collectionId/search", (req, res) =>
+  handleSearch(req, res, [req.params.collectionId])
+);
+
+// Delete a collection's vectors from the active index (use with caution!)
+// Its chunks are reset to pending and re-embedded by the next pipeline run
+// DELETE /api/collections/:collectionId/vectors
+router.delete("/collections/:collectionId/vectors", async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const result = await vectorStoreService.clearCollection(collection);
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: "Failed to clear collection",
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Collection "${collection.name}" cleared`,
+      data: {
+        resetChunks: result.resetChunks,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to clear collection",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// PIPELINE ENDPOINT (ALL STEPS)
+// ============================================
+
+// Run complete pipeline: scrape -> chunk -> embed -> store
+// Runs as a background job; stream GET /api/jobs/:jobId/events for progress
+// POST /api/pipeline
+// Body: { "urls": ["url1", "url2"], "chunkStrategy": "section",
+//         "collectionId": 2 }
+// collectionId: collection to store the pages in (default if omitted)
+router.post("/pipeline", async (req, res) => {
+  try {
+    const { urls, chunkStrategy, usePuppeteer = false, collectionId } = req.body;
+
+    const result = await jobQueueService.enqueue("pipeline", {
+      urls,
+      chunkStrategy,
+      usePuppeteer,
+      ...(collectionId && { collectionId }),
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Pipeline queued",
+      jobId: result.job.id,
+      job: result.job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Pipeline status: one job, or the latest pipeline job plus queue counts
+// GET /api/pipeline/status
+// GET /api/pipeline/status?jobId=12
+router.get("/pipeline/status", async (req, res) => {
+  try {
+    const { jobId } = req.query;
+
+    let job;
+    if (jobId) {
+      job = await Job.findByPk(jobId);
+      if (!job) {
+        return res.status(404).json({
+          error: "Job not found",
+        });
+      }
+    } else {
+      [job = null] = await Job.getRecent({ type: "pipeline", limit: 1 });
+    }
+
+    res.json({
+      success: true,
+      job,
+      queue: await Job.getStatusCounts(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// JOB ENDPOINTS
+// ============================================
+
+// Queue any job type
+// POST /api/jobs
+// Body: { "type": "embed", "payload": { "reembed": true } }
+// Types: pipeline, crawl, process, embed, refresh, reindex
+router.post("/jobs", async (req, res) => {
+  try {
+    const { type, payload = {} } = req.body;
+
+    const result = await jobQueueService.enqueue(type, payload);
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: result.job.id,
+      job: result.job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// List recent jobs
+// GET /api/jobs?type=pipeline&status=failed&limit=20
+router.get("/jobs", async (req, res) => {
+  try {
+    const { type = null, status = null, limit = 20 } = req.query;
+
+    const jobs = await Job.getRecent({
+      type,
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100),
+    });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs,
+      queue: await Job.getStatusCounts(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Get one job with progress, per-item errors and result
+// GET /api/jobs/:jobId
+router.get("/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Stream live job events (Server-Sent Events)
+// GET /api/jobs/:jobId/events
+// Events: snapshot (full job, sent first), progress, log, status
+// The stream closes once the job has completed, failed or been cancelled
+router.get("/jobs/:jobId/events", async (req, res) => {
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  };
+  // A status event can end the stream while the snapshot is being taken
+  const send = (type, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const job = await Job.findByPk(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+      });
+    }
+
+    // Set headers for SSE
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    // Client disconnects unsubscribe and stop the heartbeat
+    res.on("close", cleanup);
+
+    const isFinished = (status) =>
+      ["completed", "failed", "cancelled"].includes(status);
+
+    // Subscribe before taking the snapshot so no event falls in between
+    unsubscribe = await jobEventsService.subscribe(job.id, (event) => {
+      send(event.type, event.data);
+
+      if (event.type === "status" && isFinished(event.data.status)) {
+        cleanup();
+        res.end();
+      }
+    });
+
+    // The client may have gone away while subscribing
+    if (closed) return cleanup();
+
+    await job.reload();
+    send("snapshot", job);
+
+    // Closed by a status event or the client meanwhile
+    if (closed) return;
+    if (isFinished(job.status)) {
+      cleanup();
+      return res.end();
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(": heartbeat\n\n");
+    }, 15000);
+  } catch (error) {
+    cleanup();
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+    send("error", { message: error.message });
+    if (!res.writableEnded) res.end();
+  }
+});
+
+// Cancel a queued or running job
+// POST /api/jobs/:jobId/cancel
+router.post("/jobs/:jobId/cancel", async (req, res) => {
+  try {
+    const result = await jobQueueService.cancel(req.params.jobId);
+
+    if (!result.success) {
+      return res.status(result.error === "Job not found" ? 404 : 409).json({
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        result.job.status === "cancelled"
+          ? "Job cancelled"
+          : "Cancellation requested; the job stops after its current item",
+      job: result.job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Retry a failed or cancelled job (queues a new job with the same payload)
+// POST /api/jobs/:jobId/retry
+router.post("/jobs/:jobId/retry", async (req, res) => {
+  try {
+    const result = await jobQueueService.retry(req.params.jobId);
+
+    if (!result.success) {
+      return res.status(result.error === "Job not found" ? 404 : 409).json({
+        error: result.error,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Retry queued as job ${result.job.id}`,
+      jobId: result.job.id,
+      job: result.job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// MCP SERVER ENDPOINTS
+// ============================================
+
+// List the configured MCP servers with their status and tools
+// GET /api/mcp/servers
+router.get("/mcp/servers", (req, res) => {
+  try {
+    const { configPath, configError, servers } =
+      mcpClientRegistry.listServers();
+
+    res.json({
+      success: true,
+      configPath,
+      configError,
+      connected: servers.filter((server) => server.status === "connected")
+        .length,
+      count: servers.length,
+      servers,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Reconnect an MCP server now (resets its reconnection backoff)
+// POST /api/mcp/servers/:name/reconnect
+router.post("/mcp/servers/:name/reconnect", async (req, res) => {
+  try {
+    const server = mcpClientRegistry
+      .listServers()
+      .servers.find(({ name }) => name === req.params.name);
+
+    if (!server) {
+      return res.status(404).json({
+        error: `MCP server "${req.params.name}" not found`,
+      });
+    }
+
+    const result = await mcpClientRegistry.reconnect(req.params.name);
+
+    // Disabled servers can't be reconnected; other failures are the server's
+    if (!result.success) {
+      return res.status(server.enabled ? 502 : 400).json({
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `MCP server "${req.params.name}" reconnected`,
+      server: result.server,
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// ANSWER REVIEW ENDPOINTS
+// ============================================
+
+// Chat answers that failed the grounding check, for review
+// GET /api/answers/low-grounding?limit=20&offset=0
+router.get("/answers/low-grounding", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { count, answers } = await Message.getLowGrounding({
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      grounding: groundingService.getCheckerInfo(),
+      count,
+      answers: answers.map(({ message, question }) => {
+        const { grounding } = message.responseMetadata;
+        return {
+          id: message.id,
+          sessionId: message.conversation?.sessionId || null,
+          question,
+          response: message.content,
+          rejectedAnswer: grounding.rejectedAnswer || null,
+          action: grounding.action,
+          score: grounding.score,
+          retryScore: grounding.retry?.score ?? null,
+          checker: grounding.checker,
+          unsupportedClaims: (grounding.claims || []).filter(
+            (claim) => !claim.supported
+          ),
+          sources: message.sources,
+          createdAt: message.createdAt,
+        };
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// ADMIN/UTILITY ENDPOINTS
+// ============================================
+
+// Test the embedding provider connection
+// GET /api/test/gemini (kept for the admin frontend)
+// GET /api/test/embeddings
+router.get(["/test/gemini", "/test/embeddings"], async (req, res) => {
+  try {
+    // The active index's model, which search and chat embed queries with
+    const embedder = vectorStoreService.embedder;
+    const isWorking = await embedder.testConnection();
+    res.json({
+      success: isWorking,
+      message: isWorking
+        ? "Embedding provider is working"
+        : "Embedding provider test failed",
+      embedding: embedder.getProviderInfo(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: "Test failed",
+      message: error.message,
+    });
+  }
+});
+
+// Clear the vector store (use with caution!)
+// DELETE /api/vectors/clear
+router.delete("/vectors/clear", async (req, res) => {
+  try {
+    const result = await vectorStoreService.clearIndex();
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: "Failed to clear index",
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Index cleared",
+      data: {
+        resetChunks: result.resetChunks,
+      },
     });
   } catch (error) {
     res.status(500).json({
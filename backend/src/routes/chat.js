@@ -7,6 +7,10 @@ const router = express.Router();
 
 // Import both chat services
 const chatServiceMCP = require("../services/chatServiceMCP"); // With MCP
+const searchFilterService = require("../services/searchFilters");
+const collectionService = require("../services/collections");
+const citationService = require("../services/citations");
+const conversationMemoryService = require("../services/conversationMemory");
 
 const { Conversation, Message } = require("../models/Conversation");
 // ============================================
@@ -17,6 +21,12 @@ const { Conversation, Message } = require("../models/Conversation");
  * POST /api/chat/query-mcp
  * Process a user query with MCP
  * Enhanced context using Model Context Protocol
+ * With agent: true the model researches with tools first; the tool calls are
+ * returned (and saved with the message) in metadata.agent.steps
+ * Follow-ups are rewritten into standalone search queries with the history;
+ * the queries searched are saved in metadata.queryRewrite
+ * Messages older than MEMORY_RECENT_MESSAGES reach the model as the
+ * conversation's rolling summary and facts (see conversationMemory.js)
  */
 router.post("/query-mcp", async (req, res) => {
   const startTime = Date.now();
@@ -29,6 +39,14 @@ router.post("/query-mcp", async (req, res) => {
       topK = 5,
       minScore = 0.5,
       useMCP = true,
+      searchMode,
+      fusion,
+      rerank = true,
+      rewrite = true, // Condense follow-ups with the history before searching
+      filter, // Scope retrieval, e.g. { "productArea": "billing" }
+      collectionIds, // Collections to answer from, e.g. [1, 3] (default collection if omitted)
+      agent = false, // Agent mode: the model calls search / fetch tools before answering
+      maxSteps, // Agent mode: tool call budget (default AGENT_MAX_STEPS)
     } = req.body;
 
     // Validate input
@@ -38,9 +56,23 @@ router.post("/query-mcp", async (req, res) => {
       });
     }
 
+    const parsedFilter = searchFilterService.parse(filter);
+    if (!parsedFilter.success) {
+      return res.status(400).json({
+        error: parsedFilter.error,
+      });
+    }
+
+    const resolved = await collectionService.resolve(collectionIds);
+    if (!resolved.success) {
+      return res.status(400).json({
+        error: resolved.error,
+      });
+    }
+
     console.log(`\n📨 Received query (MCP): "${query}"`);
 
-    // Initialize MCP if not already done
+    // Connect to the configured MCP servers if not already done
     if (useMCP && !chatServiceMCP.mcpConnected) {
       await chatServiceMCP.initializeMCP();
     }
@@ -66,12 +98,15 @@ router.post("/query-mcp", async (req, res) => {
       await conversation.save();
     }
 
-    // Get conversation history
-    const messages = await conversation.getMessages(10);
+    // Get the recent history, and the memory of older messages
+    const messages = await conversation.getRecentMessages(
+      conversationMemoryService.recentMessages
+    );
     const conversationHistory = messages.map((m) => ({
       role: m.role,
       content: m.content,
     }));
+    const memory = await conversationMemoryService.getContext(conversation);
 
     // Save user message
     await conversation.addMessage("user", query);
@@ -81,7 +116,16 @@ router.post("/query-mcp", async (req, res) => {
       topK,
       minScore,
       conversationHistory,
+      memory,
       useMCP,
+      searchMode,
+      fusion,
+      rerank,
+      rewrite,
+      filters: parsedFilter.filters,
+      collections: resolved.collections,
+      agent: agent === true || agent === "true",
+      maxSteps,
     });
 
     const processingTime = Date.now() - startTime;
@@ -100,6 +144,9 @@ router.post("/query-mcp", async (req, res) => {
       processingTime,
     });
 
+    // Fold older messages into the memory (in the background)
+    conversationMemoryService.update(conversation);
+
     // Return response
     res.json({
       success: true,
@@ -124,88 +171,252 @@ router.post("/query-mcp", async (req, res) => {
 // STREAMING ENDPOINT
 // ============================================
 
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 /**
  * POST /api/chat/stream
  * Stream response in real-time (Server-Sent Events)
+ * Accepts the retrieval options of /query-mcp (tool calls are not streamed)
+ * Events, in order:
+ *   sources   { sessionId, sources }    before generation starts
+ *   token     { text }                  for each generated piece of text
+ *   metadata  { ..., citations, grounding, processingTime, tokenUsage }
+ *   done      { sessionId, messageId, response, sources }
+ *   error     { error, message }        instead of the remaining events
+ * done carries the answer and sources after the citation and grounding
+ * checks, which replace the streamed ones: markers of unknown sources are
+ * removed, and an answer that fails the grounding check becomes the fallback
+ * answer (streamed answers are not regenerated)
+ * The assistant message is saved when the stream finishes, or with what was
+ * generated so far when the client disconnects (metadata.aborted)
  */
 router.post("/stream", async (req, res) => {
-  try {
-    const { query, sessionId, useMCP = false } = req.body;
+  const startTime = Date.now();
 
-    if (!query || query.trim().length === 0) {
+  const {
+    query,
+    sessionId = null,
+    userId = null,
+    topK = 5,
+    minScore = 0.5,
+    searchMode,
+    fusion,
+    rerank = true,
+    rewrite = true,
+    filter,
+    collectionIds,
+  } = req.body;
+
+  if (!query || query.trim().length === 0) {
+    return res.status(400).json({
+      error: "Query is required",
+    });
+  }
+
+  // Client disconnects stop generation; see saveResponse below
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let conversation;
+  let conversationHistory = [];
+  let memory = null;
+  let contextChunks = [];
+  let metadata = {};
+  let fullResponse = "";
+  let lastChunk = null;
+  let generating = false;
+
+  const saveResponse = async (aborted) => {
+    // Check citations, and the grounding of complete answers
+    const answer = aborted
+      ? {
+          ...citationService.verify(fullResponse, contextChunks.length),
+          chunks: contextChunks,
+          grounding: null,
+        }
+      : await chatServiceMCP.checkAnswer(query, fullResponse, contextChunks, {
+          conversationHistory,
+          memory,
+          regenerate: false,
+        });
+
+    const sources = chatServiceMCP.formatSources(answer.chunks);
+    const processingTime = Date.now() - startTime;
+    const tokenUsage = chatServiceMCP.getTokenUsage(lastChunk);
+
+    const message = await conversation.addMessage("assistant", answer.text, {
+      sources,
+      responseMetadata: {
+        ...metadata,
+        citations: answer.citations,
+        grounding: answer.grounding,
+        streamed: true,
+        aborted,
+      },
+      processingTime,
+      tokenUsage,
+    });
+
+    // Fold older messages into the memory (in the background)
+    conversationMemoryService.update(conversation);
+
+    return { message, answer, sources, processingTime, tokenUsage };
+  };
+
+  try {
+    const parsedFilter = searchFilterService.parse(filter);
+    if (!parsedFilter.success) {
       return res.status(400).json({
-        error: "Query is required",
+        error: parsedFilter.error,
       });
     }
 
-    // Set headers for SSE
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
+    const resolved = await collectionService.resolve(collectionIds);
+    if (!resolved.success) {
+      return res.status(400).json({
+        error: resolved.error,
+      });
+    }
 
-    // Get conversation
-    let conversation;
+    // Get or create conversation
     if (sessionId) {
       conversation = await Conversation.getBySessionId(sessionId);
     }
 
     if (!conversation) {
-      conversation = await Conversation.createNew(null, {
+      conversation = await Conversation.createNew(userId, {
         userAgent: req.headers["user-agent"],
+        ip: req.ip,
       });
     }
 
-    // Get history
-    const messages = await conversation.getMessages(10);
-    const conversationHistory = messages.map((m) => ({
+    if (!conversation.title) {
+      conversation.title = query.substring(0, 100);
+      await conversation.save();
+    }
+
+    // Get the recent history, and the memory of older messages
+    const messages = await conversation.getRecentMessages(
+      conversationMemoryService.recentMessages
+    );
+    conversationHistory = messages.map((m) => ({
       role: m.role,
       content: m.content,
     }));
+    memory = await conversationMemoryService.getContext(conversation);
 
     // Save user message
     await conversation.addMessage("user", query);
 
-    // Get relevant chunks
-    const vectorStoreService = require("../services/vectorStore");
-    const searchResults = await vectorStoreService.search(query, 5);
-    const relevantChunks = await vectorStoreService.getChunksForResults(
-      searchResults
-    );
+    // Set headers for SSE
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
 
-    const service = useMCP ? chatServiceMCP : chatService;
-    const context = service.buildContext(relevantChunks);
+    // Retrieve the chunks to answer from and send the sources first
+    const retrieved = await chatServiceMCP.retrieveChunks(query, {
+      topK,
+      minScore,
+      searchMode,
+      fusion,
+      rerank,
+      rewrite,
+      filters: parsedFilter.filters,
+      collections: resolved.collections,
+      conversationHistory,
+    });
+    const { searchResults, rerankInfo, queryRewrite } = retrieved;
+    contextChunks = retrieved.contextChunks;
+
+    metadata = {
+      chunksUsed: contextChunks.length,
+      averageScore: chatServiceMCP.calculateAverageScore(contextChunks),
+      mcpUsed: false,
+      queryRewrite,
+      memory: memory ? memory.info : null,
+      searchMode: searchResults.mode,
+      fusion: searchResults.fusion,
+      rerank: rerankInfo,
+      filters: parsedFilter.filters,
+      collections: resolved.collections.map(({ id, slug }) => ({ id, slug })),
+      timestamp: new Date().toISOString(),
+    };
+
+    if (controller.signal.aborted) return;
+    sendEvent(res, "sources", {
+      sessionId: conversation.sessionId,
+      sources: chatServiceMCP.formatSources(contextChunks),
+    });
 
-    // Get streaming response
-    const stream = await service.streamResponse(
+    // Stream tokens to client
+    const context = chatServiceMCP.buildContext(contextChunks);
+    const result = await chatServiceMCP.streamResponse(
       query,
       context,
-      conversationHistory
+      conversationHistory,
+      controller.signal,
+      { memory }
     );
+    generating = true;
+    // Rejects when aborted; usage is taken from the last chunk instead
+    result.response.catch(() => {});
 
-    let fullResponse = "";
-
-    // Stream tokens to client
-    for await (const chunk of stream) {
+    for await (const chunk of result.stream) {
+      lastChunk = chunk;
       const text = chunk.text();
       fullResponse += text;
 
-      res.write(`data: ${JSON.stringify({ text })}\n\n`);
+      if (text) sendEvent(res, "token", { text });
     }
 
     // Save complete response
-    await conversation.addMessage("assistant", fullResponse, {
-      sources: relevantChunks.map((c) => ({
-        title: c.source?.title || "",
-        url: c.source?.url || "",
-        score: c.score,
-      })),
+    const { message, answer, sources, processingTime, tokenUsage } =
+      await saveResponse(false);
+    generating = false;
+
+    sendEvent(res, "metadata", {
+      ...metadata,
+      citations: answer.citations,
+      grounding: answer.grounding,
+      processingTime,
+      tokenUsage,
+    });
+    sendEvent(res, "done", {
+      sessionId: conversation.sessionId,
+      messageId: message.id,
+      response: answer.text,
+      sources,
     });
-
-    res.write("data: [DONE]\n\n");
     res.end();
   } catch (error) {
+    if (controller.signal.aborted) {
+      // Client went away: keep what was generated so far
+      if (generating) {
+        console.log(" Stream aborted by client, saving partial response");
+        await saveResponse(true).catch((saveError) =>
+          console.error("❌ Saving aborted stream failed:", saveError.message)
+        );
+      }
+      return;
+    }
+
     console.error("❌ Streaming error:", error);
-    res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+    sendEvent(res, "error", {
+      error: "Failed to generate response",
+      message: error.message,
+    });
     res.end();
   }
 });
@@ -269,6 +480,7 @@ router.get("/conversation/:sessionId", async (req, res) => {
         startedAt: conversation.startedAt,
         lastMessageAt: conversation.lastMessageAt,
         status: conversation.status,
+        memory: conversation.memory,
         messages: messages.map((m) => ({
           id: m.id,
           role: m.role,
@@ -367,14 +579,13 @@ router.delete("/conversation/:sessionId", async (req, res) => {
  */
 router.get("/health", async (req, res) => {
   try {
-    const llmStatus = await chatService.testConnection();
-    const mcpStatus = await chatServiceMCP.testConnection();
+    const llmStatus = await chatServiceMCP.testConnection();
 
     res.json({
       success: true,
       services: {
         llm: llmStatus,
-        mcp: mcpStatus && chatServiceMCP.mcpConnected,
+        mcp: chatServiceMCP.mcpConnected,
       },
     });
   } catch (error) {
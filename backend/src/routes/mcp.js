@@ -0,0 +1,123 @@
+// src/routes/mcp.js
+// HTTP transports of the knowledge base MCP server (see services/mcpServer.js)
+// Streamable HTTP (current MCP spec):  POST / GET / DELETE /mcp
+// SSE (older clients):                 GET /mcp/sse + POST /mcp/messages
+// Set MCP_AUTH_TOKEN to require "Authorization: Bearer <token>"
+
+const express = require("express");
+const router = express.Router();
+const { randomUUID } = require("crypto");
+const {
+  StreamableHTTPServerTransport,
+} = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+const {
+  SSEServerTransport,
+} = require("@modelcontextprotocol/sdk/server/sse.js");
+const { isInitializeRequest } = require("@modelcontextprotocol/sdk/types.js");
+const mcpServerService = require("../services/mcpServer");
+
+// Open sessions: sessionId -> transport
+const streamableTransports = new Map();
+const sseTransports = new Map();
+
+// JSON-RPC error response (MCP clients expect this shape, not { error })
+function rpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+// Optional bearer token check
+router.use((req, res, next) => {
+  const token = process.env.MCP_AUTH_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return rpcError(res, 401, "Unauthorized");
+  }
+  next();
+});
+
+// ============================================
+// STREAMABLE HTTP TRANSPORT
+// ============================================
+
+// Send a JSON-RPC message; an initialize request without a session starts one
+// POST /mcp
+router.post("/", async (req, res) => {
+  try {
+    const sessionId = req.headers["mcp-session-id"];
+    let transport = sessionId && streamableTransports.get(sessionId);
+
+    if (!transport) {
+      if (sessionId || !isInitializeRequest(req.body)) {
+        return rpcError(res, 400, "Bad Request: No valid session ID provided");
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => streamableTransports.set(id, transport),
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          streamableTransports.delete(transport.sessionId);
+        }
+      };
+
+      await mcpServerService.createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error(" MCP request failed:", error.message);
+    if (!res.headersSent) {
+      rpcError(res, 500, "Internal server error");
+    }
+  }
+});
+
+// Server-to-client stream (GET) and session termination (DELETE)
+// GET /mcp, DELETE /mcp
+async function handleSessionRequest(req, res) {
+  const transport = streamableTransports.get(req.headers["mcp-session-id"]);
+  if (!transport) {
+    return rpcError(res, 400, "Invalid or missing session ID");
+  }
+  await transport.handleRequest(req, res);
+}
+
+router.get("/", handleSessionRequest);
+router.delete("/", handleSessionRequest);
+
+// ============================================
+// SSE TRANSPORT
+// ============================================
+
+// Open an event stream; the first event tells the client where to POST
+// GET /mcp/sse
+router.get("/sse", async (req, res) => {
+  try {
+    const transport = new SSEServerTransport(`${req.baseUrl}/messages`, res);
+    sseTransports.set(transport.sessionId, transport);
+    res.on("close", () => sseTransports.delete(transport.sessionId));
+
+    await mcpServerService.createServer().connect(transport);
+  } catch (error) {
+    console.error(" MCP SSE connection failed:", error.message);
+    if (!res.headersSent) {
+      rpcError(res, 500, "Internal server error");
+    }
+  }
+});
+
+// Messages for an SSE session
+// POST /mcp/messages?sessionId=...
+router.post("/messages", async (req, res) => {
+  const transport = sseTransports.get(req.query.sessionId);
+  if (!transport) {
+    return rpcError(res, 404, "Unknown session ID");
+  }
+  await transport.handlePostMessage(req, res, req.body);
+});
+
+module.exports = router;
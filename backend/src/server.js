@@ -10,9 +10,9 @@ require("dotenv").config();
 
 // Import configurations and routes
 const { testConnection, syncDatabase } = require("./config/database");
-const { initializePinecone } = require("./config/pinecone");
 const apiRoutes = require("./routes/api");
 const chatRoutes = require("./routes/chat"); // NEW: User chat routes
+const mcpRoutes = require("./routes/mcp"); // Knowledge base MCP server
 
 // Initialize Express app
 const app = express();
@@ -58,10 +58,35 @@ app.get("/", (req, res) => {
       admin: {
         health: "GET /api/health",
         scrape: "POST /api/scrape",
+        crawl: "POST /api/crawl",
         documents: "GET /api/documents",
+        versions: "GET /api/documents/:documentId/versions",
+        upload: "POST /api/documents/upload",
+        refresh: "POST /api/refresh",
+        pipeline: "POST /api/pipeline",
+        pipelineStatus: "GET /api/pipeline/status",
+        jobs: "GET /api/jobs",
+        jobEvents: "GET /api/jobs/:jobId/events",
+        cancelJob: "POST /api/jobs/:jobId/cancel",
+        retryJob: "POST /api/jobs/:jobId/retry",
         chunk: "POST /api/chunk/all",
         vectors: "POST /api/vectors/process",
         search: "POST /api/search",
+        indexes: "GET /api/indexes",
+        createIndex: "POST /api/indexes",
+        syncIndex: "POST /api/indexes/:indexId/sync",
+        activateIndex: "POST /api/indexes/:indexId/activate",
+        retireIndex: "POST /api/indexes/:indexId/retire",
+        compareIndexes: "POST /api/indexes/compare",
+        collections: "GET /api/collections",
+        createCollection: "POST /api/collections",
+        collectionStats: "GET /api/collections/:collectionId/stats",
+        collectionPipeline: "POST /api/collections/:collectionId/pipeline",
+        collectionSearch: "POST /api/collections/:collectionId/search",
+        clearCollection: "DELETE /api/collections/:collectionId/vectors",
+        mcpServers: "GET /api/mcp/servers",
+        reconnectMcpServer: "POST /api/mcp/servers/:name/reconnect",
+        lowGroundingAnswers: "GET /api/answers/low-grounding",
       },
       user: {
         chatMCP: "POST /api/chat/query-mcp",
@@ -69,6 +94,11 @@ app.get("/", (req, res) => {
         conversations: "GET /api/chat/conversations",
         health: "GET /api/chat/health",
       },
+      mcp: {
+        streamableHttp: "POST /mcp",
+        sse: "GET /mcp/sse",
+        stdio: "npm run mcp",
+      },
     },
   });
 });
@@ -76,6 +106,7 @@ app.get("/", (req, res) => {
 // Mount API routes
 app.use("/api", apiRoutes); // Admin routes
 app.use("/api/chat", chatRoutes); // User chat routes
+app.use("/mcp", mcpRoutes); // MCP server for IDE assistants
 
 // ============================================
 // ERROR HANDLING
@@ -118,9 +149,20 @@ async function initializeApp() {
     console.log("🔄 Synchronizing database models...");
     await syncDatabase();
 
-    // Initialize Pinecone
-    console.log("🔄 Initializing Pinecone...");
-    await initializePinecone();
+    // Load the active vector index (registers the .env one on first start)
+    const vectorIndexService = require("./services/vectorIndexes");
+    await vectorIndexService.ensureActive();
+
+    // Load the default collection (created on first start; adopts older documents)
+    const collectionService = require("./services/collections");
+    await collectionService.ensureDefault();
+
+    // Initialize vector store (Pinecone index or pgvector table)
+    const vectorStoreService = require("./services/vectorStore");
+    console.log(
+      `🔄 Initializing vector store (${vectorStoreService.backend.name})...`
+    );
+    await vectorStoreService.initialize();
 
     // Initialize chat services
     console.log("🤖 Initializing chat services...");
@@ -128,13 +170,21 @@ async function initializeApp() {
 
     await chatServiceMCP.testConnection();
 
-    // Try to initialize MCP (it's okay if it fails)
+    // Connect to the MCP servers in mcp-servers.json (failures are retried)
     try {
       await chatServiceMCP.initializeMCP();
     } catch (error) {
       console.log("⚠️  MCP initialization failed, continuing without MCP");
     }
 
+    // Start the background job worker (pipeline runs, crawls, re-embeds)
+    // Set JOB_WORKER=false to run jobs only in `npm run worker` processes
+    if (process.env.JOB_WORKER !== "false") {
+      console.log("⚙️  Starting job worker...");
+      const jobQueueService = require("./services/jobQueue");
+      await jobQueueService.start();
+    }
+
     console.log("\n✅ All services initialized successfully!\n");
   } catch (error) {
     console.error("\n❌ Initialization failed:", error.message);
@@ -150,6 +200,7 @@ async function startServer() {
     console.log(`\n🌟 Server is running on port ${PORT}`);
     console.log(`📡 Admin API available at http://localhost:${PORT}`);
     console.log(`💬 Chat API available at http://localhost:${PORT}/api/chat`);
+    console.log(`🔌 MCP server available at http://localhost:${PORT}/mcp`);
     console.log(`📚 Documentation at http://localhost:${PORT}/\n`);
     console.log("Ready to accept requests! 🎉\n");
   });
@@ -159,6 +210,14 @@ async function startServer() {
 process.on("SIGINT", async () => {
   console.log("\n⚠️  SIGINT received, shutting down gracefully...");
 
+  // Stop taking new jobs
+  const jobQueueService = require("./services/jobQueue");
+  jobQueueService.stop();
+
+  // Close the job event listener connection
+  const jobEventsService = require("./services/jobEvents");
+  await jobEventsService.close();
+
   // Cleanup MCP connection
   const chatServiceMCP = require("./services/chatServiceMCP");
   await chatServiceMCP.cleanup();
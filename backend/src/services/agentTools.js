@@ -0,0 +1,396 @@
+// src/services/agentTools.js
+// This service defines the tools the chat agent can call (see agent mode in
+// chatServiceMCP.js): Gemini function declarations plus their implementations
+// Every tool is scoped to the collections of the current query and returns
+// { response, chunks, documents, summary }:
+//   response:  what the model sees (kept small: excerpts, not whole chunks)
+//   chunks:    retrieved chunks, which become the answer's sources
+//   documents: fetched documents, also cited as sources
+//   summary:   short result recorded in the audit trail
+// Passages and pages shown to the model carry the source number the answer
+// cites them by ([n], numbered by context.cite when the caller provides it)
+
+const { Op } = require("sequelize");
+const { SchemaType } = require("@google/generative-ai");
+const hybridSearchService = require("./hybridSearch");
+const searchFilterService = require("./searchFilters");
+const RawDocument = require("../models/RawDocument");
+
+class AgentToolService {
+  constructor() {
+    // Characters of a fetched document returned to the model
+    this.maxDocumentChars = parseInt(
+      process.env.AGENT_MAX_DOCUMENT_CHARS || "8000"
+    );
+
+    // Characters of each search result shown to the model
+    this.excerptChars = 600;
+
+    this.declarations = [
+      {
+        name: "search_docs",
+        description:
+          "Search the Stripe documentation knowledge base. Returns the most relevant passages with their page title and URL. Use filters to narrow the search to a product area or section of the docs.",
+        parameters: {
+          type: SchemaType.OBJECT,
+          properties: {
+            query: {
+              type: SchemaType.STRING,
+              description: "What to search for, phrased as a search query",
+            },
+            productArea: {
+              type: SchemaType.STRING,
+              description:
+                'First path segment of the docs URL, e.g. "billing", "payments", "connect"',
+            },
+            urlPrefix: {
+              type: SchemaType.STRING,
+              description:
+                'Only search pages under this URL, e.g. "https://docs.stripe.com/billing/subscriptions"',
+            },
+            topK: {
+              type: SchemaType.INTEGER,
+              description: "Number of passages to return (1-10, default 5)",
+            },
+          },
+          required: ["query"],
+        },
+      },
+      {
+        name: "fetch_document",
+        description:
+          "Fetch the full text of a documentation page by URL. Use it when a search result looks relevant but its passage is not enough to answer.",
+        parameters: {
+          type: SchemaType.OBJECT,
+          properties: {
+            url: {
+              type: SchemaType.STRING,
+              description: "URL of the page, as returned by search_docs",
+            },
+          },
+          required: ["url"],
+        },
+      },
+      {
+        name: "lookup_error_code",
+        description:
+          'Look up a Stripe error code or decline code (e.g. "card_declined", "insufficient_funds", "resource_missing") and return the passages that explain it.',
+        parameters: {
+          type: SchemaType.OBJECT,
+          properties: {
+            code: {
+              type: SchemaType.STRING,
+              description: "The error or decline code",
+            },
+          },
+          required: ["code"],
+        },
+      },
+      {
+        name: "list_related_pages",
+        description:
+          "List documentation pages related to a page: pages it links to and pages in the same section.",
+        parameters: {
+          type: SchemaType.OBJECT,
+          properties: {
+            url: {
+              type: SchemaType.STRING,
+              description: "URL of the page",
+            },
+          },
+          required: ["url"],
+        },
+      },
+    ];
+
+    this.handlers = {
+      search_docs: (args, context) => this.searchDocs(args, context),
+      fetch_document: (args, context) => this.fetchDocument(args, context),
+      lookup_error_code: (args, context) => this.lookupErrorCode(args, context),
+      list_related_pages: (args, context) =>
+        this.listRelatedPages(args, context),
+    };
+  }
+
+  getDeclarations() {
+    return this.declarations;
+  }
+
+  // Run a tool call; errors are returned to the model instead of thrown so
+  // it can recover (e.g. retry with another URL)
+  // context: { collections, filters, cite } (collection records and parsed
+  // search filters the query is scoped to; cite(chunk or document) returns
+  // its source number)
+  async execute(name, args = {}, context = {}) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      return this.failure(`Unknown tool: ${name}`);
+    }
+
+    try {
+      return await handler(args, context);
+    } catch (error) {
+      console.error(` Tool ${name} failed:`, error.message);
+      return this.failure(error.message);
+    }
+  }
+
+  failure(message) {
+    return {
+      response: { error: message },
+      chunks: [],
+      documents: [],
+      summary: { error: message },
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  // Source number of a chunk or document, if the caller numbers sources
+  cite(item, context) {
+    return context.cite ? { source: context.cite(item) } : {};
+  }
+
+  // What the model sees of a retrieved chunk
+  describeChunk(chunk, context = {}) {
+    const metadata = chunk.metadata || {};
+    return {
+      ...this.cite(chunk, context),
+      title: chunk.source?.title || "Untitled",
+      url: metadata.docsUrl || chunk.source?.url || "",
+      ...(metadata.sourceType === "api_reference" && {
+        type: "api_reference",
+      }),
+      ...(metadata.breadcrumb && { section: metadata.breadcrumb }),
+      text: chunk.chunkText.substring(0, this.excerptChars),
+    };
+  }
+
+  collectionWhere(context) {
+    return context.collections?.length
+      ? { collectionId: context.collections.map((c) => c.id) }
+      : {};
+  }
+
+  // Find a stored document by URL, ignoring a trailing slash or hash
+  async findDocument(url, context) {
+    const base = String(url || "")
+      .trim()
+      .replace(/#.*$/, "")
+      .replace(/\/+$/, "");
+    if (!base) {
+      throw new Error("url is required");
+    }
+
+    return await RawDocument.findOne({
+      where: {
+        url: [base, `${base}/`],
+        ...this.collectionWhere(context),
+      },
+    });
+  }
+
+  // Hybrid search within the query's collections; the request's filters
+  // (context.filters) apply too, the tool's own filters take precedence
+  async search(query, options, context) {
+    const filters = { ...context.filters, ...options.filters };
+    const result = await hybridSearchService.search(query, {
+      ...options,
+      filters: Object.keys(filters).length > 0 ? filters : null,
+      ...(context.collections && { collections: context.collections }),
+    });
+    if (!result.success) {
+      throw new Error(`Search failed: ${result.error}`);
+    }
+    return result.results;
+  }
+
+  // ============================================
+  // TOOLS
+  // ============================================
+
+  async searchDocs({ query, productArea, urlPrefix, topK = 5 }, context) {
+    if (!query || !String(query).trim()) {
+      throw new Error("query is required");
+    }
+
+    const filter = {
+      ...(productArea && { productArea: String(productArea).toLowerCase() }),
+      ...(urlPrefix && { urlPrefix }),
+    };
+    const parsed = searchFilterService.parse(
+      Object.keys(filter).length > 0 ? filter : null
+    );
+    if (!parsed.success) {
+      throw new Error(parsed.error);
+    }
+
+    const chunks = await this.search(
+      query,
+      {
+        topK: Math.min(Math.max(parseInt(topK) || 5, 1), 10),
+        filters: parsed.filters,
+      },
+      context
+    );
+
+    return {
+      response: {
+        results: chunks.map((chunk) => this.describeChunk(chunk, context)),
+      },
+      chunks,
+      documents: [],
+      summary: {
+        results: chunks.map((chunk) => ({
+          chunkId: chunk.chunkId,
+          title: chunk.source?.title || "Untitled",
+          url: chunk.source?.url || "",
+          score: chunk.score,
+        })),
+      },
+    };
+  }
+
+  async fetchDocument({ url }, context) {
+    const document = await this.findDocument(url, context);
+    if (!document) {
+      throw new Error(`No stored page with URL ${url}`);
+    }
+
+    const content = document.markdownContent || document.cleanedContent || "";
+    const truncated = content.length > this.maxDocumentChars;
+
+    return {
+      response: {
+        ...this.cite(document, context),
+        title: document.title,
+        url: document.url,
+        content: content.substring(0, this.maxDocumentChars),
+        truncated,
+      },
+      chunks: [],
+      documents: [document],
+      summary: {
+        documentId: document.id,
+        title: document.title,
+        url: document.url,
+        characters: content.length,
+        truncated,
+      },
+    };
+  }
+
+  // Keyword search first (codes are exact tokens); passages that mention the
+  // code are preferred, semantic search is the fallback
+  async lookupErrorCode({ code }, context) {
+    const normalized = String(code || "")
+      .trim()
+      .toLowerCase();
+    if (!normalized) {
+      throw new Error("code is required");
+    }
+
+    const keywordHits = await this.search(
+      normalized,
+      { topK: 10, mode: "keyword" },
+      context
+    );
+    let chunks = keywordHits
+      .filter((chunk) => chunk.chunkText.toLowerCase().includes(normalized))
+      .slice(0, 5);
+    const exactMatch = chunks.length > 0;
+
+    if (!exactMatch) {
+      chunks = await this.search(
+        `Stripe error code ${normalized}`,
+        { topK: 5 },
+        context
+      );
+    }
+
+    return {
+      response: {
+        code: normalized,
+        exactMatch,
+        results: chunks.map((chunk) => this.describeChunk(chunk, context)),
+      },
+      chunks,
+      documents: [],
+      summary: {
+        code: normalized,
+        exactMatch,
+        results: chunks.map((chunk) => ({
+          chunkId: chunk.chunkId,
+          title: chunk.source?.title || "Untitled",
+          url: chunk.source?.url || "",
+        })),
+      },
+    };
+  }
+
+  // Pages the page links to (from its Markdown) that are in the knowledge
+  // base, then pages under the same parent URL
+  async listRelatedPages({ url }, context) {
+    const document = await this.findDocument(url, context);
+    if (!document) {
+      throw new Error(`No stored page with URL ${url}`);
+    }
+
+    const linkedUrls = [
+      ...new Set(
+        [
+          ...(document.markdownContent || "").matchAll(
+            /\]\((https?:\/\/[^)\s#]+)/g
+          ),
+        ].map((match) => match[1].replace(/\/+$/, ""))
+      ),
+    ].filter((link) => link !== document.url.replace(/\/+$/, ""));
+
+    const linked = linkedUrls.length
+      ? await RawDocument.findAll({
+          where: { url: linkedUrls, ...this.collectionWhere(context) },
+          attributes: ["id", "url", "title"],
+          limit: 10,
+        })
+      : [];
+
+    const parent = document.url.replace(/\/+$/, "").replace(/\/[^/]*$/, "");
+    const siblings = await RawDocument.findAll({
+      where: {
+        url: {
+          [Op.like]: `${parent}/%`,
+          [Op.notIn]: [document.url, ...linked.map((page) => page.url)],
+        },
+        ...this.collectionWhere(context),
+      },
+      attributes: ["id", "url", "title"],
+      order: [["url", "ASC"]],
+      limit: 10,
+    });
+
+    const pages = [
+      ...linked.map((page) => ({
+        title: page.title,
+        url: page.url,
+        relation: "linked",
+      })),
+      ...siblings.map((page) => ({
+        title: page.title,
+        url: page.url,
+        relation: "same_section",
+      })),
+    ];
+
+    return {
+      response: { url: document.url, pages },
+      chunks: [],
+      documents: [],
+      summary: { url: document.url, pages: pages.length },
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AgentToolService();
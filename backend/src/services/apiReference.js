@@ -0,0 +1,457 @@
+// src/services/apiReference.js
+// This service turns an OpenAPI document (e.g. Stripe's published spec) into
+// API reference documents: one per resource (payment_intents, customers, ...)
+// Each document is chunked into one structured chunk per endpoint, per
+// parameter group and per object, so questions like "which parameters does
+// PaymentIntent create accept" are answered from the spec instead of prose
+//
+// Chunk metadata (flat lists, so Pinecone can store and filter on them):
+//   apiChunkType:       "endpoint" | "parameters" | "object"
+//   apiMethod, apiPath: "POST", "/v1/payment_intents"
+//   parameters:         ["amount", "currency", ...] (fields for objects)
+//   parameterTypes:     ["amount:integer", ...] (fieldTypes for objects)
+//   requiredParameters: ["amount", "currency"]
+//   enumValues:         ["capture_method=automatic", ...]
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+class ApiReferenceService {
+  constructor() {
+    // Parameters / fields per chunk (large groups are split into parts)
+    this.groupSize = 25;
+
+    // Cap on description length per parameter, and on enum values kept in
+    // chunk metadata (Pinecone limits metadata to 40 KB per vector)
+    this.maxParameterDescription = 300;
+    this.maxEnumValues = 200;
+
+    // Base URL of the human-readable reference (https://docs.stripe.com/api)
+    // Sources then link to <base>/<resource> instead of the spec file
+    this.docsBaseUrl = process.env.OPENAPI_DOCS_URL || null;
+  }
+
+  // Whether parsed JSON / YAML is an OpenAPI (or Swagger) document
+  isSpec(document) {
+    return Boolean(
+      document &&
+        typeof document === "object" &&
+        (document.openapi || document.swagger) &&
+        document.paths
+    );
+  }
+
+  // ============================================
+  // SCHEMA HELPERS
+  // ============================================
+
+  // Strip HTML (Stripe descriptions use <p>, <code>, <a>) and whitespace
+  cleanDescription(text, maxLength = null) {
+    const cleaned = (text || "")
+      .replace(/<[^>]+>/g, "")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return maxLength && cleaned.length > maxLength
+      ? `${cleaned.substring(0, maxLength).trim()}...`
+      : cleaned;
+  }
+
+  refName(ref) {
+    return ref.split("/").pop();
+  }
+
+  // Follow a $ref to its schema (other schemas are returned as they are)
+  resolve(schema, spec) {
+    if (!schema?.$ref) return schema || {};
+    const name = this.refName(schema.$ref);
+    return spec.components?.schemas?.[name] || spec.definitions?.[name] || {};
+  }
+
+  // anyOf / oneOf members, without Stripe's empty-string "unset" option
+  variants(schema) {
+    return (schema.anyOf || schema.oneOf || []).filter(
+      (variant) => !(variant.enum && variant.enum.every((v) => v === ""))
+    );
+  }
+
+  // Readable type: "integer", "array of string", "payment_method | string"
+  describeType(schema, spec) {
+    if (!schema) return "any";
+    if (schema.$ref) return this.refName(schema.$ref);
+
+    const variants = this.variants(schema);
+    if (variants.length > 0) {
+      return [...new Set(variants.map((v) => this.describeType(v, spec)))].join(
+        " | "
+      );
+    }
+
+    if (schema.type === "array") {
+      return `array of ${this.describeType(schema.items, spec)}`;
+    }
+    if (schema.type === "object" && !schema.properties) {
+      return schema.additionalProperties ? "map" : "object";
+    }
+    return schema.type || "object";
+  }
+
+  // Enum values of a schema or its variants
+  enumOf(schema, spec) {
+    const resolved = this.resolve(schema, spec);
+    const values = [
+      ...(resolved.enum || []),
+      ...this.variants(resolved).flatMap((v) => v.enum || []),
+    ];
+    return [...new Set(values.filter((v) => v !== "" && v !== null))].map(
+      String
+    );
+  }
+
+  // Properties of an object schema (or of its first object variant)
+  propertiesOf(schema, spec) {
+    const resolved = this.resolve(schema, spec);
+    if (resolved.properties) return resolved;
+
+    const variant = this.variants(resolved)
+      .map((v) => this.resolve(v, spec))
+      .find((v) => v.properties);
+    return variant || null;
+  }
+
+  // Normalize an object schema's properties into parameter entries
+  // Object-typed properties keep their own properties as children (one level)
+  toParameters(schema, spec, location = "body", depth = 0) {
+    const objectSchema = this.propertiesOf(schema, spec);
+    if (!objectSchema) return [];
+
+    const required = new Set(objectSchema.required || []);
+
+    return Object.entries(objectSchema.properties).map(([name, property]) => {
+      const resolved = this.resolve(property, spec);
+      const nested =
+        depth === 0 && !property.$ref
+          ? this.propertiesOf(property, spec)
+          : null;
+
+      return {
+        name,
+        in: location,
+        type: this.describeType(property, spec),
+        required: required.has(name),
+        enum: this.enumOf(property, spec),
+        description: this.cleanDescription(
+          resolved.description || property.description,
+          this.maxParameterDescription
+        ),
+        ...(nested && {
+          children: this.toParameters(nested, spec, location, depth + 1),
+        }),
+      };
+    });
+  }
+
+  // ============================================
+  // SPEC -> REFERENCE DOCUMENTS
+  // ============================================
+
+  // Resource a path belongs to: its tag, or its first segment after the
+  // version (/v1/payment_intents/{intent}/confirm -> payment_intents)
+  getResource(path, operation) {
+    if (operation.tags?.length) return operation.tags[0];
+
+    const segment = path
+      .split("/")
+      .filter(Boolean)
+      .find((part) => !/^v\d+$/.test(part) && !part.startsWith("{"));
+    return segment || "root";
+  }
+
+  normalizeOperation(method, path, operation, pathParameters, spec) {
+    const parameters = [...pathParameters, ...(operation.parameters || [])]
+      .map((parameter) => this.resolve(parameter, spec))
+      .map((parameter) => ({
+        name: parameter.name,
+        in: parameter.in,
+        type: this.describeType(parameter.schema || parameter, spec),
+        required: Boolean(parameter.required),
+        enum: this.enumOf(parameter.schema || parameter, spec),
+        description: this.cleanDescription(
+          parameter.description,
+          this.maxParameterDescription
+        ),
+      }));
+
+    const bodyContent = operation.requestBody?.content || {};
+    const bodySchema = Object.values(bodyContent)[0]?.schema;
+    if (bodySchema) {
+      parameters.push(...this.toParameters(bodySchema, spec));
+    }
+
+    const success = Object.entries(operation.responses || {}).find(([code]) =>
+      code.startsWith("2")
+    )?.[1];
+    const responseSchema = success?.content
+      ? Object.values(success.content)[0]?.schema
+      : success?.schema;
+
+    return {
+      method: method.toUpperCase(),
+      path,
+      operationId: operation.operationId || null,
+      summary: this.cleanDescription(operation.summary),
+      description: this.cleanDescription(operation.description, 1500),
+      parameters,
+      returns: responseSchema ? this.describeType(responseSchema, spec) : null,
+    };
+  }
+
+  normalizeObject(name, schema, spec) {
+    return {
+      name,
+      description: this.cleanDescription(schema.description, 1500),
+      fields: this.toParameters(schema, spec, "field", 1),
+    };
+  }
+
+  // Parse an OpenAPI document into reference documents, one per resource
+  // Objects are grouped with the first resource returning them
+  // Returns { title, version, documents: [{ resource, title, reference }] }
+  parseSpec(spec) {
+    const title = spec.info?.title || "API";
+    const version = spec.info?.version || "";
+    const groups = new Map();
+    const group = (resource) => {
+      if (!groups.has(resource)) {
+        groups.set(resource, { resource, endpoints: [], objects: [] });
+      }
+      return groups.get(resource);
+    };
+
+    const objectHomes = new Map();
+    for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        const endpoint = this.normalizeOperation(
+          method,
+          path,
+          operation,
+          pathItem.parameters || [],
+          spec
+        );
+        const resource = this.getResource(path, operation);
+        group(resource).endpoints.push(endpoint);
+
+        if (endpoint.returns && !objectHomes.has(endpoint.returns)) {
+          objectHomes.set(endpoint.returns, resource);
+        }
+      }
+    }
+
+    const schemas = spec.components?.schemas || spec.definitions || {};
+    for (const [name, schema] of Object.entries(schemas)) {
+      if (!schema.properties) continue;
+      group(objectHomes.get(name) || "objects").objects.push(
+        this.normalizeObject(name, schema, spec)
+      );
+    }
+
+    return {
+      title,
+      version,
+      documents: [...groups.values()].map((reference) => ({
+        resource: reference.resource,
+        title: `${title} reference: ${reference.resource}`,
+        reference: { spec: title, version, ...reference },
+      })),
+    };
+  }
+
+  // Link to the human-readable reference page of a resource, if configured
+  getDocsUrl(resource) {
+    return this.docsBaseUrl
+      ? `${this.docsBaseUrl.replace(/\/+$/, "")}/${resource}`
+      : null;
+  }
+
+  // ============================================
+  // REFERENCE DOCUMENT -> CHUNKS
+  // ============================================
+
+  // "amount (integer, required)" / "capture_method (string, one of: a, b)"
+  describeParameter(parameter, prefix = "") {
+    const details = [parameter.type];
+    if (parameter.required) details.push("required");
+    if (parameter.in === "path" || parameter.in === "query") {
+      details.push(`${parameter.in} parameter`);
+    }
+    if (parameter.enum?.length) {
+      details.push(`one of: ${parameter.enum.join(", ")}`);
+    }
+
+    const line = `- ${prefix}${parameter.name} (${details.join(", ")})`;
+    return parameter.description ? `${line}: ${parameter.description}` : line;
+  }
+
+  // Flat metadata lists for a set of parameters or fields
+  parameterMetadata(parameters, keys, prefix = "") {
+    const name = (parameter) => `${prefix}${parameter.name}`;
+
+    return {
+      [keys.names]: parameters.map(name),
+      [keys.types]: parameters.map((p) => `${name(p)}:${p.type}`),
+      ...(keys.required && {
+        [keys.required]: parameters.filter((p) => p.required).map(name),
+      }),
+      enumValues: parameters
+        .flatMap((p) => (p.enum || []).map((value) => `${name(p)}=${value}`))
+        .slice(0, this.maxEnumValues),
+    };
+  }
+
+  // Split a list into parts of groupSize
+  partition(items) {
+    const parts = [];
+    for (let i = 0; i < items.length; i += this.groupSize) {
+      parts.push(items.slice(i, i + this.groupSize));
+    }
+    return parts;
+  }
+
+  endpointChunks(endpoint, resource) {
+    const label = `${endpoint.method} ${endpoint.path}`;
+    const base = {
+      apiResource: resource,
+      apiMethod: endpoint.method,
+      apiPath: endpoint.path,
+      ...(endpoint.operationId && { operationId: endpoint.operationId }),
+    };
+    const required = endpoint.parameters.filter((p) => p.required);
+    const keys = {
+      names: "parameters",
+      types: "parameterTypes",
+      required: "requiredParameters",
+    };
+
+    // Overview: what the endpoint does and which parameters it takes
+    const lines = [
+      `API reference: ${label}`,
+      endpoint.summary,
+      endpoint.description,
+      endpoint.parameters.length > 0 &&
+        `Parameters: ${endpoint.parameters.map((p) => p.name).join(", ")}`,
+      required.length > 0 &&
+        `Required parameters: ${required.map((p) => p.name).join(", ")}`,
+      endpoint.returns && `Returns: ${endpoint.returns}`,
+    ];
+    const chunks = [
+      {
+        text: lines.filter(Boolean).join("\n"),
+        metadata: {
+          ...base,
+          apiChunkType: "endpoint",
+          ...this.parameterMetadata(endpoint.parameters, keys),
+          ...(endpoint.returns && { returns: endpoint.returns }),
+        },
+      },
+    ];
+
+    // Top-level parameters, in parts
+    const parts = this.partition(endpoint.parameters);
+    parts.forEach((part, i) => {
+      const partLabel =
+        parts.length > 1 ? ` (part ${i + 1} of ${parts.length})` : "";
+      chunks.push({
+        text: [
+          `API reference: ${label} parameters${partLabel}`,
+          ...part.map((p) => this.describeParameter(p)),
+        ].join("\n"),
+        metadata: {
+          ...base,
+          apiChunkType: "parameters",
+          parameterGroup: "",
+          ...this.parameterMetadata(part, keys),
+        },
+      });
+    });
+
+    // One group per object parameter with its nested parameters
+    endpoint.parameters
+      .filter((parameter) => parameter.children?.length)
+      .forEach((parameter) => {
+        const prefix = `${parameter.name}.`;
+        this.partition(parameter.children).forEach((part) => {
+          chunks.push({
+            text: [
+              `API reference: ${label} parameter ${parameter.name}`,
+              parameter.description,
+              ...part.map((p) => this.describeParameter(p, prefix)),
+            ]
+              .filter(Boolean)
+              .join("\n"),
+            metadata: {
+              ...base,
+              apiChunkType: "parameters",
+              parameterGroup: parameter.name,
+              ...this.parameterMetadata(part, keys, prefix),
+            },
+          });
+        });
+      });
+
+    return chunks;
+  }
+
+  objectChunks(object, resource) {
+    const parts = this.partition(object.fields);
+    const keys = { names: "fields", types: "fieldTypes" };
+
+    return (parts.length > 0 ? parts : [[]]).map((part, i) => ({
+      text: [
+        `API reference: ${object.name} object` +
+          (parts.length > 1 ? ` (part ${i + 1} of ${parts.length})` : ""),
+        i === 0 && object.description,
+        part.length > 0 && "Fields:",
+        ...part.map((field) => this.describeParameter(field)),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      metadata: {
+        apiResource: resource,
+        apiChunkType: "object",
+        apiObject: object.name,
+        ...this.parameterMetadata(part, keys),
+      },
+    }));
+  }
+
+  // Structured chunks of a reference document ([{ text, metadata }], like
+  // the chunker's strategies)
+  toChunks(reference) {
+    return [
+      ...reference.endpoints.flatMap((endpoint) =>
+        this.endpointChunks(endpoint, reference.resource)
+      ),
+      ...reference.objects.flatMap((object) =>
+        this.objectChunks(object, reference.resource)
+      ),
+    ].map((chunk) => ({
+      text: chunk.text,
+      metadata: { ...chunk.metadata, chunkStrategy: "api_reference" },
+    }));
+  }
+
+  // Plain text of a reference document (used for hashing and word counts)
+  toText(reference) {
+    return this.toChunks(reference)
+      .map((chunk) => chunk.text)
+      .join("\n\n");
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiReferenceService();
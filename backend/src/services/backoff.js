@@ -0,0 +1,110 @@
+// src/services/backoff.js
+// Retry with exponential backoff for rate-limited APIs (embedding providers,
+// Pinecone). One AdaptiveBackoff is shared by all concurrent callers of an API:
+// when any call is rate limited, every caller pauses until the API recovers,
+// instead of each one sleeping a fixed time between requests
+
+// Network errors worth retrying (connection dropped, timed out, DNS hiccup)
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+// HTTP status of an error from axios, the Gemini SDK or the Pinecone client
+const getErrorStatus = (error) => {
+  const status =
+    error.response?.status ?? error.status ?? error.statusCode ?? null;
+  if (status) return Number(status);
+
+  // Some SDKs only put the status in the message, e.g. "[429 Too Many Requests]"
+  const match = /\b(429|5\d\d)\b/.exec(error.message || "");
+  return match ? Number(match[1]) : null;
+};
+
+// 429 (rate limited), 5xx (server trouble) and network errors are retried;
+// other errors (bad input, auth) fail straight away
+const isRetryableError = (error) => {
+  const status = getErrorStatus(error);
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+};
+
+// Delay requested by the server (Retry-After header, in seconds), if any
+const getRetryAfterMs = (error) => {
+  const retryAfter = error.response?.headers?.["retry-after"];
+  const seconds = parseFloat(retryAfter);
+  return isNaN(seconds) ? null : seconds * 1000;
+};
+
+class AdaptiveBackoff {
+  constructor({
+    name,
+    maxRetries = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 60000,
+  }) {
+    this.name = name;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+
+    // Shared pause: no call starts before this time
+    this.pausedUntil = 0;
+
+    this.stats = { calls: 0, retries: 0, rateLimited: 0 };
+  }
+
+  // Wait out a pause set by another caller
+  async waitForTurn() {
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  // Run fn, retrying retryable errors with exponential backoff and jitter
+  async run(fn, label = "") {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForTurn();
+      this.stats.calls++;
+
+      try {
+        return await fn();
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const status = getErrorStatus(error);
+        if (status === 429) this.stats.rateLimited++;
+        this.stats.retries++;
+
+        const backoff = Math.min(
+          this.maxDelayMs,
+          this.baseDelayMs * 2 ** attempt
+        );
+        const delay =
+          getRetryAfterMs(error) ?? backoff / 2 + Math.random() * (backoff / 2);
+
+        // Rate limits apply to the whole API, so pause every caller
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+
+        console.warn(
+          ` ${this.name}${label ? ` (${label})` : ""}: ${
+            status || error.code || error.message
+          } - retry ${attempt + 1}/${this.maxRetries} in ${Math.round(delay)}ms`
+        );
+      }
+    }
+  }
+}
+
+module.exports = {
+  AdaptiveBackoff,
+  isRetryableError,
+  getErrorStatus,
+};
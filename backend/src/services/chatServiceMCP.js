@@ -4,11 +4,15 @@
 // This is a clean, optimized version with no code duplication
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
-const vectorStoreService = require("./vectorStore");
-const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
-const {
-  StdioClientTransport,
-} = require("@modelcontextprotocol/sdk/client/stdio.js");
+const hybridSearchService = require("./hybridSearch");
+const rerankerService = require("./reranker");
+const queryRewriterService = require("./queryRewriter");
+const conversationMemoryService = require("./conversationMemory");
+const agentToolService = require("./agentTools");
+const citationService = require("./citations");
+const groundingService = require("./grounding");
+const mcpClientRegistry = require("./mcpClients");
+const { mcpClientConfig } = require("../config/mcpServers");
 require("dotenv").config();
 
 class ChatServiceMCP {
@@ -19,9 +23,13 @@ class ChatServiceMCP {
       model: "gemini-2.5-flash",
     });
 
-    // MCP Client configuration
-    this.mcpClient = null;
-    this.mcpConnected = false;
+    // Characters of an MCP tool result given to the model
+    this.maxToolResultChars = 8000;
+
+    // Answer when the documentation doesn't cover the question (also used
+    // when an answer fails the grounding check, see checkAnswer)
+    this.fallbackResponse =
+      "I apologize, but I don't have enough specific information in my records to answer that accurately. Would you like me to suggest how to contact Stripe's human support team?";
 
     // System prompt that guides AI behavior
     this.systemPrompt = `You are a Senior Stripe Support Specialist. Your goal is to provide clear, professional, and actionable solutions to user inquiries regarding Stripe services.
@@ -35,138 +43,447 @@ GUIDELINES:
 1. USE THE CONTEXT: You will be provided with specific snippets from the Stripe documentation. Base your answer ONLY on this information.
 2. PROBLEM SOLVING: If a user has a problem (e.g., a failing payment), explain the "Why" and then the "How to fix it" in simple steps.
 3. CODE & TECHNICALS: ONLY provide code snippets or API endpoint details if the user's query is clearly from a developer (e.g., asking about webhooks or API integration). For general users, stay with high-level dashboard instructions.
-4. HONESTY: If the matched documentation does not contain the answer, say: "I apologize, but I don't have enough specific information in my records to answer that accurately. Would you like me to suggest how to contact Stripe's human support team?"
-5. FORMATTING: Use clean Markdown. Use bolding for key terms and bullet points for steps to make it easy to read.`;
+4. HONESTY: If the matched documentation does not contain the answer, say: "${this.fallbackResponse}"
+5. FORMATTING: Use clean Markdown. Use bolding for key terms and bullet points for steps to make it easy to read.
+6. STRUCTURED CONTEXT: Documentation snippets are given in Markdown. Headings show which section a snippet belongs to, and fenced code blocks are complete code samples - when you reuse one, copy it exactly inside a fenced block with the same language tag.
+7. API REFERENCE: Sources labelled "API Reference" come from Stripe's API specification. Use them for exact endpoint paths, parameter names, types, required flags and allowed values, and prefer them over guide pages when the two disagree on those details.`;
+
+    // Agent mode: the model calls tools (see agentTools.js) until it can
+    // answer, within a budget of tool calls per question
+    this.agentMaxSteps = parseInt(process.env.AGENT_MAX_STEPS || "5");
+    this.agentPrompt = `${this.systemPrompt}
+
+TOOLS:
+You can call tools to research the question before answering. Search the documentation first; narrow searches with productArea or urlPrefix when the question is about one product, fetch a full page when a passage is not enough, look up error and decline codes with lookup_error_code, and list related pages to find follow-up material. Stop calling tools as soon as you have enough information, then answer. Base your answer ONLY on what the tools returned.
+
+CITATIONS: Every passage and page the tools return has a source number. Cite the sources you use with their numbers in square brackets, e.g. [1] or [2][3], right after the sentence or list item they support. Every factual statement needs at least one citation. Only cite source numbers the tools returned, and don't add a list of sources at the end.`;
   }
 
   /**
-   * Initialize MCP Client connection
-   * Sets up connection to MCP server for enhanced context capabilities
+   * Connect to the MCP servers in the configuration file (see mcpClients.js)
+   * Their tools are offered to the model while answering
    */
   async initializeMCP() {
-    try {
-      console.log("🔌 Initializing MCP client...");
-
-      // Create transport layer for MCP communication
-      const transport = new StdioClientTransport({
-        command: "npx",
-        args: ["-y", "@modelcontextprotocol/server-filesystem"],
-      });
-
-      // Initialize MCP client with configuration
-      this.mcpClient = new Client(
-        {
-          name: "stripe-support-agent",
-          version: "1.0.0",
-        },
-        {
-          capabilities: {
-            tools: {},
-            resources: {},
-          },
-        }
-      );
-
-      // Establish connection
-      await this.mcpClient.connect(transport);
-      this.mcpConnected = true;
-
-      // Log available tools
-      const tools = await this.mcpClient.listTools();
-      console.log("✅ MCP client connected");
-      console.log(
-        "📋 Available MCP tools:",
-        tools.tools.map((t) => t.name)
-      );
+    console.log("🔌 Connecting to MCP servers...");
+    await mcpClientRegistry.start();
+    return this.mcpConnected;
+  }
 
-      return true;
-    } catch (error) {
-      console.error("❌ MCP initialization failed:", error.message);
-      console.log("⚠️  Falling back to non-MCP mode");
-      this.mcpConnected = false;
-      return false;
-    }
+  // Whether at least one configured MCP server is connected
+  get mcpConnected() {
+    return mcpClientRegistry.isConnected();
   }
 
   /**
    * Main method to process user queries with MCP enhancement
-   * Flow: Vector Search → MCP Enhancement → LLM Generation
+   * Flow: Hybrid Search → Rerank → LLM Generation (with MCP server tools)
+   * → Citation + grounding check
    */
   async processQuery(userQuery, options = {}) {
     const {
       topK = 5,
       minScore = 0.5,
       conversationHistory = [],
+      memory = null, // Summary and facts of older messages (conversationMemory.js)
       useMCP = true,
+      searchMode, // "vector" | "keyword" | "hybrid" (default: SEARCH_MODE)
+      fusion, // "rrf" | "weighted" (default: SEARCH_FUSION)
+      rerank = true, // Only has an effect when a RERANKER is configured
+      rewrite = true, // Rewrite follow-ups into standalone queries (QUERY_REWRITE)
+      filters = null, // Parsed search filters (see searchFilters.js)
+      collections = null, // Collections to answer from (default: the default one)
+      agent = false, // Let the model call tools instead of a single search
     } = options;
 
+    if (agent) {
+      return await this.processAgentQuery(userQuery, options);
+    }
+
     try {
       console.log(`\n Processing query with MCP: "${userQuery}"`);
 
-      // Step 1: Search vector database for relevant chunks
-      const searchResults = await vectorStoreService.search(userQuery, topK);
+      // Steps 1-2: Rewrite, search, filter by score and rerank
+      const { contextChunks, searchResults, rerankInfo, queryRewrite } =
+        await this.retrieveChunks(userQuery, {
+          topK,
+          minScore,
+          searchMode,
+          fusion,
+          rerank,
+          filters,
+          collections,
+          conversationHistory,
+          rewrite,
+        });
+
+      // Step 3: Build context from the retrieved chunks
+      const context = this.buildContext(contextChunks);
+
+      // Step 4: Generate LLM response; tools of connected MCP servers are
+      // offered to the model, which may call a few before answering
+      let llmResponse;
+      let mcpToolCalls = [];
 
-      if (!searchResults.success) {
-        throw new Error("Vector search failed");
+      if (useMCP && this.mcpConnected) {
+        const generation = await this.runToolLoop({
+          prompt: this.buildPrompt(userQuery, context, conversationHistory, {
+            memory,
+          }),
+          declarations: mcpClientRegistry.getFunctionDeclarations(),
+          maxSteps: mcpClientConfig.maxToolCalls,
+          // Only MCP tools are declared here
+          execute: (name, args) =>
+            mcpClientRegistry.hasTool(name)
+              ? this.executeTool(name, args)
+              : agentToolService.failure(`Unknown tool: ${name}`),
+          fallback: () =>
+            this.generateResponse(userQuery, context, conversationHistory, {
+              memory,
+            }),
+        });
+        llmResponse = generation.text;
+        mcpToolCalls = generation.steps;
+      } else {
+        llmResponse = await this.generateResponse(
+          userQuery,
+          context,
+          conversationHistory,
+          { memory }
+        );
       }
 
-      // Step 2: Retrieve full chunk data from database
-      const relevantChunks = await vectorStoreService.getChunksForResults(
-        searchResults
+      // Step 5: Check citations and grounding; an answer the sources don't
+      // support is regenerated or replaced by the fallback answer
+      const answer = await this.checkAnswer(
+        userQuery,
+        llmResponse,
+        contextChunks,
+        { conversationHistory, memory }
       );
 
-      console.log(
-        "DEBUG: Pinecone scores:",
-        relevantChunks.map((c) => c.score)
-      );
+      // Step 6: Return complete response with metadata
+      return {
+        success: true,
+        response: answer.text,
+        sources: this.formatSources(answer.chunks),
+        metadata: {
+          chunksUsed: contextChunks.length,
+          citations: answer.citations,
+          grounding: answer.grounding,
+          averageScore: this.calculateAverageScore(contextChunks),
+          mcpUsed: mcpToolCalls.length > 0,
+          mcpToolCalls,
+          queryRewrite,
+          memory: memory ? memory.info : null,
+          searchMode: searchResults.mode,
+          fusion: searchResults.fusion,
+          rerank: rerankInfo,
+          filters,
+          collections: (collections || []).map(({ id, slug }) => ({
+            id,
+            slug,
+          })),
+          timestamp: new Date().toISOString(),
+        },
+      };
+    } catch (error) {
+      console.error("❌ Chat service error:", error.message);
+      return {
+        success: false,
+        error: error.message,
+        response:
+          "I apologize, but I encountered an error processing your question. Please try again.",
+      };
+    }
+  }
+
+  /**
+   * Retrieve the chunks to answer from
+   * Flow: Query rewrite → Hybrid Search (per sub-query) → Filter by min score
+   * → Rerank (when configured)
+   * Shared by processQuery and the streaming endpoint
+   * Follow-ups are condensed with the conversation history into standalone
+   * queries first (see queryRewriter.js); returned in queryRewrite
+   */
+  async retrieveChunks(userQuery, options = {}) {
+    const {
+      topK = 5,
+      minScore = 0.5,
+      searchMode,
+      fusion,
+      rerank = true,
+      filters = null,
+      collections = null,
+      conversationHistory = [],
+      rewrite = true, // Only has an effect when QUERY_REWRITE is enabled
+    } = options;
+
+    // Step 0: Turn the message into standalone search queries
+    const queryRewrite = rewrite
+      ? await queryRewriterService.rewrite(userQuery, conversationHistory)
+      : {
+          original: userQuery,
+          standalone: userQuery,
+          queries: [userQuery],
+          rewritten: false,
+        };
+
+    // Step 1: Search keyword index + vector database for relevant chunks
+    // (returns full chunk data from the database), once per sub-query
+    // With reranking, over-fetch candidates for the reranker to choose from
+    const useRerank = rerank && rerankerService.isEnabled();
+    const searches = await Promise.all(
+      queryRewrite.queries.map((query) =>
+        hybridSearchService.search(query, {
+          topK: useRerank ? rerankerService.getCandidateCount(topK) : topK,
+          ...(searchMode && { mode: searchMode }),
+          ...(fusion && { fusion }),
+          filters,
+          ...(collections && { collections }),
+        })
+      )
+    );
+
+    const failed = searches.find((search) => !search.success);
+    if (failed) {
+      throw new Error(`Search failed: ${failed.error}`);
+    }
 
-      // Filter by minimum similarity score
-      const filteredChunks = relevantChunks.filter(
-        (chunk) => chunk.score >= minScore
+    // Sub-query results are merged into one ranking
+    const searchResults = searches[0];
+    const relevantChunks =
+      searches.length > 1
+        ? hybridSearchService.mergeQueryResults(
+            searches.map((search) => search.results)
+          )
+        : searchResults.results;
+
+    console.log(
+      "DEBUG: Vector / keyword scores:",
+      relevantChunks.map((c) => [c.vectorScore, c.keywordScore])
+    );
+
+    // Step 2: Filter by minimum similarity score (keyword hits are kept)
+    const filteredChunks = relevantChunks.filter((chunk) =>
+      hybridSearchService.passesMinScore(chunk, minScore)
+    );
+    console.log(
+      `DEBUG: After filtering at ${minScore}: ${filteredChunks.length} chunks remain.`
+    );
+
+    // Step 2b: Rerank candidates against the (standalone) query and keep the
+    // best topK. Falls back to search order if the reranker fails
+    let contextChunks = filteredChunks.slice(0, topK);
+    let rerankInfo = { applied: false };
+
+    if (useRerank) {
+      const reranked = await rerankerService.rerank(
+        queryRewrite.standalone,
+        filteredChunks,
+        topK
       );
-      console.log(
-        `DEBUG: After filtering at ${minScore}: ${filteredChunks.length} chunks remain.`
+      rerankInfo = {
+        applied: reranked.success,
+        ...rerankerService.getRerankerInfo(),
+        candidates: filteredChunks.length,
+        ...(reranked.success
+          ? { ranks: reranked.ranks }
+          : { error: reranked.error }),
+      };
+      if (reranked.success) {
+        contextChunks = reranked.results;
+      }
+    }
+
+    return { contextChunks, searchResults, rerankInfo, queryRewrite };
+  }
+
+  /**
+   * Post-generation checks of an answer generated from chunks (buildPrompt):
+   * [n] citation markers are verified (citations.js), then the grounding
+   * check scores how well the chunks support it (grounding.js)
+   * Below GROUNDING_THRESHOLD the answer is regenerated once with stricter
+   * instructions (GROUNDING_ACTION=regenerate, unless regenerate is false)
+   * and replaced by the fallback answer with the best sources if it still
+   * fails. The original answer is kept in grounding.rejectedAnswer for review
+   * Returns { text, citations, chunks (the sources), grounding }
+   */
+  async checkAnswer(query, answer, chunks, options = {}) {
+    const {
+      conversationHistory = [],
+      memory = null,
+      regenerate = true,
+    } = options;
+    const verified = citationService.verify(answer, chunks.length);
+
+    if (!groundingService.isEnabled() || chunks.length === 0) {
+      return { ...verified, chunks, grounding: null };
+    }
+
+    const check = await groundingService.check(verified.text, chunks);
+    const grounding = {
+      ...groundingService.getCheckerInfo(),
+      score: check.score ?? null,
+      passed: check.success ? groundingService.passes(check) : null,
+      claims: check.claims || [],
+      action: "none",
+      ...(!check.success && { error: check.error }),
+    };
+
+    // A failed check keeps the answer (the error is recorded)
+    if (!check.success || grounding.passed) {
+      return { ...verified, chunks, grounding };
+    }
+
+    grounding.rejectedAnswer = verified.text;
+
+    if (regenerate && groundingService.action === "regenerate") {
+      console.log(" Answer not grounded, regenerating with stricter prompt");
+      const retry = citationService.verify(
+        await this.generateResponse(
+          query,
+          this.buildContext(chunks),
+          conversationHistory,
+          { strict: true, memory }
+        ),
+        chunks.length
       );
+      const retryCheck = await groundingService.check(retry.text, chunks);
+      grounding.retry = {
+        score: retryCheck.score ?? null,
+        claims: retryCheck.claims || [],
+        ...(!retryCheck.success && { error: retryCheck.error }),
+      };
+
+      if (groundingService.passes(retryCheck)) {
+        return {
+          ...retry,
+          chunks,
+          grounding: { ...grounding, action: "regenerated" },
+        };
+      }
+    }
 
-      // Step 3: Build context and enhance with MCP if available
-      let context = this.buildContext(filteredChunks);
-      let mcpUsed = false;
+    console.log(" Answer not grounded, returning the fallback answer");
+    const sources = chunks.slice(0, groundingService.fallbackSources);
+    return {
+      ...citationService.verify(this.fallbackResponse, sources.length),
+      chunks: sources,
+      grounding: { ...grounding, action: "fallback" },
+    };
+  }
 
-      if (useMCP && this.mcpConnected) {
-        const mcpContext = await this.getMCPContext(userQuery, filteredChunks);
-        if (mcpContext) {
-          context += "\n\nAdditional MCP Context:\n" + mcpContext;
-          mcpUsed = true;
-          console.log("✅ Enhanced with MCP context");
+  /**
+   * Agent mode: the model is given tools (search, fetch a page, look up an
+   * error code, list related pages) and calls them until it can answer, or
+   * until the step budget (tool calls) is spent; tools of connected MCP
+   * servers are offered too unless useMCP is false
+   * Every tool call is recorded in metadata.agent.steps for auditing
+   * Passages and pages the tools return are numbered in the order they
+   * come up; the answer cites them with [n] markers and goes through the
+   * same citation and grounding checks as regular answers (checkAnswer)
+   */
+  async processAgentQuery(userQuery, options = {}) {
+    const {
+      conversationHistory = [],
+      memory = null,
+      filters = null,
+      collections = null,
+      maxSteps,
+      useMCP = true,
+    } = options;
+    const budget = Math.min(
+      Math.max(parseInt(maxSteps) || this.agentMaxSteps, 1),
+      10
+    );
+
+    try {
+      console.log(`\n Processing query with agent: "${userQuery}"`);
+
+      // Chunks and fetched documents in source number order ([n] is
+      // sources[n - 1]), each given a number the first time a tool returns it
+      const sources = [];
+      const sourceNumbers = new Map(); // "chunk:<id>" | "document:<id>" -> n
+      const cite = (item) => {
+        const key =
+          item.chunkId !== undefined
+            ? `chunk:${item.chunkId}`
+            : `document:${item.id}`;
+        if (!sourceNumbers.has(key)) {
+          sources.push(item);
+          sourceNumbers.set(key, sources.length);
         }
-      }
+        return sourceNumbers.get(key);
+      };
+      const context = { collections, filters, cite };
+      const getContextChunks = () =>
+        sources.map((item) =>
+          item.chunkId !== undefined ? item : this.documentToChunk(item)
+        );
 
-      // Step 4: Generate LLM response with enhanced context
-      const llmResponse = await this.generateResponse(
-        userQuery,
-        context,
-        conversationHistory
+      // Built-in tools, plus the tools of connected MCP servers
+      const declarations = [
+        ...agentToolService.getDeclarations(),
+        ...(useMCP ? mcpClientRegistry.getFunctionDeclarations() : []),
+      ];
+
+      const { text, steps, budgetExhausted } = await this.runToolLoop({
+        systemInstruction: this.agentPrompt,
+        prompt: this.buildAgentPrompt(userQuery, conversationHistory, memory),
+        declarations,
+        maxSteps: budget,
+        execute: (name, args) => this.executeTool(name, args, context),
+        // The model kept calling tools: answer from what was gathered
+        // (buildContext numbers the sources in the same order)
+        fallback: () =>
+          this.generateResponse(
+            userQuery,
+            this.buildContext(getContextChunks()),
+            conversationHistory,
+            { memory }
+          ),
+      });
+
+      // Check citations and grounding against what the tools returned; an
+      // unsupported answer is regenerated from those sources or replaced by
+      // the fallback answer
+      const contextChunks = getContextChunks();
+      const answer = await this.checkAnswer(userQuery, text, contextChunks, {
+        conversationHistory,
+        memory,
+      });
+      const retrievedChunks = sources.filter(
+        (item) => item.chunkId !== undefined
       );
 
-      // Step 5: Return complete response with metadata
       return {
         success: true,
-        response: llmResponse,
-        sources: filteredChunks.map((chunk) => ({
-          title: chunk.source?.title || "Untitled",
-          url: chunk.source?.url || "",
-          score: chunk.score,
-          excerpt: chunk.chunkText.substring(0, 200) + "...",
-        })),
+        response: answer.text,
+        sources: this.formatSources(answer.chunks),
         metadata: {
-          chunksUsed: filteredChunks.length,
-          averageScore: this.calculateAverageScore(filteredChunks),
-          mcpUsed,
+          chunksUsed: retrievedChunks.length,
+          documentsUsed: contextChunks.length - retrievedChunks.length,
+          citations: answer.citations,
+          grounding: answer.grounding,
+          averageScore: this.calculateAverageScore(retrievedChunks),
+          mcpUsed: steps.some((step) => step.server),
+          memory: memory ? memory.info : null,
+          filters,
+          collections: (collections || []).map(({ id, slug }) => ({
+            id,
+            slug,
+          })),
+          agent: {
+            maxSteps: budget,
+            stepsUsed: steps.length,
+            budgetExhausted,
+            steps,
+          },
           timestamp: new Date().toISOString(),
         },
       };
     } catch (error) {
-      console.error("❌ Chat service error:", error.message);
+      console.error("❌ Agent error:", error.message);
       return {
         success: false,
         error: error.message,
@@ -177,46 +494,205 @@ GUIDELINES:
   }
 
   /**
-   * Get additional context using MCP tools
-   * Attempts to fetch enhanced context from external resources
+   * Let the model call tools (Gemini function calling) until it answers
+   * Each round answers every call the model made; calls past the budget get
+   * an error telling the model to stop, and if it still calls tools the
+   * fallback produces the answer instead
+   * execute(name, args) returns { response, summary } (see agentTools.js)
+   * Returns { text, steps, budgetExhausted }; steps is the audit trail
    */
+  async runToolLoop({
+    prompt,
+    declarations,
+    execute,
+    maxSteps,
+    fallback,
+    systemInstruction = null,
+  }) {
+    const model = this.genAI.getGenerativeModel({
+      model: "gemini-2.5-flash",
+      ...(systemInstruction && { systemInstruction }),
+      tools: [{ functionDeclarations: declarations }],
+    });
+    const chat = model.startChat();
 
-  async getMCPContext(query, chunks) {
-    if (!this.mcpClient || !this.mcpConnected) return null;
+    const steps = [];
+    let budgetExhausted = false;
+    let { response } = await chat.sendMessage(prompt);
 
-    try {
-      // 1. CHANGE: Look for "read_file" instead of "read_resource"
-      const mcpTool = "read_file";
+    while (response.functionCalls()?.length) {
+      if (steps.length >= maxSteps) {
+        budgetExhausted = true;
+        break;
+      }
 
-      const tools = await this.mcpClient.listTools();
-      const hasTool = tools.tools.some((t) => t.name === mcpTool);
+      const parts = [];
+      for (const call of response.functionCalls()) {
+        if (steps.length >= maxSteps) {
+          budgetExhausted = true;
+          parts.push({
+            functionResponse: {
+              name: call.name,
+              response: {
+                error:
+                  "Step budget exhausted. Answer with the information you already have.",
+              },
+            },
+          });
+          continue;
+        }
 
-      if (!hasTool) {
-        console.log(`⚠️ MCP ${mcpTool} tool not available`);
-        return null;
+        const startTime = Date.now();
+        const result = await execute(call.name, call.args || {});
+        console.log(` Tool step ${steps.length + 1}: ${call.name}`);
+
+        steps.push({
+          step: steps.length + 1,
+          tool: call.name,
+          ...(result.server && { server: result.server }),
+          args: call.args || {},
+          result: result.summary,
+          durationMs: Date.now() - startTime,
+        });
+        parts.push({
+          functionResponse: { name: call.name, response: result.response },
+        });
       }
 
-      // 2. Prepare the path.
-      // NOTE: server-filesystem needs a PATH on your computer, not a URL.
-      // If you want to read a local file:
-      const filePath = "path/to/your/local/stripe/docs/info.txt";
+      ({ response } = await chat.sendMessage(parts));
+    }
 
-      const result = await this.mcpClient.callTool({
-        name: mcpTool,
-        arguments: {
-          path: filePath, // Filesystem server uses 'path', not 'uri'
-        },
-      });
+    const text =
+      budgetExhausted && response.functionCalls()?.length
+        ? await fallback()
+        : response.text();
 
-      if (result.content && result.content.length > 0) {
-        return result.content[0].text;
-      }
-      return null;
+    return { text, steps, budgetExhausted };
+  }
+
+  /**
+   * Run a tool call: an MCP server tool (qualified "<server>__<tool>" name)
+   * or one of the built-in agent tools
+   */
+  async executeTool(name, args, context = {}) {
+    if (!mcpClientRegistry.hasTool(name)) {
+      return await agentToolService.execute(name, args, context);
+    }
+
+    try {
+      const result = await mcpClientRegistry.callTool(name, args);
+      return {
+        server: result.server,
+        response: {
+          content: result.text.substring(0, this.maxToolResultChars),
+          ...(result.isError && { error: "The tool reported an error" }),
+        },
+        chunks: [],
+        documents: [],
+        summary: {
+          tool: result.tool,
+          isError: result.isError,
+          characters: result.text.length,
+        },
+      };
     } catch (error) {
-      console.log("⚠️ MCP tool call failed:", error.message);
-      return null;
+      console.error(` MCP tool ${name} failed:`, error.message);
+      return agentToolService.failure(error.message);
     }
   }
+
+  /**
+   * First agent message: conversation memory, recent conversation plus the
+   * question
+   */
+  buildAgentPrompt(query, conversationHistory = [], memory = null) {
+    let prompt = "";
+
+    if (memory) {
+      prompt += `Earlier in this conversation:\n${memory.text}\n`;
+    }
+
+    if (conversationHistory.length > 0) {
+      prompt += "Previous conversation:\n";
+      conversationHistory
+        .slice(-conversationMemoryService.recentMessages)
+        .forEach((msg) => {
+          prompt += `${msg.role === "user" ? "User" : "Assistant"}: ${
+            msg.content
+          }\n`;
+        });
+      prompt += "\n";
+    }
+
+    prompt += `User question: ${query}`;
+    return prompt;
+  }
+
+  /**
+   * Describe where a chunk comes from: a guide page or the API reference
+   * (chunks of an ingested OpenAPI spec, see apiReference.js)
+   * API reference sources link to the reference docs when OPENAPI_DOCS_URL
+   * is set, and name the endpoint or object they describe
+   */
+  describeSource(chunk) {
+    const metadata = chunk.metadata || {};
+
+    if (metadata.sourceType !== "api_reference") {
+      return {
+        type: "guide",
+        title: chunk.source?.title || "Untitled",
+        url: chunk.source?.url || "",
+      };
+    }
+
+    return {
+      type: "api_reference",
+      title: metadata.apiObject
+        ? `${metadata.apiObject} object`
+        : metadata.apiMethod
+        ? `${metadata.apiMethod} ${metadata.apiPath}`
+        : chunk.source?.title || "API reference",
+      url: metadata.docsUrl || chunk.source?.url || "",
+      api: {
+        resource: metadata.apiResource || null,
+        method: metadata.apiMethod || null,
+        path: metadata.apiPath || null,
+        object: metadata.apiObject || null,
+        chunkType: metadata.apiChunkType || null,
+      },
+    };
+  }
+
+  /**
+   * Sources returned with an answer (and saved with the message)
+   */
+  formatSources(chunks) {
+    return chunks.map((chunk) => ({
+      ...this.describeSource(chunk),
+      score: chunk.vectorScore ?? chunk.score,
+      keywordScore: chunk.keywordScore ?? null,
+      rerankScore: chunk.rerankScore ?? null,
+      excerpt: chunk.chunkText.substring(0, 200) + "...",
+    }));
+  }
+
+  /**
+   * A document fetched by the agent, shaped like a chunk so it can be cited,
+   * listed and checked like one (its text is what the model was shown)
+   */
+  documentToChunk(document) {
+    return {
+      chunkText: (
+        document.markdownContent ||
+        document.cleanedContent ||
+        ""
+      ).substring(0, agentToolService.maxDocumentChars),
+      metadata: document.metadata,
+      source: document,
+      score: null,
+    };
+  }
+
   /**
    * Build formatted context string from retrieved chunks
    */
@@ -228,8 +704,9 @@ GUIDELINES:
     let context = "Relevant documentation from Stripe:\n\n";
 
     chunks.forEach((chunk, index) => {
-      const source = chunk.source?.title || "Documentation";
-      const url = chunk.source?.url || "";
+      const { type, title, url } = this.describeSource(chunk);
+      const source =
+        type === "api_reference" ? `API Reference - ${title}` : title;
 
       context += `[Source ${index + 1}: ${source}]\n`;
       if (url) {
@@ -245,9 +722,19 @@ GUIDELINES:
   /**
    * Generate response using Gemini LLM
    */
-  async generateResponse(query, context, conversationHistory = []) {
+  async generateResponse(
+    query,
+    context,
+    conversationHistory = [],
+    options = {}
+  ) {
     try {
-      const prompt = this.buildPrompt(query, context, conversationHistory);
+      const prompt = this.buildPrompt(
+        query,
+        context,
+        conversationHistory,
+        options
+      );
 
       console.log("🤖 Generating LLM response with MCP context...");
 
@@ -266,23 +753,39 @@ GUIDELINES:
   /**
    * Build complete prompt with system instructions, context, and history
    */
-  buildPrompt(query, context, conversationHistory) {
+  buildPrompt(query, context, conversationHistory, options = {}) {
     let prompt = `${this.systemPrompt}\n\n`;
 
     // Add documentation context
     prompt += `Context from documentation:\n${context}\n\n`;
 
-    // Add conversation history (last 5 messages)
+    // Add the summary and facts of older messages (see conversationMemory.js)
+    if (options.memory) {
+      prompt += `Earlier in this conversation:\n${options.memory.text}\n`;
+    }
+
+    // Add conversation history (last MEMORY_RECENT_MESSAGES messages)
     if (conversationHistory.length > 0) {
       prompt += "Previous conversation:\n";
-      conversationHistory.slice(-5).forEach((msg) => {
-        prompt += `${msg.role === "user" ? "User" : "Assistant"}: ${
-          msg.content
-        }\n`;
-      });
+      conversationHistory
+        .slice(-conversationMemoryService.recentMessages)
+        .forEach((msg) => {
+          prompt += `${msg.role === "user" ? "User" : "Assistant"}: ${
+            msg.content
+          }\n`;
+        });
       prompt += "\n";
     }
 
+    // Cite the numbered sources of the context (checked by citations.js)
+    prompt +=
+      "CITATIONS: Cite the sources you use with their numbers in square brackets, e.g. [1] or [2][3], right after the sentence or list item they support. Every factual statement needs at least one citation. Only cite the numbered sources above, and don't add a list of sources at the end.\n\n";
+
+    // Retry of an answer that failed the grounding check (see checkAnswer)
+    if (options.strict) {
+      prompt += `STRICT GROUNDING: A previous answer to this question made statements the documentation does not support. Only state what the sources above say explicitly, cite every statement, and leave out anything you cannot cite. If the sources do not answer the question, reply exactly: "${this.fallbackResponse}"\n\n`;
+    }
+
     // Add current user query
     prompt += `User question: ${query}\n\n`;
     prompt +=
@@ -296,24 +799,58 @@ GUIDELINES:
    */
   calculateAverageScore(chunks) {
     if (chunks.length === 0) return 0;
-    const sum = chunks.reduce((acc, chunk) => acc + chunk.score, 0);
+    // Similarity scores only; fused scores aren't on a comparable scale
+    const sum = chunks.reduce(
+      (acc, chunk) => acc + (chunk.vectorScore ?? chunk.score),
+      0
+    );
     return (sum / chunks.length).toFixed(3);
   }
 
   /**
    * Stream response in real-time (for streaming endpoints)
+   * Returns { stream, response }: stream yields partial responses, response
+   * resolves to the aggregated one (with usage) when generation ends
+   * Pass an AbortSignal to stop generating when the client goes away
+   * options are passed on to buildPrompt (e.g. memory)
    */
-  async streamResponse(query, context, conversationHistory = []) {
+  async streamResponse(
+    query,
+    context,
+    conversationHistory = [],
+    signal,
+    options = {}
+  ) {
     try {
-      const prompt = this.buildPrompt(query, context, conversationHistory);
-      const result = await this.chatModel.generateContentStream(prompt);
-      return result.stream;
+      const prompt = this.buildPrompt(
+        query,
+        context,
+        conversationHistory,
+        options
+      );
+      return await this.chatModel.generateContentStream(prompt, {
+        ...(signal && { signal }),
+      });
     } catch (error) {
       console.error("❌ Stream generation error:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Token usage of a (partial) Gemini response, as saved with messages
+   */
+  getTokenUsage(response) {
+    const usage = response?.usageMetadata;
+    if (!usage) return null;
+
+    return {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || 0,
+    };
+  }
+
   /**
    * Test both LLM and MCP connections
    */
@@ -324,12 +861,11 @@ GUIDELINES:
       result.response.text();
       console.log("✅ Chat LLM connection working");
 
-      // Test MCP connection if initialized
+      // Report MCP servers if connected
       if (this.mcpConnected) {
-        const tools = await this.mcpClient.listTools();
         console.log(
-          "✅ MCP connection working, tools available:",
-          tools.tools.length
+          "✅ MCP servers connected, tools available:",
+          mcpClientRegistry.getFunctionDeclarations().length
         );
       }
 
@@ -341,16 +877,14 @@ GUIDELINES:
   }
 
   /**
-   * Cleanup MCP connection on shutdown
+   * Cleanup MCP connections on shutdown
    */
   async cleanup() {
-    if (this.mcpClient && this.mcpConnected) {
-      try {
-        await this.mcpClient.close();
-        console.log("🔌 MCP client disconnected");
-      } catch (error) {
-        console.error("❌ MCP cleanup error:", error.message);
-      }
+    try {
+      await mcpClientRegistry.stop();
+      console.log("🔌 MCP servers disconnected");
+    } catch (error) {
+      console.error("❌ MCP cleanup error:", error.message);
     }
   }
 }
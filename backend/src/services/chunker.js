@@ -5,6 +5,8 @@
 const { RecursiveCharacterTextSplitter } = require("@langchain/textsplitters");
 const RawDocument = require("../models/RawDocument");
 const ChunkedDocument = require("../models/ChunkedDocument");
+const vectorIndexService = require("./vectorIndexes");
+const apiReferenceService = require("./apiReference");
 
 class ChunkerService {
   constructor() {
@@ -16,6 +18,49 @@ class ChunkerService {
       separators: ["\n\n", "\n", ". ", " ", ""], // Split at natural boundaries
       keepSeparator: false, // Don't include separators in chunks
     });
+
+    // Splitter for Markdown content: prefers heading and code fence
+    // boundaries and keeps separators so "## " markers survive in chunks
+    this.markdownSplitter = RecursiveCharacterTextSplitter.fromLanguage(
+      "markdown",
+      {
+        chunkSize: 1000,
+        chunkOverlap: 200,
+      }
+    );
+
+    // Chunking strategies that can be selected per run
+    // "recursive": fixed-size splitting (the original behaviour)
+    // "section":   split on Markdown headings, keep code blocks whole
+    this.strategies = ["recursive", "section"];
+    this.defaultStrategy = process.env.CHUNK_STRATEGY || "recursive";
+
+    // Section strategy limits
+    this.sectionOptions = {
+      maxChunkSize: 1000, // Sections larger than this are split further
+      minSectionSize: 100, // Smaller sections are merged into the next one
+    };
+  }
+
+  // Validate a strategy name, falling back to the default
+  resolveStrategy(strategy) {
+    const resolved = strategy || this.defaultStrategy;
+    if (!this.strategies.includes(resolved)) {
+      throw new Error(
+        `Unknown chunking strategy "${resolved}". ` +
+          `Use one of: ${this.strategies.join(", ")}`
+      );
+    }
+    return resolved;
+  }
+
+  // Pick the text to chunk: the Markdown rendition when the scraper
+  // produced one, otherwise the flattened cleaned text
+  getDocumentText(document) {
+    if (document.markdownContent) {
+      return { text: document.markdownContent, format: "markdown" };
+    }
+    return { text: document.cleanedContent, format: "text" };
   }
 
   // Create a custom splitter with specific parameters
@@ -44,9 +89,268 @@ class ChunkerService {
     }
   }
 
+  // Parse Markdown into sections, one per heading
+  // Headings inside fenced code blocks are ignored
+  parseSections(markdown) {
+    const sections = [];
+    const headingStack = [];
+    let current = { headingPath: [], lines: [] };
+    let fence = null;
+
+    for (const line of markdown.split("\n")) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (line.trim().startsWith(fence)) {
+          fence = null;
+        }
+        current.lines.push(line);
+        continue;
+      }
+
+      const headingMatch = !fence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (headingMatch) {
+        if (current.lines.join("").trim()) {
+          sections.push(current);
+        }
+
+        // Keep only ancestors of this heading, then add it
+        const level = headingMatch[1].length;
+        headingStack.length = level - 1;
+        headingStack[level - 1] = headingMatch[2].replace(/`/g, "");
+
+        current = {
+          headingPath: headingStack.filter(Boolean),
+          lines: [line],
+        };
+        continue;
+      }
+
+      current.lines.push(line);
+    }
+
+    if (current.lines.join("").trim()) {
+      sections.push(current);
+    }
+
+    return sections.map((section) => ({
+      headingPath: section.headingPath,
+      text: section.lines.join("\n").trim(),
+    }));
+  }
+
+  // Split a section's text into paragraph and code blocks
+  // Code blocks are returned as single atomic blocks
+  splitBlocks(text) {
+    const blocks = [];
+    let buffer = [];
+    let fence = null;
+
+    const flush = () => {
+      const block = buffer.join("\n").trim();
+      if (block) blocks.push({ text: block, isCode: false });
+      buffer = [];
+    };
+
+    for (const line of text.split("\n")) {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+
+      if (fence) {
+        buffer.push(line);
+        if (fenceMatch && line.trim().startsWith(fence)) {
+          blocks.push({ text: buffer.join("\n"), isCode: true });
+          buffer = [];
+          fence = null;
+        }
+      } else if (fenceMatch) {
+        flush();
+        fence = fenceMatch[1];
+        buffer.push(line);
+      } else if (line.trim() === "") {
+        flush();
+      } else {
+        buffer.push(line);
+      }
+    }
+
+    // An unterminated fence is still treated as code
+    if (fence) {
+      blocks.push({ text: buffer.join("\n"), isCode: true });
+    } else {
+      flush();
+    }
+
+    return blocks;
+  }
+
+  // Pack an oversized section into chunks no larger than maxChunkSize
+  // Code blocks are never broken, even if they exceed the limit;
+  // oversized prose blocks fall back to the recursive splitter
+  async splitSection(section, maxChunkSize) {
+    if (section.text.length <= maxChunkSize) {
+      return [section.text];
+    }
+
+    const chunks = [];
+    let current = "";
+
+    const flush = () => {
+      if (current.trim()) chunks.push(current.trim());
+      current = "";
+    };
+
+    for (const block of this.splitBlocks(section.text)) {
+      const candidate = current ? `${current}\n\n${block.text}` : block.text;
+
+      if (candidate.length <= maxChunkSize) {
+        current = candidate;
+        continue;
+      }
+
+      flush();
+
+      if (block.text.length <= maxChunkSize || block.isCode) {
+        current = block.text;
+      } else {
+        const pieces = await this.splitText(block.text, this.markdownSplitter);
+        chunks.push(...pieces.slice(0, -1));
+        current = pieces[pieces.length - 1] || "";
+      }
+    }
+
+    flush();
+    return chunks;
+  }
+
+  // Section-aware splitting of a Markdown document
+  // Returns [{ text, metadata: { headingPath, breadcrumb } }]
+  async splitBySections(markdown) {
+    const { maxChunkSize, minSectionSize } = this.sectionOptions;
+    const sections = this.parseSections(markdown);
+
+    // Merge tiny sections (e.g. a heading followed directly by a
+    // sub-heading) into the next one so they don't become empty chunks
+    const merged = [];
+    let carry = null;
+    for (const section of sections) {
+      const combined = carry
+        ? {
+            headingPath: section.headingPath,
+            text: `${carry.text}\n\n${section.text}`,
+          }
+        : section;
+
+      if (combined.text.length < minSectionSize) {
+        carry = combined;
+      } else {
+        merged.push(combined);
+        carry = null;
+      }
+    }
+    if (carry) merged.push(carry);
+
+    const pieces = [];
+    for (const section of merged) {
+      const breadcrumb = section.headingPath.join(" > ");
+      for (const text of await this.splitSection(section, maxChunkSize)) {
+        pieces.push({
+          text,
+          metadata: { headingPath: section.headingPath, breadcrumb },
+        });
+      }
+    }
+
+    console.log(
+      ` Split ${sections.length} sections into ${pieces.length} chunks`
+    );
+    return pieces;
+  }
+
+  // Split a document with the chosen strategy
+  // Returns [{ text, metadata }] so strategies can attach chunk metadata
+  async splitDocument(document, strategy) {
+    // API reference documents have their own structured chunks (one per
+    // endpoint, parameter group and object) whatever the strategy
+    if (document.metadata?.sourceType === "api_reference") {
+      const chunks = apiReferenceService.toChunks(
+        JSON.parse(document.rawContent)
+      );
+      console.log(` Split API reference into ${chunks.length} chunks`);
+      return chunks;
+    }
+
+    const { text, format } = this.getDocumentText(document);
+
+    console.log(
+      `📏 Content length: ${text.length} characters (${format}, ${strategy})`
+    );
+
+    // Section splitting needs headings; plain text falls back to recursive
+    if (strategy === "section" && format === "markdown") {
+      return await this.splitBySections(text);
+    }
+
+    const textChunks = await this.splitText(
+      text,
+      format === "markdown" ? this.markdownSplitter : null
+    );
+    return textChunks.map((chunkText) => ({ text: chunkText, metadata: {} }));
+  }
+
+  // Split a document and save its chunks into a chunk set
+  async createChunks(document, strategy, chunkSet) {
+    // Split the content into chunks
+    const textChunks = await this.splitDocument(document, strategy);
+
+    // Save each chunk to database
+    const savedChunks = [];
+    for (let i = 0; i < textChunks.length; i++) {
+      const { text: chunkText, metadata: strategyMetadata } = textChunks[i];
+
+      // Create chunk metadata (inherit from parent + add chunk-specific info)
+      const chunkMetadata = {
+        ...document.metadata,
+        sourceUrl: document.url,
+        sourceTitle: document.title,
+        chunkIndex: i,
+        totalChunks: textChunks.length,
+        documentId: document.id,
+        ...(document.collectionId && { collectionId: document.collectionId }),
+        contentFormat: document.markdownContent ? "markdown" : "text",
+        chunkStrategy: strategy,
+        ...strategyMetadata,
+      };
+
+      // Save chunk to database
+      const chunk = await ChunkedDocument.create({
+        rawDocumentId: document.id,
+        chunkText: chunkText,
+        chunkIndex: i,
+        chunkSize: chunkText.length,
+        chunkSet,
+        metadata: chunkMetadata,
+        embeddingStatus: "pending",
+        chunkedAt: new Date(),
+      });
+
+      savedChunks.push(chunk);
+    }
+
+    return savedChunks;
+  }
+
   // Process a single RawDocument: split and save chunks
-  async chunkDocument(documentId) {
+  // Chunks go to the active index's chunk set, using its chunking strategy
+  // unless one is given
+  // Options: { strategy: "recursive" | "section" }
+  async chunkDocument(documentId, options = {}) {
     try {
+      const activeIndex = vectorIndexService.getActive();
+      const strategy = this.resolveStrategy(
+        options.strategy || activeIndex.chunkStrategy
+      );
+
       // Fetch the raw document from database
       const document = await RawDocument.findByPk(documentId);
 
@@ -59,42 +363,23 @@ class ChunkerService {
         return { success: false, message: "Already processed" };
       }
 
-      console.log(`\n Processing document: ${document.title}`);
-      console.log(
-        `📏 Content length: ${document.cleanedContent.length} characters`
-      );
-
-      // Split the cleaned content into chunks
-      const textChunks = await this.splitText(document.cleanedContent);
-
-      // Save each chunk to database
-      const savedChunks = [];
-      for (let i = 0; i < textChunks.length; i++) {
-        const chunkText = textChunks[i];
-
-        // Create chunk metadata (inherit from parent + add chunk-specific info)
-        const chunkMetadata = {
-          ...document.metadata,
-          sourceUrl: document.url,
-          sourceTitle: document.title,
-          chunkIndex: i,
-          totalChunks: textChunks.length,
-          documentId: document.id,
+      // A changed document still has its old version's chunks (see
+      // refresher.js); chunking it now would leave both in the index
+      if (document.staleChunks) {
+        return {
+          success: false,
+          error:
+            "Chunks of the previous version are still stored; refresh the document (or upload the file again) to replace them",
         };
+      }
 
-        // Save chunk to database
-        const chunk = await ChunkedDocument.create({
-          rawDocumentId: document.id,
-          chunkText: chunkText,
-          chunkIndex: i,
-          chunkSize: chunkText.length,
-          metadata: chunkMetadata,
-          embeddingStatus: "pending",
-          chunkedAt: new Date(),
-        });
+      console.log(`\n Processing document: ${document.title}`);
 
-        savedChunks.push(chunk);
-      }
+      const savedChunks = await this.createChunks(
+        document,
+        strategy,
+        activeIndex.chunkSet
+      );
 
       // Mark the raw document as processed
       await document.markProcessed();
@@ -129,7 +414,10 @@ class ChunkerService {
   }
 
   // Process all pending documents
-  async chunkAllPending() {
+  // options.onProgress / options.shouldStop: per-document progress and
+  // cancellation hooks (same shape as scraperService.scrapeURLs)
+  async chunkAllPending(options = {}) {
+    const { onProgress = () => {}, shouldStop = async () => false } = options;
     console.log(" Starting to chunk all pending documents...\n");
 
     try {
@@ -150,18 +438,31 @@ class ChunkerService {
 
       // Process each document
       for (let i = 0; i < pendingDocs.length; i++) {
+        if (await shouldStop()) {
+          results.stopped = true;
+          break;
+        }
+
         const doc = pendingDocs[i];
         console.log(
           `\n[${i + 1}/${pendingDocs.length}] Processing document ID: ${doc.id}`
         );
 
-        const result = await this.chunkDocument(doc.id);
+        const result = await this.chunkDocument(doc.id, options);
 
         if (result.success) {
           results.successful.push(doc.id);
         } else {
           results.failed.push({ id: doc.id, error: result.error });
         }
+
+        await onProgress({
+          done: i + 1,
+          total: pendingDocs.length,
+          item: doc.url,
+          status: result.success ? "success" : "failed",
+          error: result.error,
+        });
       }
 
       console.log("\nChunking Summary:");
@@ -172,6 +473,7 @@ class ChunkerService {
         success: true,
         processed: results.successful.length,
         failed: results.failed.length,
+        stopped: Boolean(results.stopped),
         results,
       };
     } catch (error) {
@@ -183,25 +485,83 @@ class ChunkerService {
     }
   }
 
-  // Get statistics about chunks
+  // Chunk processed documents into a re-index's own chunk set
+  // (documents already in the set are skipped, so a rerun only catches up)
+  // hooks.onProgress / hooks.shouldStop: same shape as chunkAllPending
+  async chunkIntoSet(index, hooks = {}) {
+    const { onProgress = () => {}, shouldStop = async () => false } = hooks;
+
+    try {
+      const strategy = this.resolveStrategy(index.chunkStrategy);
+      const documents = await RawDocument.getMissingChunkSet(index.chunkSet);
+
+      console.log(
+        ` Chunking ${documents.length} documents into chunk set ` +
+          `"${index.chunkSet}" (${strategy})`
+      );
+
+      const results = { processed: 0, chunks: 0, failed: 0, stopped: false };
+
+      for (let i = 0; i < documents.length; i++) {
+        if (await shouldStop()) {
+          results.stopped = true;
+          break;
+        }
+
+        const document = documents[i];
+        let error = null;
+        try {
+          const chunks = await this.createChunks(
+            document,
+            strategy,
+            index.chunkSet
+          );
+          results.processed++;
+          results.chunks += chunks.length;
+        } catch (err) {
+          error = err.message;
+          results.failed++;
+        }
+
+        await onProgress({
+          done: i + 1,
+          total: documents.length,
+          item: document.url,
+          status: error ? "failed" : "success",
+          error,
+        });
+      }
+
+      return { success: true, ...results };
+    } catch (error) {
+      console.error(" Chunk set build failed:", error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Get statistics about chunks of the active index's chunk set
   async getChunkStats() {
     try {
-      const totalChunks = await ChunkedDocument.count();
-      const pendingChunks = await ChunkedDocument.count({
-        where: { embeddingStatus: "pending" },
-      });
-      const embeddedChunks = await ChunkedDocument.count({
-        where: { embeddingStatus: "embedded" },
-      });
-      const failedChunks = await ChunkedDocument.count({
-        where: { embeddingStatus: "failed" },
-      });
+      const { chunkSet } = vectorIndexService.getActive();
+      const count = (where = {}) =>
+        ChunkedDocument.count({ where: { chunkSet, ...where } });
+
+      const totalChunks = await count();
+      const pendingChunks = await count({ embeddingStatus: "pending" });
+      const embeddedChunks = await count({ embeddingStatus: "embedded" });
+      const failedChunks = await count({ embeddingStatus: "failed" });
+      const byStrategy = await ChunkedDocument.getStrategyStats(chunkSet);
 
       return {
+        chunkSet,
         total: totalChunks,
         pending: pendingChunks,
         embedded: embeddedChunks,
         failed: failedChunks,
+        byStrategy,
       };
     } catch (error) {
       console.error(" Failed to get chunk stats:", error.message);
@@ -211,7 +571,10 @@ class ChunkerService {
 
   // Get pending chunks for embedding
   async getPendingChunks(limit = 100) {
-    return await ChunkedDocument.getPendingEmbeddings(limit);
+    return await ChunkedDocument.getPendingEmbeddings(
+      limit,
+      vectorIndexService.getActive().chunkSet
+    );
   }
 }
 
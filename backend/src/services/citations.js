@@ -0,0 +1,139 @@
+// src/services/citations.js
+// This service checks the inline citations of generated answers
+// The prompt (see chatServiceMCP.buildPrompt) asks the model to cite the
+// numbered [Source n] blocks of the context with [n] markers after each claim
+// An answer is verified against the number of sources it was given:
+//   - markers that don't match a source are removed ("[1, 2]" becomes "[1][2]")
+//   - factual sentences without any marker are flagged as uncited
+// Code blocks and inline code are left alone ("items[0]" is not a citation)
+
+// One marker: [1] or [1, 2]
+const MARKER = /([ \t]*)\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const HAS_MARKER = /\[\d+(?:\s*,\s*\d+)*\]/;
+
+// Sentence boundary: after . ! or ? and the markers that follow it
+const SENTENCE_END = /(?<=[.!?](?:\s*\[[\d,\s]+\])*)\s+(?=[^\s[])/;
+
+// Fenced code blocks (possibly unterminated while streaming) and inline code
+const CODE = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/;
+
+// Sentences that talk to the user rather than state a fact
+const CONVERSATIONAL =
+  /^(I|I'm|I'd|I've|Would you|Let me|Feel free|Hope|Please let|Happy to)\b/i;
+
+class CitationService {
+  constructor() {
+    // Sentences shorter than this (in words) are not checked for citations
+    this.minFactualWords = 6;
+
+    // Characters of each uncited sentence kept in the report
+    this.maxSentenceChars = 200;
+  }
+
+  // Apply fn to the prose of a Markdown text, leaving code untouched
+  mapProse(text, fn) {
+    return text
+      .split(CODE)
+      .map((part, i) => (i % 2 === 1 ? part : fn(part)))
+      .join("");
+  }
+
+  // Whether a sentence states something that should be backed by a source
+  isFactual(sentence) {
+    const plain = sentence.replace(/[*_~>]/g, "").trim();
+    return (
+      plain.split(/\s+/).length >= this.minFactualWords &&
+      !/[?:]$/.test(plain) &&
+      !CONVERSATIONAL.test(plain)
+    );
+  }
+
+  // Sentences of the prose, one list item or paragraph line at a time
+  // A marker after the full stop belongs to the sentence before it
+  getSentences(text) {
+    const prose = text
+      .split(CODE)
+      .map((part, i) => {
+        if (i % 2 === 0) return part;
+        // Code blocks are dropped; inline code reads as a word
+        return part.startsWith("```") ? "\n" : "code";
+      })
+      .join("");
+
+    return prose
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !/^(#|\||-{3,})/.test(line))
+      .map((line) => line.replace(/^([-*+]|\d+[.)])\s+/, ""))
+      .flatMap((line) => line.split(SENTENCE_END))
+      .map((sentence) => sentence.trim())
+      .filter(Boolean);
+  }
+
+  // Factual sentences of an answer, without their markers
+  // (the claims checked by the grounding check, see grounding.js)
+  getClaims(text) {
+    return this.getSentences(text)
+      .map((sentence) => sentence.replace(MARKER, "").trim())
+      .filter((sentence) => this.isFactual(sentence));
+  }
+
+  /**
+   * Verify the citations of an answer generated from sourceCount sources
+   * Returns { text, citations }: the answer without invalid markers, and a
+   * report saved with the message metadata
+   */
+  verify(answer, sourceCount) {
+    const cited = new Set();
+    const invalid = new Set();
+    let markers = 0;
+
+    const text = this.mapProse(answer, (prose) =>
+      prose.replace(MARKER, (match, space, list) => {
+        const numbers = list.split(",").map((n) => parseInt(n));
+        const valid = numbers.filter((n) => n >= 1 && n <= sourceCount);
+
+        markers += numbers.length;
+        valid.forEach((n) => cited.add(n));
+        numbers
+          .filter((n) => !valid.includes(n))
+          .forEach((n) => invalid.add(n));
+
+        return valid.length > 0
+          ? space + valid.map((n) => `[${n}]`).join("")
+          : "";
+      })
+    );
+
+    const factual = this.getSentences(text).filter((sentence) =>
+      this.isFactual(sentence.replace(MARKER, ""))
+    );
+    const uncited = factual.filter((sentence) => !HAS_MARKER.test(sentence));
+
+    if (invalid.size > 0) {
+      console.log(
+        ` Removed citations of unknown sources: ${[...invalid].join(", ")}`
+      );
+    }
+
+    return {
+      text,
+      citations: {
+        markers,
+        sourcesCited: [...cited].sort((a, b) => a - b),
+        invalidMarkers: [...invalid].sort((a, b) => a - b),
+        factualSentences: factual.length,
+        uncitedSentences: uncited.map((sentence) =>
+          sentence.substring(0, this.maxSentenceChars)
+        ),
+        coverage:
+          factual.length > 0
+            ? parseFloat((1 - uncited.length / factual.length).toFixed(2))
+            : 1,
+      },
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CitationService();
@@ -0,0 +1,141 @@
+// src/services/collections.js
+// This service manages collections (separate knowledge bases) and maps them
+// to vector namespaces. Documents without a collection go to the default one;
+// search and chat use the default collection unless collection IDs are given
+
+const { Op } = require("sequelize");
+const Collection = require("../models/Collection");
+
+class CollectionService {
+  constructor() {
+    // Default collection (loaded by ensureDefault)
+    this.defaultCollection = null;
+
+    // collectionId -> namespace, filled as collections are used
+    this.namespaces = new Map();
+  }
+
+  // Create the default collection on first startup and adopt older documents
+  async ensureDefault() {
+    this.defaultCollection = await Collection.ensureDefault();
+    this.namespaces.set(
+      this.defaultCollection.id,
+      this.defaultCollection.namespace
+    );
+    return this.defaultCollection;
+  }
+
+  async getDefault() {
+    return this.defaultCollection || (await this.ensureDefault());
+  }
+
+  // Vector namespace of a collection (the default one's for null)
+  async getNamespace(collectionId = null) {
+    if (!collectionId) {
+      return (await this.getDefault()).namespace;
+    }
+
+    if (!this.namespaces.has(collectionId)) {
+      const collection = await Collection.findByPk(collectionId);
+      if (!collection) {
+        throw new Error(`Collection ${collectionId} not found`);
+      }
+      this.namespaces.set(collectionId, collection.namespace);
+    }
+    return this.namespaces.get(collectionId);
+  }
+
+  // Turn requested collection IDs into collection records
+  // No IDs means the default collection
+  // Returns { success, collections } or { success, error }
+  async resolve(collectionIds = null) {
+    if (collectionIds === null || collectionIds === undefined) {
+      return { success: true, collections: [await this.getDefault()] };
+    }
+
+    const ids = Array.isArray(collectionIds) ? collectionIds : [collectionIds];
+    if (ids.length === 0 || ids.some((id) => !Number.isInteger(Number(id)))) {
+      return {
+        success: false,
+        error: "collectionIds must be a non-empty array of collection IDs",
+      };
+    }
+
+    const collections = await Collection.findAll({ where: { id: ids } });
+    const missing = ids.filter(
+      (id) => !collections.some((collection) => collection.id === Number(id))
+    );
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `Collection not found: ${missing.join(", ")}`,
+      };
+    }
+
+    return { success: true, collections };
+  }
+
+  async findBySlug(slug) {
+    return await Collection.findOne({ where: { slug } });
+  }
+
+  // Create a collection
+  // definition: { name, slug, description }; slug defaults to the slugified name
+  async create({ name, slug, description = null }) {
+    if (!name || !name.trim()) {
+      return { success: false, error: "name is required" };
+    }
+
+    const finalSlug = (slug || name)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+    if (!/^[a-z0-9][a-z0-9-]{0,49}$/.test(finalSlug)) {
+      return {
+        success: false,
+        error: "slug must be 1-50 characters: lowercase letters, digits and -",
+      };
+    }
+
+    const duplicate = await Collection.findOne({
+      where: { [Op.or]: [{ slug: finalSlug }, { name: name.trim() }] },
+    });
+    if (duplicate) {
+      return {
+        success: false,
+        error: `Collection "${duplicate.name}" (${duplicate.slug}) already exists`,
+      };
+    }
+
+    const collection = await Collection.create({
+      name: name.trim(),
+      slug: finalSlug,
+      namespace: `kb-${finalSlug}`,
+      description,
+    });
+    this.namespaces.set(collection.id, collection.namespace);
+
+    console.log(` Created collection "${collection.name}" (${collection.slug})`);
+    return { success: true, collection };
+  }
+
+  // All collections with document / chunk counts
+  // chunkSet: chunks to count (the active index's)
+  async list(chunkSet = "default") {
+    const [collections, counts] = await Promise.all([
+      Collection.findAll({ order: [["id", "ASC"]] }),
+      Collection.getCounts(chunkSet),
+    ]);
+
+    const empty = { documents: 0, processed: 0, chunks: 0, embedded: 0 };
+    return collections.map((collection) => ({
+      ...collection.toJSON(),
+      counts: counts.get(collection.id) || empty,
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new CollectionService();
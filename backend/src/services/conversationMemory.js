@@ -0,0 +1,230 @@
+// src/services/conversationMemory.js
+// This service keeps the memory of long conversations
+// The model sees the last MEMORY_RECENT_MESSAGES messages verbatim; messages
+// older than that are folded by Gemini into a rolling summary and a list of
+// facts about the user's setup, saved on the conversation (memory column)
+// Updates run after an answer is saved, in the background and one at a time
+// per conversation; the next question waits for a running update
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { Op } = require("sequelize");
+const { memoryConfig } = require("../config/memory");
+const { Conversation, Message } = require("../models/Conversation");
+
+class ConversationMemoryService {
+  constructor() {
+    this.enabled = memoryConfig.enabled;
+    this.model = memoryConfig.model;
+    this.recentMessages = memoryConfig.recentMessages;
+    this.updateEvery = Math.max(memoryConfig.updateEvery, 1);
+    this.tokenBudget = memoryConfig.tokenBudget;
+    this.maxFacts = memoryConfig.maxFacts;
+
+    // Characters of each message given to the summarizer
+    this.maxMessageChars = 2000;
+
+    // Words of the rolling summary
+    this.maxSummaryWords = 150;
+
+    // Running updates: conversation id -> promise of the updated memory
+    this.pending = new Map();
+
+    this.genAI = new GoogleGenerativeAI(memoryConfig.geminiApiKey);
+    this.client = this.genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig: { responseMimeType: "application/json", temperature: 0 },
+    });
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  // Rough token count (about 4 characters per token for English text)
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Memory to add to the prompt, within MEMORY_TOKEN_BUDGET
+   * Facts come first; the summary is cut at a sentence to fit what is left
+   * Returns { text, info } (info is saved with the answer's metadata), or
+   * null when disabled or nothing has been summarized yet
+   */
+  async getContext(conversation) {
+    if (!this.enabled) return null;
+
+    const pending = this.pending.get(conversation.id);
+    const memory = pending ? await pending : conversation.memory;
+    if (!memory || (!memory.summary && memory.facts.length === 0)) {
+      return null;
+    }
+
+    let text = "";
+    let remaining = this.tokenBudget;
+    let truncated = false;
+
+    const facts = [];
+    for (const fact of memory.facts) {
+      const line = `- ${fact}\n`;
+      if (this.estimateTokens(line) > remaining) {
+        truncated = true;
+        break;
+      }
+      facts.push(line);
+      remaining -= this.estimateTokens(line);
+    }
+    if (facts.length > 0) {
+      text += `Facts about the user's setup:\n${facts.join("")}`;
+    }
+
+    if (memory.summary) {
+      let summary = memory.summary;
+      if (this.estimateTokens(summary) > remaining) {
+        summary = summary.substring(0, remaining * 4);
+        const end = summary.search(/[.!?][^.!?]*$/);
+        summary = end > 0 ? summary.substring(0, end + 1) : "";
+        truncated = true;
+      }
+      if (summary) {
+        text += `Summary of the earlier conversation: ${summary}\n`;
+      }
+    }
+
+    if (!text) return null;
+
+    return {
+      text,
+      info: {
+        facts: facts.length,
+        totalFacts: memory.facts.length,
+        summarizedMessages: memory.summarizedMessages,
+        tokens: this.estimateTokens(text),
+        truncated,
+      },
+    };
+  }
+
+  /**
+   * Fold messages that left the history window into the memory
+   * Runs after the previous update of the same conversation; errors are
+   * logged and leave the memory as it was
+   * Returns a promise of the (possibly unchanged) memory
+   */
+  update(conversation) {
+    if (!this.enabled) return Promise.resolve(null);
+
+    const id = conversation.id;
+    const previous = this.pending.get(id) || Promise.resolve();
+    const update = previous
+      .then(() => this.refresh(id))
+      .catch((error) => {
+        console.error(" Conversation memory update failed:", error.message);
+        return conversation.memory;
+      });
+
+    this.pending.set(id, update);
+    update.finally(() => {
+      if (this.pending.get(id) === update) this.pending.delete(id);
+    });
+
+    return update;
+  }
+
+  // Summarize once updateEvery messages older than the window have built up
+  async refresh(conversationId) {
+    // Read the saved memory: the caller's copy may predate the last update
+    const conversation = await Conversation.findByPk(conversationId, {
+      attributes: ["id", "memory"],
+    });
+    const memory = conversation.memory || {
+      summary: "",
+      facts: [],
+      summarizedMessages: 0,
+      lastMessageId: null,
+    };
+
+    const messages = await Message.findAll({
+      where: {
+        conversationId,
+        ...(memory.lastMessageId && { id: { [Op.gt]: memory.lastMessageId } }),
+      },
+      order: [["created_at", "ASC"]],
+    });
+    const older = messages.slice(
+      0,
+      Math.max(messages.length - this.recentMessages, 0)
+    );
+
+    if (older.length < this.updateEvery) {
+      return conversation.memory;
+    }
+
+    const startTime = Date.now();
+    const result = await this.client.generateContent(
+      this.buildPrompt(memory, older)
+    );
+    const parsed = JSON.parse(result.response.text());
+
+    conversation.memory = {
+      summary:
+        typeof parsed?.summary === "string"
+          ? parsed.summary.trim()
+          : memory.summary,
+      facts: Array.isArray(parsed?.facts)
+        ? [
+            ...new Set(
+              parsed.facts
+                .filter((fact) => typeof fact === "string" && fact.trim())
+                .map((fact) => fact.trim())
+            ),
+          ].slice(0, this.maxFacts)
+        : memory.facts,
+      summarizedMessages: memory.summarizedMessages + older.length,
+      lastMessageId: older[older.length - 1].id,
+      updatedAt: new Date().toISOString(),
+    };
+    await conversation.save();
+
+    console.log(
+      ` Conversation memory updated in ${Date.now() - startTime}ms: ` +
+        `${older.length} messages folded, ` +
+        `${conversation.memory.facts.length} facts`
+    );
+
+    return conversation.memory;
+  }
+
+  buildPrompt(memory, messages) {
+    const transcript = messages
+      .map(
+        (msg) =>
+          `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content.substring(
+            0,
+            this.maxMessageChars
+          )}`
+      )
+      .join("\n\n");
+    const facts = memory.facts.map((fact) => `- ${fact}`).join("\n");
+
+    return `You maintain the memory of a Stripe support conversation. Older messages are dropped from the conversation, so anything a later answer may depend on has to be kept in the memory.
+
+Current summary:
+${memory.summary || "(none)"}
+
+Current facts:
+${facts || "(none)"}
+
+Messages to add:
+${transcript}
+
+Update the memory with the messages:
+- summary: the whole conversation so far in at most ${this.maxSummaryWords} words: what the user is trying to do, what was tried or suggested, what was resolved and what is still open.
+- facts: short standalone facts about the user's account, integration and setup stated by the user, e.g. "Uses Connect Express accounts" or "API version 2023-10-16": products and account types, API versions, languages and libraries, IDs, error codes they hit, decisions made. Keep the current facts unless the messages contradict them (then replace them), don't repeat facts, and keep at most ${this.maxFacts}, dropping the least useful.
+
+Respond with JSON: {"summary": "<summary>", "facts": ["<fact>", ...]}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new ConversationMemoryService();
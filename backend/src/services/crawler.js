@@ -0,0 +1,366 @@
+// src/services/crawler.js
+// This service discovers documentation pages by crawling from seed URLs or a sitemap
+// Follows same-domain links up to a depth limit, honours robots.txt,
+// and stores every discovered page as a RawDocument via the scraper service
+
+const cheerio = require("cheerio");
+const axios = require("axios");
+const scraperService = require("./scraper");
+const collectionService = require("./collections");
+const RawDocument = require("../models/RawDocument");
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36";
+
+class CrawlerService {
+  constructor() {
+    // Parsed robots.txt rules cached per origin
+    this.robotsCache = new Map();
+
+    // Default crawl settings (can be overridden per run)
+    this.defaults = {
+      maxDepth: 2, // How many link hops to follow from a seed
+      maxPages: 50, // Hard cap on pages fetched in one run
+      sameDomain: true, // Only follow links on the seed hostnames
+      respectRobots: true, // Skip URLs disallowed by robots.txt
+      include: [], // Regex strings - URL must match at least one (if set)
+      exclude: [], // Regex strings - URL must match none
+      delayMs: 1000, // Delay between requests to avoid rate limiting
+      usePuppeteer: false,
+      collectionId: null, // Collection new pages go to (default if null)
+    };
+  }
+
+  // Normalize a URL so the same page is not crawled twice
+  // Drops hash fragments, query strings and trailing slashes
+  normalizeURL(url, base = undefined) {
+    try {
+      const parsed = new URL(url, base);
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        return null;
+      }
+      parsed.hash = "";
+      parsed.search = "";
+      let normalized = parsed.toString();
+      if (normalized.endsWith("/") && parsed.pathname !== "/") {
+        normalized = normalized.slice(0, -1);
+      }
+      return normalized;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Extract absolute links from a page
+  extractLinks(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const links = new Set();
+
+    $("a[href]").each((i, el) => {
+      const href = $(el).attr("href");
+      if (!href || href.startsWith("mailto:") || href.startsWith("#")) {
+        return;
+      }
+      const normalized = this.normalizeURL(href, pageUrl);
+      if (normalized) {
+        links.add(normalized);
+      }
+    });
+
+    return [...links];
+  }
+
+  // Skip links to binary assets we can't turn into text
+  isHtmlCandidate(url) {
+    const { pathname } = new URL(url);
+    return !/\.(png|jpe?g|gif|svg|webp|ico|pdf|zip|gz|mp4|mp3|css|js|json|xml|woff2?)$/i.test(
+      pathname
+    );
+  }
+
+  // Check include/exclude patterns
+  matchesPatterns(url, include = [], exclude = []) {
+    if (exclude.some((pattern) => new RegExp(pattern).test(url))) {
+      return false;
+    }
+    if (include.length === 0) {
+      return true;
+    }
+    return include.some((pattern) => new RegExp(pattern).test(url));
+  }
+
+  // Parse robots.txt into allow/disallow rules for our user agent
+  // Only the "*" group is honoured since we don't send a named crawler agent
+  parseRobots(text) {
+    const rules = [];
+    const sitemaps = [];
+    let appliesToUs = false;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      if (!line) return;
+
+      const separator = line.indexOf(":");
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === "user-agent") {
+        // Consecutive user-agent lines belong to the same group
+        appliesToUs = (lastWasAgent && appliesToUs) || value === "*";
+        lastWasAgent = true;
+        return;
+      }
+      lastWasAgent = false;
+
+      if (field === "sitemap") {
+        sitemaps.push(value);
+      } else if (appliesToUs && (field === "allow" || field === "disallow")) {
+        if (value) {
+          rules.push({ allow: field === "allow", path: value });
+        }
+      }
+    });
+
+    return { rules, sitemaps };
+  }
+
+  // Fetch (and cache) robots.txt for a URL's origin
+  async getRobots(url) {
+    const { origin } = new URL(url);
+
+    if (!this.robotsCache.has(origin)) {
+      let robots = { rules: [], sitemaps: [] };
+      try {
+        const response = await axios.get(`${origin}/robots.txt`, {
+          timeout: 10000,
+          headers: { "User-Agent": USER_AGENT },
+          responseType: "text",
+        });
+        robots = this.parseRobots(String(response.data));
+      } catch (error) {
+        // Missing robots.txt means everything is allowed
+        console.log(`  No robots.txt for ${origin}`);
+      }
+      this.robotsCache.set(origin, robots);
+    }
+
+    return this.robotsCache.get(origin);
+  }
+
+  // Convert a robots.txt path pattern (supports * and $) to a RegExp
+  robotsPatternToRegex(path) {
+    const escaped = path
+      .replace(/[.+?^{}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*");
+    return new RegExp(`^${escaped}`);
+  }
+
+  // Longest matching rule wins; allow wins ties
+  async isAllowedByRobots(url) {
+    const { rules } = await this.getRobots(url);
+    const { pathname } = new URL(url);
+
+    let best = null;
+    for (const rule of rules) {
+      if (!this.robotsPatternToRegex(rule.path).test(pathname)) continue;
+      if (
+        !best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)
+      ) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+
+  // Read all page URLs from a sitemap (follows nested sitemap indexes)
+  async fetchSitemap(sitemapUrl, visited = new Set()) {
+    if (visited.has(sitemapUrl)) {
+      return [];
+    }
+    visited.add(sitemapUrl);
+
+    console.log(` Reading sitemap: ${sitemapUrl}`);
+
+    try {
+      const response = await axios.get(sitemapUrl, {
+        timeout: 15000,
+        headers: { "User-Agent": USER_AGENT },
+        responseType: "text",
+      });
+
+      const $ = cheerio.load(String(response.data), { xmlMode: true });
+      const urls = [];
+
+      // Sitemap index: recurse into each child sitemap
+      const childSitemaps = $("sitemap > loc")
+        .map((i, el) => $(el).text().trim())
+        .get();
+      for (const child of childSitemaps) {
+        urls.push(...(await this.fetchSitemap(child, visited)));
+      }
+
+      $("url > loc").each((i, el) => {
+        const normalized = this.normalizeURL($(el).text().trim());
+        if (normalized) {
+          urls.push(normalized);
+        }
+      });
+
+      return urls;
+    } catch (error) {
+      console.error(` Failed to read sitemap ${sitemapUrl}:`, error.message);
+      return [];
+    }
+  }
+
+  // Get page HTML: reuse the stored copy for URLs known in the collection,
+  // otherwise scrape and store
+  async visit(url, usePuppeteer, collectionId = null) {
+    const targetId = collectionId || (await collectionService.getDefault()).id;
+    const existing = await RawDocument.findOne({
+      where: { url, collectionId: targetId },
+    });
+    if (existing) {
+      return { status: "skipped", html: existing.rawContent };
+    }
+
+    const { html, etag, lastModified } = await scraperService.fetchHTML(
+      url,
+      usePuppeteer
+    );
+    const { document, wordCount } = await scraperService.saveDocument(
+      url,
+      html,
+      { collectionId: targetId, etag, lastModified }
+    );
+    console.log(` Stored: ${url} (${wordCount} words)`);
+
+    return { status: "stored", html, documentId: document.id };
+  }
+
+  // Crawl starting from seeds and/or a sitemap
+  // Breadth-first so shallow pages are stored before deep ones
+  async crawl(options = {}) {
+    const config = { ...this.defaults, ...options };
+    const {
+      seeds = [],
+      sitemapUrl = null,
+      onProgress = () => {}, // ({ done, total, item, status, error }) per page
+      shouldStop = async () => false, // Checked before each page
+    } = config;
+
+    console.log(" Starting crawl...");
+
+    const results = {
+      successful: [],
+      failed: [],
+      skipped: [],
+      blocked: [],
+    };
+
+    // Build the initial queue from seeds and sitemap entries
+    const startUrls = seeds.map((url) => this.normalizeURL(url)).filter(Boolean);
+    if (sitemapUrl) {
+      startUrls.push(...(await this.fetchSitemap(sitemapUrl)));
+    }
+
+    if (startUrls.length === 0) {
+      return {
+        success: false,
+        error: "At least one seed URL or a sitemap URL is required",
+      };
+    }
+
+    // Hostnames we are allowed to stay on
+    const allowedHosts = new Set(startUrls.map((url) => new URL(url).hostname));
+
+    const queue = startUrls.map((url) => ({ url, depth: 0 }));
+    const seen = new Set(startUrls);
+    let fetched = 0;
+
+    // total is an upper bound: the crawl stops at maxPages
+    const report = (item, status, error) =>
+      onProgress({ done: fetched, total: config.maxPages, item, status, error });
+
+    while (queue.length > 0 && fetched < config.maxPages) {
+      if (await shouldStop()) {
+        results.stopped = true;
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+
+      if (!this.matchesPatterns(url, config.include, config.exclude)) {
+        continue;
+      }
+
+      if (config.respectRobots && !(await this.isAllowedByRobots(url))) {
+        console.log(` Blocked by robots.txt: ${url}`);
+        results.blocked.push(url);
+        await report(url, "blocked");
+        continue;
+      }
+
+      console.log(`\n[${fetched + 1}/${config.maxPages}] depth ${depth}: ${url}`);
+
+      let page;
+      try {
+        page = await this.visit(url, config.usePuppeteer, config.collectionId);
+      } catch (error) {
+        console.error(` Failed to crawl ${url}:`, error.message);
+        results.failed.push({ url, error: error.message });
+        fetched++;
+        await report(url, "failed", error.message);
+        continue;
+      }
+
+      if (page.status === "skipped") {
+        results.skipped.push(url);
+        await report(url, "skipped");
+      } else {
+        results.successful.push(url);
+        fetched++;
+        await report(url, "success");
+      }
+
+      // Queue links from this page for the next depth level
+      if (depth < config.maxDepth) {
+        for (const link of this.extractLinks(page.html, url)) {
+          if (seen.has(link)) continue;
+          if (config.sameDomain && !allowedHosts.has(new URL(link).hostname)) {
+            continue;
+          }
+          if (!this.isHtmlCandidate(link)) continue;
+
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        }
+      }
+
+      // Add delay to avoid rate limiting (only after real fetches)
+      if (page.status === "stored" && queue.length > 0) {
+        await new Promise((resolve) => setTimeout(resolve, config.delayMs));
+      }
+    }
+
+    console.log("\n Crawl Summary:");
+    console.log(`Successful: ${results.successful.length}`);
+    console.log(`  Skipped: ${results.skipped.length}`);
+    console.log(`  Blocked: ${results.blocked.length}`);
+    console.log(` Failed: ${results.failed.length}`);
+
+    return {
+      success: true,
+      discovered: seen.size,
+      results,
+    };
+  }
+}
+
+module.exports = new CrawlerService();
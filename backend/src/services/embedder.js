@@ -1,38 +1,160 @@
 // src/services/embedder.js
-// This service generates embeddings using Google's Gemini API
+// This service generates embeddings through the configured provider
+// (Gemini, an OpenAI-compatible endpoint, or a local in-process model)
 // Embeddings convert text into vector representations for semantic search
+// Chunk embeddings are cached by model + text hash (see models/EmbeddingCache.js)
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const crypto = require("crypto");
 const ChunkedDocument = require("../models/ChunkedDocument");
-require("dotenv").config();
+const EmbeddingCache = require("../models/EmbeddingCache");
+const { embeddingConfig, PROVIDER_DEFAULTS } = require("../config/embedding");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const { AdaptiveBackoff } = require("./backoff");
 
 class EmbedderService {
-  constructor() {
-    // Initialize Gemini AI client
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-    // Use the text embedding model
-    // 'text-embedding-004' produces 768-dimensional vectors
-    this.model = this.genAI.getGenerativeModel({
-      model: "text-embedding-004",
+  // config defaults to the environment (see config/embedding.js);
+  // other models get their own instance through forIndex()
+  constructor(config = embeddingConfig) {
+    // Provider selected by EMBEDDING_PROVIDER (see config/embedding.js)
+    this.provider = createEmbeddingProvider(config);
+
+    // Expected vector size - also used when creating the Pinecone index
+    this.dimension = config.dimension;
+
+    // Texts per provider batch request and batches run in parallel
+    this.batchSize = config.batchSize;
+    this.concurrency = config.concurrency;
+
+    // Shared by every call, so a 429 slows all concurrent batches down
+    this.backoff = new AdaptiveBackoff({
+      name: `${this.provider.name} embeddings`,
+      maxRetries: config.maxRetries,
     });
 
-    // Batch size for embedding (to avoid rate limits)
-    this.batchSize = 10;
+    // Cache entries are only valid for the exact provider, model and size
+    this.cacheEnabled = config.cache;
+    this.cacheModel = [
+      this.provider.name,
+      this.provider.model,
+      this.dimension,
+    ].join("/");
+    this.cacheCounts = { hits: 0, misses: 0 }; // Since this process started
+
+    // Instances for other models, keyed like cacheModel
+    this.instances = new Map([[this.cacheModel, this]]);
   }
 
+  // Embedder for a vector index's model (see services/vectorIndexes.js)
+  // Re-index builds and the active index may use a model other than the
+  // environment's; API keys and batching settings are shared
+  forIndex(index) {
+    const key = [
+      index.embeddingProvider,
+      index.embeddingModel,
+      index.dimension,
+    ].join("/");
+
+    if (!this.instances.has(key)) {
+      const defaults = PROVIDER_DEFAULTS[index.embeddingProvider];
+      this.instances.set(
+        key,
+        new EmbedderService({
+          ...embeddingConfig,
+          provider: index.embeddingProvider,
+          model: index.embeddingModel,
+          dimension: index.dimension,
+          // Ask for the index's size when it isn't the model's default
+          dimensionOverridden:
+            index.embeddingModel !== defaults?.model ||
+            index.dimension !== defaults?.dimension,
+        })
+      );
+    }
+    return this.instances.get(key);
+  }
+
+  // ============================================
+  // EMBEDDING CACHE
+  // ============================================
+
+  hashText(text) {
+    return crypto.createHash("sha256").update(text || "").digest("hex");
+  }
+
+  // Cached embeddings for the given hashes (Map hash -> embedding)
+  // A cache outage never blocks embedding: it just counts as misses
+  async getCached(hashes) {
+    if (!this.cacheEnabled) return new Map();
+
+    try {
+      const found = await EmbeddingCache.lookup(this.cacheModel, hashes);
+      this.cacheCounts.hits += found.size;
+      this.cacheCounts.misses += hashes.length - found.size;
+      return found;
+    } catch (error) {
+      console.error(" Embedding cache lookup failed:", error.message);
+      return new Map();
+    }
+  }
+
+  // Store fresh embeddings: [{ contentHash, embedding }]
+  async saveToCache(entries) {
+    if (!this.cacheEnabled) return;
+
+    try {
+      await EmbeddingCache.store(this.cacheModel, entries);
+    } catch (error) {
+      console.error(" Embedding cache write failed:", error.message);
+    }
+  }
+
+  // Hit rates: persistent totals per model plus this process's counters
+  async getCacheStats() {
+    const models = (await EmbeddingCache.getStats()).map((row) => ({
+      ...row,
+      // Each entry was one provider call; hits are the calls saved since
+      hitRate:
+        row.hits + row.entries > 0 ? row.hits / (row.hits + row.entries) : 0,
+    }));
+
+    const { hits, misses } = this.cacheCounts;
+    return {
+      enabled: this.cacheEnabled,
+      model: this.cacheModel,
+      models,
+      session: {
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+      },
+    };
+  }
+
+  // ============================================
+  // EMBEDDING
+  // ============================================
+
   // Generate embedding for a single text
-  async embedText(text) {
+  // The cache is checked first unless useCache is false
+  async embedText(text, { useCache = true } = {}) {
     try {
-      // Call Gemini API to generate embedding
-      const result = await this.model.embedContent(text);
+      const contentHash = this.hashText(text);
+
+      if (useCache) {
+        const cached = await this.getCached([contentHash]);
+        if (cached.has(contentHash)) {
+          return cached.get(contentHash);
+        }
+      }
 
-      // Extract the embedding vector
-      const embedding = result.embedding.values;
+      // Call the provider to generate embedding (retried on 429 / 5xx)
+      const embedding = await this.backoff.run(() => this.provider.embed(text));
 
       // Verify embedding dimension
-      if (embedding.length !== 768) {
-        throw new Error(`Unexpected embedding dimension: ${embedding.length}`);
+      this.checkDimension(embedding);
+
+      if (useCache) {
+        await this.saveToCache([{ contentHash, embedding }]);
       }
 
       return embedding;
@@ -42,12 +164,67 @@ class EmbedderService {
     }
   }
 
+  // Every vector must match the index dimension or upserts will fail
+  checkDimension(embedding) {
+    if (embedding.length !== this.dimension) {
+      throw new Error(
+        `Unexpected embedding dimension: ${embedding.length} ` +
+          `(expected ${this.dimension} for ${this.provider.name}/${this.provider.model})`
+      );
+    }
+  }
+
+  // Generate embeddings for up to batchSize texts in one provider request
+  // Cached texts are skipped; only the rest (deduplicated) go to the provider
+  async embedBatch(texts) {
+    try {
+      const hashes = texts.map((text) => this.hashText(text));
+      const cached = await this.getCached([...new Set(hashes)]);
+
+      // Unique texts not in the cache
+      const missing = new Map();
+      hashes.forEach((hash, i) => {
+        if (!cached.has(hash) && !missing.has(hash)) {
+          missing.set(hash, texts[i]);
+        }
+      });
+
+      if (missing.size > 0) {
+        const embeddings = await this.backoff.run(
+          () => this.provider.embedBatch([...missing.values()]),
+          `${missing.size} texts`
+        );
+
+        if (embeddings.length !== missing.size) {
+          throw new Error(
+            `Provider returned ${embeddings.length} embeddings for ${missing.size} texts`
+          );
+        }
+        embeddings.forEach((embedding) => this.checkDimension(embedding));
+
+        const entries = [...missing.keys()].map((contentHash, i) => ({
+          contentHash,
+          embedding: embeddings[i],
+        }));
+        entries.forEach(({ contentHash, embedding }) =>
+          cached.set(contentHash, embedding)
+        );
+        await this.saveToCache(entries);
+      }
+
+      return hashes.map((hash) => cached.get(hash));
+    } catch (error) {
+      console.error(" Batch embedding request failed:", error.message);
+      throw error;
+    }
+  }
+
   // Generate embeddings for multiple texts (batch processing)
   async embedTexts(texts) {
     try {
       const embeddings = [];
 
-      // Process in batches to avoid rate limits
+      // One provider request per batch; rate limits are handled by backoff
       for (let i = 0; i < texts.length; i += this.batchSize) {
         const batch = texts.slice(i, i + this.batchSize);
 
@@ -57,17 +234,7 @@ class EmbedderService {
           )}`
         );
 
-        // Generate embeddings for this batch
-        const batchEmbeddings = await Promise.all(
-          batch.map((text) => this.embedText(text))
-        );
-
-        embeddings.push(...batchEmbeddings);
-
-        // Add delay between batches to respect rate limits
-        if (i + this.batchSize < texts.length) {
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-        }
+        embeddings.push(...(await this.embedBatch(batch)));
       }
 
       return embeddings;
@@ -81,7 +248,8 @@ class EmbedderService {
   async embedQuery(query) {
     console.log(` Generating embedding for query: "${query}"`);
     try {
-      const embedding = await this.embedText(query);
+      // Queries are not cached: the cache is for chunk text
+      const embedding = await this.embedText(query, { useCache: false });
       return embedding;
     } catch (error) {
       console.error(" Query embedding failed:", error.message);
@@ -173,11 +341,6 @@ class EmbedderService {
         } else {
           results.failed.push({ id: chunk.id, error: result.error });
         }
-
-        // Small delay between embeddings
-        if (i < pendingChunks.length - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 500));
-        }
       }
 
       console.log("\n Embedding Summary:");
@@ -199,17 +362,31 @@ class EmbedderService {
     }
   }
 
-  // Verify API key is working
+  // Describe the active provider (for stats and health endpoints)
+  getProviderInfo() {
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      dimension: this.dimension,
+      cache: this.cacheEnabled,
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      requests: this.backoff.stats,
+    };
+  }
+
+  // Verify the provider is reachable and returns the expected dimension
   async testConnection() {
+    const { provider, model } = this.getProviderInfo();
     try {
-      console.log(" Testing Gemini API connection...");
-      const embedding = await this.embedText("test");
+      console.log(` Testing ${provider} embedding provider (${model})...`);
+      const embedding = await this.embedText("test", { useCache: false });
       console.log(
-        `Gemini API working! Embedding dimension: ${embedding.length}`
+        `Embedding provider working! Embedding dimension: ${embedding.length}`
       );
       return true;
     } catch (error) {
-      console.error(" Gemini API test failed:", error.message);
+      console.error(` ${provider} embedding test failed:`, error.message);
       return false;
     }
   }
@@ -0,0 +1,143 @@
+// src/services/embeddingProviders.js
+// Embedding provider implementations behind a common interface
+// Every provider exposes: name, model, dimension, embed(text), embedBatch(texts)
+
+const axios = require("axios");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+// Google Gemini embedding API
+class GeminiEmbeddingProvider {
+  constructor({ model, dimension, geminiApiKey }) {
+    this.name = "gemini";
+    this.model = model;
+    this.dimension = dimension;
+
+    // Initialize Gemini AI client
+    this.genAI = new GoogleGenerativeAI(geminiApiKey);
+    this.client = this.genAI.getGenerativeModel({ model });
+  }
+
+  async embed(text) {
+    const result = await this.client.embedContent(text);
+    return result.embedding.values;
+  }
+
+  async embedBatch(texts) {
+    const result = await this.client.batchEmbedContents({
+      requests: texts.map((text) => ({
+        content: { role: "user", parts: [{ text }] },
+      })),
+    });
+    return result.embeddings.map((embedding) => embedding.values);
+  }
+}
+
+// Any OpenAI-compatible HTTP endpoint (POST {baseUrl}/embeddings)
+class OpenAICompatibleEmbeddingProvider {
+  constructor({
+    model,
+    dimension,
+    dimensionOverridden,
+    openaiBaseUrl,
+    openaiApiKey,
+  }) {
+    this.name = "openai";
+    this.model = model;
+    this.dimension = dimension;
+    this.sendDimensions = dimensionOverridden;
+
+    this.http = axios.create({
+      baseURL: openaiBaseUrl.replace(/\/$/, ""),
+      timeout: 30000,
+      headers: {
+        "Content-Type": "application/json",
+        ...(openaiApiKey && { Authorization: `Bearer ${openaiApiKey}` }),
+      },
+    });
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    const response = await this.http.post("/embeddings", {
+      model: this.model,
+      input: texts,
+      ...(this.sendDimensions && { dimensions: this.dimension }),
+    });
+
+    // Results may come back out of order; "index" maps them to inputs
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+}
+
+// In-process model via transformers.js (ONNX on CPU)
+// No API key needed; with localModelPath set it never touches the network
+class LocalEmbeddingProvider {
+  constructor({ model, dimension, localModelPath, localCacheDir }) {
+    this.name = "local";
+    this.model = model;
+    this.dimension = dimension;
+    this.localModelPath = localModelPath;
+    this.localCacheDir = localCacheDir;
+    this.extractor = null;
+  }
+
+  // Load the model once, on first use
+  async getExtractor() {
+    if (!this.extractor) {
+      // transformers.js is ESM-only, so load it dynamically
+      const { pipeline, env } = await import("@huggingface/transformers");
+
+      if (this.localModelPath) {
+        env.localModelPath = this.localModelPath;
+        env.allowRemoteModels = false;
+      }
+      if (this.localCacheDir) {
+        env.cacheDir = this.localCacheDir;
+      }
+
+      console.log(` Loading local embedding model: ${this.model}`);
+      this.extractor = await pipeline("feature-extraction", this.model);
+    }
+    return this.extractor;
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    const extractor = await this.getExtractor();
+    // Mean pooling + normalization gives sentence embeddings for cosine search
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    return output.tolist();
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiEmbeddingProvider,
+  openai: OpenAICompatibleEmbeddingProvider,
+  local: LocalEmbeddingProvider,
+};
+
+// Create the provider selected in the embedding config
+const createEmbeddingProvider = (config) => {
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider: ${config.provider}`);
+  }
+  return new Provider(config);
+};
+
+module.exports = {
+  createEmbeddingProvider,
+  GeminiEmbeddingProvider,
+  OpenAICompatibleEmbeddingProvider,
+  LocalEmbeddingProvider,
+};
@@ -0,0 +1,450 @@
+// src/services/fileIngester.js
+// This service ingests local files (Markdown, HTML, plain text, PDF, OpenAPI
+// specs and ZIP archives of those) as RawDocuments, so they are chunked and
+// embedded like scraped pages. Each file gets a file:// identifier built from
+// its path, e.g. runbooks/payouts.md -> file:///runbooks/payouts.md
+// An OpenAPI spec becomes one API reference document per resource
+// (stripe.yaml -> file:///stripe/payment_intents, ...), see apiReference.js
+// Ingesting the same path again stores a new version when the content changed
+
+const path = require("path");
+const AdmZip = require("adm-zip");
+const yaml = require("js-yaml");
+const scraperService = require("./scraper");
+const refreshService = require("./refresher");
+const collectionService = require("./collections");
+const apiReferenceService = require("./apiReference");
+const RawDocument = require("../models/RawDocument");
+
+class FileIngesterService {
+  constructor() {
+    // File extension -> format
+    this.formats = {
+      ".md": "markdown",
+      ".markdown": "markdown",
+      ".html": "html",
+      ".htm": "html",
+      ".txt": "text",
+      ".pdf": "pdf",
+      ".json": "openapi",
+      ".yaml": "openapi",
+      ".yml": "openapi",
+      ".zip": "zip",
+    };
+    this.extensions = Object.keys(this.formats);
+
+    // Limits for ZIP archives (guards against zip bombs)
+    this.maxArchiveFiles = parseInt(
+      process.env.INGEST_MAX_ARCHIVE_FILES || "500"
+    );
+    this.maxArchiveBytes =
+      parseInt(process.env.INGEST_MAX_ARCHIVE_MB || "200") * 1024 * 1024;
+  }
+
+  getFormat(filePath) {
+    return this.formats[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  // file:// identifier of a relative file path
+  toSourceUrl(filePath) {
+    const segments = filePath
+      .split(/[\\/]+/)
+      .filter((segment) => segment && segment !== "." && segment !== "..");
+    return `file:///${segments.map(encodeURIComponent).join("/")}`;
+  }
+
+  // "payout-retries_v2.md" -> "payout retries v2"
+  titleFromPath(filePath) {
+    return path
+      .basename(filePath, path.extname(filePath))
+      .replace(/[-_]+/g, " ")
+      .trim();
+  }
+
+  // ============================================
+  // TEXT EXTRACTION
+  // ============================================
+
+  // Plain text of Markdown, for word counts, hashing and keyword search
+  stripMarkdown(markdown) {
+    return markdown
+      .replace(/^```.*$/gm, "") // Fence lines (code itself is kept)
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1") // Images -> alt text
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1") // Links -> link text
+      .replace(/^#{1,6}\s+/gm, "") // Heading markers
+      .replace(/^\s*>\s?/gm, "") // Blockquotes
+      .replace(/^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/gm, "") // Table rules
+      .replace(/\*\*|`/g, "")
+      .replace(/<[^>]+>/g, "")
+      .replace(/[ \t]+/g, " ")
+      .replace(/\n\s*\n/g, "\n")
+      .trim();
+  }
+
+  // Title from YAML front matter or the first heading; front matter is dropped
+  extractMarkdown(text, filePath) {
+    let body = text;
+    let title = null;
+
+    const frontMatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    if (frontMatter) {
+      body = text.slice(frontMatter[0].length);
+      title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1];
+    }
+
+    title = title || body.match(/^#\s+(.+?)\s*#*\s*$/m)?.[1];
+
+    return {
+      title: title || this.titleFromPath(filePath),
+      cleanedContent: this.stripMarkdown(body),
+      markdownContent: body.replace(/\r\n/g, "\n").trim(),
+    };
+  }
+
+  // Title from the first line when it is short enough to be one
+  extractText(text, filePath) {
+    const cleanedContent = text
+      .replace(/\r\n/g, "\n")
+      .replace(/\t/g, " ")
+      .replace(/ +/g, " ")
+      .replace(/\n\s*\n/g, "\n")
+      .trim();
+    const firstLine = cleanedContent.split("\n")[0].trim();
+
+    return {
+      title:
+        firstLine && firstLine.length <= 120
+          ? firstLine
+          : this.titleFromPath(filePath),
+      cleanedContent,
+      markdownContent: null,
+    };
+  }
+
+  async extractPdf(buffer, filePath) {
+    // Required lazily: pdf.js is only loaded when a PDF is ingested
+    const { PDFParse } = require("pdf-parse");
+    const parser = new PDFParse({ data: buffer });
+
+    try {
+      const { text, total } = await parser.getText();
+      const { info } = await parser.getInfo();
+
+      // Drop the "-- 1 of 3 --" page markers pdf-parse inserts
+      const extracted = this.extractText(
+        text.replace(/\n*-- \d+ of \d+ --\n*/g, "\n\n"),
+        filePath
+      );
+
+      return {
+        ...extracted,
+        title: info?.Title?.trim() || this.titleFromPath(filePath),
+        metadata: {
+          pages: total,
+          ...(info?.Author && { author: info.Author }),
+        },
+      };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  // Extract { title, rawContent, cleanedContent, markdownContent, metadata }
+  async extract(filePath, buffer) {
+    const format = this.getFormat(filePath);
+    const url = this.toSourceUrl(filePath);
+    const baseMetadata = {
+      url,
+      sourceType: "file",
+      fileName: path.basename(filePath),
+      format,
+      scrapedDate: new Date().toISOString(),
+    };
+
+    if (format === "pdf") {
+      const { metadata, ...content } = await this.extractPdf(buffer, filePath);
+      return {
+        ...content,
+        rawContent: content.cleanedContent,
+        metadata: { ...baseMetadata, title: content.title, ...metadata },
+      };
+    }
+
+    const text = buffer.toString("utf8");
+
+    if (format === "html") {
+      const metadata = scraperService.extractMetadata(text, url);
+      return {
+        title: metadata.title,
+        rawContent: text,
+        cleanedContent: scraperService.cleanText(text),
+        markdownContent: scraperService.toMarkdown(text, url),
+        metadata: { ...baseMetadata, title: metadata.title },
+      };
+    }
+
+    const content =
+      format === "markdown"
+        ? this.extractMarkdown(text, filePath)
+        : this.extractText(text, filePath);
+
+    return {
+      ...content,
+      rawContent: text,
+      metadata: { ...baseMetadata, title: content.title },
+    };
+  }
+
+  // Parse an OpenAPI spec into one document per resource
+  // Returns [{ name, content }] where content is ready for ingestFile
+  readSpec(file) {
+    const text = file.buffer.toString("utf8");
+    let spec;
+    try {
+      spec = /\.json$/i.test(file.name) ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+      const reason = error.message.split("\n")[0];
+      throw new Error(`Invalid ${path.extname(file.name)} file: ${reason}`);
+    }
+    if (!apiReferenceService.isSpec(spec)) {
+      throw new Error("Not an OpenAPI document");
+    }
+
+    const prefix = file.name.replace(/\.(json|ya?ml)$/i, "");
+    const parsed = apiReferenceService.parseSpec(spec);
+    const scrapedDate = new Date().toISOString();
+
+    return parsed.documents.map(({ resource, title, reference }) => {
+      const name = `${prefix}/${resource}`;
+      const docsUrl = apiReferenceService.getDocsUrl(resource);
+      const cleanedContent = apiReferenceService.toText(reference);
+
+      return {
+        name,
+        content: {
+          title,
+          rawContent: JSON.stringify(reference),
+          cleanedContent,
+          markdownContent: null,
+          metadata: {
+            url: this.toSourceUrl(name),
+            sourceType: "api_reference",
+            fileName: path.basename(file.name),
+            format: "openapi",
+            scrapedDate,
+            title,
+            apiSpec: parsed.title,
+            apiVersion: parsed.version,
+            apiResource: resource,
+            endpoints: reference.endpoints.length,
+            objects: reference.objects.length,
+            ...(docsUrl && { docsUrl }),
+          },
+        },
+      };
+    });
+  }
+
+  // ============================================
+  // INGESTION
+  // ============================================
+
+  // Replace ZIP archives by the supported files inside them, then OpenAPI
+  // specs by their per-resource documents
+  // Entry paths are prefixed with the archive name (runbooks.zip/a.md ->
+  // runbooks/a.md); unsupported entries are reported as skipped
+  expandFiles(files) {
+    const unpacked = [];
+    const expanded = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const file of files) {
+      if (this.getFormat(file.name) !== "zip") {
+        unpacked.push(file);
+        continue;
+      }
+
+      try {
+        unpacked.push(...this.readArchive(file, skipped));
+      } catch (error) {
+        failed.push({ file: file.name, error: error.message });
+      }
+    }
+
+    for (const file of unpacked) {
+      if (this.getFormat(file.name) !== "openapi") {
+        expanded.push(file);
+        continue;
+      }
+
+      try {
+        expanded.push(...this.readSpec(file));
+      } catch (error) {
+        failed.push({ file: file.name, error: error.message });
+      }
+    }
+
+    return { files: expanded, skipped, failed };
+  }
+
+  // Supported files of one archive; other entries are added to skipped
+  readArchive(file, skipped) {
+    const prefix = file.name.replace(/\.zip$/i, "");
+    const entries = new AdmZip(file.buffer)
+      .getEntries()
+      .filter(
+        (entry) =>
+          !entry.isDirectory &&
+          !entry.entryName.startsWith("__MACOSX/") &&
+          !path.basename(entry.entryName).startsWith(".")
+      );
+
+    if (entries.length > this.maxArchiveFiles) {
+      throw new Error(
+        `${file.name} has ${entries.length} files (limit ${this.maxArchiveFiles})`
+      );
+    }
+    const totalBytes = entries.reduce(
+      (sum, entry) => sum + entry.header.size,
+      0
+    );
+    if (totalBytes > this.maxArchiveBytes) {
+      throw new Error(`${file.name} is too large when extracted`);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const name = `${prefix}/${entry.entryName}`;
+      const format = this.getFormat(name);
+      if (!format || format === "zip") {
+        skipped.push(name);
+      } else {
+        files.push({ name, buffer: entry.getData() });
+      }
+    }
+
+    return files;
+  }
+
+  // Store one file; returns status "created", "updated" or "unchanged"
+  // file: { name, buffer } or { name, content } (already extracted)
+  async ingestFile(file, collectionId) {
+    const url = this.toSourceUrl(file.name);
+    const content =
+      file.content || (await this.extract(file.name, file.buffer));
+
+    if (!content.cleanedContent) {
+      throw new Error("No text found");
+    }
+
+    const existing = await RawDocument.findOne({
+      where: { url, collectionId },
+    });
+
+    if (!existing) {
+      const { document } = await scraperService.createDocument(url, content, {
+        collectionId,
+      });
+      return { status: "created", document };
+    }
+
+    const contentHash = scraperService.hashContent(content.cleanedContent);
+    if (contentHash === existing.contentHash) {
+      existing.lastCheckedAt = new Date();
+      await existing.save();
+
+      // The previous upload stored this version but failed to remove the
+      // old chunks (uploaded files are never refreshed): finish that now
+      if (existing.staleChunks) {
+        await refreshService.removeChunks(existing.id);
+        await existing.reload();
+        return { status: "updated", document: existing };
+      }
+
+      return { status: "unchanged", document: existing };
+    }
+
+    // Old chunks and vectors go; the next chunk + embed run picks it up
+    await refreshService.saveNewVersion(existing, content);
+    await refreshService.removeChunks(existing.id);
+    return { status: "updated", document: existing };
+  }
+
+  // Ingest files: [{ name (relative path), buffer }]
+  // hooks: same as scraperService.scrapeURLs (onProgress, shouldStop,
+  // collectionId); the documents are left pending for chunking + embedding
+  async ingestFiles(files, hooks = {}) {
+    const {
+      onProgress = () => {},
+      shouldStop = async () => false,
+      collectionId = null,
+    } = hooks;
+
+    const targetId =
+      Number(collectionId) || (await collectionService.getDefault()).id;
+    const results = {
+      successful: [],
+      updated: [],
+      unchanged: [],
+      skipped: [],
+      failed: [],
+    };
+
+    const unsupported = files.filter((file) => !this.getFormat(file.name));
+    results.skipped.push(...unsupported.map((file) => file.name));
+
+    const expanded = this.expandFiles(
+      files.filter((file) => this.getFormat(file.name))
+    );
+    results.skipped.push(...expanded.skipped);
+    results.failed.push(...expanded.failed);
+
+    console.log(` Ingesting ${expanded.files.length} files...`);
+
+    for (const [i, file] of expanded.files.entries()) {
+      if (await shouldStop()) {
+        results.stopped = true;
+        break;
+      }
+
+      let status;
+      let error;
+      try {
+        const result = await this.ingestFile(file, targetId);
+        status = result.status === "created" ? "success" : result.status;
+        const url = result.document.url;
+
+        if (result.status === "created") results.successful.push(url);
+        if (result.status === "updated") results.updated.push(url);
+        if (result.status === "unchanged") results.unchanged.push(url);
+        console.log(` ${result.status}: ${url}`);
+      } catch (err) {
+        status = "failed";
+        error = err.message;
+        results.failed.push({ file: file.name, error });
+        console.error(` Failed to ingest ${file.name}:`, error);
+      }
+
+      await onProgress({
+        done: i + 1,
+        total: expanded.files.length,
+        item: file.name,
+        status,
+        error,
+      });
+    }
+
+    console.log("\n Ingestion Summary:");
+    console.log(` Created: ${results.successful.length}`);
+    console.log(` Updated: ${results.updated.length}`);
+    console.log(` Unchanged: ${results.unchanged.length}`);
+    console.log(` Skipped: ${results.skipped.length}`);
+    console.log(` Failed: ${results.failed.length}`);
+
+    return results;
+  }
+}
+
+// Export singleton instance
+module.exports = new FileIngesterService();
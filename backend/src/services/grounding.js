@@ -0,0 +1,93 @@
+// src/services/grounding.js
+// This service checks how well a chat answer is supported by the chunks it
+// was generated from, with the configured checker (an NLI cross-encoder or an
+// LLM judge, see groundingCheckers.js)
+// The answer is split into claims (its factual sentences, see citations.js);
+// each claim gets the support of its best passage, and the answer's score is
+// the mean over its claims
+
+const { groundingConfig } = require("../config/grounding");
+const { createGroundingChecker } = require("./groundingCheckers");
+const citationService = require("./citations");
+
+class GroundingService {
+  constructor() {
+    // Checker selected by GROUNDING_CHECKER, null if "none"
+    this.checker = createGroundingChecker(groundingConfig);
+
+    this.threshold = groundingConfig.threshold;
+    this.claimThreshold = groundingConfig.claimThreshold;
+    this.maxClaims = groundingConfig.maxClaims;
+
+    // Below the threshold: "regenerate" (then fall back) or "fallback"
+    this.action = groundingConfig.action;
+    this.fallbackSources = groundingConfig.fallbackSources;
+  }
+
+  isEnabled() {
+    return this.checker !== null;
+  }
+
+  getCheckerInfo() {
+    return {
+      checker: this.checker ? this.checker.name : "none",
+      model: this.checker ? this.checker.model : null,
+      threshold: this.threshold,
+    };
+  }
+
+  passes(result) {
+    return result.success && result.score >= this.threshold;
+  }
+
+  // Score an answer against the chunks it was generated from
+  // Returns { success, score, claims: [{ claim, score, source, supported }] }
+  async check(answer, chunks) {
+    if (!this.isEnabled()) {
+      return {
+        success: false,
+        error: "Grounding checks are disabled (GROUNDING_CHECKER=none)",
+      };
+    }
+
+    // Nothing to verify (e.g. the "not enough information" answer)
+    const claims = citationService.getClaims(answer).slice(0, this.maxClaims);
+    if (claims.length === 0 || chunks.length === 0) {
+      return { success: true, score: claims.length === 0 ? 1 : 0, claims: [] };
+    }
+
+    try {
+      const startTime = Date.now();
+      const results = await this.checker.score(
+        claims,
+        chunks.map((chunk) => chunk.chunkText)
+      );
+
+      const scored = claims.map((claim, i) => ({
+        claim,
+        score: parseFloat(results[i].score.toFixed(3)),
+        source: results[i].source,
+        supported: results[i].score >= this.claimThreshold,
+      }));
+      const score =
+        scored.reduce((acc, claim) => acc + claim.score, 0) / scored.length;
+
+      console.log(
+        ` Grounding (${this.checker.name}): ${score.toFixed(2)} over ` +
+          `${claims.length} claims in ${Date.now() - startTime}ms`
+      );
+
+      return {
+        success: true,
+        score: parseFloat(score.toFixed(3)),
+        claims: scored,
+      };
+    } catch (error) {
+      console.error(" Grounding check failed:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new GroundingService();
@@ -0,0 +1,176 @@
+// src/services/groundingCheckers.js
+// Grounding checkers behind a common interface
+// Every checker exposes: name, model,
+//   score(claims, passages) -> [{ score, source }] (one per claim)
+// score is how well the best passage supports the claim (0..1), source the
+// number of that passage (1-based) or null
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+// Entailment (NLI) cross-encoder run in-process via transformers.js
+// Each (passage, claim) pair is classified as entailment, neutral or
+// contradiction; the entailment probability is the support score
+class NLIGroundingChecker {
+  constructor({ model, localModelPath, localCacheDir }) {
+    this.name = "nli";
+    this.model = model;
+    this.localModelPath = localModelPath;
+    this.localCacheDir = localCacheDir;
+    this.tokenizer = null;
+    this.classifier = null;
+    this.entailmentIndex = null;
+  }
+
+  // Load tokenizer and model once, on first use
+  async load() {
+    if (!this.classifier) {
+      // transformers.js is ESM-only, so load it dynamically
+      const { AutoTokenizer, AutoModelForSequenceClassification, env } =
+        await import("@huggingface/transformers");
+
+      if (this.localModelPath) {
+        env.localModelPath = this.localModelPath;
+        env.allowRemoteModels = false;
+      }
+      if (this.localCacheDir) {
+        env.cacheDir = this.localCacheDir;
+      }
+
+      console.log(` Loading grounding model: ${this.model}`);
+      this.tokenizer = await AutoTokenizer.from_pretrained(this.model);
+      this.classifier = await AutoModelForSequenceClassification.from_pretrained(
+        this.model
+      );
+
+      // Label order differs between NLI models
+      const labels = Object.entries(this.classifier.config.id2label);
+      const entailment = labels.find(([, label]) =>
+        label.toLowerCase().startsWith("entail")
+      );
+      if (!entailment) {
+        throw new Error(`${this.model} has no entailment label`);
+      }
+      this.entailmentIndex = parseInt(entailment[0]);
+    }
+  }
+
+  async score(claims, passages) {
+    await this.load();
+
+    // Every claim against every passage: premise = passage, hypothesis = claim
+    const premises = claims.flatMap(() => passages);
+    const hypotheses = claims.flatMap((claim) => passages.map(() => claim));
+
+    const inputs = this.tokenizer(premises, {
+      text_pair: hypotheses,
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await this.classifier(inputs);
+
+    // Softmax over the labels of each pair
+    const entailment = logits.tolist().map((row) => {
+      const max = Math.max(...row);
+      const exps = row.map((value) => Math.exp(value - max));
+      const sum = exps.reduce((acc, value) => acc + value, 0);
+      return exps[this.entailmentIndex] / sum;
+    });
+
+    // Best supporting passage per claim
+    return claims.map((claim, i) => {
+      const scores = entailment.slice(
+        i * passages.length,
+        (i + 1) * passages.length
+      );
+      const best = scores.indexOf(Math.max(...scores));
+      return { score: scores[best], source: best + 1 };
+    });
+  }
+}
+
+// Gemini judges every claim against the passages in a single prompt
+class LLMGroundingChecker {
+  constructor({ model, geminiApiKey }) {
+    this.name = "llm";
+    this.model = model;
+    this.maxPassageLength = 1500; // Characters per passage sent to the LLM
+
+    this.genAI = new GoogleGenerativeAI(geminiApiKey);
+    this.client = this.genAI.getGenerativeModel({
+      model,
+      generationConfig: { responseMimeType: "application/json", temperature: 0 },
+    });
+  }
+
+  buildPrompt(claims, passages) {
+    const sources = passages
+      .map(
+        (text, i) =>
+          `[Source ${i + 1}]\n${text.substring(0, this.maxPassageLength)}`
+      )
+      .join("\n\n");
+    const statements = claims
+      .map((claim, i) => `${i + 1}. ${claim}`)
+      .join("\n");
+
+    return `You are checking whether a support answer is grounded in documentation.
+For each claim, rate how well the sources support it on a scale from 0 (not supported or contradicted) to 10 (stated explicitly in a source). Use only the sources, not your own knowledge.
+
+Sources:
+${sources}
+
+Claims:
+${statements}
+
+Respond with a JSON array of ${claims.length} objects, one per claim in order: {"score": <0-10>, "source": <number of the best supporting source, or null>}.`;
+  }
+
+  async score(claims, passages) {
+    const result = await this.client.generateContent(
+      this.buildPrompt(claims, passages)
+    );
+    const judgements = JSON.parse(result.response.text());
+
+    if (!Array.isArray(judgements) || judgements.length !== claims.length) {
+      throw new Error(
+        `LLM grounding checker returned ${
+          Array.isArray(judgements) ? judgements.length : "no"
+        } judgements for ${claims.length} claims`
+      );
+    }
+
+    // Clamp to 0..10 and scale to 0..1; ignore unknown source numbers
+    return judgements.map((judgement) => {
+      const source = parseInt(judgement?.source);
+      return {
+        score: Math.min(Math.max(Number(judgement?.score) || 0, 0), 10) / 10,
+        source: source >= 1 && source <= passages.length ? source : null,
+      };
+    });
+  }
+}
+
+const GROUNDING_CHECKERS = {
+  nli: NLIGroundingChecker,
+  llm: LLMGroundingChecker,
+};
+
+// Create the checker selected in the grounding config
+// Returns null when grounding checks are disabled ("none")
+const createGroundingChecker = (config) => {
+  if (config.checker === "none") {
+    return null;
+  }
+
+  const Checker = GROUNDING_CHECKERS[config.checker];
+  if (!Checker) {
+    throw new Error(`Unknown grounding checker: ${config.checker}`);
+  }
+  return new Checker(config);
+};
+
+module.exports = {
+  createGroundingChecker,
+  NLIGroundingChecker,
+  LLMGroundingChecker,
+};
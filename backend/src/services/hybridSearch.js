@@ -0,0 +1,295 @@
+// src/services/hybridSearch.js
+// This service combines semantic (vector) search with Postgres full-text search
+// Keyword search catches exact tokens embeddings miss: error codes like
+// card_declined, object ID prefixes like pi_, and parameter names
+
+const { QueryTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const vectorStoreService = require("./vectorStore");
+const searchFilterService = require("./searchFilters");
+const vectorIndexService = require("./vectorIndexes");
+const collectionService = require("./collections");
+require("dotenv").config();
+
+class HybridSearchService {
+  constructor() {
+    // Defaults (can be overridden per request)
+    this.defaults = {
+      mode: process.env.SEARCH_MODE || "hybrid", // "vector" | "keyword" | "hybrid"
+      fusion: process.env.SEARCH_FUSION || "rrf", // "rrf" | "weighted"
+      rrfK: 60, // RRF damping constant (higher = flatter rank weighting)
+      alpha: 0.5, // Weighted fusion: share of the vector score (0..1)
+      candidateMultiplier: 3, // Over-fetch from each side before fusing
+    };
+
+    this.modes = ["vector", "keyword", "hybrid"];
+    this.fusionMethods = ["rrf", "weighted"];
+    this.indexReady = false;
+  }
+
+  // Create the full-text GIN index once (expression index, not a column,
+  // so Sequelize's alter-sync leaves it alone)
+  async ensureIndex() {
+    if (this.indexReady) return;
+    await sequelize.query(
+      `CREATE INDEX IF NOT EXISTS chunked_documents_fts_idx
+         ON chunked_documents
+         USING gin (to_tsvector('english', chunk_text))`
+    );
+    this.indexReady = true;
+  }
+
+  // Identifier-like tokens that stemming would mangle (card_declined, pi_,
+  // payment_intent.succeeded) are matched literally as well
+  extractExactTokens(query) {
+    const tokens = query.match(/[a-z0-9]+(?:[_.][a-z0-9]*)+/gi) || [];
+    return [...new Set(tokens.map((token) => token.toLowerCase()))];
+  }
+
+  // Escape LIKE wildcards so "_" in card_declined is matched literally
+  toLikePattern(token) {
+    return `%${token.replace(/[\\%_]/g, "\\$&")}%`;
+  }
+
+  // Full-text search over chunk text
+  // Score = ts_rank_cd (normalized to 0..1) + 1 per exact identifier match
+  // filters: parsed search filters (see searchFilters.js), or null
+  // options.chunkSet: chunks to search (defaults to the active index's)
+  // options.collections: collections to search (default collection if null)
+  async keywordSearch(queryText, topK = 5, filters = null, options = {}) {
+    const { chunkSet = null, collections = null } = options;
+
+    try {
+      await this.ensureIndex();
+
+      const patterns = this.extractExactTokens(queryText).map((token) =>
+        this.toLikePattern(token)
+      );
+      const collectionIds = (
+        collections || [await collectionService.getDefault()]
+      ).map((collection) => collection.id);
+      const bind = [
+        queryText,
+        topK,
+        patterns,
+        chunkSet || vectorIndexService.getActive().chunkSet,
+        collectionIds,
+      ];
+      const filterSql = searchFilterService.toSql(filters, bind);
+
+      const rows = await sequelize.query(
+        `WITH q AS (SELECT websearch_to_tsquery('english', $1) AS query)
+         SELECT c.id,
+                ts_rank_cd(to_tsvector('english', c.chunk_text), q.query, 32)
+                  + (SELECT COUNT(*) FROM unnest($3::text[]) p
+                      WHERE c.chunk_text ILIKE p) AS score
+           FROM chunked_documents c
+           JOIN raw_documents d ON d.id = c.raw_document_id
+          CROSS JOIN q
+          WHERE (to_tsvector('english', c.chunk_text) @@ q.query
+                 OR c.chunk_text ILIKE ANY($3::text[]))
+            AND c.chunk_set = $4
+            AND d.collection_id = ANY($5::int[])
+            AND ${filterSql}
+          ORDER BY score DESC
+          LIMIT $2`,
+        { bind, type: QueryTypes.SELECT }
+      );
+
+      console.log(` Keyword search found ${rows.length} matches`);
+
+      return {
+        success: true,
+        results: rows.map((row) => ({
+          chunkId: `chunk-${row.id}`,
+          score: Number(row.score),
+        })),
+      };
+    } catch (error) {
+      console.error(" Keyword search failed:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Merge vector and keyword result lists into one ranking
+  // Each result keeps its per-source score and rank for tuning
+  fuse(vectorResults, keywordResults, options = {}) {
+    const { fusion, rrfK, alpha } = { ...this.defaults, ...options };
+    const merged = new Map();
+
+    const entry = (chunkId) => {
+      if (!merged.has(chunkId)) {
+        merged.set(chunkId, {
+          chunkId,
+          metadata: null,
+          vectorScore: null,
+          vectorRank: null,
+          keywordScore: null,
+          keywordRank: null,
+        });
+      }
+      return merged.get(chunkId);
+    };
+
+    vectorResults.forEach((result, i) => {
+      const item = entry(result.chunkId);
+      item.vectorScore = result.score;
+      item.vectorRank = i + 1;
+      item.metadata = result.metadata;
+    });
+
+    keywordResults.forEach((result, i) => {
+      const item = entry(result.chunkId);
+      item.keywordScore = result.score;
+      item.keywordRank = i + 1;
+    });
+
+    const maxKeyword = Math.max(0, ...keywordResults.map((r) => r.score));
+
+    const scored = [...merged.values()].map((item) => {
+      let score;
+      if (fusion === "weighted") {
+        // Cosine similarity is already 0..1; keyword scores are scaled
+        // relative to the best keyword hit
+        const vectorPart = item.vectorScore ?? 0;
+        const keywordPart =
+          maxKeyword > 0 ? (item.keywordScore ?? 0) / maxKeyword : 0;
+        score = alpha * vectorPart + (1 - alpha) * keywordPart;
+      } else {
+        // Reciprocal rank fusion: sum of 1 / (k + rank) over both lists
+        score =
+          (item.vectorRank ? 1 / (rrfK + item.vectorRank) : 0) +
+          (item.keywordRank ? 1 / (rrfK + item.keywordRank) : 0);
+      }
+      return { ...item, score };
+    });
+
+    return scored.sort((a, b) => b.score - a.score);
+  }
+
+  // Merge the results of several queries (e.g. the sub-queries of a
+  // multi-part question) by reciprocal rank fusion over their rankings
+  // A chunk keeps the scores of the query that ranked it best; queryScore is
+  // the fused score and matchedQueries lists the queries that found it
+  mergeQueryResults(resultLists) {
+    const { rrfK } = this.defaults;
+    const merged = new Map();
+
+    resultLists.forEach((results, queryIndex) => {
+      results.forEach((result, i) => {
+        const item = merged.get(result.chunkId);
+        const rrf = 1 / (rrfK + i + 1);
+
+        if (!item) {
+          merged.set(result.chunkId, {
+            ...result,
+            queryScore: rrf,
+            matchedQueries: [queryIndex + 1],
+            bestRank: i + 1,
+          });
+          return;
+        }
+
+        item.queryScore += rrf;
+        item.matchedQueries.push(queryIndex + 1);
+        if (i + 1 < item.bestRank) {
+          Object.assign(item, result, { bestRank: i + 1 });
+        }
+      });
+    });
+
+    return [...merged.values()]
+      .sort((a, b) => b.queryScore - a.queryScore)
+      .map(({ bestRank, ...result }) => result);
+  }
+
+  // A minimum similarity only makes sense for vector scores:
+  // keyword hits literally contain the query terms and are always kept
+  passesMinScore(result, minScore) {
+    if (result.vectorScore === undefined) {
+      return result.score >= minScore; // Plain vector search result
+    }
+    return (
+      (result.vectorScore !== null && result.vectorScore >= minScore) ||
+      (result.keywordScore !== null && result.keywordScore > 0)
+    );
+  }
+
+  // Search with the chosen mode and return enriched chunks
+  // ({ score, vectorScore, keywordScore, ..., chunkText, metadata, source })
+  // filters: parsed search filters (see searchFilters.js), applied to both sides
+  // index: vector index to search (see vectorIndexes.js), defaults to the active one
+  // collections: collection records to search (see collections.js), defaults
+  // to the default collection
+  async search(queryText, options = {}) {
+    const config = { ...this.defaults, ...options };
+    const {
+      topK = 5,
+      mode,
+      filters = null,
+      index = null,
+      collections = null,
+    } = config;
+
+    if (!this.modes.includes(mode)) {
+      return { success: false, error: `Unknown search mode: ${mode}` };
+    }
+    if (!this.fusionMethods.includes(config.fusion)) {
+      return {
+        success: false,
+        error: `Unknown fusion method: ${config.fusion}`,
+      };
+    }
+
+    const candidates = topK * config.candidateMultiplier;
+
+    const [vectorSearch, keywordSearch] = await Promise.all([
+      mode !== "keyword"
+        ? vectorStoreService.search(
+            queryText,
+            candidates,
+            searchFilterService.toVectorFilter(filters),
+            { index, collections }
+          )
+        : { success: true, results: [] },
+      mode !== "vector"
+        ? this.keywordSearch(queryText, candidates, filters, {
+            chunkSet: index?.chunkSet,
+            collections,
+          })
+        : { success: true, results: [] },
+    ]);
+
+    if (!vectorSearch.success && !keywordSearch.success) {
+      return { success: false, error: vectorSearch.error };
+    }
+
+    // One side failing degrades to the other instead of failing the search
+    // A minScore filter is applied to the fused list before cutting to topK
+    const fused = this.fuse(
+      vectorSearch.success ? vectorSearch.results : [],
+      keywordSearch.success ? keywordSearch.results : [],
+      config
+    )
+      .filter(
+        (result) =>
+          filters?.minScore === undefined ||
+          this.passesMinScore(result, filters.minScore)
+      )
+      .slice(0, topK);
+
+    const results = await vectorStoreService.getChunksForResults({
+      results: fused,
+    });
+
+    return {
+      success: true,
+      query: queryText,
+      mode,
+      fusion: config.fusion,
+      results,
+    };
+  }
+}
+
+module.exports = new HybridSearchService();
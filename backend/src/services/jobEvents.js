@@ -0,0 +1,158 @@
+// src/services/jobEvents.js
+// This service carries live job events (progress, log lines, status changes)
+// from the worker to Server-Sent Events clients
+// Events travel through Postgres NOTIFY, so a worker started with
+// `npm run worker` reaches clients connected to the API server too
+
+const { EventEmitter } = require("events");
+const { Client } = require("pg");
+const { sequelize } = require("../config/database");
+require("dotenv").config();
+
+const CHANNEL = "job_events";
+
+// NOTIFY payloads must stay below 8000 bytes
+const MAX_PAYLOAD_LENGTH = 7500;
+
+class JobEventsService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per connected client
+
+    this.listener = null; // Dedicated connection holding LISTEN
+    this.listening = null; // Promise while the LISTEN connection is set up
+
+    // Reconnecting after the LISTEN connection dropped
+    this.reconnectTimer = null;
+    this.reconnectDelayMs = 1000; // Doubles per failed attempt, up to the max
+    this.maxReconnectDelayMs = 30000;
+    this.closing = false;
+  }
+
+  // Publish an event for a job: { type: "progress" | "log" | "status", data }
+  async publish(jobId, type, data) {
+    let payload = JSON.stringify({ jobId, type, data });
+
+    if (payload.length > MAX_PAYLOAD_LENGTH) {
+      // Long messages (e.g. stack-like errors) are cut rather than dropped
+      payload = JSON.stringify({
+        jobId,
+        type,
+        data: { ...data, message: String(data.message || "").slice(0, 1000) },
+        truncated: true,
+      });
+    }
+
+    try {
+      await sequelize.query("SELECT pg_notify($1, $2)", {
+        bind: [CHANNEL, payload],
+      });
+    } catch (error) {
+      // Live events are best effort; the job record stays authoritative
+      console.error(" Failed to publish job event:", error.message);
+    }
+  }
+
+  // Open the LISTEN connection once (Sequelize's pool can't hold LISTEN)
+  async ensureListening() {
+    if (this.listener) return;
+    if (this.listening) return this.listening;
+
+    this.listening = (async () => {
+      const client = new Client({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.DATABASE_URL.includes("render.com")
+          ? { rejectUnauthorized: false }
+          : false,
+      });
+
+      client.on("notification", (message) => {
+        try {
+          const event = JSON.parse(message.payload);
+          this.emitter.emit(`job:${event.jobId}`, event);
+        } catch (error) {
+          console.error(" Invalid job event payload:", error.message);
+        }
+      });
+
+      // Release a dropped connection and LISTEN again right away, so
+      // connected clients keep receiving events
+      client.on("error", (error) => {
+        console.error(" Job event listener error:", error.message);
+        this.handleDisconnect(client);
+      });
+      client.on("end", () => this.handleDisconnect(client));
+
+      try {
+        await client.connect();
+        await client.query(`LISTEN ${CHANNEL}`);
+      } catch (error) {
+        client.end().catch(() => {});
+        throw error;
+      }
+      this.listener = client;
+      this.reconnectDelayMs = 1000;
+      console.log(" Listening for job events");
+    })();
+
+    try {
+      await this.listening;
+    } finally {
+      this.listening = null;
+    }
+  }
+
+  // Drop the broken LISTEN connection and open a new one
+  handleDisconnect(client) {
+    if (this.listener !== client) return; // Not live yet, or already handled
+
+    this.listener = null;
+    client.end().catch(() => {});
+
+    if (!this.closing) this.reconnect();
+  }
+
+  // Retry with a growing delay until LISTEN works again
+  reconnect() {
+    if (this.reconnectTimer) return;
+
+    this.ensureListening().catch((error) => {
+      const delay = this.reconnectDelayMs;
+      this.reconnectDelayMs = Math.min(delay * 2, this.maxReconnectDelayMs);
+      console.error(
+        ` Job event listener reconnect failed, retrying in ${delay}ms:`,
+        error.message
+      );
+
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        if (!this.closing) this.reconnect();
+      }, delay);
+    });
+  }
+
+  // Receive events for one job; returns an unsubscribe function
+  async subscribe(jobId, onEvent) {
+    await this.ensureListening();
+
+    const eventName = `job:${jobId}`;
+    this.emitter.on(eventName, onEvent);
+    return () => this.emitter.off(eventName, onEvent);
+  }
+
+  // Close the LISTEN connection (on shutdown)
+  async close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.listener) {
+      const listener = this.listener;
+      this.listener = null;
+      await listener.end();
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobEventsService();
@@ -0,0 +1,507 @@
+// src/services/jobQueue.js
+// This service runs long operations (pipeline runs, crawls, re-embeds, refreshes)
+// as background jobs stored in Postgres (see models/Job.js)
+// HTTP routes only enqueue; a worker polls the jobs table and executes them,
+// recording per-step progress, per-item errors and a final summary
+// Progress, log lines and status changes are also streamed live (jobEvents.js)
+
+const os = require("os");
+const Job = require("../models/Job");
+const VectorIndex = require("../models/VectorIndex");
+const jobEventsService = require("./jobEvents");
+const scraperService = require("./scraper");
+const crawlerService = require("./crawler");
+const chunkerService = require("./chunker");
+const vectorStoreService = require("./vectorStore");
+const refreshService = require("./refresher");
+const vectorIndexService = require("./vectorIndexes");
+const collectionService = require("./collections");
+require("dotenv").config();
+
+// Thrown inside a handler when the job was cancelled between items
+class JobCancelledError extends Error {
+  constructor(partialResult) {
+    super("Job cancelled");
+    this.partialResult = partialResult;
+  }
+}
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000");
+
+    // Running jobs without a heartbeat for this long are considered dead
+    this.staleAfterMinutes = parseInt(process.env.JOB_STALE_MINUTES || "30");
+
+    this.running = false;
+    this.timer = null;
+    this.activeJob = null;
+
+    // Job type -> handler(payload, context) returning the final summary
+    this.handlers = {
+      pipeline: this.runPipelineJob.bind(this),
+      crawl: this.runCrawlJob.bind(this),
+      process: this.runProcessJob.bind(this),
+      embed: this.runEmbedJob.bind(this),
+      refresh: this.runRefreshJob.bind(this),
+      reindex: this.runReindexJob.bind(this),
+    };
+    this.types = Object.keys(this.handlers);
+  }
+
+  // ============================================
+  // QUEUE API
+  // ============================================
+
+  // Check a payload before it is queued, so bad input fails the request
+  // instead of the job. Returns an error message or null
+  validatePayload(type, payload) {
+    if (!this.types.includes(type)) {
+      return `Unknown job type: ${type}. Use one of: ${this.types.join(", ")}`;
+    }
+
+    if (type === "pipeline") {
+      const { urls, chunkStrategy } = payload;
+      if (!urls || !Array.isArray(urls) || urls.length === 0) {
+        return "URLs array is required";
+      }
+      if (chunkStrategy && !chunkerService.strategies.includes(chunkStrategy)) {
+        return `Unknown chunking strategy: ${chunkStrategy}`;
+      }
+    }
+
+    if (type === "process") {
+      const { chunkStrategy } = payload;
+      if (chunkStrategy && !chunkerService.strategies.includes(chunkStrategy)) {
+        return `Unknown chunking strategy: ${chunkStrategy}`;
+      }
+    }
+
+    if (type === "crawl") {
+      const { seeds = [], sitemapUrl = null, chunkStrategy } = payload;
+      if (!Array.isArray(seeds) || (seeds.length === 0 && !sitemapUrl)) {
+        return "A seeds array or sitemapUrl is required";
+      }
+      if (chunkStrategy && !chunkerService.strategies.includes(chunkStrategy)) {
+        return `Unknown chunking strategy: ${chunkStrategy}`;
+      }
+      const { include = [], exclude = [] } = payload;
+      for (const pattern of [...include, ...exclude]) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          return `Invalid URL pattern: ${pattern}`;
+        }
+      }
+    }
+
+    if (type === "reindex" && !payload.indexId) {
+      return "indexId is required";
+    }
+
+    if (type === "refresh") {
+      const { documentIds = null } = payload;
+      if (documentIds !== null && !Array.isArray(documentIds)) {
+        return "documentIds must be an array";
+      }
+    }
+
+    return null;
+  }
+
+  // Add a job to the queue
+  async enqueue(type, payload = {}) {
+    const error = this.validatePayload(type, payload);
+    if (error) {
+      return { success: false, error };
+    }
+
+    // Pipeline and crawl jobs can store documents in a collection
+    if (payload.collectionId) {
+      const found = await collectionService.resolve([payload.collectionId]);
+      if (!found.success) {
+        return { success: false, error: found.error };
+      }
+    }
+
+    const job = await Job.enqueue(type, payload);
+    await this.log(job, "info", `Queued ${type} job`);
+    console.log(` Queued ${type} job ${job.id}`);
+    return { success: true, job };
+  }
+
+  // Cancel a job: queued jobs stop immediately, running jobs stop
+  // before their next item
+  async cancel(jobId) {
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return { success: false, error: "Job not found" };
+    }
+
+    if (job.status === "queued") {
+      job.cancelRequested = true;
+      await job.finish("cancelled");
+      await this.log(job, "warning", "Cancelled before it started");
+      await this.publishStatus(job);
+    } else if (job.status === "running") {
+      job.cancelRequested = true;
+      await job.save({ fields: ["cancelRequested"] });
+      await this.log(job, "warning", "Cancellation requested");
+    } else {
+      return { success: false, error: `Job is already ${job.status}` };
+    }
+
+    console.log(` Cancel requested for job ${job.id}`);
+    return { success: true, job };
+  }
+
+  // Queue a new job with the same type and payload as a failed or cancelled one
+  async retry(jobId) {
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return { success: false, error: "Job not found" };
+    }
+
+    if (!["failed", "cancelled"].includes(job.status)) {
+      return {
+        success: false,
+        error: `Only failed or cancelled jobs can be retried (job is ${job.status})`,
+      };
+    }
+
+    const retryJob = await Job.enqueue(job.type, job.payload, job.id);
+    await this.log(retryJob, "info", `Queued as a retry of job ${job.id}`);
+    console.log(` Queued job ${retryJob.id} (retry of ${job.id})`);
+    return { success: true, job: retryJob };
+  }
+
+  // ============================================
+  // LIVE EVENTS
+  // ============================================
+
+  // Store a log line on the job and stream it to listeners
+  async log(job, level, message, step = null) {
+    const entry = await job.addLog(level, message, step);
+    await jobEventsService.publish(job.id, "log", entry);
+  }
+
+  // Stream the job status (the result stays on GET /api/jobs/:jobId)
+  async publishStatus(job) {
+    await jobEventsService.publish(job.id, "status", {
+      status: job.status,
+      error: job.error,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    });
+  }
+
+  // ============================================
+  // WORKER
+  // ============================================
+
+  // Start polling for jobs (one job at a time per worker)
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    const staleBefore = new Date(
+      Date.now() - this.staleAfterMinutes * 60 * 1000
+    );
+    const staleCount = await Job.failStale(staleBefore);
+    if (staleCount > 0) {
+      console.log(` Marked ${staleCount} interrupted job(s) as failed`);
+    }
+
+    console.log(` Job worker ${this.workerId} started`);
+    this.poll();
+  }
+
+  // Stop polling; a job in progress finishes its current item first
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async poll() {
+    if (!this.running) return;
+
+    let job = null;
+    try {
+      job = await Job.claimNext(this.workerId);
+      if (job) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error(" Job worker error:", error.message);
+    }
+
+    // Look for the next job straight away after finishing one
+    if (this.running) {
+      this.timer = setTimeout(() => this.poll(), job ? 0 : this.pollIntervalMs);
+    }
+  }
+
+  // Execute a claimed job and record its outcome
+  async runJob(job) {
+    console.log(`\n=== JOB ${job.id}: ${job.type} (attempt ${job.attempts}) ===`);
+    this.activeJob = job;
+    await this.publishStatus(job);
+    await this.log(
+      job,
+      "info",
+      `Started ${job.type} job (attempt ${job.attempts})`
+    );
+
+    try {
+      // Another process may have switched the active index since the last job
+      await vectorIndexService.refresh();
+
+      const result = await this.handlers[job.type](
+        job.payload,
+        this.createContext(job)
+      );
+      await job.finish("completed", { result });
+      await this.log(job, "success", "Job completed");
+      console.log(` Job ${job.id} completed`);
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        await job.finish("cancelled", { result: error.partialResult });
+        await this.log(job, "warning", "Job cancelled");
+        console.log(` Job ${job.id} cancelled`);
+      } else {
+        await job.finish("failed", { error: error.message });
+        await this.log(job, "error", `Job failed: ${error.message}`);
+        console.error(` Job ${job.id} failed:`, error.message);
+      }
+    } finally {
+      await this.publishStatus(job);
+      this.activeJob = null;
+    }
+  }
+
+  // Helpers handed to job handlers
+  // runStep(step, fn, partialResult) runs fn(hooks) as one tracked step;
+  // hooks carry the progress / cancellation callbacks the services accept
+  createContext(job) {
+    // Save step progress and stream it; item is the URL / chunk just handled
+    const setProgress = async (step, progress, itemEvent = {}) => {
+      await job.updateProgress(step, progress);
+      await jobEventsService.publish(job.id, "progress", {
+        step,
+        ...job.progress[step],
+        ...itemEvent,
+      });
+    };
+
+    const runStep = async (step, fn, partialResult = {}) => {
+      if (await job.isCancelRequested()) {
+        throw new JobCancelledError(partialResult);
+      }
+
+      let failed = 0;
+      await setProgress(step, {
+        status: "running",
+        done: 0,
+        total: null,
+        failed: 0,
+        startedAt: new Date().toISOString(), // For throughput / ETA
+        finishedAt: null,
+      });
+      await this.log(job, "info", `Step started: ${step}`, step);
+
+      const hooks = {
+        onProgress: async ({ done, total, item, status, error }) => {
+          if (status === "failed") {
+            failed++;
+            await job.addError(step, item, error);
+            await this.log(job, "error", `${item}: ${error}`, step);
+          }
+          await setProgress(
+            step,
+            { done, total, failed },
+            { item, itemStatus: status }
+          );
+        },
+        shouldStop: () => job.isCancelRequested(),
+      };
+
+      const result = await fn(hooks);
+
+      if (result && result.success === false) {
+        await setProgress(step, {
+          status: "failed",
+          finishedAt: new Date().toISOString(),
+        });
+        await this.log(
+          job,
+          "error",
+          `Step failed: ${step} (${result.error})`,
+          step
+        );
+        throw new Error(`${step} failed: ${result.error}`);
+      }
+
+      const stopped = Boolean(result?.stopped || result?.results?.stopped);
+      await setProgress(step, {
+        status: stopped ? "cancelled" : "complete",
+        finishedAt: new Date().toISOString(),
+      });
+      await this.log(
+        job,
+        stopped ? "warning" : "success",
+        `Step ${stopped ? "cancelled" : "complete"}: ${step}`,
+        step
+      );
+
+      if (stopped) {
+        throw new JobCancelledError({ ...partialResult, [step]: result });
+      }
+      return result;
+    };
+
+    return { job, runStep };
+  }
+
+  // ============================================
+  // JOB HANDLERS
+  // ============================================
+
+  // Shared tail of pipeline, crawl and process jobs: chunk pending
+  // documents, then embed
+  async chunkAndEmbed(payload, { runStep }, results) {
+    results.chunking = await runStep(
+      "chunking",
+      (hooks) =>
+        chunkerService.chunkAllPending({
+          strategy: payload.chunkStrategy,
+          ...hooks,
+        }),
+      results
+    );
+
+    results.embedding = await runStep(
+      "embedding",
+      (hooks) => vectorStoreService.processAllPending(payload.embedLimit, hooks),
+      results
+    );
+
+    return results;
+  }
+
+  // scrape -> chunk -> embed -> store
+  // payload: { urls, chunkStrategy, usePuppeteer, embedLimit, collectionId }
+  async runPipelineJob(payload, context) {
+    const results = { scraping: null, chunking: null, embedding: null };
+
+    results.scraping = await context.runStep("scraping", (hooks) =>
+      scraperService.scrapeURLs(payload.urls, payload.usePuppeteer, {
+        ...hooks,
+        collectionId: payload.collectionId,
+      })
+    );
+
+    return await this.chunkAndEmbed(payload, context, results);
+  }
+
+  // crawl (optionally followed by chunk + embed when payload.process is set)
+  // payload: crawl options (see CrawlerService.crawl, including collectionId)
+  // + { process, chunkStrategy }
+  async runCrawlJob(payload, context) {
+    const { process: processAfter = false, ...crawlOptions } = payload;
+    const results = { crawling: null };
+
+    results.crawling = await context.runStep("crawling", (hooks) =>
+      crawlerService.crawl({ ...crawlOptions, ...hooks })
+    );
+
+    if (!processAfter) {
+      return results;
+    }
+    return await this.chunkAndEmbed(payload, context, results);
+  }
+
+  // chunk -> embed documents already stored (e.g. uploaded files)
+  // payload: { chunkStrategy, embedLimit }
+  async runProcessJob(payload, context) {
+    return await this.chunkAndEmbed(payload, context, {
+      chunking: null,
+      embedding: null,
+    });
+  }
+
+  // Embed pending chunks; with reembed, clear the vector store first so
+  // every chunk is embedded again (e.g. after switching embedding model)
+  // payload: { limit, reembed }
+  async runEmbedJob(payload, { runStep }) {
+    const { limit = 1000, reembed = false } = payload;
+    const results = {};
+
+    if (reembed) {
+      results.clearing = await runStep("clearing", () =>
+        vectorStoreService.clearIndex()
+      );
+    }
+
+    results.embedding = await runStep(
+      "embedding",
+      (hooks) => vectorStoreService.processAllPending(limit, hooks),
+      results
+    );
+
+    return results;
+  }
+
+  // Re-check known URLs for changes
+  // payload: refresh options (see RefreshService.refreshAll)
+  async runRefreshJob(payload, { runStep }) {
+    const results = {};
+    results.refreshing = await runStep("refreshing", (hooks) =>
+      refreshService.refreshAll({ ...payload, ...hooks })
+    );
+    return results;
+  }
+
+  // Build (or catch up) a re-index in the background: chunk documents into
+  // its own chunk set if it has one, then embed everything past its watermark
+  // The index is "ready" afterwards and can be switched to from the API
+  // payload: { indexId }
+  async runReindexJob(payload, { job, runStep }) {
+    const index = await VectorIndex.findByPk(payload.indexId);
+    if (!index) {
+      throw new Error(`Index ${payload.indexId} not found`);
+    }
+    if (["active", "retired"].includes(index.status)) {
+      throw new Error(`Index "${index.name}" is ${index.status}`);
+    }
+
+    await index.update({ status: "building", error: null, jobId: job.id });
+
+    const results = {};
+    try {
+      if (index.chunkSet === index.name) {
+        results.chunking = await runStep(
+          "chunking",
+          (hooks) => chunkerService.chunkIntoSet(index, hooks),
+          results
+        );
+      }
+
+      results.embedding = await runStep(
+        "embedding",
+        (hooks) => vectorStoreService.buildIndex(index, hooks),
+        results
+      );
+    } catch (error) {
+      await index.update({ status: "failed", error: error.message });
+      throw error;
+    }
+
+    await index.update({ status: "ready" });
+    return results;
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueueService();
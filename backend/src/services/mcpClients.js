@@ -0,0 +1,512 @@
+// src/services/mcpClients.js
+// This service connects to the MCP servers listed in the configuration file
+// (see config/mcpServers.js) and keeps track of their health: servers are
+// pinged periodically and reconnected with exponential backoff when they
+// fail or close the connection
+// Their tools are offered to the LLM during query processing under qualified
+// names ("<server>__<tool>"), limited to each server's allowedTools
+
+const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+const {
+  StdioClientTransport,
+  getDefaultEnvironment,
+} = require("@modelcontextprotocol/sdk/client/stdio.js");
+const {
+  StreamableHTTPClientTransport,
+} = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+const {
+  SSEClientTransport,
+} = require("@modelcontextprotocol/sdk/client/sse.js");
+const { SchemaType } = require("@google/generative-ai");
+const { loadMcpServers, mcpClientConfig } = require("../config/mcpServers");
+
+class McpClientRegistry {
+  constructor() {
+    this.config = mcpClientConfig;
+
+    // Server name -> { config, client, status, tools, ... }
+    this.servers = new Map();
+
+    // Qualified tool name -> { server, tool }
+    this.tools = new Map();
+
+    // Server name -> tools skipped because their qualified name was taken
+    this.toolConflicts = new Map();
+
+    this.started = false;
+    this.configError = null;
+    this.healthTimer = null;
+  }
+
+  // Load the configuration and connect to every enabled server
+  // Servers that fail to connect are retried in the background
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    let configs = [];
+    try {
+      configs = loadMcpServers();
+    } catch (error) {
+      this.configError = error.message;
+      console.error(" Invalid MCP server configuration:", error.message);
+      return;
+    }
+
+    if (configs.length === 0) {
+      console.log(` No MCP servers configured (${this.config.configPath})`);
+      return;
+    }
+
+    for (const config of configs) {
+      this.servers.set(config.name, {
+        config,
+        client: null,
+        status: config.enabled ? "disconnected" : "disabled",
+        tools: [],
+        lastError: null,
+        connectedAt: null,
+        lastHealthCheckAt: null,
+        failures: 0,
+        nextReconnectAt: null,
+        reconnectTimer: null,
+      });
+    }
+
+    await Promise.all(
+      [...this.servers.values()]
+        .filter((server) => server.config.enabled)
+        .map((server) => this.connect(server))
+    );
+
+    this.healthTimer = setInterval(
+      () => this.checkHealth(),
+      this.config.healthCheckIntervalMs
+    );
+    this.healthTimer.unref();
+  }
+
+  // Close every connection and stop health checks / reconnects
+  async stop() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    await Promise.all(
+      [...this.servers.values()].map((server) => this.disconnect(server))
+    );
+    this.started = false;
+  }
+
+  isConnected() {
+    return [...this.servers.values()].some(
+      (server) => server.status === "connected"
+    );
+  }
+
+  // ============================================
+  // CONNECTIONS
+  // ============================================
+
+  createTransport(config) {
+    if (config.transport === "stdio") {
+      return new StdioClientTransport({
+        command: config.command,
+        args: config.args,
+        // Configured variables are added to the default (PATH, HOME, ...)
+        env: { ...getDefaultEnvironment(), ...config.env },
+        ...(config.cwd && { cwd: config.cwd }),
+        stderr: "ignore",
+      });
+    }
+
+    const url = new URL(config.url);
+    const requestInit = { headers: config.headers };
+
+    if (config.transport === "sse") {
+      return new SSEClientTransport(url, {
+        requestInit,
+        // The event stream request needs the headers too (e.g. auth)
+        eventSourceInit: {
+          fetch: (input, init) =>
+            fetch(input, {
+              ...init,
+              headers: { ...init?.headers, ...config.headers },
+            }),
+        },
+      });
+    }
+
+    return new StreamableHTTPClientTransport(url, { requestInit });
+  }
+
+  async connect(server) {
+    const { config } = server;
+    clearTimeout(server.reconnectTimer);
+    server.status = "connecting";
+    server.nextReconnectAt = null;
+
+    const client = new Client({
+      name: "stripe-support-agent",
+      version: "1.0.0",
+    });
+
+    try {
+      await client.connect(this.createTransport(config), {
+        timeout: this.config.requestTimeoutMs,
+      });
+
+      const { tools } = await client.listTools(undefined, {
+        timeout: this.config.requestTimeoutMs,
+      });
+
+      // Unexpected closes (server crashed, network) trigger a reconnect
+      client.onclose = () => {
+        if (server.client === client) {
+          this.handleFailure(server, new Error("Connection closed"));
+        }
+      };
+
+      Object.assign(server, {
+        client,
+        status: "connected",
+        tools: tools.filter(
+          (tool) =>
+            !config.allowedTools || config.allowedTools.includes(tool.name)
+        ),
+        lastError: null,
+        connectedAt: new Date(),
+        lastHealthCheckAt: new Date(),
+        failures: 0,
+      });
+      this.indexTools();
+
+      console.log(
+        ` MCP server "${config.name}" connected (${config.transport}), ` +
+          `tools: ${server.tools.map((tool) => tool.name).join(", ") || "none"}`
+      );
+      return true;
+    } catch (error) {
+      console.error(
+        ` MCP server "${config.name}" failed to connect:`,
+        error.message
+      );
+      // Stop a half-started server process
+      client.close().catch(() => {});
+      await this.handleFailure(server, error);
+      return false;
+    }
+  }
+
+  // Close a server's connection without triggering a reconnect
+  async disconnect(server) {
+    clearTimeout(server.reconnectTimer);
+    server.reconnectTimer = null;
+    server.nextReconnectAt = null;
+
+    const client = server.client;
+    server.client = null;
+    server.tools = [];
+    this.indexTools();
+
+    if (client) {
+      try {
+        await client.close();
+      } catch (error) {
+        console.error(
+          ` Closing MCP server "${server.config.name}" failed:`,
+          error.message
+        );
+      }
+    }
+
+    if (server.status !== "disabled") {
+      server.status = "disconnected";
+    }
+  }
+
+  // Mark a server failed, drop its client and schedule a reconnect
+  // Delay: reconnectBaseDelayMs * 2^(failures - 1), capped at the maximum
+  async handleFailure(server, error) {
+    await this.disconnect(server);
+
+    server.status = "failed";
+    server.lastError = error.message;
+    server.failures += 1;
+
+    if (!this.started) return;
+
+    const delay = Math.min(
+      this.config.reconnectBaseDelayMs * 2 ** (server.failures - 1),
+      this.config.reconnectMaxDelayMs
+    );
+    server.nextReconnectAt = new Date(Date.now() + delay);
+    server.reconnectTimer = setTimeout(() => this.connect(server), delay);
+    server.reconnectTimer.unref();
+
+    console.log(
+      ` Reconnecting to MCP server "${server.config.name}" in ${Math.round(
+        delay / 1000
+      )}s (attempt ${server.failures})`
+    );
+  }
+
+  // Ping connected servers; failures are handled like a dropped connection
+  async checkHealth() {
+    const connected = [...this.servers.values()].filter(
+      (server) => server.status === "connected"
+    );
+
+    await Promise.all(
+      connected.map(async (server) => {
+        try {
+          await server.client.ping({ timeout: this.config.requestTimeoutMs });
+          server.lastHealthCheckAt = new Date();
+        } catch (error) {
+          console.error(
+            ` MCP server "${server.config.name}" health check failed:`,
+            error.message
+          );
+          await this.handleFailure(server, error);
+        }
+      })
+    );
+  }
+
+  // Reconnect a server now (admin action); resets its backoff
+  async reconnect(name) {
+    const server = this.servers.get(name);
+    if (!server) {
+      return { success: false, error: `MCP server "${name}" not found` };
+    }
+    if (!server.config.enabled) {
+      return { success: false, error: `MCP server "${name}" is disabled` };
+    }
+
+    await this.disconnect(server);
+    server.failures = 0;
+    const connected = await this.connect(server);
+
+    return connected
+      ? { success: true, server: this.describeServer(server) }
+      : { success: false, error: server.lastError };
+  }
+
+  // ============================================
+  // TOOLS
+  // ============================================
+
+  // "<server>__<tool>", restricted to the characters Gemini accepts
+  qualifyName(serverName, toolName) {
+    return `${serverName}__${toolName}`
+      .replace(/[^a-zA-Z0-9_-]/g, "_")
+      .substring(0, 64);
+  }
+
+  // Different tools can get the same qualified name once sanitized and cut
+  // to 64 characters: the first one (in configuration order) keeps it and
+  // the others are skipped, so a call never reaches the wrong server
+  indexTools() {
+    const conflicts = new Map();
+    this.tools.clear();
+
+    for (const server of this.servers.values()) {
+      const serverName = server.config.name;
+
+      for (const tool of server.tools) {
+        const name = this.qualifyName(serverName, tool.name);
+        const existing = this.tools.get(name);
+
+        if (existing) {
+          const message =
+            `Tool "${tool.name}" skipped: its name "${name}" is taken by ` +
+            `tool "${existing.tool.name}" of MCP server ` +
+            `"${existing.server.config.name}"`;
+          // Logged once, not on every re-index
+          if (!this.toolConflicts.get(serverName)?.includes(message)) {
+            console.error(` MCP server "${serverName}": ${message}`);
+          }
+          conflicts.set(serverName, [
+            ...(conflicts.get(serverName) || []),
+            message,
+          ]);
+          continue;
+        }
+
+        this.tools.set(name, { server, tool });
+      }
+    }
+
+    this.toolConflicts = conflicts;
+  }
+
+  hasTool(name) {
+    return this.tools.has(name);
+  }
+
+  // Convert an MCP tool's JSON Schema to the OpenAPI subset Gemini accepts
+  toGeminiSchema(schema = {}) {
+    const variant = (schema.anyOf || schema.oneOf || []).find(
+      (option) => option.type !== "null"
+    );
+    if (variant) {
+      return this.toGeminiSchema({
+        description: schema.description,
+        ...variant,
+      });
+    }
+
+    const types = [].concat(schema.type || "string");
+    const type = types.find((t) => t !== "null") || "string";
+    const result = {
+      type: SchemaType[type.toUpperCase()] || SchemaType.STRING,
+      ...(schema.description && { description: schema.description }),
+      ...(types.includes("null") && { nullable: true }),
+    };
+
+    if (type === "object") {
+      const properties = Object.entries(schema.properties || {});
+      // Gemini rejects objects without properties: accept JSON text instead
+      if (properties.length === 0) {
+        return {
+          type: SchemaType.STRING,
+          description: `${schema.description || "Object"} (as JSON)`,
+        };
+      }
+      result.properties = Object.fromEntries(
+        properties.map(([key, value]) => [key, this.toGeminiSchema(value)])
+      );
+      const required = (schema.required || []).filter(
+        (key) => key in schema.properties
+      );
+      if (required.length > 0) result.required = required;
+    }
+
+    if (type === "array") {
+      result.items = this.toGeminiSchema(schema.items || { type: "string" });
+    }
+
+    if (type === "string" && Array.isArray(schema.enum)) {
+      result.format = "enum";
+      result.enum = schema.enum.map(String);
+    }
+
+    return result;
+  }
+
+  // Gemini function declarations for the tools of connected servers
+  getFunctionDeclarations() {
+    return [...this.tools.entries()].map(([name, { server, tool }]) => {
+      const parameters = this.toGeminiSchema({
+        ...tool.inputSchema,
+        type: "object",
+      });
+
+      return {
+        name,
+        description:
+          `[${server.config.name}] ${tool.description || tool.name}`.substring(
+            0,
+            1000
+          ),
+        ...(parameters.type === SchemaType.OBJECT && { parameters }),
+      };
+    });
+  }
+
+  // Call a tool by qualified name; returns { server, tool, isError, text }
+  async callTool(name, args = {}) {
+    const entry = this.tools.get(name);
+    if (!entry) {
+      throw new Error(`Unknown MCP tool: ${name}`);
+    }
+
+    const { server, tool } = entry;
+    if (server.status !== "connected") {
+      throw new Error(`MCP server "${server.config.name}" is not connected`);
+    }
+
+    // Object arguments the model had to send as JSON text (see toGeminiSchema)
+    const properties = tool.inputSchema?.properties || {};
+    const parsedArgs = Object.fromEntries(
+      Object.entries(args).map(([key, value]) => {
+        if (properties[key]?.type === "object" && typeof value === "string") {
+          try {
+            return [key, JSON.parse(value)];
+          } catch {
+            return [key, value];
+          }
+        }
+        return [key, value];
+      })
+    );
+
+    const result = await server.client.callTool(
+      { name: tool.name, arguments: parsedArgs },
+      undefined,
+      { timeout: this.config.requestTimeoutMs }
+    );
+
+    const text = (result.content || [])
+      .map((part) => {
+        if (part.type === "text") return part.text;
+        if (part.type === "resource") {
+          return part.resource.text || `[resource ${part.resource.uri}]`;
+        }
+        if (part.type === "resource_link") return `[resource ${part.uri}]`;
+        return `[${part.type}]`;
+      })
+      .join("\n");
+
+    return {
+      server: server.config.name,
+      tool: tool.name,
+      isError: Boolean(result.isError),
+      text,
+    };
+  }
+
+  // ============================================
+  // STATUS
+  // ============================================
+
+  describeServer(server) {
+    const { config } = server;
+    return {
+      name: config.name,
+      transport: config.transport,
+      target:
+        config.transport === "stdio"
+          ? [config.command, ...config.args].join(" ")
+          : config.url,
+      enabled: config.enabled,
+      status: server.status,
+      allowedTools: config.allowedTools,
+      tools: server.tools.map((tool) => ({
+        name: tool.name,
+        qualifiedName: this.qualifyName(config.name, tool.name),
+        description: tool.description || null,
+      })),
+      lastError:
+        server.lastError ||
+        (this.toolConflicts.get(config.name) || []).join("; ") ||
+        null,
+      failures: server.failures,
+      connectedAt: server.connectedAt,
+      lastHealthCheckAt: server.lastHealthCheckAt,
+      nextReconnectAt: server.nextReconnectAt,
+    };
+  }
+
+  listServers() {
+    return {
+      configPath: this.config.configPath,
+      configError: this.configError,
+      servers: [...this.servers.values()].map((server) =>
+        this.describeServer(server)
+      ),
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new McpClientRegistry();
@@ -0,0 +1,385 @@
+// src/services/mcpServer.js
+// This service exposes the knowledge base as an MCP server, so IDE assistants
+// can query the same curated index the support agent uses
+// Transports: stdio (scripts/mcp-server.js) and HTTP (routes/mcp.js,
+// Streamable HTTP at /mcp and the older SSE transport at /mcp/sse)
+//
+// Tools:
+//   search_stripe_docs  hybrid search, optionally filtered
+//   get_document        full Markdown / text of a page by URL or ID
+//   list_sources        collections and their documents
+//   ask_support_agent   full answer from the support agent, with sources
+// Resources:
+//   stripe-docs://documents/{documentId}  one per stored document
+
+const { z } = require("zod");
+const {
+  McpServer,
+  ResourceTemplate,
+} = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { Op } = require("sequelize");
+const hybridSearchService = require("./hybridSearch");
+const searchFilterService = require("./searchFilters");
+const collectionService = require("./collections");
+const vectorIndexService = require("./vectorIndexes");
+const RawDocument = require("../models/RawDocument");
+const Collection = require("../models/Collection");
+
+class McpServerService {
+  constructor() {
+    this.serverInfo = { name: "stripe-docs-knowledge-base", version: "1.0.0" };
+
+    // Documents listed as resources (most recently scraped first)
+    this.maxListedResources = parseInt(
+      process.env.MCP_MAX_LISTED_RESOURCES || "500"
+    );
+
+    // Characters of a document returned by get_document
+    this.maxDocumentChars = parseInt(
+      process.env.MCP_MAX_DOCUMENT_CHARS || "20000"
+    );
+  }
+
+  // A new server per connection (the SDK binds a server to one transport)
+  createServer() {
+    const server = new McpServer(this.serverInfo, {
+      instructions:
+        "Search and read the curated Stripe documentation knowledge base used by the Stripe support agent. Prefer search_stripe_docs for lookups and ask_support_agent for a complete, cited answer.",
+    });
+
+    this.registerTools(server);
+    this.registerResources(server);
+    return server;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  text(text) {
+    return { content: [{ type: "text", text }] };
+  }
+
+  error(message) {
+    return { content: [{ type: "text", text: message }], isError: true };
+  }
+
+  documentUri(documentId) {
+    return `stripe-docs://documents/${documentId}`;
+  }
+
+  // Collection slugs -> collection records (default collection when empty)
+  async resolveCollections(slugs) {
+    if (!slugs || slugs.length === 0) {
+      return [await collectionService.getDefault()];
+    }
+
+    const collections = await Collection.findAll({ where: { slug: slugs } });
+    const missing = slugs.filter(
+      (slug) => !collections.some((collection) => collection.slug === slug)
+    );
+    if (missing.length > 0) {
+      throw new Error(`Collection not found: ${missing.join(", ")}`);
+    }
+    return collections;
+  }
+
+  // Wrap a tool handler so failures become MCP tool errors
+  handle(name, handler) {
+    return async (args) => {
+      try {
+        return await handler(args);
+      } catch (error) {
+        console.error(` MCP tool ${name} failed:`, error.message);
+        return this.error(error.message);
+      }
+    };
+  }
+
+  // ============================================
+  // TOOLS
+  // ============================================
+
+  registerTools(server) {
+    const collections = z
+      .array(z.string())
+      .optional()
+      .describe(
+        "Collection slugs to use (see list_sources); the default collection if omitted"
+      );
+
+    server.registerTool(
+      "search_stripe_docs",
+      {
+        title: "Search Stripe docs",
+        description:
+          "Hybrid (semantic + keyword) search over the Stripe documentation knowledge base. Returns the best matching passages with page titles and URLs.",
+        inputSchema: {
+          query: z.string().min(1).describe("What to search for"),
+          topK: z
+            .number()
+            .int()
+            .min(1)
+            .max(20)
+            .optional()
+            .describe("Number of passages (default 5)"),
+          productArea: z
+            .string()
+            .optional()
+            .describe('First URL path segment, e.g. "billing"'),
+          urlPrefix: z.string().optional().describe("Only pages under this URL"),
+          collections,
+        },
+        annotations: { readOnlyHint: true },
+      },
+      this.handle("search_stripe_docs", (args) => this.searchDocs(args))
+    );
+
+    server.registerTool(
+      "get_document",
+      {
+        title: "Get document",
+        description:
+          "Full content of a stored documentation page (Markdown when available), by URL or document ID.",
+        inputSchema: {
+          url: z.string().optional().describe("Page URL"),
+          documentId: z.number().int().optional().describe("Document ID"),
+        },
+        annotations: { readOnlyHint: true },
+      },
+      this.handle("get_document", (args) => this.getDocument(args))
+    );
+
+    server.registerTool(
+      "list_sources",
+      {
+        title: "List sources",
+        description:
+          "List the knowledge base collections and the documents they contain (URL, title, status).",
+        inputSchema: {
+          collection: z
+            .string()
+            .optional()
+            .describe("Collection slug; lists collections only if omitted"),
+          urlPrefix: z
+            .string()
+            .optional()
+            .describe("Only documents whose URL starts with this"),
+          limit: z.number().int().min(1).max(500).optional(),
+          offset: z.number().int().min(0).optional(),
+        },
+        annotations: { readOnlyHint: true },
+      },
+      this.handle("list_sources", (args) => this.listSources(args))
+    );
+
+    server.registerTool(
+      "ask_support_agent",
+      {
+        title: "Ask the support agent",
+        description:
+          "Ask the Stripe support agent a question. It searches the knowledge base and answers with cited sources.",
+        inputSchema: {
+          question: z.string().min(1),
+          agent: z
+            .boolean()
+            .optional()
+            .describe("Let the agent research with tools (slower, thorough)"),
+          collections,
+        },
+      },
+      this.handle("ask_support_agent", (args) => this.askSupportAgent(args))
+    );
+  }
+
+  async searchDocs({ query, topK = 5, productArea, urlPrefix, collections }) {
+    const parsed = searchFilterService.parse(
+      productArea || urlPrefix
+        ? {
+            ...(productArea && { productArea: productArea.toLowerCase() }),
+            ...(urlPrefix && { urlPrefix }),
+          }
+        : null
+    );
+    if (!parsed.success) {
+      return this.error(parsed.error);
+    }
+
+    const result = await hybridSearchService.search(query, {
+      topK,
+      filters: parsed.filters,
+      collections: await this.resolveCollections(collections),
+    });
+    if (!result.success) {
+      return this.error(`Search failed: ${result.error}`);
+    }
+    if (result.results.length === 0) {
+      return this.text("No matching documentation found.");
+    }
+
+    const passages = result.results.map((chunk, i) => {
+      const title = chunk.source?.title || "Untitled";
+      const url = chunk.metadata?.docsUrl || chunk.source?.url || "";
+      const label =
+        chunk.metadata?.sourceType === "api_reference"
+          ? " (API reference)"
+          : "";
+      return `[${i + 1}] ${title}${label}\nURL: ${url}\n\n${chunk.chunkText}`;
+    });
+
+    return this.text(passages.join("\n\n---\n\n"));
+  }
+
+  async getDocument({ url, documentId }) {
+    if (!url && !documentId) {
+      return this.error("Provide url or documentId");
+    }
+
+    const document = documentId
+      ? await RawDocument.findByPk(documentId)
+      : await RawDocument.findOne({
+          where: { url: [url.replace(/\/+$/, ""), url] },
+        });
+    if (!document) {
+      return this.error(`Document not found: ${url || documentId}`);
+    }
+
+    const content = document.markdownContent || document.cleanedContent || "";
+    const truncated = content.length > this.maxDocumentChars;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text:
+            `# ${document.title}\nURL: ${document.url}\n\n` +
+            content.substring(0, this.maxDocumentChars) +
+            (truncated ? "\n\n[Truncated]" : ""),
+        },
+        {
+          type: "resource_link",
+          uri: this.documentUri(document.id),
+          name: document.title || document.url,
+          mimeType: document.markdownContent ? "text/markdown" : "text/plain",
+        },
+      ],
+    };
+  }
+
+  async listSources({ collection, urlPrefix, limit = 100, offset = 0 }) {
+    if (!collection) {
+      const collections = await collectionService.list(
+        vectorIndexService.getActive().chunkSet
+      );
+      const lines = collections.map(
+        (c) =>
+          `- ${c.slug}: ${c.name} (${c.counts.documents} documents, ` +
+          `${c.counts.embedded} embedded chunks)` +
+          (c.description ? ` - ${c.description}` : "")
+      );
+      return this.text(`Collections:\n${lines.join("\n")}`);
+    }
+
+    const [target] = await this.resolveCollections([collection]);
+    const { count, rows } = await RawDocument.findAndCountAll({
+      where: {
+        collectionId: target.id,
+        ...(urlPrefix && { url: { [Op.startsWith]: urlPrefix } }),
+      },
+      attributes: ["id", "url", "title", "status"],
+      order: [["url", "ASC"]],
+      limit,
+      offset,
+    });
+
+    const lines = rows.map(
+      (document) =>
+        `- [${document.id}] ${document.title} (${document.status})\n` +
+        `  ${document.url}`
+    );
+    const range = `${offset + 1}-${offset + rows.length}`;
+    return this.text(
+      `Collection ${target.slug}: documents ${range} of ${count}\n` +
+        lines.join("\n")
+    );
+  }
+
+  async askSupportAgent({ question, agent = false, collections }) {
+    // Required lazily: the chat service sets up Gemini, which stdio clients
+    // only need when they ask the agent
+    const chatServiceMCP = require("./chatServiceMCP");
+
+    const result = await chatServiceMCP.processQuery(question, {
+      useMCP: false,
+      agent,
+      collections: await this.resolveCollections(collections),
+    });
+    if (!result.success) {
+      return this.error(result.error);
+    }
+
+    const sources = result.sources.map((source, i) => {
+      const label = source.type === "api_reference" ? "API reference: " : "";
+      return `[${i + 1}] ${label}${source.title} - ${source.url}`;
+    });
+    return this.text(
+      sources.length > 0
+        ? `${result.response}\n\nSources:\n${sources.join("\n")}`
+        : result.response
+    );
+  }
+
+  // ============================================
+  // RESOURCES
+  // ============================================
+
+  registerResources(server) {
+    server.registerResource(
+      "document",
+      new ResourceTemplate("stripe-docs://documents/{documentId}", {
+        list: async () => {
+          const documents = await RawDocument.findAll({
+            attributes: ["id", "url", "title", "markdownContent"],
+            order: [["scrapedAt", "DESC"]],
+            limit: this.maxListedResources,
+          });
+          return {
+            resources: documents.map((document) => ({
+              uri: this.documentUri(document.id),
+              name: document.title || document.url,
+              description: document.url,
+              mimeType: document.markdownContent
+                ? "text/markdown"
+                : "text/plain",
+            })),
+          };
+        },
+      }),
+      {
+        title: "Stripe documentation page",
+        description: "A stored documentation page as Markdown or text",
+      },
+      async (uri, { documentId }) => {
+        const document = await RawDocument.findByPk(parseInt(documentId));
+        if (!document) {
+          throw new Error(`Document ${documentId} not found`);
+        }
+
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              mimeType: document.markdownContent
+                ? "text/markdown"
+                : "text/plain",
+              text: document.markdownContent || document.cleanedContent || "",
+            },
+          ],
+        };
+      }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new McpServerService();
@@ -0,0 +1,125 @@
+// src/services/queryRewriter.js
+// This service turns the latest chat message into the queries searched for it
+// Gemini condenses the message and the recent conversation into a standalone
+// query ("and how do I refund it?" -> "How do I refund a PaymentIntent?"),
+// split into sub-queries when the message asks several things
+// Messages that read as standalone questions are searched as typed, and a
+// failed rewrite falls back to the original message
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { queryRewriteConfig } = require("../config/queryRewrite");
+
+// A second question joined to the first: "... and how do I ...?"
+const MULTI_PART =
+  /\?.*\S.*\?|\b(and|also|plus)\s+(how|what|why|when|where|which|who|can|do|does|is|are|should)\b/i;
+
+class QueryRewriterService {
+  constructor() {
+    this.enabled = queryRewriteConfig.enabled;
+    this.model = queryRewriteConfig.model;
+    this.maxQueries = Math.max(queryRewriteConfig.maxQueries, 1);
+    this.historyMessages = queryRewriteConfig.historyMessages;
+
+    // Characters of each history message given to the rewriter
+    this.maxMessageChars = 500;
+
+    this.genAI = new GoogleGenerativeAI(queryRewriteConfig.geminiApiKey);
+    this.client = this.genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig: { responseMimeType: "application/json", temperature: 0 },
+    });
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  // Only follow-ups and multi-part questions are sent to the LLM
+  needsRewrite(query, conversationHistory) {
+    return (
+      conversationHistory.length > 0 ||
+      (this.maxQueries > 1 && MULTI_PART.test(query))
+    );
+  }
+
+  buildPrompt(query, conversationHistory) {
+    const history = conversationHistory
+      .slice(-this.historyMessages)
+      .map(
+        (msg) =>
+          `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content
+            .substring(0, this.maxMessageChars)
+            .replace(/\s+/g, " ")}`
+      )
+      .join("\n");
+
+    return `You rewrite messages from a Stripe support chat into search queries for the Stripe documentation.
+Rewrite the latest user message into a standalone query that can be understood without the conversation: resolve references like "it", "that" or "the same" from the conversation, and keep product names, API objects, parameters and error codes exactly as written. Do not answer the message and do not add details the user did not mention.
+${
+  this.maxQueries > 1
+    ? `If the message asks about several distinct things, also split it into up to ${this.maxQueries} standalone sub-queries, one per thing; otherwise give the standalone query as the only sub-query.`
+    : "Give the standalone query as the only sub-query."
+}
+
+Conversation:
+${history || "(none)"}
+
+Latest user message: ${query}
+
+Respond with JSON: {"standalone": "<standalone query>", "queries": ["<sub-query>", ...]}`;
+  }
+
+  /**
+   * Rewrite the latest message for retrieval
+   * Returns { original, standalone, queries, rewritten } - queries are the
+   * ones to search (at least one), standalone the full question to rerank
+   * against; error is set when the rewrite failed and the message is used as is
+   */
+  async rewrite(query, conversationHistory = []) {
+    const unchanged = { original: query, standalone: query, queries: [query] };
+
+    if (!this.enabled || !this.needsRewrite(query, conversationHistory)) {
+      return { ...unchanged, rewritten: false };
+    }
+
+    try {
+      const startTime = Date.now();
+      const result = await this.client.generateContent(
+        this.buildPrompt(query, conversationHistory)
+      );
+      const parsed = JSON.parse(result.response.text());
+
+      const standalone =
+        typeof parsed?.standalone === "string" && parsed.standalone.trim()
+          ? parsed.standalone.trim()
+          : query;
+      const queries = [
+        ...new Set(
+          (Array.isArray(parsed?.queries) ? parsed.queries : [])
+            .filter((q) => typeof q === "string" && q.trim())
+            .map((q) => q.trim())
+        ),
+      ].slice(0, this.maxQueries);
+
+      if (queries.length === 0) queries.push(standalone);
+
+      console.log(
+        ` Rewrote query in ${Date.now() - startTime}ms: ` +
+          queries.map((q) => `"${q}"`).join(", ")
+      );
+
+      return {
+        original: query,
+        standalone,
+        queries,
+        rewritten: standalone !== query || queries.join("\n") !== query,
+      };
+    } catch (error) {
+      console.error(" Query rewrite failed:", error.message);
+      return { ...unchanged, rewritten: false, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new QueryRewriterService();
@@ -0,0 +1,387 @@
+// src/services/refresher.js
+// This service re-fetches already scraped URLs and detects content changes
+// Changed documents get a new version, their old chunks and vectors are removed,
+// and only those documents are re-chunked and re-embedded
+
+const { sequelize } = require("../config/database");
+const scraperService = require("./scraper");
+const chunkerService = require("./chunker");
+const vectorStoreService = require("./vectorStore");
+const collectionService = require("./collections");
+const RawDocument = require("../models/RawDocument");
+const ChunkedDocument = require("../models/ChunkedDocument");
+const DocumentVersion = require("../models/DocumentVersion");
+const VectorIndex = require("../models/VectorIndex");
+
+class RefreshService {
+  // Compare two versions line by line for the change summary
+  summarizeChange(oldText, newText) {
+    const oldLines = (oldText || "").split("\n");
+    const newLines = (newText || "").split("\n");
+
+    // Count lines as multisets so moved lines don't count as changes
+    const counts = new Map();
+    oldLines.forEach((line) => counts.set(line, (counts.get(line) || 0) + 1));
+
+    let linesAdded = 0;
+    newLines.forEach((line) => {
+      const remaining = counts.get(line) || 0;
+      if (remaining > 0) {
+        counts.set(line, remaining - 1);
+      } else {
+        linesAdded++;
+      }
+    });
+    const linesRemoved = [...counts.values()].reduce((a, b) => a + b, 0);
+
+    const words = (text) => (text ? text.split(/\s+/).length : 0);
+
+    return {
+      linesAdded,
+      linesRemoved,
+      wordDelta: words(newText) - words(oldText),
+    };
+  }
+
+  // Remove a document's chunks and their vectors before re-chunking
+  // Vectors are removed from every index (not only the active one) whose
+  // chunk set the chunks belong to, so re-index builds don't keep stale copies
+  async removeChunks(documentId) {
+    const chunks = await ChunkedDocument.getByDocumentId(documentId);
+    const document = await RawDocument.findByPk(documentId, {
+      attributes: ["collectionId"],
+    });
+    const namespace = await collectionService.getNamespace(
+      document?.collectionId
+    );
+    const indexes = await VectorIndex.findAll({
+      where: { status: ["building", "ready", "active", "failed"] },
+    });
+
+    let vectorsRemoved = 0;
+    for (const index of indexes) {
+      // Embedded by the pipeline, or by one of the index's builds
+      const embeddedIds = chunks
+        .filter(
+          (chunk) =>
+            chunk.chunkSet === index.chunkSet &&
+            (chunk.embeddingStatus === "embedded" ||
+              chunk.id <= index.lastChunkId)
+        )
+        .map((chunk) => chunk.id);
+
+      const deleteResult = await vectorStoreService.deleteVectors(
+        embeddedIds,
+        index,
+        namespace
+      );
+      if (!deleteResult.success) {
+        throw new Error(
+          `Failed to delete old vectors from index "${index.name}": ` +
+            deleteResult.error
+        );
+      }
+      vectorsRemoved += embeddedIds.length;
+    }
+
+    await ChunkedDocument.destroy({ where: { rawDocumentId: documentId } });
+    await RawDocument.update(
+      { staleChunks: false },
+      { where: { id: documentId } }
+    );
+
+    return { chunksRemoved: chunks.length, vectorsRemoved };
+  }
+
+  // Store changed content as a new version of a document and mark it pending
+  // so the chunker picks it up again (the caller removes its old chunks)
+  // staleChunks is set in the same transaction, so a failure before the old
+  // chunks are gone is repaired by the next refresh
+  // content: { title, rawContent, cleanedContent, markdownContent, metadata,
+  //            etag, lastModified }
+  // Returns { version, changeSummary }
+  async saveNewVersion(document, content, checkedAt = new Date()) {
+    const {
+      title,
+      rawContent,
+      cleanedContent,
+      markdownContent = null,
+      metadata,
+      etag = null,
+      lastModified = null,
+    } = content;
+    const contentHash = scraperService.hashContent(cleanedContent);
+    const wordCount = cleanedContent.split(/\s+/).length;
+    const changeSummary = this.summarizeChange(
+      document.cleanedContent,
+      cleanedContent
+    );
+    const newVersion = document.version + 1;
+
+    // Store the new version and update the document together
+    await sequelize.transaction(async (transaction) => {
+      await DocumentVersion.create(
+        {
+          rawDocumentId: document.id,
+          version: newVersion,
+          contentHash,
+          title,
+          cleanedContent,
+          wordCount,
+          etag,
+          lastModified,
+          changeSummary,
+          fetchedAt: checkedAt,
+        },
+        { transaction }
+      );
+
+      Object.assign(document, {
+        title,
+        rawContent,
+        cleanedContent,
+        markdownContent,
+        metadata,
+        wordCount,
+        contentHash,
+        etag,
+        lastModified,
+        version: newVersion,
+        scrapedAt: checkedAt,
+        lastCheckedAt: checkedAt,
+        status: "pending", // Lets the chunker pick it up again
+        staleChunks: true, // Until removeChunks has run
+      });
+      await document.save({ transaction });
+    });
+
+    console.log(
+      ` Changed -> version ${newVersion} (+${changeSummary.linesAdded}/-${changeSummary.linesRemoved} lines)`
+    );
+
+    return { version: newVersion, changeSummary };
+  }
+
+  // Drop a changed document's old chunks, then re-chunk and embed it
+  // Old chunks are always dropped so the pending document is never chunked
+  // on top of stale ones; reindex=false leaves the new chunking/embedding to
+  // the next regular pipeline run
+  async replaceChunks(documentId, reindex = true) {
+    const result = await this.removeChunks(documentId);
+    if (reindex) {
+      Object.assign(result, await this.reindexDocument(documentId));
+    }
+    return result;
+  }
+
+  // Re-chunk a changed document and embed only its new chunks
+  async reindexDocument(documentId) {
+    const chunkResult = await chunkerService.chunkDocument(documentId);
+    if (!chunkResult.success) {
+      throw new Error(`Re-chunking failed: ${chunkResult.error}`);
+    }
+
+    let embedded = 0;
+    let failed = 0;
+    for (const chunk of chunkResult.chunks) {
+      const result = await vectorStoreService.processChunk(chunk);
+      if (result.success) {
+        embedded++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { chunkCount: chunkResult.chunkCount, embedded, failed };
+  }
+
+  // Refresh a single document
+  // Returns status "unchanged", "updated" or "failed"
+  async refreshDocument(documentId, options = {}) {
+    const { force = false, reindex = true, usePuppeteer = false } = options;
+
+    try {
+      const document = await RawDocument.findByPk(documentId);
+
+      if (!document) {
+        throw new Error(`Document with ID ${documentId} not found`);
+      }
+
+      console.log(`\n Refreshing: ${document.url}`);
+
+      if (document.url.startsWith("file://")) {
+        throw new Error("Uploaded files cannot be re-fetched; upload them again");
+      }
+
+      // Documents scraped before versioning existed have no hash yet
+      if (!document.contentHash) {
+        document.contentHash = scraperService.hashContent(
+          document.cleanedContent
+        );
+      }
+
+      const validators = force
+        ? {}
+        : { etag: document.etag, lastModified: document.lastModified };
+      const page = await scraperService.fetchConditional(
+        document.url,
+        validators,
+        usePuppeteer
+      );
+
+      const checkedAt = new Date();
+
+      // A previous refresh stored a new version but failed to replace the
+      // old chunks, or re-chunking it failed: finish that even if the page
+      // is unchanged now
+      const unfinished =
+        document.staleChunks || (reindex && document.status === "failed");
+      const unchanged = async () => {
+        if (!unfinished) {
+          return { success: true, documentId, status: "unchanged" };
+        }
+        console.log(" Finishing the re-index of the current version");
+        return {
+          success: true,
+          documentId,
+          status: "updated",
+          version: document.version,
+          repaired: true,
+          ...(await this.replaceChunks(document.id, reindex)),
+        };
+      };
+
+      if (page.notModified) {
+        console.log(" Not modified (304)");
+        document.lastCheckedAt = checkedAt;
+        await document.save();
+        return await unchanged();
+      }
+
+      const cleanedContent = scraperService.cleanText(page.html);
+      const contentHash = scraperService.hashContent(cleanedContent);
+
+      if (contentHash === document.contentHash && !force) {
+        console.log(" Content unchanged");
+        document.etag = page.etag || document.etag;
+        document.lastModified = page.lastModified || document.lastModified;
+        document.lastCheckedAt = checkedAt;
+        await document.save();
+        return await unchanged();
+      }
+
+      const metadata = scraperService.extractMetadata(page.html, document.url);
+      const { version: newVersion, changeSummary } = await this.saveNewVersion(
+        document,
+        {
+          title: metadata.title,
+          rawContent: page.html,
+          cleanedContent,
+          markdownContent: scraperService.toMarkdown(page.html, document.url),
+          metadata,
+          etag: page.etag,
+          lastModified: page.lastModified,
+        },
+        checkedAt
+      );
+
+      return {
+        success: true,
+        documentId,
+        status: "updated",
+        version: newVersion,
+        changeSummary,
+        ...(await this.replaceChunks(document.id, reindex)),
+      };
+    } catch (error) {
+      console.error(
+        ` Refresh failed for document ${documentId}:`,
+        error.message
+      );
+      return {
+        success: false,
+        documentId,
+        status: "failed",
+        error: error.message,
+      };
+    }
+  }
+
+  // Refresh many documents
+  // Options: documentIds (explicit list) or olderThanHours (stale check), limit
+  async refreshAll(options = {}) {
+    const {
+      documentIds = null,
+      olderThanHours = 24,
+      limit = 100,
+      delayMs = 1000,
+      onProgress = () => {}, // ({ done, total, item, status, error }) per document
+      shouldStop = async () => false, // Checked before each document
+    } = options;
+
+    console.log(" Starting refresh of known URLs...\n");
+
+    let documents;
+    if (documentIds && documentIds.length > 0) {
+      documents = await RawDocument.findAll({
+        where: { id: documentIds },
+        attributes: ["id", "url"],
+      });
+    } else {
+      const checkedBefore = new Date(Date.now() - olderThanHours * 3600 * 1000);
+      documents = await RawDocument.getStale(checkedBefore, limit);
+    }
+
+    const results = {
+      updated: [],
+      unchanged: [],
+      failed: [],
+    };
+
+    for (let i = 0; i < documents.length; i++) {
+      if (await shouldStop()) {
+        results.stopped = true;
+        break;
+      }
+
+      const doc = documents[i];
+      console.log(`\n[${i + 1}/${documents.length}] Document ID: ${doc.id}`);
+
+      const result = await this.refreshDocument(doc.id, options);
+
+      if (result.status === "updated") {
+        results.updated.push(result);
+      } else if (result.status === "unchanged") {
+        results.unchanged.push(doc.id);
+      } else {
+        results.failed.push({ id: doc.id, error: result.error });
+      }
+
+      await onProgress({
+        done: i + 1,
+        total: documents.length,
+        item: doc.url,
+        status: result.status,
+        error: result.error,
+      });
+
+      // Add delay to avoid rate limiting
+      if (i < documents.length - 1) {
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+    }
+
+    console.log("\n Refresh Summary:");
+    console.log(` Updated: ${results.updated.length}`);
+    console.log(` Unchanged: ${results.unchanged.length}`);
+    console.log(` Failed: ${results.failed.length}`);
+
+    return {
+      success: true,
+      checked: documents.length,
+      results,
+    };
+  }
+}
+
+module.exports = new RefreshService();
@@ -0,0 +1,87 @@
+// src/services/reranker.js
+// This service reorders retrieved chunks with the configured reranker
+// (a local cross-encoder or an LLM scorer) before they are used as context
+// Search over-fetches candidates; the reranker keeps only the best ones
+
+const { rerankerConfig } = require("../config/reranker");
+const { createReranker } = require("./rerankers");
+
+class RerankerService {
+  constructor() {
+    // Reranker selected by RERANKER (see config/reranker.js), null if "none"
+    this.reranker = createReranker(rerankerConfig);
+
+    // Candidates fetched per final result when reranking
+    this.candidateMultiplier = rerankerConfig.candidateMultiplier;
+  }
+
+  isEnabled() {
+    return this.reranker !== null;
+  }
+
+  // Number of search results to fetch so the reranker has enough to choose from
+  getCandidateCount(topK) {
+    return this.isEnabled() ? topK * this.candidateMultiplier : topK;
+  }
+
+  getRerankerInfo() {
+    return {
+      reranker: this.reranker ? this.reranker.name : "none",
+      model: this.reranker ? this.reranker.model : null,
+      candidateMultiplier: this.candidateMultiplier,
+    };
+  }
+
+  // Rescore chunks against the query and return the best topN
+  // Each returned chunk gets rerankScore, preRerankRank and postRerankRank;
+  // ranks lists every candidate so the reranker's effect can be measured
+  async rerank(query, chunks, topN = 5) {
+    if (!this.isEnabled()) {
+      return { success: false, error: "Reranking is disabled (RERANKER=none)" };
+    }
+
+    if (chunks.length === 0) {
+      return { success: true, results: [], ranks: [] };
+    }
+
+    try {
+      const startTime = Date.now();
+      const scores = await this.reranker.score(
+        query,
+        chunks.map((chunk) => chunk.chunkText)
+      );
+
+      const reranked = chunks
+        .map((chunk, i) => ({
+          ...chunk,
+          rerankScore: scores[i],
+          preRerankRank: i + 1,
+        }))
+        .sort((a, b) => b.rerankScore - a.rerankScore)
+        .map((chunk, i) => ({ ...chunk, postRerankRank: i + 1 }));
+
+      console.log(
+        ` Reranked ${chunks.length} candidates with ${this.reranker.name} ` +
+          `in ${Date.now() - startTime}ms`
+      );
+
+      return {
+        success: true,
+        results: reranked.slice(0, topN),
+        ranks: reranked.map((chunk) => ({
+          chunkId: chunk.chunkId,
+          preRerankRank: chunk.preRerankRank,
+          postRerankRank: chunk.postRerankRank,
+          rerankScore: chunk.rerankScore,
+          kept: chunk.postRerankRank <= topN,
+        })),
+      };
+    } catch (error) {
+      console.error(" Reranking failed:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RerankerService();
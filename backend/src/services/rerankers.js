@@ -0,0 +1,139 @@
+// src/services/rerankers.js
+// Reranker implementations behind a common interface
+// Every reranker exposes: name, model, score(query, texts) -> relevance scores (0..1)
+// Scores are returned in the same order as the input texts
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+// Cross-encoder run in-process via transformers.js (ONNX on CPU)
+// Reads query and passage together, so it judges relevance far better
+// than comparing two independently computed embeddings
+class LocalCrossEncoderReranker {
+  constructor({ model, localModelPath, localCacheDir }) {
+    this.name = "local";
+    this.model = model;
+    this.localModelPath = localModelPath;
+    this.localCacheDir = localCacheDir;
+    this.tokenizer = null;
+    this.classifier = null;
+  }
+
+  // Load tokenizer and model once, on first use
+  async load() {
+    if (!this.classifier) {
+      // transformers.js is ESM-only, so load it dynamically
+      const { AutoTokenizer, AutoModelForSequenceClassification, env } =
+        await import("@huggingface/transformers");
+
+      if (this.localModelPath) {
+        env.localModelPath = this.localModelPath;
+        env.allowRemoteModels = false;
+      }
+      if (this.localCacheDir) {
+        env.cacheDir = this.localCacheDir;
+      }
+
+      console.log(` Loading local reranker model: ${this.model}`);
+      this.tokenizer = await AutoTokenizer.from_pretrained(this.model);
+      this.classifier = await AutoModelForSequenceClassification.from_pretrained(
+        this.model
+      );
+    }
+  }
+
+  async score(query, texts) {
+    await this.load();
+
+    // Each input is a (query, passage) pair
+    const inputs = this.tokenizer(new Array(texts.length).fill(query), {
+      text_pair: texts,
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await this.classifier(inputs);
+
+    // One relevance logit per pair; sigmoid maps it to 0..1
+    return logits
+      .sigmoid()
+      .tolist()
+      .map(([score]) => score);
+  }
+}
+
+// Gemini scores every passage in a single prompt
+class LLMReranker {
+  constructor({ model, geminiApiKey }) {
+    this.name = "llm";
+    this.model = model;
+    this.maxPassageLength = 1500; // Characters per passage sent to the LLM
+
+    this.genAI = new GoogleGenerativeAI(geminiApiKey);
+    this.client = this.genAI.getGenerativeModel({
+      model,
+      generationConfig: { responseMimeType: "application/json", temperature: 0 },
+    });
+  }
+
+  buildPrompt(query, texts) {
+    const passages = texts
+      .map(
+        (text, i) => `[${i}]\n${text.substring(0, this.maxPassageLength)}`
+      )
+      .join("\n\n");
+
+    return `You are ranking documentation passages for a search engine.
+Rate how well each passage answers the question on a scale from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Respond with a JSON array of ${texts.length} numbers, one score per passage, in passage order.`;
+  }
+
+  async score(query, texts) {
+    const result = await this.client.generateContent(
+      this.buildPrompt(query, texts)
+    );
+    const scores = JSON.parse(result.response.text());
+
+    if (!Array.isArray(scores) || scores.length !== texts.length) {
+      throw new Error(
+        `LLM reranker returned ${
+          Array.isArray(scores) ? scores.length : "no"
+        } scores for ${texts.length} passages`
+      );
+    }
+
+    // Clamp to 0..10 and scale to the cross-encoder's 0..1 range
+    return scores.map(
+      (score) => Math.min(Math.max(Number(score) || 0, 0), 10) / 10
+    );
+  }
+}
+
+const RERANKERS = {
+  local: LocalCrossEncoderReranker,
+  llm: LLMReranker,
+};
+
+// Create the reranker selected in the reranker config
+// Returns null when reranking is disabled ("none")
+const createReranker = (config) => {
+  if (config.reranker === "none") {
+    return null;
+  }
+
+  const Reranker = RERANKERS[config.reranker];
+  if (!Reranker) {
+    throw new Error(`Unknown reranker: ${config.reranker}`);
+  }
+  return new Reranker(config);
+};
+
+module.exports = {
+  createReranker,
+  LocalCrossEncoderReranker,
+  LLMReranker,
+};
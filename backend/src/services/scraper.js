@@ -5,7 +5,10 @@
 const puppeteer = require("puppeteer");
 const cheerio = require("cheerio");
 const axios = require("axios");
+const crypto = require("crypto");
 const RawDocument = require("../models/RawDocument");
+const DocumentVersion = require("../models/DocumentVersion");
+const collectionService = require("./collections");
 
 class ScraperService {
   constructor() {
@@ -33,8 +36,8 @@ class ScraperService {
     }
   }
 
-  cleanText(html) {
-    const $ = cheerio.load(html);
+  // Remove navigation/noise and return the main content element
+  selectMainContent($) {
     // 1. REMOVE SPECIFIC NOISE
     // We remove code blocks that aren't the primary language if possible,
     // and definitely remove scripts/nav/footer.
@@ -43,11 +46,16 @@ class ScraperService {
     ).remove();
     // 2. TARGET THE CONTENT AREA (Stripe specific)
     // Most Stripe docs store the main content in a specific div or article tag.
-    const mainContent = $("article").length
+    return $("article").length
       ? $("article")
       : $("main").length
       ? $("main")
       : $("body");
+  }
+
+  cleanText(html) {
+    const $ = cheerio.load(html);
+    const mainContent = this.selectMainContent($);
     let text = mainContent.text();
     // 3. BETTER WHITESPACE CLEANING
     text = text
@@ -57,6 +65,227 @@ class ScraperService {
       .trim();
     return text;
   }
+
+  // Convert the main content to Markdown, keeping structure that plain
+  // text loses: heading levels, fenced code blocks (with language),
+  // lists, tables and link targets
+  toMarkdown(html, baseUrl = null) {
+    const $ = cheerio.load(html);
+    const mainContent = this.selectMainContent($);
+
+    const markdown = mainContent
+      .toArray()
+      .map((node) => this.nodeToMarkdown($, node, { baseUrl, listDepth: 0 }))
+      .join("");
+
+    return markdown
+      .replace(/[ \t]+\n/g, "\n") // Trailing spaces
+      .replace(/\n{3,}/g, "\n\n") // At most one blank line
+      .trim();
+  }
+
+  // Detect a code block's language from common class/attribute conventions
+  detectCodeLanguage($, pre) {
+    const candidates = [pre, ...$(pre).find("code").toArray()];
+    for (const el of candidates) {
+      const $el = $(el);
+      const dataLang = $el.attr("data-language") || $el.attr("data-lang");
+      if (dataLang) return dataLang.toLowerCase();
+
+      const match = ($el.attr("class") || "").match(
+        /(?:^|\s)(?:language|lang)-([\w+#-]+)/
+      );
+      if (match) return match[1].toLowerCase();
+    }
+    return "";
+  }
+
+  // Render inline children (text, links, emphasis, inline code)
+  inlineToMarkdown($, node, ctx) {
+    return (node.children || [])
+      .map((child) => this.nodeToMarkdown($, child, { ...ctx, inline: true }))
+      .join("")
+      .replace(/\s+/g, " ");
+  }
+
+  // Render a table as a GitHub-flavoured Markdown table
+  tableToMarkdown($, table, ctx) {
+    const rows = $(table)
+      .find("tr")
+      .toArray()
+      .map((tr) =>
+        $(tr)
+          .children("th, td")
+          .toArray()
+          .map((cell) =>
+            this.inlineToMarkdown($, cell, ctx).trim().replace(/\|/g, "\\|")
+          )
+      )
+      .filter((cells) => cells.length > 0);
+
+    if (rows.length === 0) return "";
+
+    const width = Math.max(...rows.map((cells) => cells.length));
+    const pad = (cells) => [
+      ...cells,
+      ...Array(width - cells.length).fill(""),
+    ];
+    const line = (cells) => `| ${pad(cells).join(" | ")} |`;
+
+    return (
+      "\n\n" +
+      [
+        line(rows[0]),
+        line(Array(width).fill("---")),
+        ...rows.slice(1).map(line),
+      ].join("\n") +
+      "\n\n"
+    );
+  }
+
+  // Render a <ul>/<ol>, indenting nested lists
+  listToMarkdown($, list, ctx) {
+    const ordered = list.name === "ol";
+    const indent = "  ".repeat(ctx.listDepth);
+
+    const items = $(list)
+      .children("li")
+      .toArray()
+      .map((li, i) => {
+        const marker = ordered ? `${i + 1}.` : "-";
+        const body = (li.children || [])
+          .map((child) =>
+            this.nodeToMarkdown($, child, {
+              ...ctx,
+              listDepth: ctx.listDepth + 1,
+            })
+          )
+          .join("")
+          .trim()
+          .replace(/\n{2,}/g, "\n");
+        return `${indent}${marker} ${body}`;
+      });
+
+    return `\n${items.join("\n")}\n${ctx.listDepth === 0 ? "\n" : ""}`;
+  }
+
+  // Recursive HTML node -> Markdown conversion
+  nodeToMarkdown($, node, ctx) {
+    if (node.type === "text") {
+      return node.data.replace(/\s+/g, " ");
+    }
+    if (node.type !== "tag") {
+      return "";
+    }
+
+    const tag = node.name;
+    const $node = $(node);
+    const children = () =>
+      (node.children || [])
+        .map((child) => this.nodeToMarkdown($, child, ctx))
+        .join("");
+
+    switch (tag) {
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6": {
+        const text = this.inlineToMarkdown($, node, ctx).trim();
+        return text ? `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n` : "";
+      }
+
+      case "p":
+        return `\n\n${this.inlineToMarkdown($, node, ctx).trim()}\n\n`;
+
+      case "pre": {
+        const language = this.detectCodeLanguage($, node);
+        const code = $node.text().replace(/\n+$/, "");
+        // Use a longer fence if the code itself contains backticks
+        const fence = code.includes("```") ? "````" : "```";
+        return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+      }
+
+      case "code": {
+        const code = $node.text();
+        return code ? `\`${code}\`` : "";
+      }
+
+      case "ul":
+      case "ol":
+        return this.listToMarkdown($, node, ctx);
+
+      case "table":
+        return this.tableToMarkdown($, node, ctx);
+
+      case "blockquote": {
+        const body = children().trim();
+        return `\n\n${body
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n")}\n\n`;
+      }
+
+      case "a": {
+        const text = this.inlineToMarkdown($, node, ctx).trim();
+        const href = $node.attr("href");
+        if (!href || href.startsWith("#") || href.startsWith("javascript:")) {
+          return text;
+        }
+        let target = href;
+        try {
+          target = ctx.baseUrl ? new URL(href, ctx.baseUrl).toString() : href;
+        } catch (error) {
+          // Keep the raw href if it can't be resolved
+        }
+        return text ? `[${text}](${target})` : "";
+      }
+
+      case "strong":
+      case "b": {
+        const text = this.inlineToMarkdown($, node, ctx).trim();
+        return text ? `**${text}**` : "";
+      }
+
+      case "em":
+      case "i": {
+        const text = this.inlineToMarkdown($, node, ctx).trim();
+        return text ? `*${text}*` : "";
+      }
+
+      case "br":
+        return ctx.inline ? " " : "\n";
+
+      case "hr":
+        return "\n\n---\n\n";
+
+      case "img":
+      case "svg":
+      case "button":
+      case "input":
+      case "select":
+        return "";
+
+      case "div":
+      case "section":
+      case "article":
+      case "main":
+      case "aside":
+      case "figure":
+      case "dl":
+        return ctx.inline ? children() : `\n${children()}\n`;
+
+      case "dt":
+        return `\n\n**${this.inlineToMarkdown($, node, ctx).trim()}**\n`;
+
+      case "dd":
+        return `\n${children().trim()}\n`;
+
+      default:
+        return children();
+    }
+  }
   // // Clean HTML to extract meaningful text
   // cleanText(html) {
   //   const $ = cheerio.load(html);
@@ -135,6 +364,8 @@ class ScraperService {
   }
 
   // Scrape a single URL using Axios + Cheerio (faster, for static content)
+  // Returns { html, etag, lastModified }: the HTTP validators are stored so
+  // the first refresh can already be a conditional request
   async scrapeWithAxios(url) {
     console.log(` Scraping with Axios: ${url}`);
 
@@ -147,52 +378,174 @@ class ScraperService {
         },
       });
 
-      return response.data;
+      return {
+        html: response.data,
+        etag: response.headers.etag || null,
+        lastModified: response.headers["last-modified"] || null,
+      };
     } catch (error) {
       console.error(`Axios scraping failed for ${url}:`, error.message);
       throw error;
     }
   }
 
+  // Conditional fetch used by refreshes
+  // Sends stored ETag/Last-Modified so unchanged pages can answer 304
+  async fetchConditional(
+    url,
+    { etag = null, lastModified = null } = {},
+    usePuppeteer = false
+  ) {
+    if (usePuppeteer) {
+      const html = await this.scrapeWithPuppeteer(url);
+      return { notModified: false, html, etag: null, lastModified: null };
+    }
+
+    const headers = {
+      "User-Agent":
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+    };
+    if (etag) headers["If-None-Match"] = etag;
+    if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+    try {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        headers,
+        // 304 is a normal answer here, not an error
+        validateStatus: (status) =>
+          (status >= 200 && status < 300) || status === 304,
+      });
+
+      return {
+        notModified: response.status === 304,
+        html: response.status === 304 ? null : response.data,
+        etag: response.headers.etag || null,
+        lastModified: response.headers["last-modified"] || null,
+      };
+    } catch (error) {
+      console.log("  Axios failed, trying Puppeteer...");
+      const html = await this.scrapeWithPuppeteer(url);
+      return { notModified: false, html, etag: null, lastModified: null };
+    }
+  }
+
+  // Hash cleaned content for change detection
+  hashContent(text) {
+    return crypto.createHash("sha256").update(text || "").digest("hex");
+  }
+
+  // Fetch HTML for a URL - tries Axios first, falls back to Puppeteer
+  // Returns { html, etag, lastModified } (no validators from Puppeteer)
+  async fetchHTML(url, usePuppeteer = false) {
+    const fromPuppeteer = async () => ({
+      html: await this.scrapeWithPuppeteer(url),
+      etag: null,
+      lastModified: null,
+    });
+
+    if (usePuppeteer) {
+      return await fromPuppeteer();
+    }
+
+    try {
+      return await this.scrapeWithAxios(url);
+    } catch (error) {
+      // Fallback to Puppeteer if Axios fails
+      console.log("  Axios failed, trying Puppeteer...");
+      return await fromPuppeteer();
+    }
+  }
+
+  // Clean already-fetched HTML and store it as a RawDocument
+  // Also records version 1 in the document's version history
+  // options: { collectionId (default collection if null), etag, lastModified }
+  async saveDocument(url, html, options = {}) {
+    // Extract metadata and clean text
+    const metadata = this.extractMetadata(html, url);
+
+    return await this.createDocument(
+      url,
+      {
+        title: metadata.title,
+        rawContent: html,
+        cleanedContent: this.cleanText(html),
+        markdownContent: this.toMarkdown(html, url),
+        metadata,
+      },
+      options
+    );
+  }
+
+  // Store extracted content as a new document (version 1)
+  // Shared by scraped pages and uploaded files (see fileIngester.js)
+  // content: { title, rawContent, cleanedContent, markdownContent, metadata }
+  async createDocument(
+    url,
+    { title, rawContent, cleanedContent, markdownContent = null, metadata },
+    { etag = null, lastModified = null, collectionId = null } = {}
+  ) {
+    const wordCount = cleanedContent.split(/\s+/).length;
+    const contentHash = this.hashContent(cleanedContent);
+
+    // Save to database
+    const document = await RawDocument.create({
+      url,
+      collectionId: collectionId || (await collectionService.getDefault()).id,
+      title,
+      rawContent,
+      cleanedContent,
+      markdownContent,
+      metadata,
+      wordCount,
+      contentHash,
+      etag,
+      lastModified,
+      version: 1,
+      status: "pending",
+      scrapedAt: new Date(),
+    });
+
+    await DocumentVersion.create({
+      rawDocumentId: document.id,
+      version: 1,
+      contentHash,
+      title,
+      cleanedContent,
+      wordCount,
+      etag,
+      lastModified,
+      fetchedAt: document.scrapedAt,
+    });
+
+    return { document, wordCount };
+  }
+
   // Main scraping method - tries Axios first, falls back to Puppeteer
-  async scrapeURL(url, usePuppeteer = false) {
+  // collectionId: collection to store it in (default collection if null)
+  async scrapeURL(url, usePuppeteer = false, collectionId = null) {
     try {
-      // Check if URL already exists in database
-      const exists = await RawDocument.urlExists(url);
+      const targetId =
+        collectionId || (await collectionService.getDefault()).id;
+
+      // Check if URL already exists in the collection
+      const exists = await RawDocument.urlExists(url, targetId);
       if (exists) {
         console.log(` URL already scraped: ${url}`);
         return { success: false, message: "URL already exists" };
       }
 
       // Get HTML content
-      let html;
-      if (usePuppeteer) {
-        html = await this.scrapeWithPuppeteer(url);
-      } else {
-        try {
-          html = await this.scrapeWithAxios(url);
-        } catch (error) {
-          // Fallback to Puppeteer if Axios fails
-          console.log("  Axios failed, trying Puppeteer...");
-          html = await this.scrapeWithPuppeteer(url);
-        }
-      }
-
-      // Extract metadata and clean text
-      const metadata = this.extractMetadata(html, url);
-      const cleanedContent = this.cleanText(html);
-      const wordCount = cleanedContent.split(/\s+/).length;
-
-      // Save to database
-      const document = await RawDocument.create({
+      const { html, etag, lastModified } = await this.fetchHTML(
         url,
-        title: metadata.title,
-        rawContent: html,
-        cleanedContent,
-        metadata,
-        wordCount,
-        status: "pending",
-        scrapedAt: new Date(),
+        usePuppeteer
+      );
+
+      // Clean and save to database
+      const { document, wordCount } = await this.saveDocument(url, html, {
+        collectionId: targetId,
+        etag,
+        lastModified,
       });
 
       console.log(` Successfully scraped: ${url} (${wordCount} words)`);
@@ -211,7 +564,15 @@ class ScraperService {
   }
 
   // Scrape multiple URLs
-  async scrapeURLs(urls, usePuppeteer = false) {
+  // hooks.onProgress({ done, total, item, status, error }) is called per URL;
+  // hooks.shouldStop() is checked before each URL to allow cancellation;
+  // hooks.collectionId: collection the documents are stored in
+  async scrapeURLs(urls, usePuppeteer = false, hooks = {}) {
+    const {
+      onProgress = () => {},
+      shouldStop = async () => false,
+      collectionId = null,
+    } = hooks;
     console.log(` Starting to scrape ${urls.length} URLs...`);
 
     const results = {
@@ -221,19 +582,36 @@ class ScraperService {
     };
 
     for (let i = 0; i < urls.length; i++) {
+      if (await shouldStop()) {
+        results.stopped = true;
+        break;
+      }
+
       const url = urls[i];
       console.log(`\n[${i + 1}/${urls.length}] Processing: ${url}`);
 
-      const result = await this.scrapeURL(url, usePuppeteer);
+      const result = await this.scrapeURL(url, usePuppeteer, collectionId);
 
+      let status;
       if (result.success === false && result.message === "URL already exists") {
         results.skipped.push(url);
+        status = "skipped";
       } else if (result.success) {
         results.successful.push(url);
+        status = "success";
       } else {
         results.failed.push({ url, error: result.error });
+        status = "failed";
       }
 
+      await onProgress({
+        done: i + 1,
+        total: urls.length,
+        item: url,
+        status,
+        error: result.error,
+      });
+
       // Add delay to avoid rate limiting
       if (i < urls.length - 1) {
         await new Promise((resolve) => setTimeout(resolve, 2000));
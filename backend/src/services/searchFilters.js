@@ -0,0 +1,300 @@
+// src/services/searchFilters.js
+// This service implements the search filter language shared by /api/search and chat
+// A filter is validated once, then translated for each side of hybrid search:
+// the vector backend (Pinecone filter syntax) and keyword search (SQL)
+//
+// Filter fields (all optional, combined with AND):
+//   sourceUrls:  ["https://docs.stripe.com/billing"]   exact page URLs
+//   urlPrefix:   "https://docs.stripe.com/billing"     URL path prefix (string or array)
+//   title:       "Subscriptions"                        exact document title (string or array)
+//   dateRange:   { from: "2024-01-01", to: "2024-12-31" } scrape date
+//   minScore:    0.7                                    minimum vector similarity
+//   headingPath: "Create a subscription"                heading the chunk sits under (string or array)
+//   productArea: "billing"                              first URL path segment (string or array)
+
+class SearchFilterService {
+  constructor() {
+    this.fields = [
+      "sourceUrls",
+      "urlPrefix",
+      "title",
+      "dateRange",
+      "minScore",
+      "headingPath",
+      "productArea",
+    ];
+  }
+
+  // ============================================
+  // VECTOR METADATA
+  // ============================================
+
+  // file:// URLs (uploaded files) have an opaque "null" origin
+  getOrigin(parsed) {
+    return parsed.protocol === "file:" ? "file://" : parsed.origin;
+  }
+
+  // Strip query, hash and trailing slash so prefixes compare cleanly
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    const path = parsed.pathname.replace(/\/+$/, "");
+    return `${this.getOrigin(parsed)}${path}`;
+  }
+
+  // Product area = first path segment (docs.stripe.com/billing/... -> "billing")
+  getProductArea(url) {
+    const [segment] = new URL(url).pathname.split("/").filter(Boolean);
+    return segment ? segment.toLowerCase() : null;
+  }
+
+  // Every path prefix of a URL, so prefix filters become list membership:
+  // .../billing/subscriptions -> [origin, .../billing, .../billing/subscriptions]
+  getUrlPrefixes(url) {
+    const parsed = new URL(this.normalizeUrl(url));
+    const origin = this.getOrigin(parsed);
+    const segments = parsed.pathname.split("/").filter(Boolean);
+    const prefixes = [origin];
+    segments.forEach((segment, i) => {
+      prefixes.push(`${origin}/${segments.slice(0, i + 1).join("/")}`);
+    });
+    return prefixes;
+  }
+
+  // Derived fields stored with each vector so Pinecone can filter on them
+  // (Pinecone has no prefix or date operators, only equality, lists and numbers)
+  getVectorMetadata(chunkMetadata) {
+    const metadata = {};
+    const url = chunkMetadata.sourceUrl;
+
+    if (url) {
+      try {
+        metadata.pageUrl = this.normalizeUrl(url);
+        metadata.urlPrefixes = this.getUrlPrefixes(url);
+        metadata.productArea = this.getProductArea(url) || "";
+      } catch {
+        // Not an absolute URL - leave URL-derived fields out
+      }
+    }
+
+    const scrapedAt = Date.parse(chunkMetadata.scrapedDate);
+    if (!isNaN(scrapedAt)) {
+      metadata.scrapedAtTs = Math.floor(scrapedAt / 1000); // Unix seconds
+    }
+
+    return metadata;
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  // Accept a single string or an array of non-empty strings
+  toStringList(value, field) {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || list.some((v) => typeof v !== "string" || !v)) {
+      throw new Error(`${field} must be a non-empty string or array of strings`);
+    }
+    return list;
+  }
+
+  toDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`${field} is not a valid date: ${value}`);
+    }
+    return date;
+  }
+
+  // Validate a filter from a request body and normalize it
+  // Returns { success, filters } or { success: false, error }
+  parse(input) {
+    if (input === undefined || input === null) {
+      return { success: true, filters: null };
+    }
+
+    try {
+      if (typeof input !== "object" || Array.isArray(input)) {
+        throw new Error("filter must be an object");
+      }
+
+      const unknown = Object.keys(input).filter(
+        (key) => !this.fields.includes(key)
+      );
+      if (unknown.length > 0) {
+        throw new Error(
+          `Unknown filter field(s): ${unknown.join(", ")}. ` +
+            `Use: ${this.fields.join(", ")}`
+        );
+      }
+
+      const filters = {};
+
+      // Empty values (as sent by a cleared form field) are ignored
+      const present = (key) =>
+        input[key] !== undefined &&
+        input[key] !== null &&
+        input[key] !== "" &&
+        !(Array.isArray(input[key]) && input[key].length === 0);
+
+      if (present("sourceUrls")) {
+        filters.sourceUrls = this.toStringList(
+          input.sourceUrls,
+          "sourceUrls"
+        ).map((url) => this.normalizeUrl(url));
+      }
+
+      if (present("urlPrefix")) {
+        filters.urlPrefix = this.toStringList(input.urlPrefix, "urlPrefix").map(
+          (url) => this.normalizeUrl(url)
+        );
+      }
+
+      if (present("title")) {
+        filters.title = this.toStringList(input.title, "title");
+      }
+
+      if (present("dateRange")) {
+        const { from, to } = input.dateRange;
+        if (!from && !to) {
+          throw new Error("dateRange needs from and/or to");
+        }
+        filters.dateRange = {
+          from: from ? this.toDate(from, "dateRange.from") : null,
+          to: to ? this.toDate(to, "dateRange.to") : null,
+        };
+
+        // A plain date as upper bound includes that whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+          filters.dateRange.to.setUTCHours(23, 59, 59, 999);
+        }
+      }
+
+      if (present("minScore")) {
+        const minScore = Number(input.minScore);
+        if (isNaN(minScore) || minScore < 0 || minScore > 1) {
+          throw new Error("minScore must be a number between 0 and 1");
+        }
+        filters.minScore = minScore;
+      }
+
+      if (present("headingPath")) {
+        filters.headingPath = this.toStringList(
+          input.headingPath,
+          "headingPath"
+        );
+      }
+
+      if (present("productArea")) {
+        filters.productArea = this.toStringList(
+          input.productArea,
+          "productArea"
+        ).map((area) => area.toLowerCase());
+      }
+
+      return {
+        success: true,
+        filters: Object.keys(filters).length > 0 ? filters : null,
+      };
+    } catch (error) {
+      return { success: false, error: `Invalid filter: ${error.message}` };
+    }
+  }
+
+  // ============================================
+  // TRANSLATION
+  // ============================================
+
+  // Vector backend filter (Pinecone syntax, also understood by pgvector)
+  // minScore is not a metadata condition and is applied after the search
+  toVectorFilter(filters) {
+    if (!filters) return null;
+
+    const filter = {};
+
+    if (filters.sourceUrls) {
+      filter.pageUrl = { $in: filters.sourceUrls };
+    }
+    if (filters.urlPrefix) {
+      filter.urlPrefixes = { $in: filters.urlPrefix };
+    }
+    if (filters.title) {
+      filter.sourceTitle = { $in: filters.title };
+    }
+    if (filters.dateRange) {
+      filter.scrapedAtTs = {
+        ...(filters.dateRange.from && {
+          $gte: Math.floor(filters.dateRange.from.getTime() / 1000),
+        }),
+        ...(filters.dateRange.to && {
+          $lte: Math.floor(filters.dateRange.to.getTime() / 1000),
+        }),
+      };
+    }
+    if (filters.headingPath) {
+      filter.headingPath = { $in: filters.headingPath };
+    }
+    if (filters.productArea) {
+      filter.productArea = { $in: filters.productArea };
+    }
+
+    return Object.keys(filter).length > 0 ? filter : null;
+  }
+
+  // SQL condition for keyword search over chunked_documents c
+  // joined with raw_documents d; values are appended to bind
+  toSql(filters, bind) {
+    if (!filters) return "TRUE";
+
+    const param = (value) => {
+      bind.push(value);
+      return `$${bind.length}`;
+    };
+    const conditions = [];
+
+    // Escape LIKE wildcards in user input
+    const likeEscape = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+    if (filters.sourceUrls) {
+      // Compare without query, hash or trailing slash, like normalizeUrl
+      conditions.push(
+        `rtrim(substring(d.url from '^[^?#]*'), '/')
+           = ANY(${param(filters.sourceUrls)}::text[])`
+      );
+    }
+    if (filters.urlPrefix) {
+      const patterns = filters.urlPrefix.flatMap((prefix) => [
+        likeEscape(prefix),
+        `${likeEscape(prefix)}/%`,
+        `${likeEscape(prefix)}?%`,
+        `${likeEscape(prefix)}#%`,
+      ]);
+      conditions.push(`d.url LIKE ANY(${param(patterns)}::text[])`);
+    }
+    if (filters.title) {
+      conditions.push(`d.title = ANY(${param(filters.title)}::text[])`);
+    }
+    if (filters.dateRange?.from) {
+      conditions.push(`d.scraped_at >= ${param(filters.dateRange.from)}`);
+    }
+    if (filters.dateRange?.to) {
+      conditions.push(`d.scraped_at <= ${param(filters.dateRange.to)}`);
+    }
+    if (filters.headingPath) {
+      conditions.push(
+        `c.metadata->'headingPath' ?| ${param(filters.headingPath)}::text[]`
+      );
+    }
+    if (filters.productArea) {
+      // Same rule as getProductArea: first path segment, lowercased
+      conditions.push(
+        `lower(substring(d.url from '^[a-z]+://[^/?#]+/([^/?#]*)'))
+           = ANY(${param(filters.productArea)}::text[])`
+      );
+    }
+
+    return conditions.length > 0 ? conditions.join(" AND ") : "TRUE";
+  }
+}
+
+// Export singleton instance
+module.exports = new SearchFilterService();
@@ -0,0 +1,381 @@
+// src/services/vectorBackends.js
+// Vector storage backends behind a common interface
+// Every backend exposes: name, initialize(), upsert(vectors, namespace),
+// query({ vector, topK, filter, namespaces }), delete(ids, namespace),
+// describe(namespace), clear(namespace) and drop()
+// Vectors are { id, values, metadata }; filters use Pinecone's filter syntax
+// One backend instance serves one vector index (see vectorIndexes.js);
+// namespaces separate collections within it ("" = default collection)
+
+const { QueryTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { embeddingConfig } = require("../config/embedding");
+
+// Hosted Pinecone index (optionally one namespace of it)
+// Collections get namespaces below the index's own: "<namespace>.<collection>"
+class PineconeVectorBackend {
+  constructor({ pineconeIndexName, namespace = "", dimension }) {
+    this.name = "pinecone";
+    this.indexName = pineconeIndexName;
+    this.namespace = namespace;
+    this.dimension = dimension || embeddingConfig.dimension;
+    this.index = null;
+  }
+
+  async initialize() {
+    if (!this.index) {
+      // Required lazily so a pgvector-only setup needs no Pinecone API key
+      const { initializePinecone } = require("../config/pinecone");
+      this.index = await initializePinecone(this.indexName, this.dimension);
+    }
+    return this.index;
+  }
+
+  // Pinecone namespace of a collection namespace within this vector index
+  resolveNamespace(namespace = "") {
+    return [this.namespace, namespace].filter(Boolean).join(".");
+  }
+
+  // Whether a Pinecone namespace belongs to this vector index
+  ownsNamespace(name) {
+    return this.namespace
+      ? name === this.namespace || name.startsWith(`${this.namespace}.`)
+      : name === "" || name.startsWith("kb-");
+  }
+
+  target(namespace = "") {
+    const resolved = this.resolveNamespace(namespace);
+    return resolved ? this.index.namespace(resolved) : this.index;
+  }
+
+  async upsert(vectors, namespace = "") {
+    await this.target(namespace).upsert(vectors);
+  }
+
+  // Each namespace is queried separately; matches are merged by score
+  async query({ vector, topK, filter = null, namespaces = [""] }) {
+    const queryRequest = {
+      vector,
+      topK,
+      includeMetadata: true,
+      includeValues: false, // Don't return vector values to save bandwidth
+    };
+
+    if (filter) {
+      queryRequest.filter = filter;
+    }
+
+    const results = await Promise.all(
+      namespaces.map((namespace) => this.target(namespace).query(queryRequest))
+    );
+
+    return results
+      .flatMap((searchResults) => searchResults.matches || [])
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map((match) => ({
+        id: match.id,
+        score: match.score,
+        metadata: match.metadata,
+      }));
+  }
+
+  async delete(ids, namespace = "") {
+    if (ids.length === 1) {
+      await this.target(namespace).deleteOne(ids[0]);
+    } else {
+      await this.target(namespace).deleteMany(ids);
+    }
+  }
+
+  // Index-wide stats; totalRecordCount only counts this vector index's
+  // namespaces (or one collection's, when namespace is given)
+  async describe(namespace = null) {
+    const stats = await this.index.describeIndexStats();
+    const counts = Object.entries(stats.namespaces || {});
+    const recordCount = (names) =>
+      counts
+        .filter(([name]) => names(name))
+        .reduce((sum, [, ns]) => sum + (ns.recordCount || 0), 0);
+
+    return {
+      ...stats,
+      backend: this.name,
+      namespace: this.namespace,
+      totalRecordCount:
+        namespace === null
+          ? recordCount((name) => this.ownsNamespace(name))
+          : recordCount((name) => name === this.resolveNamespace(namespace)),
+    };
+  }
+
+  // Deletes every vector of one collection, or of all collections
+  async clear(namespace = null) {
+    if (namespace !== null) {
+      await this.target(namespace).deleteAll();
+      return;
+    }
+
+    const stats = await this.index.describeIndexStats();
+    for (const name of Object.keys(stats.namespaces || {})) {
+      if (this.ownsNamespace(name)) {
+        await (name ? this.index.namespace(name) : this.index).deleteAll();
+      }
+    }
+  }
+
+  // Retiring an index empties its namespaces; the Pinecone index itself
+  // may be shared with other vector indexes, so it is kept
+  async drop() {
+    await this.clear();
+  }
+}
+
+// PostgreSQL + pgvector: embeddings live in the same database as the chunks
+// Collections share the table and are told apart by its namespace column
+class PgVectorBackend {
+  constructor({ pgvectorTable, dimension }) {
+    this.name = "pgvector";
+    this.dimension = dimension || embeddingConfig.dimension;
+    this.ready = false;
+
+    // Table name is interpolated into SQL, so only allow plain identifiers
+    if (!/^[a-z_][a-z0-9_]*$/i.test(pgvectorTable)) {
+      throw new Error(`Invalid PGVECTOR_TABLE name: ${pgvectorTable}`);
+    }
+    this.table = pgvectorTable;
+  }
+
+  // Create the extension, table and HNSW index if they don't exist
+  // chunked_documents must already be synced (the FK points at it)
+  async initialize() {
+    if (this.ready) return;
+
+    await sequelize.query("CREATE EXTENSION IF NOT EXISTS vector");
+    await sequelize.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+         id TEXT PRIMARY KEY,
+         chunk_id INTEGER REFERENCES chunked_documents(id) ON DELETE CASCADE,
+         embedding vector(${this.dimension}) NOT NULL,
+         metadata JSONB NOT NULL DEFAULT '{}',
+         namespace TEXT NOT NULL DEFAULT '',
+         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       )`
+    );
+    // Tables created before collections existed
+    await sequelize.query(
+      `ALTER TABLE ${this.table}
+         ADD COLUMN IF NOT EXISTS namespace TEXT NOT NULL DEFAULT ''`
+    );
+    await sequelize.query(
+      `CREATE INDEX IF NOT EXISTS ${this.table}_embedding_idx
+         ON ${this.table} USING hnsw (embedding vector_cosine_ops)`
+    );
+    await sequelize.query(
+      `CREATE INDEX IF NOT EXISTS ${this.table}_chunk_id_idx
+         ON ${this.table} (chunk_id)`
+    );
+    await sequelize.query(
+      `CREATE INDEX IF NOT EXISTS ${this.table}_namespace_idx
+         ON ${this.table} (namespace)`
+    );
+
+    // A table created for another model can't store our vectors
+    const [column] = await sequelize.query(
+      `SELECT atttypmod AS dimension
+         FROM pg_attribute
+        WHERE attrelid = '${this.table}'::regclass AND attname = 'embedding'`,
+      { type: QueryTypes.SELECT }
+    );
+    if (column && column.dimension !== this.dimension) {
+      throw new Error(
+        `Table "${this.table}" stores ${column.dimension}-dimensional vectors ` +
+          `but the embedding provider produces ${this.dimension}. ` +
+          `Use a different table.`
+      );
+    }
+
+    this.ready = true;
+    console.log(` pgvector table "${this.table}" ready`);
+  }
+
+  // pgvector accepts vectors as '[1,2,3]' literals
+  toVectorLiteral(values) {
+    return `[${values.join(",")}]`;
+  }
+
+  async upsert(vectors, namespace = "") {
+    const bind = [namespace];
+    const rows = vectors.map((vector) => {
+      const chunkId =
+        vector.metadata?.chunkId ?? parseInt(vector.id.replace("chunk-", ""));
+      bind.push(
+        vector.id,
+        chunkId,
+        this.toVectorLiteral(vector.values),
+        JSON.stringify(vector.metadata || {})
+      );
+      const n = bind.length;
+      return `($${n - 3}, $${n - 2}, $${n - 1}::vector, $${n}::jsonb, $1)`;
+    });
+
+    await sequelize.query(
+      `INSERT INTO ${this.table} (id, chunk_id, embedding, metadata, namespace)
+       VALUES ${rows.join(", ")}
+       ON CONFLICT (id) DO UPDATE
+         SET chunk_id = EXCLUDED.chunk_id,
+             embedding = EXCLUDED.embedding,
+             metadata = EXCLUDED.metadata,
+             namespace = EXCLUDED.namespace`,
+      { bind }
+    );
+  }
+
+  // Translate a Pinecone-style metadata filter into a SQL condition
+  // Supports $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and, $or
+  buildFilter(filter, bind) {
+    const param = (value) => {
+      bind.push(value);
+      return `$${bind.length}`;
+    };
+
+    const fieldCondition = (field, operator, value) => {
+      const key = param(field);
+      const text = `(metadata->>${key})`;
+      const numeric = `(metadata->>${key})::numeric`;
+
+      switch (operator) {
+        case "$eq":
+          return typeof value === "number"
+            ? `${numeric} = ${param(value)}`
+            : `${text} = ${param(String(value))}`;
+        case "$ne":
+          return typeof value === "number"
+            ? `${numeric} IS DISTINCT FROM ${param(value)}`
+            : `${text} IS DISTINCT FROM ${param(String(value))}`;
+        case "$gt":
+          return `${numeric} > ${param(value)}`;
+        case "$gte":
+          return `${numeric} >= ${param(value)}`;
+        case "$lt":
+          return `${numeric} < ${param(value)}`;
+        case "$lte":
+          return `${numeric} <= ${param(value)}`;
+        case "$in":
+        case "$nin": {
+          // Matches scalar fields and, like Pinecone, list fields
+          // containing any of the values
+          const values = param(value.map(String));
+          const condition =
+            `(${text} = ANY(${values}::text[]) OR ` +
+            `(jsonb_typeof(metadata->${key}) = 'array' AND ` +
+            `metadata->${key} ?| ${values}::text[]))`;
+          return operator === "$in"
+            ? condition
+            : `NOT COALESCE(${condition}, false)`;
+        }
+        case "$exists":
+          return value ? `metadata ? ${key}` : `NOT (metadata ? ${key})`;
+        default:
+          throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    };
+
+    const conditions = Object.entries(filter).map(([key, value]) => {
+      if (key === "$and" || key === "$or") {
+        const parts = value.map((sub) => `(${this.buildFilter(sub, bind)})`);
+        return `(${parts.join(key === "$and" ? " AND " : " OR ")})`;
+      }
+
+      // { field: value } is shorthand for { field: { $eq: value } }
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        return fieldCondition(key, "$eq", value);
+      }
+
+      return Object.entries(value)
+        .map(([operator, operand]) => fieldCondition(key, operator, operand))
+        .join(" AND ");
+    });
+
+    return conditions.length > 0 ? conditions.join(" AND ") : "TRUE";
+  }
+
+  async query({ vector, topK, filter = null, namespaces = [""] }) {
+    const bind = [this.toVectorLiteral(vector), topK, namespaces];
+    const where = filter ? this.buildFilter(filter, bind) : "TRUE";
+
+    // <=> is cosine distance; 1 - distance gives Pinecone-comparable scores
+    const rows = await sequelize.query(
+      `SELECT id, metadata, 1 - (embedding <=> $1::vector) AS score
+         FROM ${this.table}
+        WHERE namespace = ANY($3::text[]) AND ${where}
+        ORDER BY embedding <=> $1::vector
+        LIMIT $2`,
+      { bind, type: QueryTypes.SELECT }
+    );
+
+    return rows.map((row) => ({
+      id: row.id,
+      score: Number(row.score),
+      metadata: row.metadata,
+    }));
+  }
+
+  // IDs are unique across the table, so the namespace isn't needed
+  async delete(ids) {
+    await sequelize.query(`DELETE FROM ${this.table} WHERE id = ANY($1)`, {
+      bind: [ids],
+    });
+  }
+
+  // Vector count of the table, or of one collection's namespace
+  async describe(namespace = null) {
+    const [row] = await sequelize.query(
+      `SELECT COUNT(*)::int AS count FROM ${this.table}
+        WHERE $1::text IS NULL OR namespace = $1`,
+      { bind: [namespace], type: QueryTypes.SELECT }
+    );
+    return {
+      backend: this.name,
+      totalRecordCount: row.count,
+      dimension: this.dimension,
+    };
+  }
+
+  // Deletes every vector of one collection, or of all collections
+  async clear(namespace = null) {
+    if (namespace === null) {
+      await sequelize.query(`TRUNCATE ${this.table}`);
+      return;
+    }
+    await sequelize.query(`DELETE FROM ${this.table} WHERE namespace = $1`, {
+      bind: [namespace],
+    });
+  }
+
+  // Remove the table entirely (when its index is retired)
+  async drop() {
+    await sequelize.query(`DROP TABLE IF EXISTS ${this.table}`);
+    this.ready = false;
+  }
+}
+
+const BACKENDS = {
+  pinecone: PineconeVectorBackend,
+  pgvector: PgVectorBackend,
+};
+
+// Create the backend selected in the vector store config
+const createVectorBackend = (config) => {
+  const Backend = BACKENDS[config.backend];
+  if (!Backend) {
+    throw new Error(`Unknown vector store backend: ${config.backend}`);
+  }
+  return new Backend(config);
+};
+
+module.exports = {
+  createVectorBackend,
+  PineconeVectorBackend,
+  PgVectorBackend,
+};
@@ -0,0 +1,259 @@
+// src/services/vectorIndexes.js
+// This service keeps track of vector indexes (see models/VectorIndex.js) and
+// which one is active. Search, chat and the embed step all use the active
+// index; a new index is built in the background (a "reindex" job) and made
+// active in one step once it is ready. Older indexes stay until retired
+
+const VectorIndex = require("../models/VectorIndex");
+const ChunkedDocument = require("../models/ChunkedDocument");
+const RawDocument = require("../models/RawDocument");
+const { embeddingConfig, PROVIDER_DEFAULTS } = require("../config/embedding");
+const { vectorStoreConfig } = require("../config/vectorStore");
+
+class VectorIndexService {
+  constructor() {
+    // Active index record (loaded by ensureActive / refresh)
+    this.active = null;
+  }
+
+  // ============================================
+  // ACTIVE INDEX
+  // ============================================
+
+  // The index described by the environment (EMBEDDING_*, VECTOR_STORE...)
+  // It becomes the first active index, so existing setups keep working
+  getDefaultDefinition() {
+    return {
+      id: null,
+      name: "default",
+      status: "active",
+      embeddingProvider: embeddingConfig.provider,
+      embeddingModel: embeddingConfig.model,
+      dimension: embeddingConfig.dimension,
+      chunkStrategy: null,
+      chunkSet: "default",
+      backend: vectorStoreConfig.backend,
+      location:
+        vectorStoreConfig.backend === "pinecone"
+          ? { pineconeIndexName: vectorStoreConfig.pineconeIndexName }
+          : { pgvectorTable: vectorStoreConfig.pgvectorTable },
+    };
+  }
+
+  // Index used for search, chat and embedding
+  // Falls back to the environment's definition until ensureActive has run
+  getActive() {
+    return this.active || this.getDefaultDefinition();
+  }
+
+  // Load the active index, registering the default one on first startup
+  async ensureActive() {
+    let active = await VectorIndex.getActive();
+
+    if (!active) {
+      const existing = await VectorIndex.findOne({
+        where: { name: "default" },
+      });
+      active = existing
+        ? await VectorIndex.activate(existing.id)
+        : await VectorIndex.create({
+            ...this.getDefaultDefinition(),
+            id: undefined,
+            activatedAt: new Date(),
+          });
+    }
+
+    this.active = active;
+
+    // After a switch the environment no longer decides the model
+    if (
+      active.embeddingProvider !== embeddingConfig.provider ||
+      active.embeddingModel !== embeddingConfig.model
+    ) {
+      console.log(
+        ` Active index "${active.name}" uses ` +
+          `${active.embeddingProvider}/${active.embeddingModel} ` +
+          `(EMBEDDING_PROVIDER/EMBEDDING_MODEL only apply to new setups)`
+      );
+    }
+
+    return active;
+  }
+
+  // Pick up a switch made by another process (e.g. before a worker runs a job)
+  async refresh() {
+    const active = await VectorIndex.getActive();
+    if (active) {
+      this.active = active;
+    }
+    return this.getActive();
+  }
+
+  // ============================================
+  // INDEX RECORDS
+  // ============================================
+
+  // Where a new index stores its vectors: its own pgvector table, or its own
+  // namespace in the Pinecone index of the same dimension
+  // (a Pinecone index has one fixed dimension)
+  async getLocation(name, dimension) {
+    if (vectorStoreConfig.backend === "pgvector") {
+      return { pgvectorTable: `${vectorStoreConfig.pgvectorTable}_${name}` };
+    }
+
+    const defaultIndex = await VectorIndex.findOne({
+      where: { name: "default" },
+    });
+    const baseDimension = defaultIndex?.dimension ?? embeddingConfig.dimension;
+    const pineconeIndexName =
+      dimension === baseDimension
+        ? vectorStoreConfig.pineconeIndexName
+        : `${vectorStoreConfig.pineconeIndexName}-${dimension}`;
+
+    return { pineconeIndexName, namespace: name };
+  }
+
+  // Register a new index to build
+  // definition: { name, embeddingProvider, embeddingModel, dimension, chunkStrategy }
+  // Without chunkStrategy the index reuses the active index's chunks
+  // (model-only migration); with one it gets its own chunk set
+  async create(definition) {
+    const {
+      name,
+      embeddingProvider = embeddingConfig.provider,
+      chunkStrategy = null,
+    } = definition;
+
+    if (!name || !/^[a-z][a-z0-9_]{1,39}$/.test(name)) {
+      return {
+        success: false,
+        error:
+          "name must be 2-40 characters: lowercase letters, digits and _ " +
+          "(starting with a letter)",
+      };
+    }
+
+    const providerDefaults = PROVIDER_DEFAULTS[embeddingProvider];
+    if (!providerDefaults) {
+      return {
+        success: false,
+        error:
+          `Unknown embedding provider: ${embeddingProvider}. ` +
+          `Use one of: ${Object.keys(PROVIDER_DEFAULTS).join(", ")}`,
+      };
+    }
+
+    if (await VectorIndex.findOne({ where: { name } })) {
+      return { success: false, error: `Index "${name}" already exists` };
+    }
+
+    const embeddingModel = definition.embeddingModel || providerDefaults.model;
+    const dimension = parseInt(
+      definition.dimension ||
+        (embeddingModel === providerDefaults.model
+          ? providerDefaults.dimension
+          : NaN)
+    );
+    if (!dimension || dimension <= 0) {
+      return {
+        success: false,
+        error: `dimension is required for model ${embeddingModel}`,
+      };
+    }
+
+    const active = this.getActive();
+    const index = await VectorIndex.create({
+      name,
+      status: "building",
+      embeddingProvider,
+      embeddingModel,
+      dimension,
+      chunkStrategy: chunkStrategy || active.chunkStrategy,
+      chunkSet: chunkStrategy ? name : active.chunkSet,
+      backend: vectorStoreConfig.backend,
+      location: await this.getLocation(name, dimension),
+    });
+
+    console.log(
+      ` Registered index "${name}" (${embeddingProvider}/${embeddingModel}, ` +
+        `chunk set "${index.chunkSet}")`
+    );
+    return { success: true, index };
+  }
+
+  // Work left before an index covers the knowledge base:
+  // chunks added after its build watermark, and (for its own chunk set)
+  // documents not chunked into it yet
+  async getBacklog(index) {
+    // The active index is kept current by the pipeline: only pending chunks
+    if (index.status === "active") {
+      const chunks = await ChunkedDocument.count({
+        where: { chunkSet: index.chunkSet, embeddingStatus: "pending" },
+      });
+      return { chunks, documents: 0 };
+    }
+
+    const chunks = await ChunkedDocument.countChunkSetAfter(
+      index.chunkSet,
+      index.lastChunkId
+    );
+
+    // Shared chunk sets are filled by the index that owns them
+    const documents =
+      index.chunkSet === index.name
+        ? await RawDocument.countMissingChunkSet(index.chunkSet)
+        : 0;
+
+    return { chunks, documents };
+  }
+
+  // All indexes, newest first, with their backlog
+  async list() {
+    const indexes = await VectorIndex.findAll({ order: [["id", "DESC"]] });
+
+    return await Promise.all(
+      indexes.map(async (index) => ({
+        ...index.toJSON(),
+        backlog:
+          index.status === "retired" ? null : await this.getBacklog(index),
+      }))
+    );
+  }
+
+  // Make an index active; search and chat use it from the next request
+  // Refuses indexes that are still building or behind, unless forced
+  async activate(indexId, { force = false } = {}) {
+    const index = await VectorIndex.findByPk(indexId);
+    if (!index) {
+      return { success: false, error: "Index not found" };
+    }
+    if (index.status === "active") {
+      return { success: false, error: `Index "${index.name}" is already active` };
+    }
+    if (index.status !== "ready") {
+      return {
+        success: false,
+        error: `Only ready indexes can be activated (index is ${index.status})`,
+      };
+    }
+
+    const backlog = await this.getBacklog(index);
+    if (!force && (backlog.chunks > 0 || backlog.documents > 0)) {
+      return {
+        success: false,
+        error:
+          `Index "${index.name}" is behind (${backlog.chunks} chunks, ` +
+          `${backlog.documents} documents); sync it first or pass force`,
+      };
+    }
+
+    const previous = this.getActive();
+    this.active = await VectorIndex.activate(index.id);
+
+    console.log(` Switched active index: ${previous.name} -> ${index.name}`);
+    return { success: true, index: this.active, previous };
+  }
+}
+
+// Export singleton instance
+module.exports = new VectorIndexService();
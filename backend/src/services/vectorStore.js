@@ -1,39 +1,92 @@
 // src/services/vectorStore.js
-// This service manages vector storage in Pinecone
+// This service manages vector storage (Pinecone or pgvector)
 // Handles uploading embeddings and searching for similar vectors
+// Everything runs against the active vector index (see vectorIndexes.js)
+// unless another index is passed, e.g. while a re-index is being built
+// Each collection's vectors live in their own namespace (see collections.js)
 
-const { pinecone, indexName } = require("../config/pinecone");
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/database");
 const embedderService = require("./embedder");
+const vectorIndexService = require("./vectorIndexes");
+const collectionService = require("./collections");
 const ChunkedDocument = require("../models/ChunkedDocument");
+const VectorIndex = require("../models/VectorIndex");
+const Job = require("../models/Job");
+const { createVectorBackend } = require("./vectorBackends");
+const searchFilterService = require("./searchFilters");
+const { AdaptiveBackoff } = require("./backoff");
 
 class VectorStoreService {
   constructor() {
-    this.index = null;
+    // Backend + embedder per vector index, created on first use
+    this.stores = new Map();
+
+    // Retries upserts on 429 / 5xx (shared by concurrent embedding batches)
+    this.backoff = new AdaptiveBackoff({ name: "vector upsert" });
+  }
+
+  // Backend and embedder of an index (the active index by default)
+  getStore(index = null) {
+    const target = index || vectorIndexService.getActive();
+
+    if (!this.stores.has(target.name)) {
+      this.stores.set(target.name, {
+        index: target,
+        backend: createVectorBackend({
+          backend: target.backend,
+          ...target.location,
+          dimension: target.dimension,
+        }),
+        embedder: embedderService.forIndex(target),
+        initialized: false,
+      });
+    }
+    return this.stores.get(target.name);
+  }
+
+  // Backend of the active index
+  get backend() {
+    return this.getStore().backend;
+  }
+
+  // Embedder matching the active index's model
+  get embedder() {
+    return this.getStore().embedder;
   }
 
-  // Initialize Pinecone index
-  async initialize() {
+  // Initialize the storage backend (creates index/table if needed)
+  async initialize(index = null) {
+    const store = this.getStore(index);
     try {
-      if (!this.index) {
-        this.index = pinecone.index(indexName);
-        console.log(" Vector store initialized");
+      if (!store.initialized) {
+        await store.backend.initialize();
+        store.initialized = true;
+        console.log(
+          ` Vector store initialized (${store.backend.name}, ` +
+            `index "${store.index.name}")`
+        );
       }
-      return this.index;
+      return store.backend;
     } catch (error) {
       console.error(" Vector store initialization failed:", error.message);
       throw error;
     }
   }
 
-  // Upload a single vector to Pinecone
+  // Upload a single vector to the vector store
+  // (into the namespace of metadata.collectionId)
   async upsertVector(chunkId, embedding, metadata) {
     try {
       await this.initialize();
+      const namespace = await collectionService.getNamespace(
+        metadata.collectionId
+      );
 
       // Create unique vector ID (using chunk ID)
       const vectorId = `chunk-${chunkId}`;
 
-      // Prepare vector data for Pinecone
+      // Prepare vector data for the backend
       const vector = {
         id: vectorId,
         values: embedding,
@@ -44,8 +97,11 @@ class VectorStoreService {
         },
       };
 
-      // Upload to Pinecone
-      await this.index.upsert([vector]);
+      // Upload to the vector store
+      await this.backoff.run(
+        () => this.backend.upsert([vector], namespace),
+        vectorId
+      );
 
       console.log(` Uploaded vector: ${vectorId}`);
 
@@ -65,10 +121,11 @@ class VectorStoreService {
     }
   }
 
-  // Upload multiple vectors in batch
-  async upsertVectors(vectors) {
+  // Upload multiple vectors in batch (to the active index by default)
+  // namespace: collection namespace ("" = default collection)
+  async upsertVectors(vectors, index = null, namespace = "") {
     try {
-      await this.initialize();
+      const backend = await this.initialize(index);
 
       // Pinecone recommends batches of 100-1000 vectors
       const batchSize = 100;
@@ -83,16 +140,11 @@ class VectorStoreService {
           )}`
         );
 
-        await this.index.upsert(batch);
+        await this.backoff.run(() => backend.upsert(batch, namespace));
         uploaded += batch.length;
-
-        // Small delay between batches
-        if (i + batchSize < vectors.length) {
-          await new Promise((resolve) => setTimeout(resolve, 500));
-        }
       }
 
-      console.log(` Uploaded ${uploaded} vectors to Pinecone`);
+      console.log(` Uploaded ${uploaded} vectors to ${backend.name}`);
 
       return {
         success: true,
@@ -107,25 +159,38 @@ class VectorStoreService {
     }
   }
 
+  // Metadata stored with a chunk's vector
+  buildMetadata(chunk) {
+    // Chunks created before collections existed only know it via their document
+    const collectionId =
+      chunk.metadata?.collectionId ?? chunk.rawDocument?.collectionId;
+
+    return {
+      chunkId: chunk.id,
+      documentId: chunk.rawDocumentId,
+      chunkIndex: chunk.chunkIndex,
+      text: chunk.chunkText,
+      ...(collectionId && { collectionId }),
+      ...chunk.metadata,
+      // Derived fields used by search filters (URL prefix, product area, date)
+      ...searchFilterService.getVectorMetadata(chunk.metadata),
+    };
+  }
+
   // Process and upload a single chunk
   async processChunk(chunk) {
     try {
       console.log(`\n Processing chunk ${chunk.id}...`);
 
       // Generate embedding
-      const embedding = await embedderService.embedText(chunk.chunkText);
-
-      // Prepare metadata
-      const metadata = {
-        chunkId: chunk.id,
-        documentId: chunk.rawDocumentId,
-        chunkIndex: chunk.chunkIndex,
-        text: chunk.chunkText,
-        ...chunk.metadata,
-      };
+      const embedding = await this.embedder.embedText(chunk.chunkText);
 
-      // Upload to Pinecone
-      const result = await this.upsertVector(chunk.id, embedding, metadata);
+      // Upload to the vector store
+      const result = await this.upsertVector(
+        chunk.id,
+        embedding,
+        this.buildMetadata(chunk)
+      );
 
       if (result.success) {
         // Mark chunk as embedded in database
@@ -144,46 +209,153 @@ class VectorStoreService {
     }
   }
 
+  // Embed and upload a batch of chunks: one embedding request, one upsert,
+  // one status update. The whole batch fails together
+  // options.index: target index (active by default); options.markStatus:
+  // update the chunks' embeddingStatus (off when building into shared chunks)
+  async processBatch(chunks, { index = null, markStatus = true } = {}) {
+    const ids = chunks.map((chunk) => chunk.id);
+
+    try {
+      const { embedder } = this.getStore(index);
+      const embeddings = await embedder.embedBatch(
+        chunks.map((chunk) => chunk.chunkText)
+      );
+
+      // Vectors are grouped by their collection's namespace
+      const byNamespace = new Map();
+      for (const [i, chunk] of chunks.entries()) {
+        const metadata = this.buildMetadata(chunk);
+        const namespace = await collectionService.getNamespace(
+          metadata.collectionId
+        );
+        if (!byNamespace.has(namespace)) byNamespace.set(namespace, []);
+        byNamespace.get(namespace).push({
+          id: `chunk-${chunk.id}`,
+          values: embeddings[i],
+          metadata: {
+            ...metadata,
+            text: metadata.text ? metadata.text.substring(0, 500) : "", // Limit text in metadata
+          },
+        });
+      }
+
+      for (const [namespace, vectors] of byNamespace) {
+        const upload = await this.upsertVectors(vectors, index, namespace);
+        if (!upload.success) {
+          throw new Error(upload.error);
+        }
+      }
+
+      if (markStatus) {
+        await ChunkedDocument.markEmbeddedBulk(ids);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error(
+        ` Failed to process batch of ${chunks.length} chunks:`,
+        error.message
+      );
+      if (markStatus) {
+        await ChunkedDocument.markFailedBulk(ids);
+      }
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   // Process all pending chunks
-  async processAllPending(limit = 100) {
+  // Chunks are embedded in batches (EMBEDDING_BATCH_SIZE), with up to
+  // EMBEDDING_CONCURRENCY batches in flight; rate limits are retried with backoff
+  // hooks.onProgress / hooks.shouldStop: per-chunk progress and cancellation
+  // (same shape as scraperService.scrapeURLs)
+  async processAllPending(limit = 100, hooks = {}) {
+    const { onProgress = () => {}, shouldStop = async () => false } = hooks;
     console.log(` Starting to process pending chunks (limit: ${limit})...\n`);
 
     try {
-      // Get pending chunks
-      const pendingChunks = await ChunkedDocument.getPendingEmbeddings(limit);
+      await this.initialize();
+
+      // Get pending chunks of the active index's chunk set
+      const pendingChunks = await ChunkedDocument.getPendingEmbeddings(
+        limit,
+        vectorIndexService.getActive().chunkSet
+      );
 
       if (pendingChunks.length === 0) {
         console.log("  No pending chunks to process");
         return { success: true, processed: 0 };
       }
 
-      console.log(` Found ${pendingChunks.length} pending chunks\n`);
+      const { batchSize, concurrency } = this.embedder;
+      const batches = [];
+      for (let i = 0; i < pendingChunks.length; i += batchSize) {
+        batches.push(pendingChunks.slice(i, i + batchSize));
+      }
+
+      console.log(
+        ` Found ${pendingChunks.length} pending chunks ` +
+          `(${batches.length} batches, ${concurrency} at a time)\n`
+      );
 
       const results = {
         successful: 0,
         failed: 0,
+        stopped: false,
       };
 
-      // Process each chunk
-      for (let i = 0; i < pendingChunks.length; i++) {
-        const chunk = pendingChunks[i];
-        console.log(
-          `\n[${i + 1}/${pendingChunks.length}] Processing chunk ${chunk.id}`
-        );
-
-        const result = await this.processChunk(chunk);
+      // Progress reports are chained so concurrent batches report in order
+      let done = 0;
+      let reporting = Promise.resolve();
+      const report = (chunks, result) => {
+        reporting = reporting.then(async () => {
+          for (const chunk of chunks) {
+            done++;
+            await onProgress({
+              done,
+              total: pendingChunks.length,
+              item: `chunk-${chunk.id}`,
+              status: result.success ? "success" : "failed",
+              error: result.error,
+            });
+          }
+        });
+        return reporting;
+      };
 
-        if (result.success) {
-          results.successful++;
-        } else {
-          results.failed++;
+      // Each worker takes the next batch until none are left
+      let nextBatch = 0;
+      const worker = async () => {
+        while (nextBatch < batches.length && !results.stopped) {
+          if (await shouldStop()) {
+            results.stopped = true;
+            break;
+          }
+
+          const index = nextBatch++;
+          const batch = batches[index];
+          console.log(
+            ` [${index + 1}/${batches.length}] Embedding ${batch.length} chunks`
+          );
+
+          const result = await this.processBatch(batch);
+
+          if (result.success) {
+            results.successful += batch.length;
+          } else {
+            results.failed += batch.length;
+          }
+
+          await report(batch, result);
         }
+      };
 
-        // Add delay to respect rate limits
-        if (i < pendingChunks.length - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-        }
-      }
+      await Promise.all(
+        Array.from({ length: Math.min(concurrency, batches.length) }, worker)
+      );
 
       console.log("\n Processing Summary:");
       console.log(` Successful: ${results.successful}`);
@@ -193,6 +365,7 @@ class VectorStoreService {
         success: true,
         processed: results.successful,
         failed: results.failed,
+        stopped: results.stopped,
       };
     } catch (error) {
       console.error(" Batch processing failed:", error.message);
@@ -204,33 +377,35 @@ class VectorStoreService {
   }
 
   // Search for similar vectors (semantic search)
-  async search(queryText, topK = 5, filter = null) {
+  // options.index: search another index than the active one (e.g. to compare)
+  // options.collections: collections to search (default collection if null)
+  async search(queryText, topK = 5, filter = null, options = {}) {
+    const { index = null, collections = null } = options;
+
     try {
-      await this.initialize();
+      const backend = await this.initialize(index);
+      const { embedder } = this.getStore(index);
+      const namespaces = collections
+        ? collections.map((collection) => collection.namespace)
+        : [await collectionService.getNamespace()];
 
       console.log(` Searching for: "${queryText}"`);
 
-      // Generate embedding for query
-      const queryEmbedding = await embedderService.embedQuery(queryText);
+      // Generate embedding for query (with the index's own model)
+      const queryEmbedding = await embedder.embedQuery(queryText);
 
-      // Search in Pinecone
-      const queryRequest = {
+      // Search in the vector store (filter uses Pinecone syntax)
+      const matches = await backend.query({
         vector: queryEmbedding,
         topK,
-        includeMetadata: true,
-        includeValues: false, // Don't return vector values to save bandwidth
-      };
-
-      if (filter) {
-        queryRequest.filter = filter;
-      }
+        filter,
+        namespaces,
+      });
 
-      const searchResults = await this.index.query(queryRequest);
-
-      console.log(` Found ${searchResults.matches.length} matches`);
+      console.log(` Found ${matches.length} matches`);
 
       // Format results
-      const formattedResults = searchResults.matches.map((match) => ({
+      const formattedResults = matches.map((match) => ({
         chunkId: match.id,
         score: match.score,
         metadata: match.metadata,
@@ -271,8 +446,12 @@ async getChunksForResults(searchResults) {
       // Use == instead of === to handle potential string/number mismatches
       const chunk = chunks.find((c) => c.id == searchId);
 
+      // Keep the vector ID and any extra scoring fields (e.g. hybrid
+      // search's vectorScore/keywordScore and ranks) alongside the score
+      const { metadata, ...scores } = result;
+
       return {
-        score: result.score,
+        ...scores,
         chunkText: chunk ? chunk.chunkText : "Text not found in database",
         metadata: chunk ? chunk.metadata : result.metadata,
         source: chunk?.rawDocument,
@@ -320,12 +499,12 @@ async getChunksForResults(searchResults) {
   //   }
   // }
 
-  // Delete a vector from Pinecone
-  async deleteVector(chunkId) {
+  // Delete a vector from the vector store
+  async deleteVector(chunkId, namespace = "") {
     try {
       await this.initialize();
       const vectorId = `chunk-${chunkId}`;
-      await this.index.deleteOne(vectorId);
+      await this.backend.delete([vectorId], namespace);
       console.log(`  Deleted vector: ${vectorId}`);
       return { success: true };
     } catch (error) {
@@ -334,13 +513,32 @@ async getChunksForResults(searchResults) {
     }
   }
 
-  // Get index statistics
-  async getStats() {
+  // Delete several vectors in one call (from the active index by default)
+  // namespace: collection namespace the vectors are in
+  async deleteVectors(chunkIds, index = null, namespace = "") {
+    try {
+      if (chunkIds.length === 0) {
+        return { success: true, count: 0 };
+      }
+
+      const backend = await this.initialize(index);
+      const vectorIds = chunkIds.map((chunkId) => `chunk-${chunkId}`);
+      await backend.delete(vectorIds, namespace);
+      console.log(`  Deleted ${vectorIds.length} vectors`);
+      return { success: true, count: vectorIds.length };
+    } catch (error) {
+      console.error(" Failed to delete vectors:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get index statistics (of one collection's namespace if given)
+  async getStats(collection = null) {
     try {
       await this.initialize();
-      const stats = await this.index.describeIndexStats();
+      const stats = await this.backend.describe(collection?.namespace ?? null);
 
-      console.log(" Pinecone Index Stats:");
+      console.log(` Vector Store Stats (${this.backend.name}):`);
       console.log(`   Total vectors: ${stats.totalRecordCount || 0}`);
       console.log(`   Dimension: ${stats.dimension}`);
 
@@ -350,6 +548,208 @@ async getChunksForResults(searchResults) {
       throw error;
     }
   }
+
+  // DANGER: delete every vector from the store
+  // Embedded chunks are reset to pending so they can be re-embedded
+  async clearIndex() {
+    try {
+      await this.initialize();
+      await this.backend.clear();
+
+      const [resetCount] = await ChunkedDocument.update(
+        { embeddingStatus: "pending", vectorId: null, embeddedAt: null },
+        {
+          where: {
+            embeddingStatus: "embedded",
+            chunkSet: vectorIndexService.getActive().chunkSet,
+          },
+        }
+      );
+
+      console.log(
+        ` Cleared ${this.backend.name} vectors (${resetCount} chunks reset to pending)`
+      );
+      return { success: true, resetChunks: resetCount };
+    } catch (error) {
+      console.error(" Failed to clear vector store:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Delete every vector of one collection from the active index
+  // Its embedded chunks are reset to pending so they can be re-embedded
+  async clearCollection(collection) {
+    try {
+      await this.initialize();
+      await this.backend.clear(collection.namespace);
+
+      const [resetCount] = await ChunkedDocument.update(
+        { embeddingStatus: "pending", vectorId: null, embeddedAt: null },
+        {
+          where: {
+            embeddingStatus: "embedded",
+            chunkSet: vectorIndexService.getActive().chunkSet,
+            rawDocumentId: {
+              [Op.in]: sequelize.literal(
+                `(SELECT id FROM raw_documents WHERE collection_id = ${Number(
+                  collection.id
+                )})`
+              ),
+            },
+          },
+        }
+      );
+
+      console.log(
+        ` Cleared collection "${collection.slug}" ` +
+          `(${resetCount} chunks reset to pending)`
+      );
+      return { success: true, resetChunks: resetCount };
+    } catch (error) {
+      console.error(" Failed to clear collection:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ============================================
+  // RE-INDEXING
+  // ============================================
+
+  // Embed an index's chunk set into it, resuming from its build watermark
+  // (so running it again only catches up on chunks added since)
+  // Chunk statuses are only updated when the index owns its chunk set;
+  // shared chunks keep describing the index that created them
+  // hooks.onProgress / hooks.shouldStop: same shape as processAllPending
+  async buildIndex(index, hooks = {}) {
+    const { onProgress = () => {}, shouldStop = async () => false } = hooks;
+    const ownsChunkSet = index.chunkSet === index.name;
+
+    try {
+      await this.initialize(index);
+      const { embedder } = this.getStore(index);
+
+      const total = await ChunkedDocument.countChunkSetAfter(
+        index.chunkSet,
+        index.lastChunkId
+      );
+      console.log(
+        ` Building index "${index.name}": ${total} chunks ` +
+          `from chunk set "${index.chunkSet}"`
+      );
+
+      const results = { successful: 0, failed: 0, stopped: false };
+      let done = 0;
+
+      while (true) {
+        if (await shouldStop()) {
+          results.stopped = true;
+          break;
+        }
+
+        const chunks = await ChunkedDocument.getChunkSetBatch(
+          index.chunkSet,
+          index.lastChunkId,
+          embedder.batchSize
+        );
+        if (chunks.length === 0) break;
+
+        const result = await this.processBatch(chunks, {
+          index,
+          markStatus: ownsChunkSet,
+        });
+
+        if (result.success) {
+          results.successful += chunks.length;
+          index.vectorCount += chunks.length;
+        } else {
+          results.failed += chunks.length;
+        }
+
+        // Failed chunks are recorded on the job and not retried by the
+        // next sync; the watermark moves on either way
+        index.lastChunkId = chunks[chunks.length - 1].id;
+        await index.save({ fields: ["lastChunkId", "vectorCount"] });
+
+        for (const chunk of chunks) {
+          done++;
+          await onProgress({
+            done,
+            total,
+            item: `chunk-${chunk.id}`,
+            status: result.success ? "success" : "failed",
+            error: result.error,
+          });
+        }
+      }
+
+      return {
+        success: true,
+        processed: results.successful,
+        failed: results.failed,
+        stopped: results.stopped,
+      };
+    } catch (error) {
+      console.error(` Index build failed (${index.name}):`, error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Delete an index's vectors (and its own chunk set, unless another index
+  // still uses it) and mark it retired. The active index can't be retired
+  async retireIndex(index) {
+    if (index.status === "active") {
+      return { success: false, error: "The active index can't be retired" };
+    }
+    // A build whose job was cancelled before it started stays "building"
+    const job = index.jobId ? await Job.findByPk(index.jobId) : null;
+    if (
+      index.status === "building" &&
+      ["queued", "running"].includes(job?.status)
+    ) {
+      return {
+        success: false,
+        error: "Index is still building; cancel its job first",
+      };
+    }
+    if (index.status === "retired") {
+      return { success: false, error: "Index is already retired" };
+    }
+
+    try {
+      await this.initialize(index);
+      await this.getStore(index).backend.drop();
+
+      let chunksRemoved = 0;
+      const otherUsers = await VectorIndex.count({
+        where: {
+          chunkSet: index.chunkSet,
+          status: { [Op.ne]: "retired" },
+          id: { [Op.ne]: index.id },
+        },
+      });
+      if (otherUsers === 0) {
+        chunksRemoved = await ChunkedDocument.destroy({
+          where: { chunkSet: index.chunkSet },
+        });
+      }
+
+      index.status = "retired";
+      index.retiredAt = new Date();
+      await index.save();
+      this.stores.delete(index.name);
+
+      console.log(
+        ` Retired index "${index.name}" (${chunksRemoved} chunks removed)`
+      );
+      return { success: true, index, chunksRemoved };
+    } catch (error) {
+      console.error(` Failed to retire index ${index.name}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new VectorStoreService();
@@ -6,7 +6,7 @@ import axios from "axios";
 import toast from "react-hot-toast";
 
 // Base URL for API - will use proxy in development
-const BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3000";
+export const BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3000";
 
 // Create axios instance with default config
 const axiosInstance = axios.create({
@@ -2,7 +2,7 @@
 // All API endpoint functions organized by feature
 // Each function returns a Promise with the API response
 
-import axiosInstance from "./axios";
+import axiosInstance, { BASE_URL } from "./axios";
 
 // ============================================
 // HEALTH & SYSTEM
@@ -32,6 +32,23 @@ export const scrapeBatch = (urls, usePuppeteer = false) => {
   });
 };
 
+// Upload local files (Markdown, HTML, text, PDF or ZIP archives of those)
+// options: { collectionId, process (queue chunking + embedding), chunkStrategy }
+export const uploadDocuments = (files, options = {}) => {
+  const { collectionId = null, process = true, chunkStrategy = null } = options;
+  const formData = new FormData();
+
+  files.forEach((file) => formData.append("files", file));
+  if (collectionId) formData.append("collectionId", collectionId);
+  if (chunkStrategy) formData.append("chunkStrategy", chunkStrategy);
+  formData.append("process", String(process));
+
+  return axiosInstance.post("/api/documents/upload", formData, {
+    headers: { "Content-Type": "multipart/form-data" },
+    timeout: 120000, // PDFs and archives take a while to extract
+  });
+};
+
 // Get all scraped documents
 export const getDocuments = () => {
   return axiosInstance.get("/api/documents");
@@ -98,12 +115,20 @@ export const clearVectors = () => {
 // SEARCH APIs
 // ============================================
 
-// Semantic search in vector database
-export const semanticSearch = (query, topK = 5, filter = null) => {
+// Hybrid (keyword + semantic) search
+// searchOptions: { mode: "vector" | "keyword" | "hybrid", fusion: "rrf" | "weighted", alpha,
+//   collectionIds } (default collection if no collectionIds)
+export const semanticSearch = (
+  query,
+  topK = 5,
+  filter = null,
+  searchOptions = {}
+) => {
   return axiosInstance.post("/api/search", {
     query,
     topK,
     filter,
+    ...searchOptions,
   });
 };
 
@@ -127,20 +152,154 @@ export const advancedSearch = (query, options = {}) => {
   });
 };
 
+// ============================================
+// VECTOR INDEX APIs (RE-INDEXING)
+// ============================================
+
+// List vector indexes with status and backlog
+export const getIndexes = () => {
+  return axiosInstance.get("/api/indexes");
+};
+
+// Register a new index and build it in the background
+// definition: { name, embeddingProvider, embeddingModel, dimension, chunkStrategy }
+// Responds immediately with { index, jobId, job }
+export const createIndex = (definition) => {
+  return axiosInstance.post("/api/indexes", definition);
+};
+
+// Catch an index up with content added since its last build
+export const syncIndex = (indexId) => {
+  return axiosInstance.post(`/api/indexes/${indexId}/sync`);
+};
+
+// Switch search and chat over to an index
+export const activateIndex = (indexId, force = false) => {
+  return axiosInstance.post(`/api/indexes/${indexId}/activate`, { force });
+};
+
+// Delete an index's vectors (not allowed for the active index)
+export const retireIndex = (indexId) => {
+  return axiosInstance.post(`/api/indexes/${indexId}/retire`);
+};
+
+// Run one search against several indexes side by side
+// searchOptions: same as semanticSearch
+export const compareIndexes = (
+  query,
+  indexIds,
+  topK = 5,
+  filter = null,
+  searchOptions = {}
+) => {
+  return axiosInstance.post("/api/indexes/compare", {
+    query,
+    indexIds,
+    topK,
+    filter,
+    ...searchOptions,
+  });
+};
+
+// ============================================
+// COLLECTION APIs
+// ============================================
+
+// List collections with document and chunk counts
+export const getCollections = () => {
+  return axiosInstance.get("/api/collections");
+};
+
+// Create a collection
+// definition: { name, slug, description } (slug defaults to the name)
+export const createCollection = (definition) => {
+  return axiosInstance.post("/api/collections", definition);
+};
+
+// Document, chunk and vector counts for one collection
+export const getCollectionStats = (collectionId) => {
+  return axiosInstance.get(`/api/collections/${collectionId}/stats`);
+};
+
+// Delete a collection's vectors (its chunks are reset to pending)
+export const clearCollectionVectors = (collectionId) => {
+  return axiosInstance.delete(`/api/collections/${collectionId}/vectors`);
+};
+
 // ============================================
 // PIPELINE APIs
 // ============================================
 
-// Run complete pipeline (scrape + chunk + embed)
-export const runPipeline = (urls) => {
+// Queue complete pipeline (scrape + chunk + embed) as a background job
+// Pages go to the given collection (the default one if null)
+// Responds immediately with { jobId, job }
+export const runPipeline = (urls, collectionId = null) => {
   return axiosInstance.post("/api/pipeline", {
     urls,
+    ...(collectionId && { collectionId }),
+  });
+};
+
+// Get pipeline status/progress (latest pipeline job if no jobId)
+export const getPipelineStatus = (jobId = null) => {
+  return axiosInstance.get("/api/pipeline/status", {
+    params: jobId ? { jobId } : {},
+  });
+};
+
+// ============================================
+// JOB APIs
+// ============================================
+
+// List recent background jobs
+export const getJobs = (params = {}) => {
+  return axiosInstance.get("/api/jobs", { params });
+};
+
+// Get one job with progress and per-item errors
+export const getJob = (jobId) => {
+  return axiosInstance.get(`/api/jobs/${jobId}`);
+};
+
+// Cancel a queued or running job
+export const cancelJob = (jobId) => {
+  return axiosInstance.post(`/api/jobs/${jobId}/cancel`);
+};
+
+// Retry a failed or cancelled job
+export const retryJob = (jobId) => {
+  return axiosInstance.post(`/api/jobs/${jobId}/retry`);
+};
+
+// Follow a job's live events (Server-Sent Events)
+// handlers: { snapshot, progress, log, status, error } receive parsed event data
+// Returns the EventSource; call .close() to stop listening
+export const subscribeToJobEvents = (jobId, handlers = {}) => {
+  const source = new EventSource(`${BASE_URL}/api/jobs/${jobId}/events`);
+
+  ["snapshot", "progress", "log", "status"].forEach((type) => {
+    source.addEventListener(type, (event) => {
+      handlers[type]?.(JSON.parse(event.data));
+    });
   });
+
+  // Connection errors (EventSource reconnects by itself) and server-sent
+  // error events both arrive here; only the latter carry data
+  source.addEventListener("error", (event) => {
+    handlers.error?.(event.data ? JSON.parse(event.data) : null, source);
+  });
+
+  return source;
 };
 
-// Get pipeline status/progress
-export const getPipelineStatus = () => {
-  return axiosInstance.get("/api/pipeline/status");
+// ============================================
+// ANSWER REVIEW APIs
+// ============================================
+
+// Chat answers that failed the grounding check (newest first)
+// params: { limit, offset }
+export const getLowGroundingAnswers = (params = {}) => {
+  return axiosInstance.get("/api/answers/low-grounding", { params });
 };
 
 // ============================================
@@ -234,6 +393,13 @@ const api = {
   runPipeline,
   getPipelineStatus,
 
+  // Jobs
+  getJobs,
+  getJob,
+  cancelJob,
+  retryJob,
+  subscribeToJobEvents,
+
   // Testing
   testGemini,
   testPinecone,
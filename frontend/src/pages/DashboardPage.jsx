@@ -1,7 +1,7 @@
 // src/pages/DashboardPage.jsx
 // Main dashboard showing system overview and statistics
 
-import { useEffect } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import {
   FileText,
@@ -9,13 +9,54 @@ import {
   Database,
   TrendingUp,
   CheckCircle,
+  Upload,
+  X,
+  AlertTriangle,
+  RefreshCw,
 } from "lucide-react";
+import toast from "react-hot-toast";
 import { Card } from "../components/common/Card";
+import { Button } from "../components/common/Button";
 import { Loading } from "../components/common/Loading";
 import { Badge } from "../components/common/Badge";
-import { fetchDocuments } from "../store/slices/documentSlice";
+import {
+  fetchDocuments,
+  uploadDocuments,
+  selectUploading,
+} from "../store/slices/documentSlice";
 import { fetchChunkStats } from "../store/slices/chunkSlice";
 import { fetchVectorStats } from "../store/slices/searchSlice";
+import {
+  fetchCollections,
+  selectCollections,
+} from "../store/slices/collectionSlice";
+import {
+  fetchLowGroundingAnswers,
+  selectLowGroundingAnswers,
+  selectLowGroundingCount,
+  selectGroundingChecker,
+  selectReviewLoading,
+} from "../store/slices/reviewSlice";
+import { formatDate, truncateText } from "../utils/formatters";
+
+// File types the backend can ingest
+const UPLOAD_EXTENSIONS = [
+  ".md",
+  ".markdown",
+  ".html",
+  ".htm",
+  ".txt",
+  ".pdf",
+  ".json",
+  ".yaml",
+  ".yml",
+  ".zip",
+];
+
+const formatSize = (bytes) =>
+  bytes < 1024 * 1024
+    ? `${Math.ceil(bytes / 1024)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 
 const StatsCard = ({
   icon: Icon,
@@ -46,12 +87,299 @@ const StatsCard = ({
   );
 };
 
+// Drag-and-drop uploader for local files (Markdown, HTML, text, PDF,
+// OpenAPI specs, ZIP)
+const FileUploader = () => {
+  const dispatch = useDispatch();
+  const uploading = useSelector(selectUploading);
+  const collections = useSelector(selectCollections);
+  const inputRef = useRef(null);
+  const [files, setFiles] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  // Collection the files go to ("" = default collection)
+  const [collectionId, setCollectionId] = useState("");
+  const [processAfter, setProcessAfter] = useState(true);
+
+  useEffect(() => {
+    dispatch(fetchCollections());
+  }, [dispatch]);
+
+  const addFiles = (fileList) => {
+    const selected = Array.from(fileList);
+    const supported = selected.filter((file) =>
+      UPLOAD_EXTENSIONS.some((ext) => file.name.toLowerCase().endsWith(ext))
+    );
+    if (supported.length < selected.length) {
+      toast.error(
+        `Skipped ${selected.length - supported.length} unsupported file(s)`
+      );
+    }
+    setFiles((prev) => [
+      ...prev.filter((f) => !supported.some((s) => s.name === f.name)),
+      ...supported,
+    ]);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleUpload = async () => {
+    const result = await dispatch(
+      uploadDocuments({
+        files,
+        collectionId: collectionId ? Number(collectionId) : null,
+        process: processAfter,
+      })
+    );
+
+    if (result.type.endsWith("/fulfilled")) {
+      const { summary, jobId } = result.payload;
+      toast.success(
+        `${summary.created} added, ${summary.updated} updated, ${summary.unchanged} unchanged`
+      );
+      if (summary.failed > 0) {
+        toast.error(`${summary.failed} file(s) could not be ingested`);
+      }
+      if (jobId) {
+        toast.success(`Chunking and embedding queued as job #${jobId}`);
+      }
+      setFiles([]);
+    } else {
+      toast.error(result.payload?.error || "Upload failed");
+    }
+  };
+
+  return (
+    <Card title="Upload Files">
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+        className={`flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${
+          dragging
+            ? "border-primary-500 bg-primary-50"
+            : "border-gray-300 hover:border-primary-400"
+        }`}
+      >
+        <Upload className="w-8 h-8 text-primary-500" />
+        <p className="font-medium text-gray-900">
+          Drop files here or click to browse
+        </p>
+        <p className="text-sm text-gray-500">
+          Markdown, HTML, text, PDF, OpenAPI specs (JSON / YAML) or ZIP
+          archives of those
+        </p>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={UPLOAD_EXTENSIONS.join(",")}
+          className="hidden"
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {files.length > 0 && (
+        <div className="mt-4 space-y-2">
+          {files.map((file) => (
+            <div
+              key={file.name}
+              className="flex items-center justify-between text-sm p-2 bg-gray-50 rounded-lg"
+            >
+              <span className="truncate text-gray-900">{file.name}</span>
+              <div className="flex items-center gap-3">
+                <span className="text-gray-500">{formatSize(file.size)}</span>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setFiles((prev) => prev.filter((f) => f !== file))
+                  }
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex flex-wrap items-center gap-4 pt-2 text-sm text-gray-600">
+            {collections.length > 1 && (
+              <label className="flex items-center gap-2">
+                Collection
+                <select
+                  value={collectionId}
+                  onChange={(e) => setCollectionId(e.target.value)}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {collections.map((collection) => (
+                    <option
+                      key={collection.id}
+                      value={collection.isDefault ? "" : collection.id}
+                    >
+                      {collection.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={processAfter}
+                onChange={(e) => setProcessAfter(e.target.checked)}
+              />
+              Chunk and embed after upload
+            </label>
+            <Button
+              onClick={handleUpload}
+              loading={uploading}
+              icon={Upload}
+              className="ml-auto"
+            >
+              Upload {files.length} file{files.length === 1 ? "" : "s"}
+            </Button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// What happened to an answer that failed the grounding check
+const GROUNDING_ACTIONS = {
+  fallback: { label: "Fallback sent", variant: "danger" },
+  regenerated: { label: "Regenerated", variant: "warning" },
+  none: { label: "Sent as is", variant: "gray" },
+};
+
+// Chat answers the grounding check flagged as poorly supported by their
+// sources, with the claims it could not match
+const LowGroundingAnswers = () => {
+  const dispatch = useDispatch();
+  const answers = useSelector(selectLowGroundingAnswers);
+  const count = useSelector(selectLowGroundingCount);
+  const grounding = useSelector(selectGroundingChecker);
+  const loading = useSelector(selectReviewLoading);
+
+  useEffect(() => {
+    dispatch(fetchLowGroundingAnswers({ limit: 10 }));
+  }, [dispatch]);
+
+  return (
+    <Card
+      title="Answers Needing Review"
+      actions={
+        <>
+          {count > 0 && <Badge variant="danger">{count} low grounding</Badge>}
+          <Button
+            variant="secondary"
+            size="sm"
+            icon={RefreshCw}
+            loading={loading}
+            onClick={() => dispatch(fetchLowGroundingAnswers({ limit: 10 }))}
+          >
+            Refresh
+          </Button>
+        </>
+      }
+    >
+      {grounding?.checker === "none" && (
+        <p className="text-sm text-gray-500 mb-4">
+          Grounding checks are off. Set GROUNDING_CHECKER to nli or llm to
+          score new answers against their sources.
+        </p>
+      )}
+
+      {answers.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">
+          No answers below the grounding threshold.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {answers.map((answer) => {
+            const action =
+              GROUNDING_ACTIONS[answer.action] || GROUNDING_ACTIONS.none;
+
+            return (
+              <div key={answer.id} className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex items-start gap-2 min-w-0">
+                    <AlertTriangle className="w-5 h-5 text-yellow-500 shrink-0 mt-0.5" />
+                    <div className="min-w-0">
+                      <h4 className="font-medium text-gray-900">
+                        {answer.question || "Unknown question"}
+                      </h4>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(answer.createdAt)} · {answer.checker}{" "}
+                        checker
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <Badge variant={action.variant} size="sm">
+                      {action.label}
+                    </Badge>
+                    <span className="text-sm font-semibold text-gray-900">
+                      {Math.round((answer.score || 0) * 100)}%
+                    </span>
+                  </div>
+                </div>
+
+                {answer.unsupportedClaims.length > 0 && (
+                  <ul className="mt-3 space-y-1 text-sm text-gray-700 list-disc list-inside">
+                    {answer.unsupportedClaims.slice(0, 3).map((claim, i) => (
+                      <li key={i}>
+                        {claim.claim}{" "}
+                        <span className="text-xs text-gray-500">
+                          ({Math.round(claim.score * 100)}% support)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {answer.rejectedAnswer && (
+                  <details className="mt-3 text-sm">
+                    <summary className="cursor-pointer text-primary-600">
+                      Rejected answer
+                    </summary>
+                    <p className="mt-2 text-gray-600 whitespace-pre-line">
+                      {truncateText(answer.rejectedAnswer, 600)}
+                    </p>
+                  </details>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Card>
+  );
+};
+
 export const DashboardPage = () => {
   const dispatch = useDispatch();
 
   const documents = useSelector((state) => state.documents.documents);
   const chunkStats = useSelector((state) => state.chunks.stats);
   const vectorStats = useSelector((state) => state.search.vectorStats);
+
+  // Hit rate of the embedding cache for the active model
+  const embeddingCache = chunkStats.embeddingCache;
+  const cacheHitRate =
+    embeddingCache?.models.find((m) => m.model === embeddingCache.model)
+      ?.hitRate || 0;
   const loading = useSelector(
     (state) =>
       state.documents.loading || state.chunks.loading || state.search.loading
@@ -127,6 +455,9 @@ export const DashboardPage = () => {
         />
       </div>
 
+      {/* File Upload */}
+      <FileUploader />
+
       {/* System Status */}
       <Card title="System Status">
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
@@ -157,11 +488,19 @@ export const DashboardPage = () => {
             <div>
               <p className="text-sm text-gray-600">Embeddings</p>
               <p className="font-semibold text-green-600">Ready</p>
+              {embeddingCache?.enabled && (
+                <p className="text-xs text-gray-500">
+                  Cache hit rate {(cacheHitRate * 100).toFixed(0)}%
+                </p>
+              )}
             </div>
           </div>
         </div>
       </Card>
 
+      {/* Answers flagged by the grounding check */}
+      <LowGroundingAnswers />
+
       {/* Recent Documents */}
       <Card
         title="Recent Documents"
@@ -173,7 +512,8 @@ export const DashboardPage = () => {
       >
         {recentDocuments.length === 0 ? (
           <p className="text-gray-500 text-center py-8">
-            No documents scraped yet. Start by adding URLs to scrape.
+            No documents yet. Start by adding URLs to scrape or uploading
+            files.
           </p>
         ) : (
           <div className="space-y-3">
@@ -2,27 +2,67 @@
 // src/pages/PipelinePage.jsx
 // ============================================
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { Card } from "../components/common/Card";
 import { Button } from "../components/common/Button";
 import { Badge } from "../components/common/Badge";
 import toast from "react-hot-toast";
-import { Play, CheckCircle, XCircle, Loader } from "lucide-react";
+import {
+  Play,
+  CheckCircle,
+  XCircle,
+  Loader,
+  Square,
+  Plus,
+  Trash2,
+} from "lucide-react";
 import {
   runCompletePipeline,
- 
+  cancelPipeline,
   selectPipelineRunning,
+  selectPipelineJobId,
   selectCurrentStep,
   selectPipelineProgress,
   selectPipelineLogs,
 } from "../store/slices/pipelineSlice";
+import {
+  fetchCollections,
+  createCollection,
+  clearCollectionVectors,
+  selectCollections,
+  selectCollectionCreating,
+  selectCollectionClearingId,
+} from "../store/slices/collectionSlice";
+
+// Items per second and remaining seconds for a step, from its start time
+const getRate = ({ count, total, startedAt, finishedAt }, now) => {
+  if (!startedAt || count === 0) return null;
+
+  const end = finishedAt ? new Date(finishedAt).getTime() : now;
+  const elapsed = (end - new Date(startedAt).getTime()) / 1000;
+  if (elapsed <= 0) return null;
+
+  const perSecond = count / elapsed;
+  const remaining = total ? Math.max(total - count, 0) / perSecond : null;
+  return { perSecond, remaining };
+};
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${Math.ceil(seconds)}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${Math.ceil(seconds % 60)}s`;
+};
+
+const StepCard = ({ title, progress, isActive, now }) => {
+  const { status, count, total, failed, lastItem } = progress;
+  const rate = getRate(progress, now);
+  const percent = total ? Math.min(100, Math.round((count / total) * 100)) : 0;
 
-const StepCard = ({ title, status, count, isActive }) => {
   const getStatusIcon = () => {
     if (status === "complete")
       return <CheckCircle className="w-6 h-6 text-green-500" />;
-    if (status === "failed")
+    if (status === "failed" || status === "cancelled")
       return <XCircle className="w-6 h-6 text-red-500" />;
     if (status === "running" || isActive)
       return <Loader className="w-6 h-6 text-primary-500 animate-spin" />;
@@ -43,7 +83,33 @@ const StepCard = ({ title, status, count, isActive }) => {
       </div>
       <div className="flex items-center gap-2">
         <span className="text-2xl font-bold">{count}</span>
-        <span className="text-gray-600">processed</span>
+        <span className="text-gray-600">
+          {total ? `of ${total} processed` : "processed"}
+        </span>
+      </div>
+      {total > 0 && (
+        <div className="w-full bg-gray-200 rounded-full h-2 mt-3">
+          <div
+            className="bg-primary-500 h-2 rounded-full transition-all"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+      <div className="text-sm text-gray-600 mt-2 space-y-1">
+        {rate && (
+          <p>
+            {rate.perSecond.toFixed(2)} items/s
+            {status === "running" && rate.remaining !== null && (
+              <> · ETA {formatDuration(rate.remaining)}</>
+            )}
+          </p>
+        )}
+        {failed > 0 && <p className="text-red-600">{failed} failed</p>}
+        {status === "running" && lastItem && (
+          <p className="truncate" title={lastItem.item}>
+            {lastItem.item}
+          </p>
+        )}
       </div>
       <Badge
         variant={
@@ -53,6 +119,8 @@ const StepCard = ({ title, status, count, isActive }) => {
             ? "info"
             : status === "failed"
             ? "danger"
+            : status === "cancelled"
+            ? "warning"
             : "gray"
         }
         className="mt-2"
@@ -63,15 +131,171 @@ const StepCard = ({ title, status, count, isActive }) => {
   );
 };
 
+// Collections (separate knowledge bases) with counts, creation and clearing
+const CollectionsPanel = () => {
+  const dispatch = useDispatch();
+  const collections = useSelector(selectCollections);
+  const creating = useSelector(selectCollectionCreating);
+  const clearingId = useSelector(selectCollectionClearingId);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ name: "", description: "" });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error("Please enter a collection name");
+      return;
+    }
+
+    const result = await dispatch(
+      createCollection({
+        name: form.name.trim(),
+        description: form.description.trim() || null,
+      })
+    );
+    if (result.type.endsWith("/fulfilled")) {
+      toast.success(`Created collection "${result.payload.collection.name}"`);
+      setForm({ name: "", description: "" });
+      setShowForm(false);
+    } else {
+      toast.error(result.payload?.error || "Failed to create collection");
+    }
+  };
+
+  const handleClear = async (collection) => {
+    if (
+      !window.confirm(
+        `Delete all vectors of "${collection.name}"? Its chunks will be re-embedded by the next pipeline run.`
+      )
+    ) {
+      return;
+    }
+    const result = await dispatch(clearCollectionVectors(collection.id));
+    if (result.type.endsWith("/fulfilled")) {
+      toast.success(result.payload.message);
+    } else {
+      toast.error(result.payload?.error || "Failed to clear collection");
+    }
+  };
+
+  return (
+    <Card
+      title="Collections"
+      actions={
+        <Button
+          size="sm"
+          variant="outline"
+          icon={Plus}
+          onClick={() => setShowForm(!showForm)}
+        >
+          New collection
+        </Button>
+      }
+    >
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm mb-4 pb-4 border-b border-gray-100"
+        >
+          <label className="flex flex-col gap-1 text-gray-600">
+            Name
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Internal runbooks"
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-600 md:col-span-2">
+            Description
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) =>
+                setForm({ ...form, description: e.target.value })
+              }
+              placeholder="On-call procedures for payment incidents"
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </label>
+          <div className="md:col-span-3 flex justify-end">
+            <Button type="submit" size="sm" loading={creating}>
+              Create collection
+            </Button>
+          </div>
+        </form>
+      )}
+
+      <div className="space-y-3">
+        {collections.map((collection) => (
+          <div
+            key={collection.id}
+            className="flex flex-wrap items-center gap-3 text-sm py-2 border-b border-gray-100 last:border-0"
+          >
+            <span className="font-semibold text-gray-900">
+              {collection.name}
+            </span>
+            {collection.isDefault && (
+              <Badge variant="info" size="sm">
+                default
+              </Badge>
+            )}
+            <span className="text-gray-600">
+              {collection.counts.documents} documents ·{" "}
+              {collection.counts.embedded}/{collection.counts.chunks} chunks
+              embedded
+            </span>
+            {collection.description && (
+              <span className="text-gray-500 truncate max-w-xs">
+                {collection.description}
+              </span>
+            )}
+            <div className="ml-auto">
+              <Button
+                size="sm"
+                variant="danger"
+                icon={Trash2}
+                loading={clearingId === collection.id}
+                disabled={collection.counts.embedded === 0}
+                onClick={() => handleClear(collection)}
+              >
+                Clear vectors
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+};
+
 export const PipelinePage = () => {
   const dispatch = useDispatch();
   const [urls, setUrls] = useState("");
+  // Collection the pages go to ("" = default collection)
+  const [collectionId, setCollectionId] = useState("");
+  const collections = useSelector(selectCollections);
 
   const running = useSelector(selectPipelineRunning);
+  const jobId = useSelector(selectPipelineJobId);
   const currentStep = useSelector(selectCurrentStep);
   const progress = useSelector(selectPipelineProgress);
   const logs = useSelector(selectPipelineLogs);
 
+  // Load collections, and refresh their counts when a run finishes
+  useEffect(() => {
+    if (!running) dispatch(fetchCollections());
+  }, [dispatch, running]);
+
+  // Tick once a second while running so throughput and ETA stay current
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
   const handleRunPipeline = () => {
     const urlList = urls
       .split("\n")
@@ -81,7 +305,18 @@ export const PipelinePage = () => {
       toast.error("Please enter at least one URL");
       return;
     }
-    dispatch(runCompletePipeline({ urls: urlList }));
+    dispatch(
+      runCompletePipeline({
+        urls: urlList,
+        collectionId: collectionId ? Number(collectionId) : null,
+      })
+    );
+  };
+
+  const handleCancel = () => {
+    if (jobId) {
+      dispatch(cancelPipeline(jobId));
+    }
   };
 
 
@@ -103,6 +338,26 @@ export const PipelinePage = () => {
           className="textarea-field"
           rows={6}
         />
+        {collections.length > 1 && (
+          <label className="flex items-center gap-2 text-sm text-gray-600 mt-4">
+            Collection
+            <select
+              value={collectionId}
+              onChange={(e) => setCollectionId(e.target.value)}
+              disabled={running}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {collections.map((collection) => (
+                <option
+                  key={collection.id}
+                  value={collection.isDefault ? "" : collection.id}
+                >
+                  {collection.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
         <div className="flex gap-4 mt-4">
           <Button
             onClick={handleRunPipeline}
@@ -112,6 +367,11 @@ export const PipelinePage = () => {
           >
             Run Complete Pipeline
           </Button>
+          {running && jobId && (
+            <Button onClick={handleCancel} icon={Square} variant="danger">
+              Cancel Job #{jobId}
+            </Button>
+          )}
         </div>
       </Card>
 
@@ -119,24 +379,26 @@ export const PipelinePage = () => {
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <StepCard
           title="1. Scraping"
-          status={progress.scraping.status}
-          count={progress.scraping.count}
+          progress={progress.scraping}
           isActive={currentStep === "scraping"}
+          now={now}
         />
         <StepCard
           title="2. Chunking"
-          status={progress.chunking.status}
-          count={progress.chunking.count}
+          progress={progress.chunking}
           isActive={currentStep === "chunking"}
+          now={now}
         />
         <StepCard
           title="3. Embedding"
-          status={progress.embedding.status}
-          count={progress.embedding.count}
+          progress={progress.embedding}
           isActive={currentStep === "embedding"}
+          now={now}
         />
       </div>
 
+      <CollectionsPanel />
+
       {/* Logs */}
       <Card title="Pipeline Logs">
         <div className="bg-gray-900 rounded-lg p-4 max-h-96 overflow-y-auto custom-scrollbar">
@@ -154,6 +416,8 @@ export const PipelinePage = () => {
                       ? "text-red-400"
                       : log.type === "success"
                       ? "text-green-400"
+                      : log.type === "warning"
+                      ? "text-yellow-400"
                       : "text-gray-300"
                   }`}
                 >
@@ -1,7 +1,7 @@
 // src/pages/SearchPage.jsx
 // Semantic search interface for querying the documentation
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import {
   Search,
@@ -9,6 +9,12 @@ import {
   Copy,
   Clock,
   Sparkles,
+  Filter,
+  Layers,
+  RefreshCw,
+  Power,
+  Trash2,
+  Plus,
 } from "lucide-react";
 import { Card } from "../components/common/Card";
 import { Button } from "../components/common/Button";
@@ -22,6 +28,25 @@ import {
   selectCurrentQuery,
   selectSearchHistory,
 } from "../store/slices/searchSlice";
+import {
+  fetchIndexes,
+  createIndex,
+  syncIndex,
+  activateIndex,
+  retireIndex,
+  compareIndexes,
+  clearComparison,
+  selectIndexes,
+  selectActiveIndexId,
+  selectIndexActionId,
+  selectIndexCreating,
+  selectComparison,
+  selectComparing,
+} from "../store/slices/indexSlice";
+import {
+  fetchCollections,
+  selectCollections,
+} from "../store/slices/collectionSlice";
 import toast from "react-hot-toast";
 
 const SearchResult = ({ result, index }) => {
@@ -40,9 +65,27 @@ const SearchResult = ({ result, index }) => {
           <div className="flex-1">
             <div className="flex items-center gap-2 mb-2">
               <Badge variant="info">#{index + 1}</Badge>
-              <Badge variant="success">
-                {(result.score * 100).toFixed(1)}% match
-              </Badge>
+              {result.vectorScore !== undefined ? (
+                <>
+                  {result.vectorScore !== null && (
+                    <Badge variant="success">
+                      {(result.vectorScore * 100).toFixed(1)}% match
+                    </Badge>
+                  )}
+                  {result.keywordScore !== null && (
+                    <Badge variant="warning">
+                      Keyword {result.keywordScore.toFixed(3)}
+                    </Badge>
+                  )}
+                  <Badge variant="gray">
+                    Fused {result.score.toFixed(4)}
+                  </Badge>
+                </>
+              ) : (
+                <Badge variant="success">
+                  {(result.score * 100).toFixed(1)}% match
+                </Badge>
+              )}
             </div>
             <h3 className="text-lg font-semibold text-gray-900">
               {result.metadata?.sourceTitle ||
@@ -97,21 +140,433 @@ const SearchResult = ({ result, index }) => {
           <span>Chunk {result.metadata?.chunkIndex + 1}</span>
           <span>•</span>
           <span>{result.chunkText.length} characters</span>
+          {(result.vectorRank || result.keywordRank) && (
+            <>
+              <span>•</span>
+              <span>
+                Vector rank {result.vectorRank ?? "–"} / Keyword rank{" "}
+                {result.keywordRank ?? "–"}
+              </span>
+            </>
+          )}
         </div>
       </div>
     </Card>
   );
 };
 
+const INDEX_STATUS_VARIANTS = {
+  active: "success",
+  ready: "info",
+  building: "warning",
+  failed: "danger",
+  retired: "gray",
+};
+
+// Default model and dimension per embedding provider (see backend config/embedding.js)
+const EMBEDDING_PROVIDERS = {
+  gemini: { model: "text-embedding-004", dimension: 768 },
+  openai: { model: "text-embedding-3-small", dimension: 1536 },
+  local: { model: "Xenova/all-MiniLM-L6-v2", dimension: 384 },
+};
+
+const EMPTY_INDEX_FORM = {
+  name: "",
+  embeddingProvider: "gemini",
+  embeddingModel: "",
+  dimension: "",
+  chunkStrategy: "",
+};
+
+// Vector indexes: build a new one, compare it, switch to it, retire old ones
+const IndexPanel = ({ compareIds, onToggleCompare }) => {
+  const dispatch = useDispatch();
+  const indexes = useSelector(selectIndexes);
+  const actionIndexId = useSelector(selectIndexActionId);
+  const creating = useSelector(selectIndexCreating);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_INDEX_FORM);
+
+  const building = indexes.some((index) => index.status === "building");
+
+  useEffect(() => {
+    dispatch(fetchIndexes());
+  }, [dispatch]);
+
+  // Builds run as background jobs; refresh their progress while any runs
+  useEffect(() => {
+    if (!building) return;
+    const timer = setInterval(() => dispatch(fetchIndexes()), 5000);
+    return () => clearInterval(timer);
+  }, [building, dispatch]);
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const result = await dispatch(
+      createIndex({
+        name: form.name.trim(),
+        embeddingProvider: form.embeddingProvider,
+        embeddingModel: form.embeddingModel.trim() || undefined,
+        dimension: form.dimension ? Number(form.dimension) : undefined,
+        chunkStrategy: form.chunkStrategy || undefined,
+      })
+    );
+    if (result.type.endsWith("/fulfilled")) {
+      toast.success(result.payload.message);
+      setForm(EMPTY_INDEX_FORM);
+      setShowForm(false);
+    } else {
+      toast.error(result.payload?.error || "Failed to create index");
+    }
+  };
+
+  const handleSync = async (index) => {
+    const result = await dispatch(syncIndex(index.id));
+    if (result.type.endsWith("/fulfilled")) {
+      toast.success(result.payload.message);
+    } else {
+      toast.error(result.payload?.error || "Failed to sync index");
+    }
+  };
+
+  const handleActivate = async (index, force = false) => {
+    const result = await dispatch(activateIndex({ indexId: index.id, force }));
+    if (result.type.endsWith("/fulfilled")) {
+      toast.success(result.payload.message);
+      return;
+    }
+
+    const error = result.payload?.error || "Failed to activate index";
+    const { chunks = 0, documents = 0 } = index.backlog || {};
+    if (!force && (chunks > 0 || documents > 0)) {
+      if (window.confirm(`${error}\n\nActivate anyway?`)) {
+        handleActivate(index, true);
+      }
+      return;
+    }
+    toast.error(error);
+  };
+
+  const handleRetire = async (index) => {
+    if (
+      !window.confirm(
+        `Retire index "${index.name}"? Its vectors will be deleted.`
+      )
+    ) {
+      return;
+    }
+    const result = await dispatch(retireIndex(index.id));
+    if (result.type.endsWith("/fulfilled")) {
+      toast.success(result.payload.message);
+      if (compareIds.includes(index.id)) onToggleCompare(index.id);
+    } else {
+      toast.error(result.payload?.error || "Failed to retire index");
+    }
+  };
+
+  const providerDefaults = EMBEDDING_PROVIDERS[form.embeddingProvider];
+
+  return (
+    <Card
+      title="Vector Indexes"
+      actions={
+        <Button
+          size="sm"
+          variant="outline"
+          icon={Plus}
+          onClick={() => setShowForm(!showForm)}
+        >
+          New index
+        </Button>
+      }
+    >
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          className="grid grid-cols-1 md:grid-cols-6 gap-3 text-sm mb-4 pb-4 border-b border-gray-100"
+        >
+          <label className="flex flex-col gap-1 text-gray-600">
+            Name
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm("name", e.target.value)}
+              placeholder="openai_small"
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-600">
+            Provider
+            <select
+              value={form.embeddingProvider}
+              onChange={(e) => updateForm("embeddingProvider", e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {Object.keys(EMBEDDING_PROVIDERS).map((provider) => (
+                <option key={provider} value={provider}>
+                  {provider}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-gray-600 md:col-span-2">
+            Model
+            <input
+              type="text"
+              value={form.embeddingModel}
+              onChange={(e) => updateForm("embeddingModel", e.target.value)}
+              placeholder={providerDefaults.model}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-600">
+            Dimension
+            <input
+              type="number"
+              min={1}
+              value={form.dimension}
+              onChange={(e) => updateForm("dimension", e.target.value)}
+              placeholder={String(providerDefaults.dimension)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-600">
+            Chunking
+            <select
+              value={form.chunkStrategy}
+              onChange={(e) => updateForm("chunkStrategy", e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Reuse current chunks</option>
+              <option value="recursive">Re-chunk: recursive</option>
+              <option value="section">Re-chunk: section</option>
+            </select>
+          </label>
+          <div className="md:col-span-6 flex justify-end">
+            <Button type="submit" size="sm" loading={creating}>
+              Build index
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {indexes.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">
+          No indexes registered yet
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {indexes.map((index) => {
+            const busy = actionIndexId === index.id;
+            const backlog = index.backlog;
+            const behind =
+              backlog && (backlog.chunks > 0 || backlog.documents > 0);
+
+            return (
+              <div
+                key={index.id}
+                className="flex flex-wrap items-center gap-3 text-sm py-2 border-b border-gray-100 last:border-0"
+              >
+                <label className="flex items-center gap-2 min-w-[10rem]">
+                  <input
+                    type="checkbox"
+                    checked={
+                      index.status === "active" || compareIds.includes(index.id)
+                    }
+                    disabled={
+                      index.status === "active" || index.status === "retired"
+                    }
+                    onChange={() => onToggleCompare(index.id)}
+                    title="Include in comparison searches"
+                  />
+                  <span className="font-semibold text-gray-900">
+                    {index.name}
+                  </span>
+                  <Badge
+                    variant={INDEX_STATUS_VARIANTS[index.status]}
+                    size="sm"
+                  >
+                    {index.status}
+                  </Badge>
+                </label>
+                <span className="text-gray-600">
+                  {index.embeddingProvider}/{index.embeddingModel} (
+                  {index.dimension}d)
+                </span>
+                <span className="text-gray-500">
+                  Chunks: {index.chunkStrategy || "as created"}
+                  {index.chunkSet !== "default" && ` [${index.chunkSet}]`}
+                </span>
+                {index.status !== "active" && (
+                  <span className="text-gray-500">
+                    {index.vectorCount} vectors
+                  </span>
+                )}
+                {behind && (
+                  <Badge variant="warning" size="sm">
+                    {backlog.chunks} chunks / {backlog.documents} docs behind
+                  </Badge>
+                )}
+                {index.error && (
+                  <span className="text-red-600 truncate max-w-xs">
+                    {index.error}
+                  </span>
+                )}
+
+                <div className="flex gap-2 ml-auto">
+                  {["ready", "failed", "building"].includes(index.status) && (
+                    <Button
+                      size="sm"
+                      variant="secondary"
+                      icon={RefreshCw}
+                      loading={busy}
+                      onClick={() => handleSync(index)}
+                    >
+                      Sync
+                    </Button>
+                  )}
+                  {index.status === "ready" && (
+                    <Button
+                      size="sm"
+                      variant="success"
+                      icon={Power}
+                      loading={busy}
+                      onClick={() => handleActivate(index)}
+                    >
+                      Activate
+                    </Button>
+                  )}
+                  {!["active", "retired"].includes(index.status) && (
+                    <Button
+                      size="sm"
+                      variant="danger"
+                      icon={Trash2}
+                      loading={busy}
+                      onClick={() => handleRetire(index)}
+                    >
+                      Retire
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Card>
+  );
+};
+
 export const SearchPage = () => {
   const dispatch = useDispatch();
   const [query, setQuery] = useState("");
   const [topK, setTopK] = useState(5);
+  const [mode, setMode] = useState("hybrid");
+  const [fusion, setFusion] = useState("rrf");
+  const [alpha, setAlpha] = useState(0.5);
+  const [showFilters, setShowFilters] = useState(false);
+  const [filters, setFilters] = useState({
+    productArea: "",
+    urlPrefix: "",
+    title: "",
+    headingPath: "",
+    from: "",
+    to: "",
+    minScore: "",
+  });
 
   const results = useSelector(selectSearchResults);
   const loading = useSelector(selectSearchLoading);
   const currentQuery = useSelector(selectCurrentQuery);
   const searchHistory = useSelector(selectSearchHistory);
+  const activeIndexId = useSelector(selectActiveIndexId);
+  const comparison = useSelector(selectComparison);
+  const comparing = useSelector(selectComparing);
+  const collections = useSelector(selectCollections);
+
+  // Collections to search (the default collection when none are picked)
+  const [collectionIds, setCollectionIds] = useState([]);
+
+  useEffect(() => {
+    dispatch(fetchCollections());
+  }, [dispatch]);
+
+  const toggleCollection = (collectionId) => {
+    setCollectionIds((prev) => {
+      const selected =
+        prev.length > 0
+          ? prev
+          : collections.filter((c) => c.isDefault).map((c) => c.id);
+      return selected.includes(collectionId)
+        ? selected.filter((id) => id !== collectionId)
+        : [...selected, collectionId];
+    });
+  };
+
+  // Indexes searched next to the active one (comparison mode when not empty)
+  const [compareIds, setCompareIds] = useState([]);
+
+  const toggleCompare = (indexId) => {
+    setCompareIds((prev) =>
+      prev.includes(indexId)
+        ? prev.filter((id) => id !== indexId)
+        : [...prev, indexId]
+    );
+  };
+
+  const updateFilter = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // Only send the filter fields that are filled in
+  const buildFilter = () => {
+    const { from, to, minScore, ...text } = filters;
+    const filter = {};
+
+    Object.entries(text).forEach(([field, value]) => {
+      if (value.trim()) filter[field] = value.trim();
+    });
+    if (from || to) filter.dateRange = { from: from || null, to: to || null };
+    if (minScore !== "") filter.minScore = Number(minScore);
+
+    return Object.keys(filter).length > 0 ? filter : null;
+  };
+
+  const activeFilterCount = Object.values(filters).filter(
+    (value) => value !== ""
+  ).length;
+
+  const runSearch = async (searchQuery) => {
+    const options = {
+      query: searchQuery,
+      topK,
+      mode,
+      fusion,
+      alpha,
+      filter: buildFilter(),
+      ...(collectionIds.length > 0 && { collectionIds }),
+    };
+
+    if (compareIds.length === 0) {
+      dispatch(clearComparison());
+      dispatch(performSearch(options));
+      return;
+    }
+
+    const result = await dispatch(
+      compareIndexes({
+        ...options,
+        indexIds: [activeIndexId, ...compareIds].filter(Boolean),
+      })
+    );
+    if (result.type.endsWith("/rejected")) {
+      toast.error(result.payload?.error || "Comparison search failed");
+    }
+  };
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -120,12 +575,12 @@ export const SearchPage = () => {
       return;
     }
 
-    dispatch(performSearch({ query: query.trim(), topK }));
+    runSearch(query.trim());
   };
 
   const handleHistoryClick = (historyQuery) => {
     setQuery(historyQuery);
-    dispatch(performSearch({ query: historyQuery, topK }));
+    runSearch(historyQuery);
   };
 
   const exampleQueries = [
@@ -175,15 +630,148 @@ export const SearchPage = () => {
               </select>
               <Button
                 type="submit"
-                loading={loading}
-                icon={Search}
+                loading={loading || comparing}
+                icon={compareIds.length > 0 ? Layers : Search}
                 className="!py-2"
               >
-                Search
+                {compareIds.length > 0 ? "Compare" : "Search"}
               </Button>
             </div>
           </div>
 
+          {/* Search tuning */}
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+            <label className="flex items-center gap-2">
+              Mode
+              <select
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="hybrid">Hybrid</option>
+                <option value="vector">Vector only</option>
+                <option value="keyword">Keyword only</option>
+              </select>
+            </label>
+            {mode === "hybrid" && (
+              <label className="flex items-center gap-2">
+                Fusion
+                <select
+                  value={fusion}
+                  onChange={(e) => setFusion(e.target.value)}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="rrf">Reciprocal rank</option>
+                  <option value="weighted">Weighted scores</option>
+                </select>
+              </label>
+            )}
+            {mode === "hybrid" && fusion === "weighted" && (
+              <label className="flex items-center gap-2">
+                Vector weight
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.1}
+                  value={alpha}
+                  onChange={(e) => setAlpha(Number(e.target.value))}
+                />
+                <span className="w-8">{alpha.toFixed(1)}</span>
+              </label>
+            )}
+            {collections.length > 1 && (
+              <div className="flex flex-wrap items-center gap-3">
+                Collections
+                {collections.map((collection) => (
+                  <label
+                    key={collection.id}
+                    className="flex items-center gap-1"
+                    title={collection.description || collection.slug}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={
+                        collectionIds.length === 0
+                          ? collection.isDefault
+                          : collectionIds.includes(collection.id)
+                      }
+                      onChange={() => toggleCollection(collection.id)}
+                    />
+                    {collection.name}
+                  </label>
+                ))}
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={() => setShowFilters(!showFilters)}
+              className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <Filter className="w-4 h-4" />
+              Filters
+              {activeFilterCount > 0 && (
+                <Badge variant="info" size="sm">
+                  {activeFilterCount}
+                </Badge>
+              )}
+            </button>
+          </div>
+
+          {/* Metadata filters */}
+          {showFilters && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+              {[
+                ["productArea", "Product area", "billing"],
+                ["urlPrefix", "URL prefix", "https://docs.stripe.com/billing"],
+                ["title", "Document title", "Subscriptions"],
+                ["headingPath", "Heading", "Create a subscription"],
+              ].map(([field, label, placeholder]) => (
+                <label key={field} className="flex flex-col gap-1 text-gray-600">
+                  {label}
+                  <input
+                    type="text"
+                    value={filters[field]}
+                    onChange={(e) => updateFilter(field, e.target.value)}
+                    placeholder={placeholder}
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </label>
+              ))}
+              <label className="flex flex-col gap-1 text-gray-600">
+                Scraped from
+                <input
+                  type="date"
+                  value={filters.from}
+                  onChange={(e) => updateFilter("from", e.target.value)}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-gray-600">
+                Scraped until
+                <input
+                  type="date"
+                  value={filters.to}
+                  onChange={(e) => updateFilter("to", e.target.value)}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-gray-600">
+                Min. vector score
+                <input
+                  type="number"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={filters.minScore}
+                  onChange={(e) => updateFilter("minScore", e.target.value)}
+                  placeholder="0.5"
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </label>
+            </div>
+          )}
+
           {/* Example queries */}
           <div className="flex flex-wrap gap-2">
             <span className="text-sm text-gray-600">Try:</span>
@@ -201,6 +789,59 @@ export const SearchPage = () => {
         </form>
       </Card>
 
+      {/* Vector indexes (re-indexing) */}
+      <div className="max-w-4xl mx-auto">
+        <IndexPanel compareIds={compareIds} onToggleCompare={toggleCompare} />
+      </div>
+
+      {/* Comparison results: one column per index */}
+      {comparing ? (
+        <Loading message="Searching indexes..." />
+      ) : (
+        comparison && (
+          <div className="space-y-4">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Comparing {comparison.comparisons.length} indexes for "
+              {comparison.query}"
+            </h2>
+            <div
+              className="grid gap-6"
+              style={{
+                gridTemplateColumns: `repeat(${comparison.comparisons.length}, minmax(0, 1fr))`,
+              }}
+            >
+              {comparison.comparisons.map(({ index, results, error }) => (
+                <div key={index.id} className="space-y-4">
+                  <div className="flex items-center gap-2">
+                    <h3 className="text-lg font-semibold text-gray-900">
+                      {index.name}
+                    </h3>
+                    <Badge
+                      variant={INDEX_STATUS_VARIANTS[index.status]}
+                      size="sm"
+                    >
+                      {index.status}
+                    </Badge>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {index.embeddingProvider}/{index.embeddingModel}
+                  </p>
+                  {error ? (
+                    <p className="text-sm text-red-600">{error}</p>
+                  ) : results.length === 0 ? (
+                    <p className="text-sm text-gray-500">No results</p>
+                  ) : (
+                    results.map((result, i) => (
+                      <SearchResult key={i} result={result} index={i} />
+                    ))
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
         {/* Search History Sidebar */}
         <div className="lg:col-span-1">
@@ -266,7 +907,7 @@ export const SearchPage = () => {
             <EmptyState
               icon={Search}
               title="Start Searching"
-              description="Enter your question above to search through Stripe documentation using semantic search powered by AI."
+              description="Enter your question above to search through Stripe documentation using hybrid keyword and semantic search."
             />
           )}
         </div>
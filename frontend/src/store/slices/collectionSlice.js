@@ -0,0 +1,132 @@
+// src/store/slices/collectionSlice.js
+// Redux slice for collections (separate knowledge bases)
+// Handles listing, creating and clearing collections
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import * as api from "../../api/endpoints";
+
+// Initial state
+const initialState = {
+  collections: [],
+  loading: false,
+  creating: false,
+  // ID of the collection being cleared
+  clearingId: null,
+  error: null,
+};
+
+// ============================================
+// ASYNC THUNKS
+// ============================================
+
+// List collections with document and chunk counts
+export const fetchCollections = createAsyncThunk(
+  "collections/fetchAll",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.getCollections();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// Create a collection
+export const createCollection = createAsyncThunk(
+  "collections/create",
+  async (definition, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.createCollection(definition);
+      dispatch(fetchCollections());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// Delete a collection's vectors
+export const clearCollectionVectors = createAsyncThunk(
+  "collections/clearVectors",
+  async (collectionId, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.clearCollectionVectors(collectionId);
+      dispatch(fetchCollections());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// ============================================
+// SLICE
+// ============================================
+
+const collectionSlice = createSlice({
+  name: "collections",
+  initialState,
+  reducers: {
+    // Clear error
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch collections
+    builder
+      .addCase(fetchCollections.pending, (state) => {
+        state.loading = true;
+      })
+      .addCase(fetchCollections.fulfilled, (state, action) => {
+        state.loading = false;
+        state.collections = action.payload.collections || [];
+      })
+      .addCase(fetchCollections.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+
+    // Create collection
+    builder
+      .addCase(createCollection.pending, (state) => {
+        state.creating = true;
+        state.error = null;
+      })
+      .addCase(createCollection.fulfilled, (state) => {
+        state.creating = false;
+      })
+      .addCase(createCollection.rejected, (state, action) => {
+        state.creating = false;
+        state.error = action.payload;
+      });
+
+    // Clear collection vectors
+    builder
+      .addCase(clearCollectionVectors.pending, (state, action) => {
+        state.clearingId = action.meta.arg;
+        state.error = null;
+      })
+      .addCase(clearCollectionVectors.fulfilled, (state) => {
+        state.clearingId = null;
+      })
+      .addCase(clearCollectionVectors.rejected, (state, action) => {
+        state.clearingId = null;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export actions
+export const { clearError } = collectionSlice.actions;
+
+// Export selectors
+export const selectCollections = (state) => state.collections.collections;
+export const selectCollectionsLoading = (state) => state.collections.loading;
+export const selectCollectionCreating = (state) => state.collections.creating;
+export const selectCollectionClearingId = (state) =>
+  state.collections.clearingId;
+
+// Export reducer
+export default collectionSlice.reducer;
@@ -12,6 +12,7 @@ const initialState = {
   loading: false,
   error: null,
   scraping: false,
+  uploading: false,
   scrapeProgress: {
     total: 0,
     completed: 0,
@@ -62,6 +63,20 @@ export const scrapeBatch = createAsyncThunk(
   }
 );
 
+// Upload local files; new documents are listed once stored
+export const uploadDocuments = createAsyncThunk(
+  "documents/upload",
+  async ({ files, ...options }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.uploadDocuments(files, options);
+      dispatch(fetchDocuments());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
 // Fetch single document by ID
 export const fetchDocumentById = createAsyncThunk(
   "documents/fetchById",
@@ -164,6 +179,20 @@ const documentSlice = createSlice({
         state.error = action.payload;
       });
 
+    // Upload files
+    builder
+      .addCase(uploadDocuments.pending, (state) => {
+        state.uploading = true;
+        state.error = null;
+      })
+      .addCase(uploadDocuments.fulfilled, (state) => {
+        state.uploading = false;
+      })
+      .addCase(uploadDocuments.rejected, (state, action) => {
+        state.uploading = false;
+        state.error = action.payload;
+      });
+
     // Fetch document by ID
     builder
       .addCase(fetchDocumentById.pending, (state) => {
@@ -195,6 +224,7 @@ export const selectCurrentDocument = (state) => state.documents.currentDocument;
 export const selectDocumentsLoading = (state) => state.documents.loading;
 export const selectDocumentsError = (state) => state.documents.error;
 export const selectScraping = (state) => state.documents.scraping;
+export const selectUploading = (state) => state.documents.uploading;
 export const selectScrapeProgress = (state) => state.documents.scrapeProgress;
 
 // Export reducer
@@ -0,0 +1,224 @@
+// src/store/slices/indexSlice.js
+// Redux slice for vector indexes (re-indexing)
+// Handles building new indexes, comparison searches and switching the active index
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import * as api from "../../api/endpoints";
+
+// Initial state
+const initialState = {
+  indexes: [],
+  activeIndexId: null,
+  loading: false,
+  // ID of the index an action (create/sync/activate/retire) is running for
+  actionIndexId: null,
+  creating: false,
+  comparison: null, // { query, comparisons: [{ index, results, error }] }
+  comparing: false,
+  error: null,
+};
+
+// ============================================
+// ASYNC THUNKS
+// ============================================
+
+// List indexes with status and backlog
+export const fetchIndexes = createAsyncThunk(
+  "indexes/fetchAll",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.getIndexes();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// Register a new index; the build runs as a background job
+export const createIndex = createAsyncThunk(
+  "indexes/create",
+  async (definition, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.createIndex(definition);
+      dispatch(fetchIndexes());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// Catch an index up with new content
+export const syncIndex = createAsyncThunk(
+  "indexes/sync",
+  async (indexId, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.syncIndex(indexId);
+      dispatch(fetchIndexes());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// Switch search and chat over to an index
+export const activateIndex = createAsyncThunk(
+  "indexes/activate",
+  async ({ indexId, force = false }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.activateIndex(indexId, force);
+      dispatch(fetchIndexes());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// Delete an index's vectors
+export const retireIndex = createAsyncThunk(
+  "indexes/retire",
+  async (indexId, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.retireIndex(indexId);
+      dispatch(fetchIndexes());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// Run one search against several indexes
+export const compareIndexes = createAsyncThunk(
+  "indexes/compare",
+  async (
+    {
+      query,
+      indexIds,
+      topK = 5,
+      filter = null,
+      mode,
+      fusion,
+      alpha,
+      collectionIds,
+    },
+    { rejectWithValue }
+  ) => {
+    try {
+      const response = await api.compareIndexes(query, indexIds, topK, filter, {
+        mode,
+        fusion,
+        alpha,
+        collectionIds,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// ============================================
+// SLICE
+// ============================================
+
+// Actions that target one index share the same pending/settled handling
+const indexActions = [syncIndex, activateIndex, retireIndex];
+
+const indexSlice = createSlice({
+  name: "indexes",
+  initialState,
+  reducers: {
+    // Clear comparison results
+    clearComparison: (state) => {
+      state.comparison = null;
+    },
+
+    // Clear error
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch indexes
+    builder
+      .addCase(fetchIndexes.pending, (state) => {
+        state.loading = true;
+      })
+      .addCase(fetchIndexes.fulfilled, (state, action) => {
+        state.loading = false;
+        state.indexes = action.payload.indexes || [];
+        state.activeIndexId = action.payload.activeIndexId;
+      })
+      .addCase(fetchIndexes.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+
+    // Create index
+    builder
+      .addCase(createIndex.pending, (state) => {
+        state.creating = true;
+        state.error = null;
+      })
+      .addCase(createIndex.fulfilled, (state) => {
+        state.creating = false;
+      })
+      .addCase(createIndex.rejected, (state, action) => {
+        state.creating = false;
+        state.error = action.payload;
+      });
+
+    // Sync / activate / retire
+    indexActions.forEach((thunk) => {
+      builder
+        .addCase(thunk.pending, (state, action) => {
+          const arg = action.meta.arg;
+          state.actionIndexId = arg?.indexId ?? arg;
+          state.error = null;
+        })
+        .addCase(thunk.fulfilled, (state) => {
+          state.actionIndexId = null;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.actionIndexId = null;
+          state.error = action.payload;
+        });
+    });
+
+    // Compare
+    builder
+      .addCase(compareIndexes.pending, (state) => {
+        state.comparing = true;
+        state.error = null;
+      })
+      .addCase(compareIndexes.fulfilled, (state, action) => {
+        state.comparing = false;
+        state.comparison = {
+          query: action.payload.query,
+          comparisons: action.payload.comparisons || [],
+        };
+      })
+      .addCase(compareIndexes.rejected, (state, action) => {
+        state.comparing = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export actions
+export const { clearComparison, clearError } = indexSlice.actions;
+
+// Export selectors
+export const selectIndexes = (state) => state.indexes.indexes;
+export const selectActiveIndexId = (state) => state.indexes.activeIndexId;
+export const selectIndexActionId = (state) => state.indexes.actionIndexId;
+export const selectIndexCreating = (state) => state.indexes.creating;
+export const selectComparison = (state) => state.indexes.comparison;
+export const selectComparing = (state) => state.indexes.comparing;
+
+// Export reducer
+export default indexSlice.reducer;
@@ -5,9 +5,66 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import * as api from "../../api/endpoints";
 
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+const PIPELINE_STEPS = ["scraping", "chunking", "embedding"];
+
+// Backend step progress -> state used by the step cards
+// (startedAt / total feed the throughput and ETA display)
+const toStepProgress = (step) =>
+  step
+    ? {
+        status: step.status,
+        count: step.done || 0,
+        total: step.total ?? null,
+        failed: step.failed || 0,
+        startedAt: step.startedAt || null,
+        finishedAt: step.finishedAt || null,
+      }
+    : null;
+
+// Backend job log entry -> log line shown on the page
+const toLog = (entry) => ({
+  timestamp: entry.at,
+  message: entry.message,
+  type: entry.level,
+});
+
+// Resolve with the finished job once its event stream reports a final status
+const followJob = (jobId, dispatch) =>
+  new Promise((resolve, reject) => {
+    const finish = async (source) => {
+      source.close();
+      try {
+        resolve((await api.getJob(jobId)).data.job);
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    const source = api.subscribeToJobEvents(jobId, {
+      snapshot: (job) => {
+        dispatch(syncJobSnapshot(job));
+        if (FINISHED_STATUSES.includes(job.status)) finish(source);
+      },
+      progress: (progress) => dispatch(jobProgressReceived(progress)),
+      log: (entry) => dispatch(jobLogReceived(entry)),
+      status: ({ status }) => {
+        if (FINISHED_STATUSES.includes(status)) finish(source);
+      },
+      error: (data) => {
+        // A closed stream with no reconnect pending means the server is gone
+        if (data || source.readyState === EventSource.CLOSED) {
+          source.close();
+          reject(new Error(data?.message || "Lost connection to job events"));
+        }
+      },
+    });
+  });
+
 // Initial state
 const initialState = {
   running: false,
+  jobId: null, // Background job of the current/last run
   currentStep: null, // 'scraping' | 'chunking' | 'embedding' | 'complete'
   progress: {
     scraping: { status: "pending", count: 0 },
@@ -24,26 +81,38 @@ const initialState = {
 // ============================================
 
 // Run complete pipeline
+// The backend queues it as a job; progress and logs stream from the job's
+// event stream until it finishes
 export const runCompletePipeline = createAsyncThunk(
   "pipeline/runComplete",
-  async ({ urls }, { rejectWithValue, dispatch }) => {
+  async ({ urls, collectionId = null }, { rejectWithValue, dispatch }) => {
     try {
-      dispatch(addLog({ message: "Starting pipeline...", type: "info" }));
-      dispatch(updateStep("scraping"));
+      const response = await api.runPipeline(urls, collectionId);
+      dispatch(setJobId(response.data.jobId));
+
+      const job = await followJob(response.data.jobId, dispatch);
+
+      if (job.status === "failed") {
+        throw new Error(job.error || "Pipeline job failed");
+      }
 
-      const response = await api.runPipeline(urls);
+      dispatch(updateStep(job.status === "cancelled" ? null : "complete"));
 
-      dispatch(addLog({ message: "Pipeline completed!", type: "success" }));
-      dispatch(updateStep("complete"));
+      return { results: job.result, job };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
 
+// Cancel the running pipeline job
+export const cancelPipeline = createAsyncThunk(
+  "pipeline/cancel",
+  async (jobId, { rejectWithValue }) => {
+    try {
+      const response = await api.cancelJob(jobId);
       return response.data;
     } catch (error) {
-      dispatch(
-        addLog({
-          message: `Pipeline failed: ${error.message}`,
-          type: "error",
-        })
-      );
       return rejectWithValue(error.response?.data || error.message);
     }
   }
@@ -146,6 +215,47 @@ const pipelineSlice = createSlice({
       state.progress[step] = { status, count };
     },
 
+    // Remember the background job of the current run
+    setJobId: (state, action) => {
+      state.jobId = action.payload;
+    },
+
+    // Take progress and logs from the job snapshot sent when the stream opens
+    syncJobSnapshot: (state, action) => {
+      const job = action.payload;
+      state.currentStep = job.currentStep;
+      state.logs = job.logs.map(toLog);
+
+      PIPELINE_STEPS.forEach((step) => {
+        const progress = toStepProgress(job.progress[step]);
+        if (progress) {
+          state.progress[step] = progress;
+        }
+      });
+    },
+
+    // Live progress event for one step
+    jobProgressReceived: (state, action) => {
+      const { step, item, itemStatus } = action.payload;
+      if (!PIPELINE_STEPS.includes(step)) return;
+
+      state.currentStep = step;
+      state.progress[step] = {
+        ...toStepProgress(action.payload),
+        lastItem: item ? { item, status: itemStatus } : null,
+      };
+    },
+
+    // Live log line from the job
+    jobLogReceived: (state, action) => {
+      state.logs.push(toLog(action.payload));
+
+      // Keep only last 100 logs (as the backend does)
+      if (state.logs.length > 100) {
+        state.logs = state.logs.slice(-100);
+      }
+    },
+
     // Add log entry
     addLog: (state, action) => {
       const log = {
@@ -186,31 +296,43 @@ const pipelineSlice = createSlice({
       .addCase(runCompletePipeline.pending, (state) => {
         state.running = true;
         state.error = null;
-        state.currentStep = "scraping";
+        state.currentStep = null; // Set once the job starts
+        state.progress = initialState.progress;
       })
       .addCase(runCompletePipeline.fulfilled, (state, action) => {
         state.running = false;
-        state.currentStep = "complete";
+        state.currentStep =
+          action.payload.job.status === "completed" ? "complete" : null;
         state.results = action.payload.results;
 
-        // Update progress
+        // Update progress with final counts
         if (action.payload.results) {
           const { scraping, chunking, embedding } = action.payload.results;
+          const { progress } = action.payload.job;
 
-          state.progress.scraping = {
-            status: "complete",
-            count: scraping?.successful?.length || 0,
-          };
+          if (scraping) {
+            state.progress.scraping = {
+              ...state.progress.scraping,
+              status: progress.scraping?.status || "complete",
+              count: scraping.successful?.length || 0,
+            };
+          }
 
-          state.progress.chunking = {
-            status: "complete",
-            count: chunking?.processed || 0,
-          };
+          if (chunking) {
+            state.progress.chunking = {
+              ...state.progress.chunking,
+              status: progress.chunking?.status || "complete",
+              count: chunking.processed || 0,
+            };
+          }
 
-          state.progress.embedding = {
-            status: "complete",
-            count: embedding?.processed || 0,
-          };
+          if (embedding) {
+            state.progress.embedding = {
+              ...state.progress.embedding,
+              status: progress.embedding?.status || "complete",
+              count: embedding.processed || 0,
+            };
+          }
         }
       })
       .addCase(runCompletePipeline.rejected, (state, action) => {
@@ -285,6 +407,10 @@ const pipelineSlice = createSlice({
 export const {
   updateStep,
   updateProgress,
+  setJobId,
+  syncJobSnapshot,
+  jobProgressReceived,
+  jobLogReceived,
   addLog,
   clearLogs,
   resetPipeline,
@@ -293,6 +419,7 @@ export const {
 
 // Export selectors
 export const selectPipelineRunning = (state) => state.pipeline.running;
+export const selectPipelineJobId = (state) => state.pipeline.jobId;
 export const selectCurrentStep = (state) => state.pipeline.currentStep;
 export const selectPipelineProgress = (state) => state.pipeline.progress;
 export const selectPipelineResults = (state) => state.pipeline.results;
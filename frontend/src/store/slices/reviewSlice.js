@@ -0,0 +1,78 @@
+// src/store/slices/reviewSlice.js
+// Redux slice for reviewing chat answers
+// Lists answers that failed the grounding check
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import * as api from "../../api/endpoints";
+
+// Initial state
+const initialState = {
+  lowGrounding: [],
+  // Total number of low-grounding answers
+  count: 0,
+  // Grounding checker in use: { checker, model, threshold }
+  grounding: null,
+  loading: false,
+  error: null,
+};
+
+// ============================================
+// ASYNC THUNKS
+// ============================================
+
+// Fetch answers that failed the grounding check
+export const fetchLowGroundingAnswers = createAsyncThunk(
+  "review/fetchLowGrounding",
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.getLowGroundingAnswers(params);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+// ============================================
+// SLICE
+// ============================================
+
+const reviewSlice = createSlice({
+  name: "review",
+  initialState,
+  reducers: {
+    // Clear error
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch low-grounding answers
+    builder
+      .addCase(fetchLowGroundingAnswers.pending, (state) => {
+        state.loading = true;
+      })
+      .addCase(fetchLowGroundingAnswers.fulfilled, (state, action) => {
+        state.loading = false;
+        state.lowGrounding = action.payload.answers || [];
+        state.count = action.payload.count || 0;
+        state.grounding = action.payload.grounding || null;
+      })
+      .addCase(fetchLowGroundingAnswers.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Export actions
+export const { clearError } = reviewSlice.actions;
+
+// Export selectors
+export const selectLowGroundingAnswers = (state) => state.review.lowGrounding;
+export const selectLowGroundingCount = (state) => state.review.count;
+export const selectGroundingChecker = (state) => state.review.grounding;
+export const selectReviewLoading = (state) => state.review.loading;
+
+// Export reducer
+export default reviewSlice.reducer;
@@ -28,12 +28,20 @@ const initialState = {
 // ASYNC THUNKS
 // ============================================
 
-// Perform semantic search
+// Perform hybrid search (mode/fusion/alpha fall back to server defaults)
 export const performSearch = createAsyncThunk(
   "search/perform",
-  async ({ query, topK = 5, filter = null }, { rejectWithValue }) => {
+  async (
+    { query, topK = 5, filter = null, mode, fusion, alpha, collectionIds },
+    { rejectWithValue }
+  ) => {
     try {
-      const response = await api.semanticSearch(query, topK, filter);
+      const response = await api.semanticSearch(query, topK, filter, {
+        mode,
+        fusion,
+        alpha,
+        collectionIds,
+      });
       return {
         ...response.data,
         query,
@@ -7,6 +7,9 @@ import documentReducer from "./slices/documentSlice";
 import chunkReducer from "./slices/chunkSlice";
 import searchReducer from "./slices/searchSlice";
 import pipelineReducer from "./slices/pipelineSlice";
+import indexReducer from "./slices/indexSlice";
+import collectionReducer from "./slices/collectionSlice";
+import reviewReducer from "./slices/reviewSlice";
 
 // Configure Redux store with all slices
 const store = configureStore({
@@ -15,6 +18,9 @@ const store = configureStore({
     chunks: chunkReducer,
     search: searchReducer,
     pipeline: pipelineReducer,
+    indexes: indexReducer,
+    collections: collectionReducer,
+    review: reviewReducer,
   },
   // Middleware configuration (default includes thunk)
   middleware: (getDefaultMiddleware) =>
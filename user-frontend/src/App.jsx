@@ -11,12 +11,95 @@ import {
   ExternalLink,
   Sparkles,
   RotateCcw,
+  Square,
 } from "lucide-react";
 import ReactMarkdown from "react-markdown";
 import "./App.css";
 
 // API Configuration
 const USE_MCP = import.meta.env.VITE_API_URL;
+const STREAM_URL =
+  import.meta.env.VITE_STREAM_URL || "http://localhost:3000/api/chat/stream";
+
+/**
+ * Read Server-Sent Events from a fetch response, calling onEvent(event, data)
+ * for each one as it arrives
+ */
+async function readEvents(response, onEvent) {
+  const reader = response.body
+    .pipeThrough(new TextDecoderStream())
+    .getReader();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    // Events are separated by a blank line; keep an incomplete one buffered
+    buffer += value;
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Citation markers in answers: [1] or [1, 2]
+const CITATION = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Rehype plugin turning [n] citation markers into footnotes (<sup> elements
+ * with data-citation, rendered as buttons below); markers without a matching
+ * source and anything inside code or links are left as text
+ */
+function rehypeCitations({ count }) {
+  const footnote = (n) => ({
+    type: "element",
+    tagName: "sup",
+    properties: { dataCitation: n },
+    children: [{ type: "text", value: String(n) }],
+  });
+
+  const splitText = (value) => {
+    const nodes = [];
+    let last = 0;
+
+    for (const match of value.matchAll(CITATION)) {
+      const numbers = match[1].split(",").map((n) => parseInt(n));
+      if (numbers.some((n) => n < 1 || n > count)) continue;
+
+      if (match.index > last) {
+        nodes.push({ type: "text", value: value.slice(last, match.index) });
+      }
+      nodes.push(...numbers.map(footnote));
+      last = match.index + match[0].length;
+    }
+
+    if (last < value.length) {
+      nodes.push({ type: "text", value: value.slice(last) });
+    }
+    return nodes;
+  };
+
+  const visit = (node) => {
+    if (["code", "pre", "a"].includes(node.tagName) || !node.children) return;
+    node.children = node.children.flatMap((child) => {
+      if (child.type === "text") return splitText(child.value);
+      visit(child);
+      return [child];
+    });
+  };
+
+  return (tree) => visit(tree);
+}
 
 function App() {
   // State management
@@ -25,16 +108,27 @@ function App() {
   const [loading, setLoading] = useState(false);
   const [sessionId, setSessionId] = useState(null);
   const [showSources, setShowSources] = useState({});
+  const [activeSource, setActiveSource] = useState(null);
 
   // Refs
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortRef = useRef(null);
 
   // Scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
+  // Scroll to the source a citation was clicked for
+  useEffect(() => {
+    if (activeSource) {
+      document
+        .getElementById(`source-${activeSource.message}-${activeSource.source}`)
+        ?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    }
+  }, [activeSource]);
+
   // Focus input on mount
   useEffect(() => {
     inputRef.current?.focus();
@@ -76,11 +170,18 @@ function App() {
     setInput("");
     setLoading(true);
 
-    try {
-      // Choose endpoint based on MCP setting
-      const endpoint = USE_MCP;
+    // Update the assistant message being streamed (the last one)
+    const updateAnswer = (update) =>
+      setMessages((prev) => [
+        ...prev.slice(0, -1),
+        { ...prev[prev.length - 1], ...update(prev[prev.length - 1]) },
+      ]);
 
-      const response = await fetch(`${endpoint}`, {
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const response = await fetch(STREAM_URL, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -90,32 +191,62 @@ function App() {
           sessionId: sessionId,
           topK: 5,
           minScore: 0.5,
-          useMCP: USE_MCP,
         }),
+        signal: controller.signal,
       });
 
-      const data = await response.json();
-
-      if (!data.success) {
-        throw new Error(data.error || "Failed to get response");
-      }
-
-      // Update sessionId if new
-      if (data.sessionId && !sessionId) {
-        setSessionId(data.sessionId);
+      // Validation errors are returned as JSON before the stream starts
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(
+          data.message || data.error || "Failed to get response"
+        );
       }
 
-      // Add assistant response
-      const assistantMessage = {
-        role: "assistant",
-        content: data.response,
-        sources: data.sources || [],
-        metadata: data.metadata || {},
-        timestamp: new Date().toISOString(),
-      };
-
-      setMessages((prev) => [...prev, assistantMessage]);
+      await readEvents(response, (event, data) => {
+        switch (event) {
+          case "sources":
+            // Update sessionId if new
+            if (data.sessionId && !sessionId) {
+              setSessionId(data.sessionId);
+            }
+
+            // Show the sources while the answer is generated
+            setMessages((prev) => [
+              ...prev,
+              {
+                role: "assistant",
+                content: "",
+                sources: data.sources || [],
+                metadata: {},
+                timestamp: new Date().toISOString(),
+                streaming: true,
+              },
+            ]);
+            break;
+          case "token":
+            updateAnswer((message) => ({
+              content: message.content + data.text,
+            }));
+            break;
+          case "metadata":
+            updateAnswer(() => ({ metadata: data }));
+            break;
+          case "done":
+            // Answer and sources after the citation and grounding checks
+            updateAnswer(() => ({
+              content: data.response,
+              sources: data.sources,
+            }));
+            break;
+          case "error":
+            throw new Error(data.message || data.error);
+        }
+      });
     } catch (error) {
+      // Stopped by the user: keep what was generated so far
+      if (error.name === "AbortError") return;
+
       console.error("Error sending message:", error);
 
       // Add error message
@@ -128,11 +259,24 @@ function App() {
 
       setMessages((prev) => [...prev, errorMessage]);
     } finally {
+      setMessages((prev) =>
+        prev.map((message) =>
+          message.streaming ? { ...message, streaming: false } : message
+        )
+      );
+      abortRef.current = null;
       setLoading(false);
       inputRef.current?.focus();
     }
   };
 
+  /**
+   * Stop the answer being streamed
+   */
+  const stopStreaming = () => {
+    abortRef.current?.abort();
+  };
+
   /**
    * Handle key press in input
    */
@@ -155,8 +299,10 @@ function App() {
    * Reset conversation
    */
   const resetConversation = () => {
+    stopStreaming();
     setMessages([]);
     setSessionId(null);
+    setActiveSource(null);
     sessionStorage.removeItem("sessionId");
     sessionStorage.removeItem("messages");
     inputRef.current?.focus();
@@ -172,6 +318,17 @@ function App() {
     }));
   };
 
+  /**
+   * Open the sources of a message at the one a citation refers to
+   */
+  const openSource = (index, source) => {
+    setShowSources((prev) => ({
+      ...prev,
+      [index]: true,
+    }));
+    setActiveSource({ message: index, source });
+  };
+
   /**
    * Example questions
    */
@@ -238,8 +395,39 @@ function App() {
                 <div className="message-content">
                   {message.role === "assistant" ? (
                     <div className="assistant-message">
-                      <div className="markdown-content">
-                        <ReactMarkdown>{message.content}</ReactMarkdown>
+                      <div
+                        className={`markdown-content${
+                          message.streaming ? " streaming" : ""
+                        }`}
+                      >
+                        <ReactMarkdown
+                          rehypePlugins={[
+                            [
+                              rehypeCitations,
+                              { count: message.sources?.length || 0 },
+                            ],
+                          ]}
+                          components={{
+                            sup: (props) => {
+                              const n = parseInt(props["data-citation"]);
+                              if (!n) return <sup>{props.children}</sup>;
+
+                              return (
+                                <sup>
+                                  <button
+                                    onClick={() => openSource(index, n)}
+                                    className="citation"
+                                    title={message.sources[n - 1].title}
+                                  >
+                                    {n}
+                                  </button>
+                                </sup>
+                              );
+                            },
+                          }}
+                        >
+                          {message.content}
+                        </ReactMarkdown>
                       </div>
 
                       {/* Sources */}
@@ -256,9 +444,28 @@ function App() {
                           {showSources[index] && (
                             <div className="sources-list">
                               {message.sources.map((source, i) => (
-                                <div key={i} className="source-item">
+                                <div
+                                  key={i}
+                                  id={`source-${index}-${i + 1}`}
+                                  className={`source-item${
+                                    activeSource?.message === index &&
+                                    activeSource?.source === i + 1
+                                      ? " active"
+                                      : ""
+                                  }`}
+                                >
                                   <div className="source-header">
-                                    <strong>{source.title}</strong>
+                                    <div className="source-title">
+                                      <span className="source-number">
+                                        [{i + 1}]
+                                      </span>
+                                      {source.type === "api_reference" && (
+                                        <span className="source-type">
+                                          API reference
+                                        </span>
+                                      )}
+                                      <strong>{source.title}</strong>
+                                    </div>
                                     <span className="source-score">
                                       {(source.score * 100).toFixed(0)}% match
                                     </span>
@@ -304,8 +511,8 @@ function App() {
               </div>
             ))}
 
-            {/* Loading indicator */}
-            {loading && (
+            {/* Loading indicator (until the answer starts streaming) */}
+            {loading && messages[messages.length - 1]?.role === "user" && (
               <div className="message assistant">
                 <div className="message-content">
                   <div className="loading">
@@ -334,17 +541,23 @@ function App() {
             rows={1}
             disabled={loading}
           />
-          <button
-            onClick={sendMessage}
-            disabled={!input.trim() || loading}
-            className="send-btn"
-          >
-            {loading ? (
-              <Loader2 className="spinner" size={20} />
-            ) : (
+          {loading ? (
+            <button
+              onClick={stopStreaming}
+              className="send-btn"
+              title="Stop generating"
+            >
+              <Square size={18} />
+            </button>
+          ) : (
+            <button
+              onClick={sendMessage}
+              disabled={!input.trim()}
+              className="send-btn"
+            >
               <Send size={20} />
-            )}
-          </button>
+            </button>
+          )}
         </div>
         <p className="input-hint">
           Press Enter to send, Shift+Enter for new line